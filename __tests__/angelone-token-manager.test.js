@@ -0,0 +1,90 @@
+describe('AngelOneTokenManager', () => {
+  let dbQuery;
+  let provider;
+
+  const storedCredentials = {
+    client_code: 'A123456',
+    encrypted_mpin: 'mpin',
+    encrypted_totp_secret: 'totp',
+    encrypted_api_key: 'key'
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+
+    dbQuery = jest.fn().mockImplementation((sql) => {
+      if (sql.includes('SELECT "credentialsEncrypted"')) {
+        return Promise.resolve({ rows: [{ credentialsEncrypted: storedCredentials }] });
+      }
+      return Promise.resolve({ rows: [] });
+    });
+    provider = {
+      renewToken: jest.fn(),
+      login: jest.fn()
+    };
+
+    jest.doMock('../config/database', () => ({
+      query: dbQuery,
+      getClient: jest.fn().mockResolvedValue({ query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() })
+    }));
+    jest.doMock('../services/providers/angelone', () => provider);
+    jest.doMock('../services/encryptor', () => ({
+      decryptCredential: jest.fn(async (value) => `plain:${value}`),
+      encryptCredential: jest.fn(async (value) => `enc:${value}`)
+    }));
+    jest.doMock('../utils/logger', () => ({
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn()
+    }));
+  });
+
+  test('renews with the stored refresh token without a full login', async () => {
+    provider.renewToken.mockResolvedValue({
+      access_token: 'jwt-2',
+      refresh_token: 'refresh-2',
+      feed_token: 'feed-2',
+      expires_at: '2026-01-02T18:30:00.000Z'
+    });
+
+    const AngelOneTokenManager = require('../services/token-managers/AngelOneTokenManager');
+    const result = await new AngelOneTokenManager().refresh({
+      userId: 'user-1',
+      connectionId: 'conn-1',
+      currentToken: { access_token: 'jwt-1', refresh_token: 'refresh-1' }
+    });
+
+    expect(provider.renewToken).toHaveBeenCalledWith('jwt-1', 'refresh-1', 'plain:key');
+    expect(provider.login).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ success: true, access_token: 'jwt-2', refresh_token: 'refresh-2' });
+    expect(dbQuery).toHaveBeenCalledWith(
+      expect.stringContaining('"credentialsEncrypted" = COALESCE'),
+      [JSON.stringify({ encrypted_feed_token: 'enc:feed-2' }), 'conn-1']
+    );
+  });
+
+  test('falls back to full MPIN + TOTP login when renewal fails', async () => {
+    provider.renewToken.mockRejectedValue(new Error('Invalid refresh token'));
+    provider.login.mockResolvedValue({
+      access_token: 'jwt-3',
+      refresh_token: 'refresh-3',
+      feed_token: null,
+      expires_at: '2026-01-02T18:30:00.000Z'
+    });
+
+    const AngelOneTokenManager = require('../services/token-managers/AngelOneTokenManager');
+    const result = await new AngelOneTokenManager().refresh({
+      userId: 'user-1',
+      connectionId: 'conn-1',
+      currentToken: { access_token: 'jwt-1', refresh_token: 'refresh-1' }
+    });
+
+    expect(provider.login).toHaveBeenCalledWith({
+      client_code: 'A123456',
+      mpin: 'plain:mpin',
+      totp_secret: 'plain:totp',
+      api_key: 'plain:key'
+    });
+    expect(result).toMatchObject({ success: true, access_token: 'jwt-3', refresh_token: 'refresh-3' });
+  });
+});
@@ -0,0 +1,174 @@
+describe('service API keys', () => {
+  const originalEnv = process.env;
+  let dbQuery;
+  let keys;
+
+  const makeMockResponse = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  });
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv, TOKENBOT_API_KEY: 'legacy-key' };
+    delete process.env.SERVICE_API_KEY;
+    delete process.env.SERVICE_API_KEY_LEGACY_ENABLED;
+    keys = [];
+
+    dbQuery = jest.fn(async (sql, params = []) => {
+      const normalizedSql = String(sql).replace(/\s+/g, ' ').trim();
+      if (normalizedSql.startsWith('INSERT INTO service_api_keys')) {
+        const row = {
+          id: `00000000-0000-0000-0000-00000000000${keys.length + 1}`,
+          name: params[0],
+          key_prefix: params[1],
+          key_hash: params[2],
+          scopes: params[3],
+          created_by: params[4],
+          expires_at: params[5],
+          signing_secret_encrypted: params[6],
+          require_signature: params[7],
+          last_used_at: null,
+          revoked_at: null,
+          created_at: new Date()
+        };
+        keys.push(row);
+        return { rows: [row] };
+      }
+      if (normalizedSql.startsWith('SELECT id, name, scopes')) {
+        const row = keys.find((key) => key.key_hash === params[0]);
+        const usable = row && !row.revoked_at && (!row.expires_at || row.expires_at > new Date());
+        return { rows: usable ? [row] : [] };
+      }
+      if (normalizedSql.startsWith('UPDATE service_api_keys SET revoked_at')) {
+        const row = keys.find((key) => key.id === params[0]);
+        if (row) row.revoked_at = row.revoked_at || new Date();
+        return { rows: row ? [row] : [] };
+      }
+      return { rows: [], rowCount: 1 };
+    });
+
+    jest.doMock('../config/database', () => ({ query: dbQuery, getClient: jest.fn() }));
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+    jest.doMock('../services/encryptor', () => ({
+      encrypt: jest.fn((value) => `enc:${value}`),
+      decrypt: jest.fn((value) => value.replace(/^enc:/, ''))
+    }));
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test('stores only the hash and resolves minted keys to their scopes', async () => {
+    const apiKeyService = require('../services/apiKeyService');
+
+    const minted = await apiKeyService.mint({ name: 'core', scopes: ['tokens:read', 'tokens:read'], expiresInDays: 30 });
+
+    expect(minted.key).toMatch(/^tbk_/);
+    expect(minted).toMatchObject({ name: 'core', scopes: ['tokens:read'], status: 'active', key_prefix: minted.key.slice(0, 12) });
+    expect(keys[0].key_hash).toHaveLength(64);
+    expect(JSON.stringify(keys[0])).not.toContain(minted.key);
+    expect(keys[0].signing_secret_encrypted).toBe(`enc:${minted.signing_secret}`);
+
+    const principal = await apiKeyService.authenticate(minted.key);
+    expect(principal).toEqual({ id: minted.id, name: 'core', scopes: ['tokens:read'], legacy: false, requireSignature: false });
+    expect(apiKeyService.hasScope(principal, 'tokens:read')).toBe(true);
+    expect(apiKeyService.hasScope(principal, 'tokens:refresh')).toBe(false);
+    expect(apiKeyService.hasScope({ scopes: ['admin'] }, 'credentials:write')).toBe(true);
+    expect(dbQuery.mock.calls.filter(([sql]) => String(sql).includes('SET last_used_at'))).toHaveLength(1);
+
+    expect(await apiKeyService.authenticate('tbk_unknown')).toBeNull();
+  });
+
+  test('rejects invalid scopes and expiry when minting', async () => {
+    const apiKeyService = require('../services/apiKeyService');
+
+    await expect(apiKeyService.mint({ name: 'core', scopes: ['tokens:write'] })).rejects.toMatchObject({ statusCode: 400, code: 'API_KEY_SCOPE_INVALID' });
+    await expect(apiKeyService.mint({ name: 'core', scopes: [] })).rejects.toMatchObject({ statusCode: 400, code: 'API_KEY_INVALID' });
+    await expect(apiKeyService.mint({ name: 'core', scopes: ['admin'], expiresAt: '2000-01-01' })).rejects.toMatchObject({ code: 'API_KEY_INVALID' });
+    expect(keys).toHaveLength(0);
+  });
+
+  test('stops accepting a key once it is revoked or expired', async () => {
+    const apiKeyService = require('../services/apiKeyService');
+    const revoked = await apiKeyService.mint({ name: 'web', scopes: ['credentials:write'] });
+    const expiring = await apiKeyService.mint({ name: 'batch', scopes: ['tokens:read'], expiresInDays: 1 });
+    expect(await apiKeyService.authenticate(revoked.key)).not.toBeNull();
+
+    await apiKeyService.revoke(revoked.id);
+    keys[1].expires_at = new Date(Date.now() - 1000);
+    apiKeyService.cache.clear();
+
+    expect(await apiKeyService.authenticate(revoked.key)).toBeNull();
+    expect(await apiKeyService.authenticate(expiring.key)).toBeNull();
+    await expect(apiKeyService.revoke('00000000-0000-0000-0000-000000000009')).rejects.toMatchObject({ statusCode: 404, code: 'API_KEY_NOT_FOUND' });
+  });
+
+  test('accepts the legacy env key with every scope until it is disabled', async () => {
+    const apiKeyService = require('../services/apiKeyService');
+    expect(await apiKeyService.authenticate('legacy-key')).toMatchObject({ legacy: true, scopes: apiKeyService.scopes });
+
+    jest.resetModules();
+    process.env.SERVICE_API_KEY_LEGACY_ENABLED = 'false';
+    const strict = require('../services/apiKeyService');
+    expect(await strict.authenticate('legacy-key')).toBeNull();
+  });
+
+  test('middleware answers 401 for missing or unknown keys and 403 for missing scopes', async () => {
+    const apiKeyService = require('../services/apiKeyService');
+    const { requireServiceAuth } = require('../middleware/auth');
+    const reader = await apiKeyService.mint({ name: 'core', scopes: ['tokens:read'] });
+    const middleware = requireServiceAuth('tokens:refresh');
+
+    const call = async (headers) => {
+      const req = { headers, method: 'POST', originalUrl: '/api/tokens/store' };
+      const res = makeMockResponse();
+      const next = jest.fn();
+      await middleware(req, res, next);
+      return { req, res, next };
+    };
+
+    expect((await call({})).res).toMatchObject({ statusCode: 401, body: { code: 'API_KEY_REQUIRED' } });
+    expect((await call({ 'x-api-key': 'tbk_wrong' })).res).toMatchObject({ statusCode: 401, body: { code: 'API_KEY_INVALID' } });
+    expect((await call({ authorization: `Bearer ${reader.key}` })).res).toMatchObject({ statusCode: 403, body: { code: 'API_KEY_SCOPE_DENIED' } });
+
+    const allowed = await call({ 'x-api-key': 'legacy-key' });
+    expect(allowed.next).toHaveBeenCalled();
+    expect(allowed.req.serviceAuth).toMatchObject({ legacy: true });
+  });
+
+  test('token logs need tokens:read unless a user reads their own', async () => {
+    process.env.JWT_SECRET = 'jwt-secret';
+    const getTokenLogs = jest.fn(async () => []);
+    jest.doMock('../services/tokenManager', () => ({ getTokenLogs }));
+    jest.doMock('../services/refreshJobService', () => ({}));
+    const jwt = require('jsonwebtoken');
+    const apiKeyService = require('../services/apiKeyService');
+    const router = require('../routes/tokens');
+    const layer = router.stack.find((entry) => entry.route && entry.route.path === '/logs/:userId');
+    const writer = await apiKeyService.mint({ name: 'web', scopes: ['credentials:write'] });
+
+    const call = async (headers) => {
+      const req = { headers, params: { userId: 'user-1' }, query: {}, method: 'GET', originalUrl: '/api/tokens/logs/user-1' };
+      const res = makeMockResponse();
+      for (const { handle } of layer.route.stack) {
+        let proceed = false;
+        await handle(req, res, () => { proceed = true; });
+        if (!proceed) break;
+      }
+      return res;
+    };
+
+    expect(await call({})).toMatchObject({ statusCode: 401, body: { code: 'API_KEY_REQUIRED' } });
+    expect(await call({ 'x-api-key': writer.key })).toMatchObject({ statusCode: 403, body: { code: 'API_KEY_SCOPE_DENIED' } });
+    expect(await call({ authorization: `Bearer ${jwt.sign({ user_id: 'user-2' }, 'jwt-secret')}` })).toMatchObject({ statusCode: 403 });
+    expect(getTokenLogs).not.toHaveBeenCalled();
+
+    expect(await call({ authorization: `Bearer ${jwt.sign({ user_id: 'user-1' }, 'jwt-secret')}` })).toMatchObject({ statusCode: 200 });
+    expect(await call({ 'x-api-key': 'legacy-key' })).toMatchObject({ statusCode: 200 });
+    expect(getTokenLogs).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,55 @@
+describe('broker registry', () => {
+  beforeEach(() => {
+    jest.resetModules();
+
+    jest.doMock('../config/database', () => ({
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      getClient: jest.fn()
+    }));
+    jest.doMock('../services/browserPool', () => ({
+      acquire: jest.fn(),
+      release: jest.fn()
+    }));
+    jest.doMock('../utils/logger', () => ({
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn()
+    }));
+  });
+
+  test('every token manager registers itself with capabilities and a refresh policy', () => {
+    const registry = require('../services/token-managers');
+
+    expect(registry.brokerTypes().sort()).toEqual(['ANGELONE', 'DHAN', 'FYERS', 'UPSTOX', 'ZERODHA']);
+
+    const dhan = registry.get('dhan');
+    expect(dhan.manager.brokerType).toBe('DHAN');
+    expect(dhan.capabilities).toEqual({ supportsRenew: true, needsBrowser: true, supportsValidate: true });
+    expect(dhan.refreshPolicy).toMatchObject({ preferredLoginTime: null, leadTimeMinutes: 120, staleAfterHours: 20, maxAttempts: 3 });
+
+    expect(registry.get('ZERODHA').refreshPolicy.preferredLoginTime).toBe('08:30');
+    expect(registry.getManager('UNKNOWN')).toBeNull();
+  });
+
+  test('describe() exposes a serializable view without manager instances', () => {
+    const registry = require('../services/token-managers');
+    const described = registry.describe();
+
+    expect(described).toHaveLength(registry.list().length);
+    described.forEach((entry) => {
+      expect(entry).not.toHaveProperty('manager');
+      expect(entry).not.toHaveProperty('ManagerClass');
+    });
+    expect(() => JSON.stringify(described)).not.toThrow();
+  });
+
+  test('refresh for an unregistered broker fails with BROKER_NOT_SUPPORTED', async () => {
+    const tokenManager = require('../services/tokenManager');
+
+    await expect(tokenManager._refreshTokenForUserInternal({
+      userId: 'user-1',
+      brokerType: 'NOPE',
+      connectionId: 'conn-1'
+    })).rejects.toMatchObject({ code: 'BROKER_NOT_SUPPORTED', statusCode: 400 });
+  });
+});
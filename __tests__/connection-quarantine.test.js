@@ -0,0 +1,119 @@
+describe('connection quarantine', () => {
+  const originalEnv = process.env;
+  let dbQuery;
+  let health;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv };
+    delete process.env.TOKEN_REFRESH_QUARANTINE_THRESHOLD;
+    delete process.env.TOKEN_REFRESH_QUARANTINE_ENABLED;
+    health = null;
+
+    // Minimal stand-in for broker_connection_refresh_health (one connection).
+    dbQuery = jest.fn(async (sql, params = []) => {
+      const normalizedSql = String(sql).replace(/\s+/g, ' ').trim();
+      if (normalizedSql.startsWith('INSERT INTO broker_connection_refresh_health')) {
+        health = {
+          broker_connection_id: params[0],
+          consecutive_failures: (health?.consecutive_failures || 0) + 1,
+          consecutive_credential_failures: (health?.consecutive_credential_failures || 0) + params[2],
+          last_failure_class: params[3],
+          quarantined_at: health?.quarantined_at || null
+        };
+        return { rows: [health] };
+      }
+      if (normalizedSql.includes('SET quarantined_at = NOW()')) {
+        health = { ...health, quarantined_at: new Date(), quarantine_reason: params[1] };
+        return { rows: [health] };
+      }
+      if (normalizedSql.includes('SET consecutive_failures = 0')) {
+        health = { ...health, consecutive_failures: 0, consecutive_credential_failures: 0 };
+        return { rows: [] };
+      }
+      if (normalizedSql.startsWith('UPDATE "BrokerConnection" SET "status" = \'REAUTH_REQUIRED\'')) {
+        return { rows: [{ id: 'conn-1' }] };
+      }
+      return { rows: [] };
+    });
+
+    jest.doMock('../config/database', () => ({ query: dbQuery, getClient: jest.fn() }));
+    jest.doMock('../services/browserPool', () => ({ acquire: jest.fn(), release: jest.fn() }));
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const quarantineUpdates = () => dbQuery.mock.calls
+    .filter(([sql]) => String(sql).includes(`SET "status" = 'QUARANTINED'`));
+
+  test('classifies credential and transient failures', () => {
+    const connectionQuarantine = require('../services/connectionQuarantine');
+
+    expect(connectionQuarantine.classifyFailure({ message: 'Login failed: Invalid user ID or password' })).toBe('credential');
+    expect(connectionQuarantine.classifyFailure({ message: 'TOTP submission failed: Invalid TOTP' })).toBe('credential');
+    expect(connectionQuarantine.classifyFailure({ code: 'DHAN_CREDENTIALS_MISSING', message: 'x' })).toBe('credential');
+    expect(connectionQuarantine.classifyFailure({ code: 'BROWSER_POOL_EXHAUSTED', message: 'Browser pool exhausted' })).toBe('transient');
+    expect(connectionQuarantine.classifyFailure({ message: 'Navigation timeout of 30000 ms exceeded' })).toBe('transient');
+    expect(connectionQuarantine.classifyFailure({ message: 'Kite login failed: HTTP 502', statusCode: 502 })).toBe('transient');
+  });
+
+  test('quarantines after the threshold of credential failures; transient ones do not count', async () => {
+    const connectionQuarantine = require('../services/connectionQuarantine');
+    const failure = { connectionId: 'conn-1', brokerType: 'ZERODHA', message: 'Login failed: Invalid password' };
+
+    await connectionQuarantine.recordFailure(failure);
+    await connectionQuarantine.recordFailure({ ...failure, message: 'Browser is not connected' });
+    const second = await connectionQuarantine.recordFailure(failure);
+    expect(second).toMatchObject({ consecutive_failures: 3, consecutive_credential_failures: 2, quarantined: false });
+    expect(quarantineUpdates()).toHaveLength(0);
+
+    const third = await connectionQuarantine.recordFailure({ ...failure, correlationId: 'corr-1' });
+
+    expect(third.quarantined).toBe(true);
+    expect(third.quarantine_reason).toContain('3 consecutive credential failures');
+    expect(third.quarantine_reason).toContain('[ref: corr-1]');
+    expect(quarantineUpdates()).toHaveLength(1);
+    expect(quarantineUpdates()[0][1][0]).toBe('conn-1');
+  });
+
+  test('a success resets the streak', async () => {
+    const connectionQuarantine = require('../services/connectionQuarantine');
+    const failure = { connectionId: 'conn-1', message: 'Login failed: Invalid password' };
+
+    await connectionQuarantine.recordFailure(failure);
+    await connectionQuarantine.recordFailure(failure);
+    await connectionQuarantine.recordSuccess('conn-1');
+    const afterSuccess = await connectionQuarantine.recordFailure(failure);
+
+    expect(afterSuccess).toMatchObject({ consecutive_credential_failures: 1, quarantined: false });
+    expect(quarantineUpdates()).toHaveLength(0);
+  });
+
+  test('release moves the connection back to REAUTH_REQUIRED and clears the streak', async () => {
+    const connectionQuarantine = require('../services/connectionQuarantine');
+
+    const released = await connectionQuarantine.release({ connectionId: 'conn-1', reason: 'Credentials updated' });
+
+    expect(released).toEqual(['conn-1']);
+    const clear = dbQuery.mock.calls.find(([sql]) => String(sql).includes('quarantined_at = NULL'));
+    expect(clear[1]).toEqual([['conn-1']]);
+    expect(await connectionQuarantine.release({ userId: 'user-1' })).toEqual([]);
+  });
+
+  test('refresh refuses quarantined connections before taking the lock', async () => {
+    const distributedLock = { acquire: jest.fn(), release: jest.fn() };
+    jest.doMock('../services/distributedLock', () => distributedLock);
+    jest.doMock('../services/encryptor', () => ({ encrypt: jest.fn(), decrypt: jest.fn(), getKeyFingerprint: jest.fn(() => null) }));
+    dbQuery.mockImplementation(async () => ({
+      rows: [{ id: 'conn-1', user_id: 'user-1', broker_type: 'ZERODHA', account_id: null, is_active: true, status: 'QUARANTINED' }]
+    }));
+    const tokenManager = require('../services/tokenManager');
+
+    await expect(tokenManager.refreshTokenForUser({ brokerConnectionId: 'conn-1' }))
+      .rejects.toMatchObject({ statusCode: 423, code: 'CONNECTION_QUARANTINED' });
+    expect(distributedLock.acquire).not.toHaveBeenCalled();
+  });
+});
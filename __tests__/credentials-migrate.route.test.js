@@ -0,0 +1,109 @@
+describe('POST /api/credentials/migrate', () => {
+  const originalEnv = process.env;
+  let tables;
+  let client;
+
+  const makeMockResponse = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  });
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv, ENCRYPTION_KEY: 'c'.repeat(64) };
+    delete process.env.ENCRYPTION_PREVIOUS_KEYS;
+    delete process.env.ENCRYPTION_KEY_PROVIDER;
+    tables = { kite_user_credentials: [], dhan_user_credentials: [] };
+
+    client = {
+      query: jest.fn(async (sql, params = []) => {
+        const normalizedSql = String(sql).replace(/\s+/g, ' ').trim();
+        const select = normalizedSql.match(/^SELECT \* FROM (\w+) WHERE user_id = \$1 FOR UPDATE/);
+        if (select) {
+          return { rows: tables[select[1]].filter((row) => row.user_id === params[0]).map((row) => ({ ...row })) };
+        }
+        const update = normalizedSql.match(/^UPDATE (\w+_user_credentials) SET (.*) WHERE id = \$1/);
+        if (update) {
+          const row = tables[update[1]].find((candidate) => candidate.id === params[0]);
+          for (const [, column, index] of update[2].matchAll(/(\w+) = \$(\d+)/g)) {
+            row[column] = params[Number(index) - 1];
+          }
+          return { rowCount: 1, rows: [] };
+        }
+        return { rowCount: 0, rows: [] };
+      }),
+      release: jest.fn()
+    };
+
+    jest.doMock('../config/database', () => ({ query: jest.fn(async () => ({ rows: [] })), getClient: jest.fn(async () => client) }));
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+    jest.doMock('../middleware/auth', () => ({
+      authenticateUser: jest.fn((req, res, next) => next()),
+      checkServiceAuth: jest.fn(),
+      requireServiceAuth: jest.fn(() => (req, res, next) => next())
+    }));
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const migrate = async (body) => {
+    const router = require('../routes/credentials');
+    const layer = router.stack.find((entry) => entry.route && entry.route.path === '/migrate');
+    const handle = layer.route.stack[layer.route.stack.length - 1].handle;
+    const res = makeMockResponse();
+    const next = jest.fn();
+    await handle({ body, headers: {} }, res, next);
+    return { res, next };
+  };
+
+  const seal = (encryptor, userId, field, value) => encryptor.encryptCredential(value, { context: { userId, field } });
+
+  test('re-seals migrated credentials so they decrypt under the new owner', async () => {
+    const encryptor = require('../services/encryptor');
+    tables.kite_user_credentials.push({
+      id: 1,
+      user_id: 'old-user',
+      encrypted_password: await seal(encryptor, 'old-user', 'encrypted_password', 'kite-pw'),
+      encrypted_api_key: await seal(encryptor, 'old-user', 'encrypted_api_key', 'kite-key')
+    });
+    tables.dhan_user_credentials.push({
+      id: 7,
+      user_id: 'old-user',
+      encrypted_api_key: await seal(encryptor, 'old-user', 'encrypted_api_key', 'dhan-key'),
+      encrypted_totp_secret: null
+    });
+
+    const { res } = await migrate({ oldUserId: 'old-user', newUserId: 'new-user' });
+
+    expect(res.body).toMatchObject({ success: true, data: { migratedZerodha: 1, migratedDhan: 1 } });
+    const [kite] = tables.kite_user_credentials;
+    const [dhan] = tables.dhan_user_credentials;
+    expect(kite.user_id).toBe('new-user');
+    await expect(encryptor.decryptCredential(kite.encrypted_password, { context: { userId: 'new-user', field: 'encrypted_password' } })).resolves.toBe('kite-pw');
+    await expect(encryptor.decryptCredential(kite.encrypted_api_key, { context: { userId: 'new-user', field: 'encrypted_api_key' } })).resolves.toBe('kite-key');
+    await expect(encryptor.decryptCredential(dhan.encrypted_api_key, { context: { userId: 'new-user', field: 'encrypted_api_key' } })).resolves.toBe('dhan-key');
+    await expect(encryptor.decryptCredential(kite.encrypted_password, { context: { userId: 'old-user', field: 'encrypted_password' } })).rejects.toBeDefined();
+    expect(dhan.encrypted_totp_secret).toBeNull();
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  test('rolls back every table when a credential cannot be decrypted', async () => {
+    const encryptor = require('../services/encryptor');
+    tables.kite_user_credentials.push({
+      id: 1,
+      user_id: 'old-user',
+      encrypted_password: await seal(encryptor, 'someone-else', 'encrypted_password', 'kite-pw')
+    });
+
+    const { next } = await migrate({ oldUserId: 'old-user', newUserId: 'new-user' });
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ code: 'TOKEN_CONTEXT_MISMATCH' }));
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.query).not.toHaveBeenCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+});
@@ -35,8 +35,8 @@ describe('DhanTokenManager missing credentials handling', () => {
     }));
 
     jest.doMock('../services/encryptor', () => ({
-      decrypt: jest.fn((value) => value),
-      encrypt: jest.fn((value) => value)
+      decryptCredential: jest.fn(async (value) => value),
+      encryptCredential: jest.fn(async (value) => value)
     }));
 
     jest.doMock('../utils/logger', () => ({
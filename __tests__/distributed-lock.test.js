@@ -27,6 +27,19 @@ describe('DistributedLockService', () => {
     await distributedLock.release(lock);
   });
 
+  test('extends and reports the holder of an in-memory lock', async () => {
+    process.env.NODE_ENV = 'test';
+    const distributedLock = require('../services/distributedLock');
+
+    const lock = await distributedLock.acquire('leader', 2000, { token: 'replica-a' });
+    await expect(distributedLock.getHolder('leader')).resolves.toBe('replica-a');
+    await expect(distributedLock.extend(lock, 5000)).resolves.toBe(true);
+
+    await distributedLock.release(lock);
+    await expect(distributedLock.extend(lock, 5000)).resolves.toBe(false);
+    await expect(distributedLock.getHolder('leader')).resolves.toBeNull();
+  });
+
   test('fails lock acquisition in production when redis is unavailable', async () => {
     process.env.NODE_ENV = 'production';
     const distributedLock = require('../services/distributedLock');
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+
+describe('encryptor key ring', () => {
+  const originalEnv = process.env;
+  const oldKey = 'a'.repeat(64);
+  const newKey = 'b'.repeat(64);
+  const fingerprint = (hex) => crypto.createHash('sha256').update(Buffer.from(hex, 'hex')).digest('hex').slice(0, 12);
+
+  const loadEncryptor = (env) => {
+    jest.resetModules();
+    process.env = { ...originalEnv };
+    delete process.env.ENCRYPTION_PREVIOUS_KEYS;
+    delete process.env.ENCRYPTION_KEY_ID_PREFIX;
+    Object.assign(process.env, env);
+    return require('../services/encryptor');
+  };
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test('prefixes new ciphertexts with the active key id when enabled', () => {
+    const encryptor = loadEncryptor({ ENCRYPTION_KEY: newKey, ENCRYPTION_KEY_ID_PREFIX: 'true' });
+
+    const encrypted = encryptor.encrypt('secret');
+
+    expect(encrypted.startsWith(`v2:${fingerprint(newKey)}:`)).toBe(true);
+    expect(encryptor.decryptWithMeta(encrypted)).toMatchObject({ ok: true, value: 'secret', format: 'GCM', keyId: fingerprint(newKey), keyActive: true });
+  });
+
+  test('decrypts ciphertexts written with a rotated-out key', () => {
+    const before = loadEncryptor({ ENCRYPTION_KEY: oldKey, ENCRYPTION_KEY_ID_PREFIX: 'true' });
+    const keyed = before.encrypt('old-password');
+    const unprefixed = keyed.split(':').slice(2).join(':');
+
+    const after = loadEncryptor({ ENCRYPTION_KEY: newKey, ENCRYPTION_PREVIOUS_KEYS: oldKey });
+
+    expect(after.getKeyFingerprint()).toBe(fingerprint(newKey));
+    expect(after.decryptWithMeta(keyed)).toMatchObject({ ok: true, value: 'old-password', keyId: fingerprint(oldKey), keyActive: false });
+    expect(after.decryptWithMeta(unprefixed)).toMatchObject({ ok: true, value: 'old-password', keyId: fingerprint(oldKey) });
+    expect(after.getKeyRing()).toEqual({
+      active: fingerprint(newKey),
+      prefixKeyId: false,
+      keys: [{ id: fingerprint(newKey), active: true }, { id: fingerprint(oldKey), active: false }],
+      keyProvider: null
+    });
+  });
+
+  test('reports unknown key ids and keeps the plain format by default', () => {
+    const before = loadEncryptor({ ENCRYPTION_KEY: oldKey, ENCRYPTION_KEY_ID_PREFIX: 'true' });
+    const keyed = before.encrypt('old-password');
+
+    const after = loadEncryptor({ ENCRYPTION_KEY: newKey });
+    expect(after.decryptWithMeta(keyed)).toMatchObject({ ok: false, reasonCode: 'TOKEN_KEY_UNKNOWN', keyId: fingerprint(oldKey) });
+    expect(() => after.decrypt(keyed)).toThrow(expect.objectContaining({ code: 'TOKEN_KEY_UNKNOWN' }));
+
+    delete process.env.ENCRYPTION_KEY_ID_PREFIX;
+    jest.resetModules();
+    const plain = require('../services/encryptor').encrypt('token');
+    expect(plain.split(':')).toHaveLength(3);
+    expect(after.decrypt(plain)).toBe('token');
+  });
+});
+
+describe('encryptor owner binding', () => {
+  const originalEnv = process.env;
+  let encryptor;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv, ENCRYPTION_KEY: 'a'.repeat(64) };
+    delete process.env.ENCRYPTION_PREVIOUS_KEYS;
+    delete process.env.ENCRYPTION_KEY_ID_PREFIX;
+    encryptor = require('../services/encryptor');
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test('decrypts only under the owner and field it was written for', () => {
+    const context = { connectionId: 'conn-1', field: 'encrypted_password' };
+    const sealed = encryptor.encrypt('hunter2', { context });
+
+    expect(sealed.startsWith('v3:')).toBe(true);
+    expect(encryptor.decryptWithMeta(sealed, { context })).toMatchObject({ ok: true, value: 'hunter2', bound: true });
+
+    expect(encryptor.decryptWithMeta(sealed, { context: { connectionId: 'conn-2', field: 'encrypted_password' } }))
+      .toMatchObject({ ok: false, reasonCode: 'TOKEN_CONTEXT_MISMATCH', bound: true });
+    expect(encryptor.decryptWithMeta(sealed, { context: { connectionId: 'conn-1', field: 'encrypted_api_key' } }))
+      .toMatchObject({ ok: false, reasonCode: 'TOKEN_CONTEXT_MISMATCH' });
+    expect(encryptor.decryptWithMeta(sealed, { context: { userId: 'conn-1', field: 'encrypted_password' } }))
+      .toMatchObject({ ok: false, reasonCode: 'TOKEN_CONTEXT_MISMATCH' });
+    expect(encryptor.decryptWithMeta(sealed)).toMatchObject({ ok: false, reasonCode: 'TOKEN_CONTEXT_REQUIRED' });
+    expect(() => encryptor.decrypt(sealed, { context: { userId: 'user-1', field: 'encrypted_password' } }))
+      .toThrow(expect.objectContaining({ code: 'TOKEN_CONTEXT_MISMATCH' }));
+  });
+
+  test('still reads unbound ciphertexts when a context is given', () => {
+    const unbound = encryptor.encrypt('legacy-secret');
+
+    expect(encryptor.decryptWithMeta(unbound, { context: { userId: 'user-1', field: 'encrypted_password' } }))
+      .toMatchObject({ ok: true, value: 'legacy-secret', bound: false });
+    expect(encryptor.detectFormat(unbound)).toMatchObject({ format: 'GCM', reasonCode: 'TOKEN_OK', bound: false });
+  });
+
+  test('rejects a context without an owner or field', () => {
+    expect(() => encryptor.encrypt('secret', { context: { field: 'encrypted_pin' } }))
+      .toThrow(expect.objectContaining({ code: 'ENCRYPTION_CONTEXT_INVALID' }));
+    expect(() => encryptor.encrypt('secret', { context: { userId: 'user-1' } }))
+      .toThrow(expect.objectContaining({ code: 'ENCRYPTION_CONTEXT_INVALID' }));
+  });
+});
@@ -0,0 +1,118 @@
+describe('FyersTokenManager', () => {
+  let storedCredentials;
+  let provider;
+  let fetcher;
+
+  beforeEach(() => {
+    jest.resetModules();
+
+    storedCredentials = {
+      app_id: 'APP-100',
+      encrypted_app_secret: 'secret',
+      encrypted_pin: '1234'
+    };
+    provider = { renewToken: jest.fn() };
+    fetcher = { fetchAccessToken: jest.fn() };
+
+    jest.doMock('../config/database', () => ({
+      query: jest.fn(() => Promise.resolve({ rows: [{ credentialsEncrypted: storedCredentials }] })),
+      getClient: jest.fn().mockResolvedValue({ query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() })
+    }));
+    jest.doMock('../services/providers/fyers', () => provider);
+    jest.doMock('../services/fyersTokenFetcher', () => fetcher);
+    jest.doMock('../services/encryptor', () => ({
+      decryptCredential: jest.fn(async (value) => `plain:${value}`),
+      encryptCredential: jest.fn(async (value) => value)
+    }));
+    jest.doMock('../utils/logger', () => ({
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn()
+    }));
+    jest.doMock('../utils/retry', () => ({
+      retryWithBackoff: jest.fn((fn) => fn())
+    }));
+  });
+
+  test('renews with refresh token + PIN without launching a browser', async () => {
+    provider.renewToken.mockResolvedValue({
+      access_token: 'fyers-2',
+      refresh_token: 'refresh-1',
+      expires_at: '2026-01-03T00:30:00.000Z'
+    });
+
+    const FyersTokenManager = require('../services/token-managers/FyersTokenManager');
+    const result = await new FyersTokenManager().refresh({
+      userId: 'user-1',
+      connectionId: 'conn-1',
+      currentToken: { access_token: 'fyers-1', refresh_token: 'refresh-1' }
+    });
+
+    expect(provider.renewToken).toHaveBeenCalledWith('refresh-1', {
+      app_id: 'APP-100',
+      app_secret: 'plain:secret',
+      pin: 'plain:1234'
+    });
+    expect(fetcher.fetchAccessToken).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ success: true, access_token: 'fyers-2', refresh_token: 'refresh-1' });
+  });
+
+  test('returns REAUTH_REQUIRED when the refresh token is rejected and no login credentials are stored', async () => {
+    provider.renewToken.mockRejectedValue(new Error('Fyers token renewal failed: invalid refresh token'));
+
+    const FyersTokenManager = require('../services/token-managers/FyersTokenManager');
+    const result = await new FyersTokenManager().refresh({
+      userId: 'user-1',
+      connectionId: 'conn-1',
+      currentToken: { access_token: 'fyers-1', refresh_token: 'refresh-1' }
+    });
+
+    expect(fetcher.fetchAccessToken).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      success: false,
+      error_code: 'REAUTH_REQUIRED',
+      statusCode: 401
+    });
+  });
+
+  test('falls back to browser auth-code login when login credentials are stored', async () => {
+    Object.assign(storedCredentials, {
+      fyers_id: 'XY12345',
+      encrypted_totp_secret: 'totp',
+      redirect_uri: 'https://example.com/fyers/callback'
+    });
+    fetcher.fetchAccessToken.mockResolvedValue({
+      access_token: 'fyers-3',
+      refresh_token: 'refresh-3',
+      expires_at: '2026-01-03T00:30:00.000Z'
+    });
+
+    const FyersTokenManager = require('../services/token-managers/FyersTokenManager');
+    const result = await new FyersTokenManager().refresh({
+      userId: 'user-1',
+      connectionId: 'conn-1',
+      currentToken: null
+    });
+
+    expect(provider.renewToken).not.toHaveBeenCalled();
+    expect(fetcher.fetchAccessToken).toHaveBeenCalledWith(expect.objectContaining({
+      fyers_id: 'XY12345',
+      totp_secret: 'plain:totp',
+      redirect_uri: 'https://example.com/fyers/callback'
+    }));
+    expect(result).toMatchObject({ success: true, access_token: 'fyers-3', refresh_token: 'refresh-3' });
+  });
+
+  test('returns FYERS_CREDENTIALS_MISSING when app credentials are absent', async () => {
+    storedCredentials = null;
+
+    const FyersTokenManager = require('../services/token-managers/FyersTokenManager');
+    const result = await new FyersTokenManager().refresh({ userId: 'user-1', connectionId: 'conn-1' });
+
+    expect(result).toMatchObject({
+      success: false,
+      error: 'FYERS_CREDENTIALS_MISSING',
+      statusCode: 422
+    });
+  });
+});
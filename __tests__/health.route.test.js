@@ -0,0 +1,46 @@
+describe('GET /health', () => {
+  const originalEnv = process.env;
+
+  const makeMockResponse = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  });
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = {
+      ...originalEnv,
+      ENCRYPTION_KEY: 'd'.repeat(64),
+      ENCRYPTION_KEY_PROVIDER: 'vault',
+      VAULT_ADDR: 'https://vault.internal.test',
+      VAULT_TOKEN: 'vault-token'
+    };
+    delete process.env.DATABASE_URL;
+    delete process.env.ENCRYPTION_PREVIOUS_KEYS;
+
+    jest.doMock('../config/database', () => ({ query: jest.fn(async () => ({ rows: [] })), getClient: jest.fn() }));
+    jest.doMock('../services/browserPool', () => ({ getStats: jest.fn(() => ({ circuitBreaker: { state: 'CLOSED' } })) }));
+    jest.doMock('../services/leaderElection', () => ({ getStatus: jest.fn(async () => ({ is_leader: true })) }));
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test('reports the key provider and key count without fingerprints or provider settings', async () => {
+    const router = require('../routes/health');
+    const encryptor = require('../services/encryptor');
+    const layer = router.stack.find((entry) => entry.route && entry.route.path === '/' && entry.route.methods.get);
+    const res = makeMockResponse();
+
+    await layer.route.stack[0].handle({ headers: {} }, res, jest.fn());
+
+    expect(res.body.encryption_keys).toEqual({ keyProvider: 'vault', keys: 1 });
+    const payload = JSON.stringify(res.body);
+    expect(payload).not.toContain(encryptor.getKeyFingerprint());
+    expect(payload).not.toContain('vault.internal.test');
+  });
+});
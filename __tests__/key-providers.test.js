@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('envelope encryption key providers', () => {
+  const originalEnv = process.env;
+  const originalFetch = global.fetch;
+  const context = { connectionId: 'conn-1', field: 'encrypted_password' };
+  let tmpDir;
+
+  const loadEncryptor = (env) => {
+    jest.resetModules();
+    process.env = { ...originalEnv, ENCRYPTION_KEY: 'a'.repeat(64) };
+    delete process.env.ENCRYPTION_PREVIOUS_KEYS;
+    delete process.env.ENCRYPTION_KEY_ID_PREFIX;
+    delete process.env.ENCRYPTION_KEY_PROVIDER;
+    Object.assign(process.env, env);
+    return require('../services/encryptor');
+  };
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokenbot-kms-'));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('keeps owner-bound direct encryption when no provider is configured', async () => {
+    const encryptor = loadEncryptor({});
+
+    const sealed = await encryptor.encryptCredential('hunter2', { context });
+
+    expect(sealed.startsWith('v3:')).toBe(true);
+    expect(await encryptor.decryptCredential(sealed, { context })).toBe('hunter2');
+    expect(await encryptor.checkKeyProvider()).toBeNull();
+  });
+
+  test('wraps per-value data keys with the env key ring', async () => {
+    const encryptor = loadEncryptor({ ENCRYPTION_KEY_PROVIDER: 'env' });
+
+    const first = await encryptor.encryptCredential('hunter2', { context });
+    const second = await encryptor.encryptCredential('hunter2', { context });
+
+    expect(first.startsWith('v4:env:')).toBe(true);
+    expect(first.split(':')[2]).not.toBe(second.split(':')[2]);
+    expect(await encryptor.decryptCredentialWithMeta(first, { context }))
+      .toMatchObject({ ok: true, value: 'hunter2', envelope: true, provider: 'env', keyActive: true, bound: true });
+    expect(await encryptor.decryptCredentialWithMeta(first, { context: { ...context, connectionId: 'conn-2' } }))
+      .toMatchObject({ ok: false, reasonCode: 'TOKEN_CONTEXT_MISMATCH' });
+    expect(encryptor.decryptWithMeta(first, { context })).toMatchObject({ ok: false, reasonCode: 'TOKEN_ENVELOPE_REQUIRES_ASYNC' });
+    expect(encryptor.detectFormat(first)).toMatchObject({ format: 'GCM', reasonCode: 'TOKEN_OK', envelope: true, provider: 'env' });
+  });
+
+  test('reads master keys from the local KMS file and survives rotation', async () => {
+    const keyFile = path.join(tmpDir, 'keys.json');
+    fs.writeFileSync(keyFile, JSON.stringify({ active: 'k1', keys: { k1: 'c'.repeat(64) } }));
+    const before = loadEncryptor({ ENCRYPTION_KEY_PROVIDER: 'local', LOCAL_KMS_KEY_FILE: keyFile });
+    const sealed = await before.encryptCredential('hunter2', { context });
+    expect(sealed.startsWith('v4:local:')).toBe(true);
+    expect(await before.checkKeyProvider()).toMatchObject({ name: 'local', active_key_id: 'k1' });
+
+    fs.writeFileSync(keyFile, JSON.stringify({ active: 'k2', keys: { k1: 'c'.repeat(64), k2: 'd'.repeat(64) } }));
+    const after = loadEncryptor({ ENCRYPTION_KEY_PROVIDER: 'local', LOCAL_KMS_KEY_FILE: keyFile });
+
+    expect(await after.decryptCredentialWithMeta(sealed, { context }))
+      .toMatchObject({ ok: true, value: 'hunter2', provider: 'local', keyActive: false });
+
+    const missing = loadEncryptor({ ENCRYPTION_KEY_PROVIDER: 'local', LOCAL_KMS_KEY_FILE: path.join(tmpDir, 'missing.json') });
+    await expect(missing.encryptCredential('hunter2', { context })).rejects.toMatchObject({ code: 'KEY_PROVIDER_UNAVAILABLE', statusCode: 503 });
+    expect(await missing.decryptCredentialWithMeta(sealed, { context }))
+      .toMatchObject({ ok: false, reasonCode: 'TOKEN_DATA_KEY_UNWRAP_FAILED' });
+  });
+
+  test('wraps data keys through the Vault transit API', async () => {
+    const vault = new Map();
+    global.fetch = jest.fn(async (url, init) => {
+      const body = JSON.parse(init.body);
+      if (init.headers['X-Vault-Token'] !== 'vault-token') {
+        return { ok: false, status: 403, json: async () => ({ errors: ['permission denied'] }) };
+      }
+      if (url.endsWith('/encrypt/tokenbot')) {
+        const ciphertext = `vault:v1:${vault.size}`;
+        vault.set(ciphertext, body.plaintext);
+        return { ok: true, status: 200, json: async () => ({ data: { ciphertext } }) };
+      }
+      return { ok: true, status: 200, json: async () => ({ data: { plaintext: vault.get(body.ciphertext) } }) };
+    });
+    const encryptor = loadEncryptor({ ENCRYPTION_KEY_PROVIDER: 'vault', VAULT_ADDR: 'https://vault.test/', VAULT_TOKEN: 'vault-token' });
+
+    const sealed = await encryptor.encryptCredential('hunter2', { context });
+
+    expect(global.fetch).toHaveBeenCalledWith('https://vault.test/v1/transit/encrypt/tokenbot', expect.objectContaining({ method: 'POST' }));
+    expect(await encryptor.decryptCredential(sealed, { context })).toBe('hunter2');
+    expect(encryptor.getKeyRing().keyProvider).toEqual({ name: 'vault', address: 'https://vault.test', mount: 'transit', key: 'tokenbot' });
+
+    const forbidden = loadEncryptor({ ENCRYPTION_KEY_PROVIDER: 'vault', VAULT_ADDR: 'https://vault.test', VAULT_TOKEN: 'expired' });
+    await expect(forbidden.encryptCredential('hunter2', { context })).rejects.toMatchObject({ code: 'KEY_PROVIDER_FORBIDDEN' });
+    await expect(forbidden.decryptCredential(sealed, { context })).rejects.toMatchObject({ code: 'TOKEN_DATA_KEY_UNWRAP_FAILED' });
+  });
+});
@@ -0,0 +1,129 @@
+describe('scheduler leader election', () => {
+  const originalEnv = process.env;
+  let locks;
+  let advisoryHeld;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv };
+    delete process.env.TOKENBOT_SCHEDULER_OWNER;
+    locks = new Map();
+    advisoryHeld = false;
+
+    // Shared stand-in for the Redis lease so two instances can compete.
+    jest.doMock('../services/distributedLock', () => ({
+      getStatus: jest.fn(() => ({ redisConfigured: process.env.REDIS_URL !== undefined })),
+      acquire: jest.fn(async (key, ttlMs, { token }) => {
+        if (locks.has(key)) {
+          throw Object.assign(new Error('held'), { code: 'TOKEN_REFRESH_LOCKED' });
+        }
+        locks.set(key, token);
+        return { key, token, mode: 'redis' };
+      }),
+      extend: jest.fn(async (lock) => locks.get(lock.key) === lock.token),
+      release: jest.fn(async (lock) => {
+        if (locks.get(lock.key) === lock.token) locks.delete(lock.key);
+      }),
+      getHolder: jest.fn(async (key) => locks.get(key) || null)
+    }));
+
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('pg_try_advisory_lock')) {
+          const acquired = !advisoryHeld;
+          advisoryHeld = true;
+          return { rows: [{ acquired }] };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    jest.doMock('../config/database', () => ({ pool: {}, getClient: jest.fn(async () => client), query: jest.fn(async () => ({ rows: [] })) }));
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const makeInstance = (id) => {
+    const leaderElection = require('../services/leaderElection');
+    const instance = new leaderElection.constructor();
+    instance.instanceId = id;
+    return instance;
+  };
+
+  test('elects one leader over Redis and fails over when its lease lapses', async () => {
+    process.env.REDIS_URL = 'redis://localhost:6379';
+    const a = makeInstance('replica-a');
+    const b = makeInstance('replica-b');
+    const aDemoted = jest.fn();
+    const bElected = jest.fn();
+
+    await a.start({ onElected: jest.fn(), onDemoted: aDemoted });
+    await b.start({ onElected: bElected });
+
+    expect(a.isLeader).toBe(true);
+    expect(b.isLeader).toBe(false);
+    expect(await b.getLeader()).toBe('replica-a');
+
+    // replica-a stalls and its lease expires in Redis
+    locks.clear();
+    await b._heartbeat();
+    expect(b.isLeader).toBe(true);
+    expect(bElected).toHaveBeenCalledTimes(1);
+
+    await a._heartbeat();
+    expect(a.isLeader).toBe(false);
+    expect(aDemoted).toHaveBeenCalledTimes(1);
+
+    await a.stop();
+    await b.stop();
+  });
+
+  test('does not fall back to Postgres when Redis errors while another replica leads', async () => {
+    process.env.REDIS_URL = 'redis://localhost:6379';
+    const distributedLock = require('../services/distributedLock');
+    const a = makeInstance('replica-a');
+    const b = makeInstance('replica-b');
+
+    await a.start();
+    distributedLock.acquire.mockRejectedValueOnce(Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }));
+    await b.start();
+
+    expect(a.isLeader).toBe(true);
+    expect(b.isLeader).toBe(false);
+    expect(advisoryHeld).toBe(false);
+
+    await a.stop();
+    await b.stop();
+  });
+
+  test('falls back to a Postgres advisory lock without Redis', async () => {
+    delete process.env.REDIS_URL;
+    const a = makeInstance('replica-a');
+    const b = makeInstance('replica-b');
+
+    await a.start();
+    await b.start();
+
+    expect(a.isLeader).toBe(true);
+    expect((await a.getStatus()).transport).toBe('postgres');
+    expect(b.isLeader).toBe(false);
+
+    await a.stop();
+    await b.stop();
+  });
+
+  test('TOKENBOT_SCHEDULER_OWNER pins the role without campaigning', async () => {
+    process.env.TOKENBOT_SCHEDULER_OWNER = 'false';
+    const instance = makeInstance('replica-a');
+    const onElected = jest.fn();
+
+    await instance.start({ onElected });
+
+    expect(instance.isLeader).toBe(false);
+    expect(onElected).not.toHaveBeenCalled();
+    expect((await instance.getStatus()).mode).toBe('static');
+  });
+});
@@ -0,0 +1,150 @@
+describe('market calendar', () => {
+  const originalEnv = process.env;
+  let dbQuery;
+  let client;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv };
+    delete process.env.MARKET_CALENDAR_FILE;
+    delete process.env.MARKET_CALENDAR_EXCHANGES;
+    delete process.env.MARKET_CALENDAR_ENABLED;
+
+    dbQuery = jest.fn(async () => ({ rows: [] }));
+    client = { query: jest.fn(async () => ({ rows: [] })), release: jest.fn() };
+    jest.doMock('../config/database', () => ({ query: dbQuery, getClient: jest.fn(async () => client) }));
+    jest.doMock('../services/browserPool', () => ({ acquire: jest.fn(), release: jest.fn() }));
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const calendarDocument = {
+    year: 2026,
+    holidays: [
+      { date: '2026-01-26', description: 'Republic Day' },
+      { date: '2026-03-04', description: 'Holi', exchanges: ['NSE'] }
+    ],
+    specialSessions: [
+      { date: '2026-11-08', description: 'Muhurat Trading', start: '18:00', end: '19:15' }
+    ]
+  };
+
+  test('parses JSON and CSV calendars into per-exchange entries', () => {
+    const marketCalendar = require('../services/marketCalendar');
+
+    const fromJson = marketCalendar.parseJson(calendarDocument);
+    const fromCsv = marketCalendar.parseCsv([
+      'date,type,description,start,end,exchanges',
+      '2026-01-26,HOLIDAY,Republic Day,,,NSE|BSE',
+      '2026-03-04,holiday,Holi,,,NSE',
+      '2026-11-08,SPECIAL_SESSION,Muhurat Trading,18:00,19:15,'
+    ].join('\n'));
+
+    expect(fromJson).toHaveLength(5);
+    expect(fromCsv).toEqual(fromJson);
+    expect(fromJson).toContainEqual({
+      exchange: 'BSE',
+      date: '2026-11-08',
+      type: 'SPECIAL_SESSION',
+      description: 'Muhurat Trading',
+      sessionStart: '18:00',
+      sessionEnd: '19:15'
+    });
+  });
+
+  test('rejects malformed entries', () => {
+    const marketCalendar = require('../services/marketCalendar');
+
+    expect(() => marketCalendar.parseJson({ holidays: [{ date: '26/01/2026' }] }))
+      .toThrow(expect.objectContaining({ code: 'MARKET_CALENDAR_INVALID', statusCode: 400 }));
+    expect(() => marketCalendar.parseJson({ specialSessions: [{ date: '2026-11-08' }] }))
+      .toThrow(/start time/);
+    expect(() => marketCalendar.parseCsv('day,kind\n2026-01-26,HOLIDAY'))
+      .toThrow(/header/);
+  });
+
+  test('classifies weekends, holidays and special sessions', () => {
+    const marketCalendar = require('../services/marketCalendar');
+    marketCalendar.fileEntries = marketCalendar.parseJson(calendarDocument);
+    marketCalendar._rebuildIndex();
+
+    expect(marketCalendar.getDayStatus('2026-01-26')).toMatchObject({ tradingDay: false, reason: 'HOLIDAY', description: 'Republic Day' });
+    // BSE is open while NSE is shut
+    expect(marketCalendar.getDayStatus('2026-03-04')).toMatchObject({ tradingDay: true, reason: 'TRADING_DAY' });
+    expect(marketCalendar.getDayStatus('2026-10-24')).toMatchObject({ tradingDay: false, reason: 'WEEKEND' });
+    expect(marketCalendar.getDayStatus('2026-11-08')).toMatchObject({
+      tradingDay: true,
+      regularSession: false,
+      reason: 'SPECIAL_SESSION',
+      specialSession: { start: '18:00', end: '19:15', exchange: 'NSE' }
+    });
+    // 2026-01-25 18:45 UTC is already the 26th in IST
+    expect(marketCalendar.getDayStatus(new Date('2026-01-25T18:45:00Z')).date).toBe('2026-01-26');
+  });
+
+  test('replaces a year inside one transaction', async () => {
+    const marketCalendar = require('../services/marketCalendar');
+    const entries = marketCalendar.parseJson(calendarDocument);
+
+    const stored = await marketCalendar.replaceYear(2026, entries);
+
+    const statements = client.query.mock.calls.map(([sql]) => sql.trim());
+    expect(stored).toBe(5);
+    expect(statements[0]).toBe('BEGIN');
+    expect(statements[1]).toContain('DELETE FROM market_calendar_days');
+    expect(statements.filter((sql) => sql.startsWith('INSERT INTO market_calendar_days'))).toHaveLength(5);
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+    await expect(marketCalendar.replaceYear(2027, entries)).rejects.toMatchObject({ code: 'MARKET_CALENDAR_INVALID' });
+  });
+
+  describe('scheduler gate', () => {
+    let refreshJobService;
+    let marketCalendar;
+
+    beforeEach(() => {
+      refreshJobService = { enqueueConnection: jest.fn() };
+      jest.doMock('../services/refreshJobService', () => refreshJobService);
+      jest.doMock('../services/soakMetrics', () => ({ recordBrokerSyncDrift: jest.fn(), maybeSnapshot: jest.fn() }));
+      marketCalendar = require('../services/marketCalendar');
+      marketCalendar.fileEntries = marketCalendar.parseJson(calendarDocument);
+      marketCalendar._rebuildIndex();
+      marketCalendar.reloadIntervalMs = Infinity;
+      marketCalendar.fileLoaded = true;
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('skips policy checks on exchange holidays', async () => {
+      jest.useFakeTimers({ now: new Date('2026-01-26T04:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+      const scheduler = require('../services/scheduler');
+
+      const results = await scheduler.refreshExpiringBrokerConnections('DHAN');
+
+      expect(results.calendar).toBe('skip');
+      expect(dbQuery).not.toHaveBeenCalled();
+    });
+
+    test('defers until the session login time, then forces logins', async () => {
+      const scheduler = require('../services/scheduler');
+
+      jest.useFakeTimers({ now: new Date('2026-11-08T08:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+      expect((await scheduler.refreshExpiringTokens()).calendar).toBe('defer');
+      expect(dbQuery).not.toHaveBeenCalled();
+
+      // 17:30 IST: past the default 60-minute lead before the 18:00 session
+      jest.setSystemTime(new Date('2026-11-08T12:00:00Z'));
+      await scheduler.refreshExpiringTokens();
+
+      const [sql, params] = dbQuery.mock.calls[0];
+      expect(sql).toContain('COALESCE($9::time, cp.preferred_login_time');
+      expect(sql).not.toContain('quiet_hours_start IS NULL');
+      expect(params[8]).toBe('17:00');
+    });
+  });
+});
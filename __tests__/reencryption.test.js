@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+
+describe('bulk re-encryption', () => {
+  const originalEnv = process.env;
+  const oldKey = 'a'.repeat(64);
+  const newKey = 'b'.repeat(64);
+  let tables;
+  let dbQuery;
+  let encryptor;
+  let oldEncryptor;
+
+  const cbcEncrypt = (text) => {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(oldKey, 'hex'), iv);
+    return `${iv.toString('hex')}:${cipher.update(text, 'utf8', 'hex')}${cipher.final('hex')}`;
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv, ENCRYPTION_KEY: oldKey, REENCRYPTION_BATCH_SIZE: '1' };
+    delete process.env.ENCRYPTION_PREVIOUS_KEYS;
+    delete process.env.ENCRYPTION_KEY_ID_PREFIX;
+    oldEncryptor = require('../services/encryptor');
+
+    jest.resetModules();
+    process.env.ENCRYPTION_KEY = newKey;
+    process.env.ENCRYPTION_PREVIOUS_KEYS = oldKey;
+
+    tables = {
+      kite_user_credentials: [
+        { id: 1, user_id: 'user-1', encrypted_password: cbcEncrypt('pw-1'), encrypted_api_key: null }
+      ],
+      BrokerConnection: [
+        { id: 'conn-1', accessTokenEncrypted: oldEncryptor.encrypt('token-1'), credentialsEncrypted: { client_id: '1001', encrypted_pin: oldEncryptor.encrypt('1234') } },
+        { id: 'conn-2', accessTokenEncrypted: `${'0'.repeat(32)}:abcd:${'0'.repeat(32)}`, credentialsEncrypted: null }
+      ],
+      webhook_subscriptions: [
+        { id: 3, secret_encrypted: oldEncryptor.encrypt('webhook-secret') }
+      ],
+      service_api_keys: [
+        { id: '00000000-0000-0000-0000-000000000001', signing_secret_encrypted: oldEncryptor.encrypt('tbs_signing-secret') },
+        { id: '00000000-0000-0000-0000-000000000002', signing_secret_encrypted: null }
+      ]
+    };
+
+    dbQuery = jest.fn(async (sql, params = []) => {
+      const normalizedSql = String(sql).replace(/\s+/g, ' ').trim();
+      if (normalizedSql.startsWith('SELECT to_regclass')) {
+        return { rows: [{ table_name: tables[params[0].replace(/^public\.|"/g, '')] ? params[0] : null }] };
+      }
+      if (normalizedSql.startsWith('INSERT INTO reencryption_jobs')) {
+        return { rows: [{ id: 'job-1', state: 'running', progress: {}, heartbeat_at: new Date() }] };
+      }
+      const select = normalizedSql.match(/^SELECT .* FROM "?(\w+)"? WHERE id::text > \$1/);
+      if (select) {
+        const rows = tables[select[1]].filter((row) => String(row.id) > params[0]).slice(0, params[1]);
+        return { rows: rows.map((row) => ({ ...row })) };
+      }
+      return { rows: [], rowCount: 1 };
+    });
+
+    jest.doMock('../config/database', () => ({ query: dbQuery, getClient: jest.fn() }));
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+    encryptor = require('../services/encryptor');
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const callsMatching = (pattern) => dbQuery.mock.calls.filter(([sql]) => pattern.test(String(sql)));
+
+  test('rewrites CBC and retired-key values with the active key and logs failures', async () => {
+    const reencryptionService = require('../services/reencryptionService');
+
+    const job = await reencryptionService.start({ requestedBy: 'ops' });
+    expect(job).toMatchObject({ id: 'job-1', state: 'running' });
+    await reencryptionService.activeRun;
+
+    const [kiteUpdate] = callsMatching(/UPDATE kite_user_credentials/);
+    expect(kiteUpdate[0]).toContain('"encrypted_password" = $2');
+    expect(kiteUpdate[0]).toContain('"encrypted_password" = $3');
+    expect(encryptor.decryptWithMeta(kiteUpdate[1][1], { context: { userId: 'user-1', field: 'encrypted_password' } }))
+      .toMatchObject({ ok: true, value: 'pw-1', format: 'GCM', keyActive: true, bound: true });
+    expect(kiteUpdate[1][2]).toBe(tables.kite_user_credentials[0].encrypted_password);
+
+    const [connectionUpdate] = callsMatching(/UPDATE "BrokerConnection"/);
+    expect(connectionUpdate[1][0]).toBe('conn-1');
+    expect(encryptor.decrypt(connectionUpdate[1][1])).toBe('token-1');
+    // Core/Web read access tokens as iv:cipher:tag; the job must not add a key-id prefix.
+    expect(connectionUpdate[1][1].split(':')).toHaveLength(3);
+    const credentials = JSON.parse(connectionUpdate[1][3]);
+    expect(credentials.client_id).toBe('1001');
+    expect(encryptor.decryptWithMeta(credentials.encrypted_pin, { context: { connectionId: 'conn-1', field: 'encrypted_pin' } }))
+      .toMatchObject({ value: '1234', keyActive: true, bound: true });
+
+    const [webhookUpdate] = callsMatching(/UPDATE webhook_subscriptions/);
+    expect(webhookUpdate[1][0]).toBe('3');
+    expect(encryptor.decryptWithMeta(webhookUpdate[1][1])).toMatchObject({ ok: true, value: 'webhook-secret', keyActive: true });
+    const apiKeyUpdates = callsMatching(/UPDATE service_api_keys/);
+    expect(apiKeyUpdates).toHaveLength(1);
+    expect(encryptor.decryptWithMeta(apiKeyUpdates[0][1][1])).toMatchObject({ ok: true, value: 'tbs_signing-secret', keyActive: true });
+
+    const [failure] = callsMatching(/INSERT INTO reencryption_failures/);
+    expect(failure[1].slice(0, 4)).toEqual(['job-1', 'BrokerConnection', 'conn-2', 'accessTokenEncrypted']);
+
+    const progressSaves = callsMatching(/SET progress = \$3::jsonb/);
+    const finalProgress = JSON.parse(progressSaves[progressSaves.length - 1][1][2]);
+    expect(finalProgress).toMatchObject({
+      kite_user_credentials: { scanned: 1, updated: 1, reencrypted: 1, failed: 0, done: true },
+      dhan_user_credentials: { done: true, missing: true },
+      BrokerConnection: { cursor: 'conn-2', scanned: 2, updated: 1, reencrypted: 2, failed: 1, done: true },
+      webhook_subscriptions: { cursor: '3', scanned: 1, updated: 1, reencrypted: 1, done: true },
+      service_api_keys: { scanned: 2, updated: 1, reencrypted: 1, done: true }
+    });
+    expect(callsMatching(/SET state = 'completed'/)).toHaveLength(1);
+  });
+
+  test('binds unbound credentials under the active key and leaves bound ones alone', async () => {
+    const bound = encryptor.encrypt('pw-2', { context: { userId: 'user-2', field: 'encrypted_password' } });
+    tables.kite_user_credentials = [
+      { id: 1, user_id: 'user-1', encrypted_password: encryptor.encrypt('pw-1') },
+      { id: 2, user_id: 'user-2', encrypted_password: bound }
+    ];
+    tables.BrokerConnection = [];
+    const reencryptionService = require('../services/reencryptionService');
+
+    await reencryptionService.start();
+    await reencryptionService.activeRun;
+
+    const updates = callsMatching(/UPDATE kite_user_credentials/);
+    expect(updates).toHaveLength(1);
+    expect(updates[0][1][0]).toBe('1');
+    expect(encryptor.decryptWithMeta(updates[0][1][1], { context: { userId: 'user-1', field: 'encrypted_password' } }))
+      .toMatchObject({ ok: true, value: 'pw-1', bound: true });
+  });
+
+  test('moves credentials to envelope encryption when a key provider is configured', async () => {
+    const credentialContext = { userId: 'user-1', field: 'encrypted_password' };
+    tables.kite_user_credentials = [{ id: 1, user_id: 'user-1', encrypted_password: encryptor.encrypt('pw-1', { context: credentialContext }) }];
+    tables.BrokerConnection = [];
+    process.env.ENCRYPTION_KEY_PROVIDER = 'env';
+    jest.resetModules();
+    const envelopeEncryptor = require('../services/encryptor');
+    const reencryptionService = require('../services/reencryptionService');
+
+    await reencryptionService.start();
+    await reencryptionService.activeRun;
+
+    const [update] = callsMatching(/UPDATE kite_user_credentials/);
+    expect(update[1][1].startsWith('v4:env:')).toBe(true);
+    expect(await envelopeEncryptor.decryptCredential(update[1][1], { context: credentialContext })).toBe('pw-1');
+  });
+
+  test('resumes from the saved cursor', async () => {
+    dbQuery.mockImplementationOnce(async () => ({
+      rows: [{
+        id: 'job-1',
+        state: 'running',
+        progress: {
+          kite_user_credentials: { cursor: '1', scanned: 1, updated: 1, reencrypted: 1, failed: 0, done: true },
+          dhan_user_credentials: { done: true, missing: true },
+          BrokerConnection: { cursor: 'conn-1', scanned: 1, updated: 1, reencrypted: 2, failed: 0, done: false }
+        }
+      }]
+    }));
+    const reencryptionService = require('../services/reencryptionService');
+
+    await reencryptionService.resume('job-1');
+    await reencryptionService.activeRun;
+
+    expect(callsMatching(/UPDATE kite_user_credentials/)).toHaveLength(0);
+    expect(callsMatching(/UPDATE "BrokerConnection"/)).toHaveLength(0);
+    const [select] = callsMatching(/FROM "BrokerConnection"/);
+    expect(select[1][0]).toBe('conn-1');
+    expect(callsMatching(/INSERT INTO reencryption_failures/)[0][1][2]).toBe('conn-2');
+  });
+
+  test('refuses to start a second job or resume an active one', async () => {
+    const reencryptionService = require('../services/reencryptionService');
+    dbQuery.mockImplementation(async (sql) => (
+      String(sql).includes('FROM reencryption_jobs WHERE id') ? { rows: [{ id: 'job-1', state: 'running', heartbeat_at: new Date() }] } : { rows: [] }
+    ));
+
+    await expect(reencryptionService.start()).rejects.toMatchObject({ statusCode: 409, code: 'REENCRYPTION_JOB_ACTIVE' });
+    await expect(reencryptionService.resume('job-1')).rejects.toMatchObject({ statusCode: 409, code: 'REENCRYPTION_JOB_NOT_RESUMABLE' });
+  });
+});
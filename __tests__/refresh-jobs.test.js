@@ -0,0 +1,185 @@
+describe('durable refresh job queue', () => {
+  let dbQuery;
+  let tokenManager;
+  let jobs;
+
+  const now = () => Date.now();
+
+  beforeEach(() => {
+    jest.resetModules();
+    jobs = new Map();
+
+    // Minimal in-memory stand-in for token_refresh_jobs.
+    const holdsLease = (id, workerId) => jobs.get(id)?.state === 'running' && jobs.get(id).locked_by === workerId;
+    dbQuery = jest.fn(async (sql, params = []) => {
+      const normalizedSql = String(sql).replace(/\s+/g, ' ').trim();
+
+      if (normalizedSql.startsWith('INSERT INTO token_refresh_jobs')) {
+        const active = [...jobs.values()].find((job) => job.broker_connection_id === params[0] && ['queued', 'running'].includes(job.state));
+        if (active) return { rows: [] };
+        const row = {
+          id: `00000000-0000-0000-0000-00000000000${jobs.size + 1}`,
+          broker_connection_id: params[0],
+          user_id: params[1],
+          broker_type: params[2],
+          account_id: params[3],
+          state: 'queued',
+          attempts: 0,
+          correlation_id: params[4],
+          source: params[5],
+          max_attempts: params[6],
+          run_after: now(),
+          locked_until: null
+        };
+        jobs.set(row.id, row);
+        return { rows: [row] };
+      }
+      if (normalizedSql.startsWith('SELECT * FROM token_refresh_jobs WHERE broker_connection_id')) {
+        return { rows: [...jobs.values()].filter((job) => job.broker_connection_id === params[0] && params[1].includes(job.state)) };
+      }
+      if (normalizedSql.startsWith(`UPDATE token_refresh_jobs SET state = 'running'`)) {
+        const next = [...jobs.values()].find((job) =>
+          (job.state === 'queued' && job.run_after <= now()) ||
+          (job.state === 'running' && job.locked_until < now()));
+        if (!next) return { rows: [] };
+        Object.assign(next, { state: 'running', attempts: next.attempts + 1, locked_by: params[0], locked_until: now() + params[1] * 1000 });
+        return { rows: [{ ...next }] };
+      }
+      if (normalizedSql.startsWith(`UPDATE token_refresh_jobs SET state = 'succeeded'`)) {
+        if (!holdsLease(params[0], params[2])) return { rowCount: 0, rows: [] };
+        Object.assign(jobs.get(params[0]), { state: 'succeeded', expires_at: params[1], error_code: null });
+        return { rowCount: 1, rows: [] };
+      }
+      if (normalizedSql.startsWith(`UPDATE token_refresh_jobs SET state = 'queued'`)) {
+        if (!holdsLease(params[0], params[4])) return { rowCount: 0, rows: [] };
+        Object.assign(jobs.get(params[0]), { state: 'queued', run_after: now() + params[1] * 1000, error_code: params[2] });
+        return { rowCount: 1, rows: [] };
+      }
+      if (normalizedSql.startsWith(`UPDATE token_refresh_jobs SET state = 'failed'`)) {
+        if (!holdsLease(params[0], params[3])) return { rowCount: 0, rows: [] };
+        Object.assign(jobs.get(params[0]), { state: 'failed', error_code: params[1], error_message: params[2] });
+        return { rowCount: 1, rows: [] };
+      }
+      if (normalizedSql.startsWith('SELECT * FROM token_refresh_jobs WHERE id')) {
+        return { rows: jobs.has(params[0]) ? [jobs.get(params[0])] : [] };
+      }
+      return { rowCount: 1, rows: [] };
+    });
+
+    tokenManager = {
+      resolveConnection: jest.fn(async () => ({ userId: 'user-1', brokerType: 'DHAN', accountId: 'acct-1', connectionId: 'conn-1' })),
+      refreshTokenForUser: jest.fn()
+    };
+
+    jest.doMock('../config/database', () => ({ query: dbQuery }));
+    jest.doMock('../services/tokenManager', () => tokenManager);
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+  });
+
+  const connectionUpdates = () => dbQuery.mock.calls
+    .filter(([sql]) => String(sql).includes('UPDATE "BrokerConnection"'));
+
+  test('enqueue only records the job; a worker claims and completes it', async () => {
+    tokenManager.refreshTokenForUser.mockResolvedValue({ success: true, expires_at: '2026-01-02T00:00:00.000Z' });
+    const refreshJobService = require('../services/refreshJobService');
+
+    const { job, deduplicated } = await refreshJobService.enqueue({ brokerConnectionId: 'conn-1', brokerType: 'DHAN', correlationId: 'ref-1' });
+    expect(deduplicated).toBe(false);
+    expect(job).toMatchObject({ state: 'queued', source: 'api', correlationId: 'ref-1' });
+    expect(tokenManager.refreshTokenForUser).not.toHaveBeenCalled();
+
+    await expect(refreshJobService.processNext()).resolves.toBe(true);
+
+    expect(tokenManager.refreshTokenForUser).toHaveBeenCalledWith(expect.objectContaining({ brokerConnectionId: 'conn-1', correlationId: 'ref-1' }));
+    expect(await refreshJobService.getJob(job.id)).toMatchObject({ state: 'succeeded', attempts: 1, error_code: null });
+    await expect(refreshJobService.processNext()).resolves.toBe(false);
+  });
+
+  test('returns the active job instead of queuing a second one', async () => {
+    const refreshJobService = require('../services/refreshJobService');
+
+    const first = await refreshJobService.enqueue({ brokerConnectionId: 'conn-1', brokerType: 'DHAN' });
+    const second = await refreshJobService.enqueueConnection({ connectionId: 'conn-1', brokerType: 'DHAN', source: 'scheduler' });
+
+    expect(second.deduplicated).toBe(true);
+    expect(second.job.id).toBe(first.job.id);
+    expect(jobs.size).toBe(1);
+  });
+
+  test('queues a new job when the active one finishes between insert and lookup', async () => {
+    const refreshJobService = require('../services/refreshJobService');
+    const first = await refreshJobService.enqueueConnection({ connectionId: 'conn-1', brokerType: 'DHAN', source: 'scheduler' });
+    dbQuery.mockImplementationOnce(async () => ({ rows: [] }))
+      .mockImplementationOnce(async () => {
+        jobs.get(first.job.id).state = 'succeeded';
+        return { rows: [] };
+      });
+
+    const second = await refreshJobService.enqueueConnection({ connectionId: 'conn-1', brokerType: 'DHAN', source: 'report' });
+
+    expect(second).toMatchObject({ deduplicated: false, job: { state: 'queued', source: 'report' } });
+    expect(second.job.id).not.toBe(first.job.id);
+  });
+
+  test('a worker that lost its lease does not overwrite the new holder', async () => {
+    const refreshJobService = require('../services/refreshJobService');
+    const { job } = await refreshJobService.enqueueConnection({ connectionId: 'conn-1', brokerType: 'DHAN', source: 'scheduler' });
+    tokenManager.refreshTokenForUser.mockImplementation(async () => {
+      Object.assign(jobs.get(job.id), { locked_by: 'other-worker', attempts: 2 });
+      throw Object.assign(new Error('REAUTH_REQUIRED'), { code: 'REAUTH_REQUIRED', statusCode: 401 });
+    });
+
+    await refreshJobService.processNext();
+
+    expect(jobs.get(job.id)).toMatchObject({ state: 'running', locked_by: 'other-worker', attempts: 2 });
+    expect(connectionUpdates()).toHaveLength(0);
+  });
+
+  test('records the final error code when the refresh fails', async () => {
+    const error = Object.assign(new Error('DHAN_CREDENTIALS_MISSING'), { code: 'DHAN_CREDENTIALS_MISSING', statusCode: 422 });
+    tokenManager.refreshTokenForUser.mockRejectedValue(error);
+    const refreshJobService = require('../services/refreshJobService');
+
+    const { job } = await refreshJobService.enqueue({ brokerConnectionId: 'conn-1', brokerType: 'DHAN' });
+    await refreshJobService.processNext();
+
+    expect(await refreshJobService.getJob(job.id)).toMatchObject({ state: 'failed', attempts: 1, error_code: 'DHAN_CREDENTIALS_MISSING' });
+    expect(connectionUpdates()).toHaveLength(0);
+  });
+
+  test('requeues lock contention with a backoff instead of failing', async () => {
+    const locked = Object.assign(new Error('locked'), { code: 'TOKEN_REFRESH_LOCKED', retryAfterMs: 10000 });
+    tokenManager.refreshTokenForUser.mockRejectedValueOnce(locked);
+    const refreshJobService = require('../services/refreshJobService');
+
+    const { job } = await refreshJobService.enqueue({ brokerConnectionId: 'conn-1', brokerType: 'DHAN' });
+    await refreshJobService.processNext();
+
+    expect(await refreshJobService.getJob(job.id)).toMatchObject({ state: 'queued', attempts: 1 });
+    expect(jobs.get(job.id).run_after).toBeGreaterThan(now());
+    await expect(refreshJobService.processNext()).resolves.toBe(false);
+  });
+
+  test('reclaims a job whose worker lease expired', async () => {
+    tokenManager.refreshTokenForUser.mockResolvedValue({ success: true, expires_at: null });
+    const refreshJobService = require('../services/refreshJobService');
+
+    const { job } = await refreshJobService.enqueueConnection({ connectionId: 'conn-1', brokerType: 'DHAN', source: 'scheduler' });
+    Object.assign(jobs.get(job.id), { state: 'running', attempts: 1, locked_by: 'crashed-worker', locked_until: now() - 1000 });
+
+    await expect(refreshJobService.processNext()).resolves.toBe(true);
+    expect(await refreshJobService.getJob(job.id)).toMatchObject({ state: 'succeeded', attempts: 2 });
+  });
+
+  test('flags the connection when a scheduled refresh fails for good', async () => {
+    const error = Object.assign(new Error('REAUTH_REQUIRED: refresh token expired'), { code: 'REAUTH_REQUIRED', statusCode: 401 });
+    tokenManager.refreshTokenForUser.mockRejectedValue(error);
+    const refreshJobService = require('../services/refreshJobService');
+
+    await refreshJobService.enqueueConnection({ connectionId: 'conn-1', brokerType: 'DHAN', source: 'scheduler', correlationId: 'ref-2' });
+    await refreshJobService.processNext();
+
+    expect(connectionUpdates()).toHaveLength(1);
+    expect(connectionUpdates()[0][1]).toEqual(['REAUTH_REQUIRED', expect.stringContaining('[ref: ref-2]'), 'conn-1']);
+  });
+});
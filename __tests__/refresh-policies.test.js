@@ -0,0 +1,115 @@
+describe('refresh policies', () => {
+  let dbQuery;
+
+  beforeEach(() => {
+    jest.resetModules();
+    dbQuery = jest.fn(async () => ({ rows: [] }));
+
+    jest.doMock('../config/database', () => ({ query: dbQuery, getClient: jest.fn() }));
+    jest.doMock('../services/browserPool', () => ({ acquire: jest.fn(), release: jest.fn() }));
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+  });
+
+  describe('scheduler due-connection query', () => {
+    let refreshJobService;
+
+    beforeEach(() => {
+      refreshJobService = {
+        enqueueConnection: jest.fn(async ({ connectionId }) => ({ job: { id: `job-${connectionId}` }, deduplicated: false }))
+      };
+      jest.doMock('../services/refreshJobService', () => refreshJobService);
+      jest.doMock('../services/soakMetrics', () => ({ recordBrokerSyncDrift: jest.fn(), maybeSnapshot: jest.fn() }));
+      jest.doMock('../services/marketCalendar', () => ({
+        ensureLoaded: jest.fn(async () => {}),
+        getDayStatus: jest.fn(() => ({ tradingDay: true, regularSession: true, reason: 'TRADING_DAY' }))
+      }));
+    });
+
+    test('computes due connections from policies with registry defaults as the fallback', async () => {
+      dbQuery.mockResolvedValueOnce({ rows: [{ id: 'conn-1', user_id: 'user-1', account_id: 'acct-1', max_attempts: 5 }] });
+      const scheduler = require('../services/scheduler');
+
+      const results = await scheduler.refreshExpiringBrokerConnections('DHAN');
+
+      const [sql, params] = dbQuery.mock.calls[0];
+      expect(sql).toContain('LEFT JOIN token_refresh_policies cp');
+      expect(sql).toContain('make_interval(mins => lead_time_minutes)');
+      expect(sql).toContain('quiet_hours_start');
+      expect(params).toEqual(['DHAN', 120, 20, null, 3, null, null, 200]);
+      expect(refreshJobService.enqueueConnection).toHaveBeenCalledWith(expect.objectContaining({
+        connectionId: 'conn-1',
+        brokerType: 'DHAN',
+        source: 'scheduler',
+        maxAttempts: 5
+      }));
+      expect(results.queued).toEqual(['job-conn-1']);
+    });
+
+    test('a token refreshed inside its lead window is not due again until it lapses', async () => {
+      const scheduler = require('../services/scheduler');
+
+      await scheduler.refreshExpiringTokens();
+
+      // Kite expiry stays 23:59 IST after a 22:30 login, so only the last_auth_at guard stops a re-login every tick.
+      const sql = String(dbQuery.mock.calls[0][0]).replace(/--[^\n]*/g, '').replace(/\s+/g, ' ');
+      expect(sql).toContain(
+        'expires_at < NOW() + make_interval(mins => lead_time_minutes) ' +
+        'AND ( expires_at <= NOW() OR last_auth_at IS NULL OR last_auth_at < expires_at - make_interval(mins => lead_time_minutes) )'
+      );
+    });
+
+    test('Zerodha keeps the kite_user_credentials opt-in and its 08:30 preferred login', async () => {
+      const scheduler = require('../services/scheduler');
+
+      await scheduler.refreshExpiringTokens();
+
+      const [sql, params] = dbQuery.mock.calls[0];
+      expect(sql).toContain('INNER JOIN kite_user_credentials kuc');
+      expect(sql).toContain('kuc.auto_refresh_enabled = true');
+      expect(params[0]).toBe('ZERODHA');
+      expect(params[3]).toBe('08:30');
+      expect(refreshJobService.enqueueConnection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refreshPolicyService', () => {
+    test('rejects malformed fields before touching the table', async () => {
+      const refreshPolicyService = require('../services/refreshPolicyService');
+
+      await expect(refreshPolicyService.upsert({ brokerType: 'DHAN', preferredLoginTime: '8.30' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'REFRESH_POLICY_INVALID' });
+      await expect(refreshPolicyService.upsert({ brokerType: 'DHAN', quietHoursStart: '09:15' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(refreshPolicyService.upsert({ brokerType: 'DHAN', brokerConnectionId: 'conn-1' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(dbQuery).not.toHaveBeenCalled();
+    });
+
+    test('upserts a broker default on the partial unique index', async () => {
+      dbQuery.mockResolvedValueOnce({ rows: [{ id: 1, broker_type: 'DHAN', lead_time_minutes: 90, quiet_hours_start: '09:15:00', quiet_hours_end: '15:30:00' }] });
+      const refreshPolicyService = require('../services/refreshPolicyService');
+
+      const policy = await refreshPolicyService.upsert({ brokerType: 'dhan', leadTimeMinutes: 90, quietHoursStart: '09:15', quietHoursEnd: '15:30' });
+
+      const [sql, params] = dbQuery.mock.calls[0];
+      expect(sql).toContain('ON CONFLICT (broker_type) WHERE broker_connection_id IS NULL');
+      expect(params).toEqual([null, 'DHAN', 90, '09:15', '15:30']);
+      expect(policy).toMatchObject({ broker_type: 'DHAN', leadTimeMinutes: 90, quietHoursStart: '09:15', quietHoursEnd: '15:30' });
+    });
+
+    test('resolves each field from connection, then broker default, then registry', async () => {
+      dbQuery.mockImplementation(async (sql, params) => {
+        if (sql.includes('FROM "BrokerConnection"')) return { rows: [{ id: 'conn-1', broker_type: 'ZERODHA' }] };
+        if (params[0] === 'conn-1') return { rows: [{ id: 2, broker_connection_id: 'conn-1', max_attempts: 1 }] };
+        if (params[0] === 'ZERODHA') return { rows: [{ id: 1, broker_type: 'ZERODHA', lead_time_minutes: 45 }] };
+        return { rows: [] };
+      });
+      const refreshPolicyService = require('../services/refreshPolicyService');
+
+      const { policy, sources } = await refreshPolicyService.getEffective('conn-1');
+
+      expect(policy).toMatchObject({ maxAttempts: 1, leadTimeMinutes: 45, preferredLoginTime: '08:30', staleAfterHours: 20 });
+      expect(sources).toMatchObject({ maxAttempts: 'connection', leadTimeMinutes: 'broker', preferredLoginTime: 'default' });
+    });
+  });
+});
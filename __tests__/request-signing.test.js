@@ -0,0 +1,150 @@
+describe('signed service requests', () => {
+  const originalEnv = process.env;
+  const keyId = '00000000-0000-0000-0000-000000000001';
+  const secret = 'tbs_signing-secret';
+  let keyRow;
+  let redisClient;
+
+  const makeMockResponse = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  });
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv, TOKENBOT_API_KEY: 'legacy-key' };
+    delete process.env.SERVICE_AUTH_REQUIRE_SIGNATURE;
+    delete process.env.SERVICE_SIGNATURE_TOLERANCE_MS;
+    redisClient = null;
+    keyRow = {
+      id: keyId,
+      name: 'core',
+      scopes: ['tokens:read'],
+      expires_at: null,
+      last_used_at: null,
+      require_signature: true,
+      signing_secret_encrypted: `enc:${secret}`
+    };
+
+    jest.doMock('../config/database', () => ({
+      query: jest.fn(async (sql, params = []) => {
+        if (String(sql).includes('WHERE id = $1') && String(sql).includes('signing_secret_encrypted')) {
+          if (!/^[0-9a-f]{8}-([0-9a-f]{4}-){3}[0-9a-f]{12}$/i.test(params[0])) {
+            throw Object.assign(new Error(`invalid input syntax for type uuid: "${params[0]}"`), { code: '22P02' });
+          }
+          return { rows: keyRow && params[0] === keyRow.id ? [keyRow] : [] };
+        }
+        return { rows: [], rowCount: 1 };
+      }),
+      getClient: jest.fn()
+    }));
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+    jest.doMock('../services/encryptor', () => ({
+      encrypt: jest.fn((value) => `enc:${value}`),
+      decrypt: jest.fn((value) => value.replace(/^enc:/, ''))
+    }));
+    jest.doMock('../services/distributedLock', () => ({ getRedisClient: jest.fn(async () => redisClient) }));
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const signedRequest = (requestSigning, { method = 'POST', path = '/api/tokens/validate', body = '{"brokerConnectionId":"conn-1"}', ...options } = {}) => {
+    const headers = requestSigning.sign({ keyId, secret, method, path, body, ...options });
+    return {
+      method,
+      originalUrl: path,
+      rawBody: Buffer.from(body),
+      headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]))
+    };
+  };
+
+  const authenticate = async (req, scope = 'tokens:read') => {
+    const { requireServiceAuth } = require('../middleware/auth');
+    const res = makeMockResponse();
+    const next = jest.fn();
+    await requireServiceAuth(scope)(req, res, next);
+    return { res, next };
+  };
+
+  test('accepts a correctly signed request once and rejects its replay', async () => {
+    const requestSigning = require('../services/requestSigning');
+    const req = signedRequest(requestSigning);
+
+    const first = await authenticate(req);
+    expect(first.next).toHaveBeenCalled();
+    expect(req.serviceAuth).toMatchObject({ id: keyId, name: 'core', signed: true });
+
+    const replay = await authenticate({ ...req, serviceAuth: undefined });
+    expect(replay.res).toMatchObject({ statusCode: 401, body: { code: 'API_SIGNATURE_REPLAYED' } });
+  });
+
+  test('rejects tampered bodies, paths, stale timestamps and unknown keys', async () => {
+    const requestSigning = require('../services/requestSigning');
+
+    const tampered = signedRequest(requestSigning);
+    tampered.rawBody = Buffer.from('{"brokerConnectionId":"conn-2"}');
+    expect((await authenticate(tampered)).res.body).toMatchObject({ code: 'API_SIGNATURE_INVALID' });
+
+    const otherPath = signedRequest(requestSigning);
+    otherPath.originalUrl = '/api/tokens/user-2';
+    expect((await authenticate(otherPath)).res.body).toMatchObject({ code: 'API_SIGNATURE_INVALID' });
+
+    const stale = signedRequest(requestSigning, { timestamp: Math.floor(Date.now() / 1000) - 600 });
+    expect((await authenticate(stale)).res).toMatchObject({ statusCode: 401, body: { code: 'API_SIGNATURE_STALE' } });
+
+    const scopeDenied = signedRequest(requestSigning);
+    expect((await authenticate(scopeDenied, 'tokens:refresh')).res).toMatchObject({ statusCode: 403, body: { code: 'API_KEY_SCOPE_DENIED' } });
+
+    const unknownKey = signedRequest(requestSigning, { keyId: '00000000-0000-0000-0000-000000000002' });
+    expect((await authenticate(unknownKey)).res.body).toMatchObject({ code: 'API_SIGNATURE_INVALID' });
+
+    // 36 characters of hex and hyphens, but not a UUID Postgres would accept.
+    const malformedKey = signedRequest(requestSigning, { keyId: '------------------------------------' });
+    expect((await authenticate(malformedKey)).res).toMatchObject({ statusCode: 401, body: { code: 'API_SIGNATURE_INVALID' } });
+    await expect(require('../services/apiKeyService').getSigningKey('not-a-uuid')).resolves.toBeNull();
+  });
+
+  test('rejects keys whose signing secret no longer decrypts', async () => {
+    keyRow.signing_secret_encrypted = 'sealed-under-a-retired-key';
+    require('../services/encryptor').decrypt.mockImplementation(() => {
+      throw new Error('Unsupported state or unable to authenticate data');
+    });
+    const requestSigning = require('../services/requestSigning');
+
+    await expect(require('../services/apiKeyService').getSigningKey(keyId)).resolves.toBeNull();
+    const { res, next } = await authenticate(signedRequest(requestSigning));
+    expect(next).not.toHaveBeenCalled();
+    expect(res).toMatchObject({ statusCode: 401, body: { code: 'API_SIGNATURE_INVALID' } });
+  });
+
+  test('claims nonces in Redis when it is configured', async () => {
+    const seen = new Set();
+    redisClient = {
+      set: jest.fn(async (key, value, px, ttl, nx) => {
+        if (nx === 'NX' && seen.has(key)) return null;
+        seen.add(key);
+        return 'OK';
+      })
+    };
+    const requestSigning = require('../services/requestSigning');
+    const req = signedRequest(requestSigning, { nonce: 'nonce-0123456789abcdef' });
+
+    expect((await authenticate(req)).next).toHaveBeenCalled();
+    expect(redisClient.set).toHaveBeenCalledWith(`tokenbot:nonce:${keyId}:nonce-0123456789abcdef`, '1', 'PX', 600000, 'NX');
+    expect((await authenticate(req)).res.body).toMatchObject({ code: 'API_SIGNATURE_REPLAYED' });
+  });
+
+  test('can require signatures instead of bare API keys', async () => {
+    expect((await authenticate({ headers: { 'x-api-key': 'legacy-key' }, method: 'GET' })).next).toHaveBeenCalled();
+
+    jest.resetModules();
+    process.env.SERVICE_AUTH_REQUIRE_SIGNATURE = 'true';
+    const { res, next } = await authenticate({ headers: { 'x-api-key': 'legacy-key' }, method: 'GET' });
+    expect(next).not.toHaveBeenCalled();
+    expect(res).toMatchObject({ statusCode: 401, body: { code: 'API_SIGNATURE_REQUIRED' } });
+  });
+});
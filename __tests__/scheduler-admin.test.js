@@ -0,0 +1,94 @@
+describe('scheduler admin controls', () => {
+  const originalEnv = process.env;
+  let dbQuery;
+  let jobStates;
+  let refreshJobService;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv, MARKET_CALENDAR_ENABLED: 'false' };
+    delete process.env.TOKENBOT_SCHEDULER_CHECK_CRON;
+    jobStates = [];
+
+    dbQuery = jest.fn(async (sql) => {
+      if (sql.includes('FROM scheduler_job_state')) return { rows: jobStates };
+      return { rows: [] };
+    });
+    refreshJobService = {
+      enqueueConnection: jest.fn(async ({ connectionId }) => ({ job: { id: `job-${connectionId}` }, deduplicated: false }))
+    };
+
+    jest.doMock('../config/database', () => ({ query: dbQuery, getClient: jest.fn() }));
+    jest.doMock('../services/browserPool', () => ({ acquire: jest.fn(), release: jest.fn() }));
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+    jest.doMock('../services/refreshJobService', () => refreshJobService);
+    jest.doMock('../services/soakMetrics', () => ({ recordBrokerSyncDrift: jest.fn(), maybeSnapshot: jest.fn() }));
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test('lists one check job per broker plus refresh-all, with upcoming runs and pause state', async () => {
+    jobStates = [{ job_name: 'expiring-dhan', paused: true, pause_reason: 'broker maintenance', paused_at: '2026-10-19T08:00:00Z' }];
+    const scheduler = require('../services/scheduler');
+
+    const jobs = await scheduler.listJobs({ count: 3 });
+    const byName = Object.fromEntries(jobs.map((job) => [job.name, job]));
+
+    expect(byName['expiring-zerodha']).toMatchObject({ schedule: '*/5 * * * *', paused: false, running_here: false });
+    expect(byName['expiring-zerodha'].upcoming_runs).toHaveLength(3);
+    expect(byName['expiring-dhan']).toMatchObject({ paused: true, pause_reason: 'broker maintenance', upcoming_runs: [] });
+    expect(byName['refresh-all']).toMatchObject({ schedule: null, upcoming_runs: [] });
+  });
+
+  test('triggers a job for selected connections only', async () => {
+    dbQuery.mockImplementation(async (sql) => (
+      sql.includes('FROM "BrokerConnection"') ? { rows: [{ id: 'conn-7', user_id: 'user-7' }] } : { rows: [] }
+    ));
+    const scheduler = require('../services/scheduler');
+
+    const results = await scheduler.triggerJob('expiring-dhan', { connectionIds: ['conn-7'] });
+
+    const [sql, params] = dbQuery.mock.calls[0];
+    expect(sql).toContain('bc.id::text = ANY($9)');
+    expect(params[8]).toEqual(['conn-7']);
+    expect(results).toMatchObject({ job: 'expiring-dhan', queued: ['job-conn-7'] });
+  });
+
+  test('manual triggers surface check failures that scheduled ticks only log', async () => {
+    dbQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM "BrokerConnection"')) throw new Error('connection terminated');
+      return { rows: [] };
+    });
+    const scheduler = require('../services/scheduler');
+
+    await expect(scheduler.triggerJob('expiring-dhan')).rejects.toThrow('connection terminated');
+    await expect(scheduler.triggerJob('expiring-zerodha')).rejects.toThrow('connection terminated');
+    await expect(scheduler.refreshExpiringBrokerConnections('DHAN')).resolves.toBeUndefined();
+  });
+
+  test('rejects unknown jobs and pausing manual-only jobs', async () => {
+    const scheduler = require('../services/scheduler');
+
+    await expect(scheduler.triggerJob('expiring-nobody')).rejects.toMatchObject({ statusCode: 404, code: 'SCHEDULER_JOB_NOT_FOUND' });
+    await expect(scheduler.pauseJob('refresh-all')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(scheduler.triggerJob('refresh-all', { connectionIds: [] })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('paused jobs skip scheduled ticks', async () => {
+    const scheduler = require('../services/scheduler');
+    const job = { name: 'expiring-zerodha', description: 'Zerodha refresh check', run: jest.fn() };
+
+    await scheduler.pauseJob('expiring-zerodha', { reason: 'incident' });
+    expect(dbQuery).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO scheduler_job_state'), ['expiring-zerodha', 'incident']);
+
+    jobStates = [{ job_name: 'expiring-zerodha', paused: true }];
+    await scheduler._runScheduled(job);
+    expect(job.run).not.toHaveBeenCalled();
+
+    jobStates = [];
+    await scheduler._runScheduled(job);
+    expect(job.run).toHaveBeenCalledTimes(1);
+  });
+});
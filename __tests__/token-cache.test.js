@@ -0,0 +1,110 @@
+describe('token cache', () => {
+  const originalEnv = process.env;
+  let dbQuery;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv };
+    delete process.env.TOKEN_CACHE_TTL_MS;
+
+    dbQuery = jest.fn(async (sql) => {
+      const normalizedSql = String(sql).replace(/\s+/g, ' ').trim();
+      if (normalizedSql.includes('"brokerType" AS broker_type')) {
+        return { rows: [{ id: 'conn-1', user_id: 'user-1', broker_type: 'ZERODHA', account_id: null, is_active: true, status: 'CONNECTED' }] };
+      }
+      if (normalizedSql.includes('"accessTokenEncrypted",')) {
+        return { rows: [{ id: 'conn-1', accessTokenEncrypted: 'enc:kite-token', expires_at: '2026-10-20T00:30:00.000Z', status: 'CONNECTED' }] };
+      }
+      if (normalizedSql.startsWith('UPDATE "BrokerConnection"')) {
+        return { rows: [{ id: 'conn-1', userId: 'user-1', brokerType: 'ZERODHA' }] };
+      }
+      return { rows: [] };
+    });
+
+    jest.doMock('../config/database', () => ({ query: dbQuery, getClient: jest.fn() }));
+    jest.doMock('../services/browserPool', () => ({ acquire: jest.fn(), release: jest.fn() }));
+    jest.doMock('../services/distributedLock', () => ({ acquire: jest.fn(), release: jest.fn() }));
+    jest.doMock('../services/encryptor', () => ({
+      encrypt: jest.fn((value) => `enc:${value}`),
+      decrypt: jest.fn((value) => String(value).replace(/^enc:/, '')),
+      decryptWithMeta: jest.fn((value) => ({ ok: true, value: String(value).replace(/^enc:/, ''), format: 'GCM', reasonCode: 'TOKEN_OK' })),
+      getKeyFingerprint: jest.fn(() => null)
+    }));
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const lookup = { brokerConnectionId: 'conn-1', brokerType: 'ZERODHA' };
+
+  test('serves repeat connection lookups from memory until a new token is stored', async () => {
+    const tokenManager = require('../services/tokenManager');
+    const tokenCache = require('../services/tokenCache');
+
+    await expect(tokenManager.getCurrentToken(lookup)).resolves.toMatchObject({ access_token: 'kite-token' });
+    const queriesAfterMiss = dbQuery.mock.calls.length;
+    await expect(tokenManager.getCurrentToken(lookup)).resolves.toMatchObject({ access_token: 'kite-token' });
+    expect(dbQuery.mock.calls.length).toBe(queriesAfterMiss);
+    expect(tokenCache.getStats()).toMatchObject({ hits: 1, misses: 1, size: 1 });
+
+    await tokenManager.storeBrokerConnectionToken({ user_id: 'user-1', connectionId: 'conn-1', access_token: 'new-token' });
+    expect(tokenCache.getStats()).toMatchObject({ size: 0, invalidations: 1 });
+
+    await tokenManager.getCurrentToken(lookup);
+    expect(dbQuery.mock.calls.length).toBeGreaterThan(queriesAfterMiss + 1);
+  });
+
+  test('does not cache a token read before a concurrent invalidation', async () => {
+    const tokenManager = require('../services/tokenManager');
+    const tokenCache = require('../services/tokenCache');
+    const baseQuery = dbQuery.getMockImplementation();
+    dbQuery.mockImplementation(async (sql, params) => {
+      const result = await baseQuery(sql, params);
+      // A refresh stores its new token while this lookup still holds the old one.
+      if (String(sql).includes('"accessTokenEncrypted",')) tokenCache.invalidate('conn-1');
+      return result;
+    });
+
+    await expect(tokenManager.getCurrentToken(lookup)).resolves.toMatchObject({ access_token: 'kite-token' });
+    expect(tokenCache.getStats()).toMatchObject({ size: 0 });
+
+    const version = tokenCache.version('conn-2');
+    tokenCache.invalidateUser('user-2');
+    tokenCache.set('conn-2', { userId: 'user-2', brokerType: 'DHAN', version }, { access_token: 'old' });
+    expect(tokenCache.get('conn-2')).toBeNull();
+  });
+
+  test('misses for another user or broker so the uncached path can reject it', async () => {
+    const tokenCache = require('../services/tokenCache');
+    tokenCache.set('conn-1', { userId: 'user-1', brokerType: 'ZERODHA' }, { access_token: 'kite-token' });
+
+    expect(tokenCache.get('conn-1', { userId: 'user-2' })).toBeNull();
+    expect(tokenCache.get('conn-1', { brokerType: 'DHAN' })).toBeNull();
+    expect(tokenCache.get('conn-1', { userId: 'user-1', brokerType: 'ZERODHA' })).toEqual({ access_token: 'kite-token' });
+  });
+
+  test('expires entries after the TTL and drops them on events from any replica', async () => {
+    process.env.TOKEN_CACHE_TTL_MS = '1000';
+    const tokenCache = require('../services/tokenCache');
+    const tokenEvents = require('../services/tokenEvents');
+    const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+
+    tokenCache.set('conn-1', { userId: 'user-1', brokerType: 'ZERODHA' }, { access_token: 'a' });
+    tokenCache.set('conn-2', { userId: 'user-1', brokerType: 'DHAN' }, { access_token: 'b' });
+    tokenCache.set('conn-3', { userId: 'user-2', brokerType: 'DHAN' }, { access_token: 'c' });
+
+    tokenEvents._dispatch({ id: 'evt-1', type: 'token.updated', data: { broker_connection_id: 'conn-1' } }, false);
+    tokenEvents._dispatch({ id: 'evt-2', type: 'credentials.updated', data: { user_id: 'user-1', broker_type: 'DHAN' } }, false);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(tokenCache.get('conn-1')).toBeNull();
+    expect(tokenCache.get('conn-2')).toBeNull();
+    expect(tokenCache.get('conn-3')).toEqual({ access_token: 'c' });
+
+    nowSpy.mockReturnValue(1_001_000);
+    expect(tokenCache.get('conn-3')).toBeNull();
+    nowSpy.mockRestore();
+  });
+});
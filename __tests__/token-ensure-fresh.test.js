@@ -0,0 +1,77 @@
+describe('read-through refresh (getFreshToken)', () => {
+  let tokenManager;
+
+  beforeEach(() => {
+    jest.resetModules();
+
+    jest.doMock('../config/database', () => ({ query: jest.fn(async () => ({ rows: [] })), getClient: jest.fn() }));
+    jest.doMock('../services/browserPool', () => ({ acquire: jest.fn(), release: jest.fn() }));
+    jest.doMock('../services/distributedLock', () => ({ acquire: jest.fn(), release: jest.fn() }));
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+    tokenManager = require('../services/tokenManager');
+  });
+
+  const lookup = { brokerType: 'DHAN', brokerConnectionId: 'conn-1' };
+  const tokenExpiringIn = (ms) => ({
+    access_token: 'dhan-token',
+    broker_connection_id: 'conn-1',
+    expires_at: new Date(Date.now() + ms).toISOString()
+  });
+
+  test('returns a token outside the warning window without refreshing', async () => {
+    jest.spyOn(tokenManager, 'getCurrentToken').mockResolvedValue(tokenExpiringIn(6 * 60 * 60 * 1000));
+    const refreshSpy = jest.spyOn(tokenManager, 'refreshTokenForUser');
+
+    const result = await tokenManager.getFreshToken(lookup);
+
+    expect(result.status).toBe('fresh');
+    expect(result.token.access_token).toBe('dhan-token');
+    expect(refreshSpy).not.toHaveBeenCalled();
+  });
+
+  test('a token without expiry is fresh until staleAfterHours past its last auth', async () => {
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    const refreshSpy = jest.spyOn(tokenManager, 'refreshTokenForUser').mockResolvedValue({ success: true });
+    const getCurrentToken = jest.spyOn(tokenManager, 'getCurrentToken');
+
+    getCurrentToken.mockResolvedValue({ access_token: 'dhan-token', expires_at: null, last_auth_at: hoursAgo(2) });
+    await expect(tokenManager.getFreshToken(lookup)).resolves.toMatchObject({ status: 'fresh' });
+    expect(refreshSpy).not.toHaveBeenCalled();
+
+    getCurrentToken.mockResolvedValue({ access_token: 'dhan-token', expires_at: null, last_auth_at: hoursAgo(21) });
+    await expect(tokenManager.getFreshToken(lookup)).resolves.toMatchObject({ status: 'refreshed' });
+    expect(refreshSpy).toHaveBeenCalledTimes(1);
+  });
+
+  test('refreshes a near-expiry token inline and returns the new one', async () => {
+    jest.spyOn(tokenManager, 'getCurrentToken')
+      .mockResolvedValueOnce(tokenExpiringIn(5 * 60 * 1000))
+      .mockResolvedValueOnce({ ...tokenExpiringIn(24 * 60 * 60 * 1000), access_token: 'renewed-token' });
+    const refreshSpy = jest.spyOn(tokenManager, 'refreshTokenForUser').mockResolvedValue({ success: true });
+
+    const result = await tokenManager.getFreshToken(lookup);
+
+    expect(refreshSpy).toHaveBeenCalledWith(expect.objectContaining({ brokerConnectionId: 'conn-1' }));
+    expect(result).toMatchObject({ status: 'refreshed', token: { access_token: 'renewed-token' } });
+  });
+
+  test('reports pending when the refresh does not finish within maxWaitMs', async () => {
+    jest.spyOn(tokenManager, 'getCurrentToken').mockResolvedValue(tokenExpiringIn(-60 * 1000));
+    jest.spyOn(tokenManager, 'refreshTokenForUser').mockReturnValue(new Promise(() => {}));
+
+    const result = await tokenManager.getFreshToken(lookup, { maxWaitMs: 20 });
+
+    expect(result).toMatchObject({ status: 'pending', token: null, retryAfterMs: 1000 });
+  });
+
+  test('reports pending when another worker holds the refresh lock', async () => {
+    jest.spyOn(tokenManager, 'getCurrentToken').mockResolvedValue(tokenExpiringIn(-60 * 1000));
+    const locked = Object.assign(new Error('locked'), { code: 'TOKEN_REFRESH_LOCKED', retryAfterMs: 3000 });
+    jest.spyOn(tokenManager, 'refreshTokenForUser').mockRejectedValue(locked);
+
+    const result = await tokenManager.getFreshToken(lookup);
+
+    expect(result).toMatchObject({ status: 'pending', retryAfterMs: 3000 });
+  });
+});
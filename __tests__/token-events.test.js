@@ -0,0 +1,101 @@
+const { EventEmitter } = require('events');
+
+describe('token event fan-out', () => {
+  let redisClient;
+  let subscriber;
+
+  beforeEach(() => {
+    jest.resetModules();
+
+    subscriber = Object.assign(new EventEmitter(), {
+      subscribe: jest.fn(async () => 1),
+      quit: jest.fn(async () => 'OK'),
+      disconnect: jest.fn()
+    });
+    redisClient = {
+      publish: jest.fn(async () => 1),
+      duplicate: jest.fn(() => subscriber)
+    };
+
+    jest.doMock('../services/distributedLock', () => ({ getRedisClient: jest.fn(async () => redisClient) }));
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+  });
+
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+  test('publishes to the Redis channel and dispatches events from other replicas', async () => {
+    const tokenEvents = require('../services/tokenEvents');
+    const received = [];
+    const localReceived = [];
+    tokenEvents.onEvent((event) => received.push(event));
+    tokenEvents.onEvent((event) => localReceived.push(event), { localOnly: true });
+
+    await tokenEvents.start();
+    expect(subscriber.subscribe).toHaveBeenCalledWith('tokenbot:token-events');
+    expect(tokenEvents.getStatus()).toMatchObject({ transport: 'redis', channel: 'tokenbot:token-events' });
+
+    const own = tokenEvents.publish('token.updated', { broker_connection_id: 'conn-1' });
+    const [channel, message] = redisClient.publish.mock.calls[0];
+    expect(channel).toBe('tokenbot:token-events');
+    expect(JSON.parse(message)).toEqual({ origin: tokenEvents.instanceId, event: own });
+
+    // Our own message echoes back from Redis and must not be dispatched twice.
+    subscriber.emit('message', channel, message);
+    const remote = { id: 'evt-remote', type: 'token.updated', occurred_at: '2026-10-19T03:00:00.000Z', data: { broker_connection_id: 'conn-2' } };
+    subscriber.emit('message', channel, JSON.stringify({ origin: 'other-replica', event: remote }));
+    subscriber.emit('message', channel, 'not json');
+    await flush();
+
+    expect(received).toEqual([own, remote]);
+    expect(localReceived).toEqual([own]);
+    expect(tokenEvents.since(own.id)).toEqual([remote]);
+
+    await tokenEvents.stop();
+    expect(subscriber.quit).toHaveBeenCalled();
+    expect(tokenEvents.getStatus().transport).toBe('memory');
+  });
+
+  test('stays in-process without Redis', async () => {
+    redisClient = null;
+    const tokenEvents = require('../services/tokenEvents');
+    const received = [];
+    tokenEvents.onEvent((event) => received.push(event));
+
+    await tokenEvents.start();
+    const event = tokenEvents.publish('token.refreshed', { broker_connection_id: 'conn-1' });
+    await flush();
+
+    expect(received).toEqual([event]);
+    expect(tokenEvents.getStatus().transport).toBe('memory');
+  });
+
+  test('keeps any number of stream subscriptions without a listener cap', async () => {
+    redisClient = null;
+    const tokenEvents = require('../services/tokenEvents');
+    const received = [];
+    const unsubscribes = Array.from({ length: 60 }, (_, index) => tokenEvents.onEvent(() => received.push(index)));
+
+    tokenEvents.publish('token.refreshed', {});
+    await flush();
+    expect(received).toHaveLength(60);
+    expect(tokenEvents.subscribers.size).toBe(60);
+
+    unsubscribes.forEach((unsubscribe) => unsubscribe());
+    tokenEvents.publish('token.refreshed', {});
+    await flush();
+    expect(received).toHaveLength(60);
+    expect(tokenEvents.subscribers.size).toBe(0);
+  });
+
+  test('falls back to the in-memory bus when the subscription fails', async () => {
+    subscriber.subscribe.mockRejectedValue(new Error('NOPERM'));
+    const tokenEvents = require('../services/tokenEvents');
+
+    await tokenEvents.start();
+    tokenEvents.publish('token.refreshed', {});
+
+    expect(subscriber.disconnect).toHaveBeenCalled();
+    expect(redisClient.publish).not.toHaveBeenCalled();
+    expect(tokenEvents.getStatus().transport).toBe('memory');
+  });
+});
@@ -79,6 +79,30 @@ describe('TokenManager production guardrails', () => {
     });
   });
 
+  test('reports a failing lock backend as lock-unavailable so refresh jobs retry it', async () => {
+    mockCommonDeps(async (sql) => {
+      const normalizedSql = String(sql).replace(/\s+/g, ' ').trim();
+      if (normalizedSql.includes('FROM "BrokerConnection"') && normalizedSql.includes('WHERE id = $1')) {
+        return { rows: [{ id: 'conn-1', user_id: 'user-1', broker_type: 'DHAN', account_id: 'acct-1', is_active: true, status: 'CONNECTED' }] };
+      }
+      return { rows: [] };
+    });
+    jest.doMock('../services/distributedLock', () => ({
+      acquire: jest.fn().mockRejectedValue(new Error('ECONNRESET')),
+      release: jest.fn()
+    }));
+
+    const tokenManager = require('../services/tokenManager');
+
+    await expect(
+      tokenManager.refreshTokenForUser({ brokerConnectionId: 'conn-1', brokerType: 'DHAN' })
+    ).rejects.toMatchObject({
+      code: 'TOKEN_REFRESH_LOCK_UNAVAILABLE',
+      statusCode: 503,
+      retryAfterMs: 5000
+    });
+  });
+
   test('requires brokerConnectionId for token persistence in production', async () => {
     mockCommonDeps();
 
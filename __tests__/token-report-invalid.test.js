@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+
+describe('consumer-reported token invalidation', () => {
+  let dbQuery;
+  let tokenManager;
+  let refreshJobService;
+  let connectionStatus;
+  const fingerprintOf = (token) => crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
+
+  beforeEach(() => {
+    jest.resetModules();
+    connectionStatus = 'CONNECTED';
+    refreshJobService = {
+      enqueueConnection: jest.fn(async ({ connectionId }) => ({ job: { id: `job-${connectionId}` }, deduplicated: false }))
+    };
+
+    dbQuery = jest.fn(async (sql) => {
+      const normalizedSql = String(sql).replace(/\s+/g, ' ').trim();
+      if (normalizedSql.includes('"brokerType" AS broker_type')) {
+        return { rows: [{ id: 'conn-1', user_id: 'user-1', broker_type: 'ZERODHA', account_id: 'acct-1', is_active: true }] };
+      }
+      if (normalizedSql.startsWith('SELECT "accessTokenEncrypted"')) {
+        return { rows: [{ accessTokenEncrypted: 'enc:kite-token', status: connectionStatus }] };
+      }
+      if (normalizedSql.startsWith('UPDATE "BrokerConnection"')) {
+        const flagged = !['REAUTH_REQUIRED', 'ERROR', 'QUARANTINED'].includes(connectionStatus);
+        return { rowCount: flagged ? 1 : 0, rows: [] };
+      }
+      return { rows: [] };
+    });
+    jest.doMock('../services/refreshJobService', () => refreshJobService);
+
+    jest.doMock('../config/database', () => ({ query: dbQuery, getClient: jest.fn() }));
+    jest.doMock('../services/browserPool', () => ({ acquire: jest.fn(), release: jest.fn() }));
+    jest.doMock('../services/distributedLock', () => ({ acquire: jest.fn(), release: jest.fn() }));
+    jest.doMock('../services/encryptor', () => ({
+      encrypt: jest.fn((value) => `enc:${value}`),
+      decrypt: jest.fn((value) => String(value).replace(/^enc:/, '')),
+      decryptWithMeta: jest.fn((value) => ({ ok: true, value: String(value).replace(/^enc:/, ''), format: 'GCM', reasonCode: 'TOKEN_OK' })),
+      getKeyFingerprint: jest.fn(() => 'test-key-fp')
+    }));
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+    tokenManager = require('../services/tokenManager');
+  });
+
+  const statusUpdates = () => dbQuery.mock.calls
+    .filter(([sql]) => String(sql).includes('SET "status" ='));
+
+  test('flags the connection and queues a refresh when it still holds the reported token', async () => {
+    const result = await tokenManager.reportInvalidToken({
+      brokerConnectionId: 'conn-1',
+      tokenFingerprint: fingerprintOf('kite-token'),
+      reason: 'Kite 403 TokenException'
+    });
+
+    expect(result).toMatchObject({ status: 'accepted', connection_status: 'REAUTH_REQUIRED', refresh: 'queued', job_id: 'job-conn-1' });
+    expect(statusUpdates()).toHaveLength(1);
+    expect(statusUpdates()[0][1]).toEqual(expect.arrayContaining(['REAUTH_REQUIRED', 'conn-1', 'enc:kite-token']));
+    expect(refreshJobService.enqueueConnection).toHaveBeenCalledWith(expect.objectContaining({
+      connectionId: 'conn-1',
+      brokerType: 'ZERODHA',
+      source: 'report'
+    }));
+  });
+
+  test('ignores reports for a token that has already been replaced', async () => {
+    const result = await tokenManager.reportInvalidToken({
+      brokerConnectionId: 'conn-1',
+      tokenFingerprint: fingerprintOf('previous-token')
+    });
+
+    expect(result.status).toBe('stale');
+    expect(statusUpdates()).toHaveLength(0);
+    expect(refreshJobService.enqueueConnection).not.toHaveBeenCalled();
+  });
+
+  test('collapses a storm of reports for the same token into one refresh', async () => {
+    const report = { brokerConnectionId: 'conn-1', tokenFingerprint: fingerprintOf('kite-token') };
+
+    const results = await Promise.all([1, 2, 3, 4].map(() => tokenManager.reportInvalidToken(report)));
+    expect(await tokenManager.reportInvalidToken(report)).toMatchObject({ status: 'duplicate' });
+
+    expect(results.map((r) => r.status).sort()).toEqual(['accepted', 'duplicate', 'duplicate', 'duplicate']);
+    expect(refreshJobService.enqueueConnection).toHaveBeenCalledTimes(1);
+  });
+
+  test('still queues a refresh when the connection is already flagged', async () => {
+    connectionStatus = 'ERROR';
+
+    const result = await tokenManager.reportInvalidToken({
+      brokerConnectionId: 'conn-1',
+      tokenFingerprint: fingerprintOf('kite-token')
+    });
+
+    expect(result).toMatchObject({ status: 'accepted', connection_status: 'ERROR', refresh: 'queued' });
+    expect(refreshJobService.enqueueConnection).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not refresh a quarantined connection', async () => {
+    connectionStatus = 'QUARANTINED';
+
+    const result = await tokenManager.reportInvalidToken({
+      brokerConnectionId: 'conn-1',
+      tokenFingerprint: fingerprintOf('kite-token')
+    });
+
+    expect(result).toMatchObject({ status: 'duplicate', connection_status: 'QUARANTINED' });
+    expect(refreshJobService.enqueueConnection).not.toHaveBeenCalled();
+  });
+
+  test('a failed report does not suppress the retry', async () => {
+    const report = { brokerConnectionId: 'conn-1', tokenFingerprint: fingerprintOf('kite-token') };
+    dbQuery.mockImplementationOnce(async () => { throw new Error('connection terminated'); });
+
+    await expect(tokenManager.reportInvalidToken(report)).rejects.toThrow('connection terminated');
+    expect(await tokenManager.reportInvalidToken(report)).toMatchObject({ status: 'accepted' });
+    expect(refreshJobService.enqueueConnection).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects a malformed fingerprint', async () => {
+    await expect(tokenManager.reportInvalidToken({ brokerConnectionId: 'conn-1', tokenFingerprint: 'kite-token' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'TOKEN_FINGERPRINT_INVALID' });
+  });
+});
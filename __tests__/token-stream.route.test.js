@@ -0,0 +1,108 @@
+const { EventEmitter } = require('events');
+
+function makeStreamResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    chunks: [],
+    setHeader(key, value) {
+      this.headers[key] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    flushHeaders: jest.fn(),
+    write(chunk) {
+      this.chunks.push(chunk);
+      return true;
+    },
+    events() {
+      return this.chunks
+        .filter((chunk) => chunk.startsWith('id: ') || chunk.startsWith('event: '))
+        .map((chunk) => {
+          const lines = Object.fromEntries(chunk.trim().split('\n').map((line) => {
+            const index = line.indexOf(': ');
+            return [line.slice(0, index), line.slice(index + 2)];
+          }));
+          return { id: lines.id, event: lines.event, data: JSON.parse(lines.data) };
+        });
+    }
+  };
+}
+
+function getStreamHandler(router) {
+  const layer = router.stack.find(
+    (entry) => entry.route && entry.route.path === '/stream' && entry.route.methods.get
+  );
+  if (!layer) {
+    throw new Error('Stream route handler not found');
+  }
+  return layer.route.stack[layer.route.stack.length - 1].handle;
+}
+
+describe('GET /api/tokens/stream', () => {
+  let tokenEvents;
+  let handler;
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.doMock('../services/tokenManager', () => ({}));
+    jest.doMock('../services/refreshJobService', () => ({}));
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+    tokenEvents = require('../services/tokenEvents');
+    handler = getStreamHandler(require('../routes/tokens'));
+  });
+
+  const open = (query = {}, headers = {}) => {
+    const req = Object.assign(new EventEmitter(), { query, headers, body: {}, params: {} });
+    const res = makeStreamResponse();
+    handler(req, res);
+    return { req, res };
+  };
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+  test('requires a connection or user scope', () => {
+    const { res } = open();
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toContain('brokerConnectionId or user_id');
+  });
+
+  test('pushes token changes for the subscribed connection only', async () => {
+    const { req, res } = open({ brokerConnectionId: 'conn-1' });
+
+    expect(res.headers['Content-Type']).toBe('text/event-stream');
+    tokenEvents.publish('token.updated', { broker_connection_id: 'conn-2', user_id: 'user-1' });
+    tokenEvents.publish('token.refresh_failed', { broker_connection_id: 'conn-1', user_id: 'user-1' });
+    const updated = tokenEvents.publish('token.updated', { broker_connection_id: 'conn-1', user_id: 'user-1', token_fingerprint: 'abc' });
+    await flush();
+
+    expect(res.events()).toEqual([{ id: updated.id, event: 'token.updated', data: updated }]);
+
+    req.emit('close');
+    tokenEvents.publish('token.updated', { broker_connection_id: 'conn-1', user_id: 'user-1' });
+    await flush();
+    expect(res.events()).toHaveLength(1);
+  });
+
+  test('replays missed events after Last-Event-ID and asks unknown ids to resync', async () => {
+    const seen = tokenEvents.publish('token.updated', { broker_connection_id: 'conn-1', user_id: 'user-1', broker_type: 'DHAN' });
+    tokenEvents.publish('token.updated', { broker_connection_id: 'conn-2', user_id: 'user-1', broker_type: 'ZERODHA' });
+    const missed = tokenEvents.publish('connection.reauth_required', { broker_connection_id: 'conn-1', user_id: 'user-1', broker_type: 'DHAN' });
+
+    const { req, res } = open({ user_id: 'user-1', brokerType: 'dhan' }, { 'last-event-id': seen.id });
+    expect(res.events()).toEqual([{ id: missed.id, event: 'connection.reauth_required', data: missed }]);
+    req.emit('close');
+
+    const stale = open({ user_id: 'user-1' }, { 'last-event-id': 'evicted-id' });
+    expect(stale.res.events()).toEqual([{ id: undefined, event: 'resync', data: { last_event_id: 'evicted-id' } }]);
+    stale.req.emit('close');
+  });
+});
@@ -0,0 +1,86 @@
+describe('token validation', () => {
+  let dbQuery;
+  let dhanProvider;
+
+  beforeEach(() => {
+    jest.resetModules();
+
+    dbQuery = jest.fn(async (sql) => {
+      const normalizedSql = String(sql).replace(/\s+/g, ' ').trim();
+      if (normalizedSql.includes('"brokerType" AS broker_type')) {
+        return { rows: [{ id: 'conn-1', user_id: 'user-1', broker_type: 'DHAN', account_id: 'acct-1', is_active: true }] };
+      }
+      if (normalizedSql.includes('"accessTokenEncrypted",')) {
+        return {
+          rows: [{
+            id: 'conn-1',
+            account_id: 'acct-1',
+            accessTokenEncrypted: 'enc:dhan-token',
+            refreshToken: null,
+            expires_at: '2026-01-02T00:00:00.000Z',
+            status: 'ERROR'
+          }]
+        };
+      }
+      return { rows: [] };
+    });
+    dhanProvider = { renewToken: jest.fn(), validateToken: jest.fn() };
+
+    jest.doMock('../config/database', () => ({ query: dbQuery, getClient: jest.fn() }));
+    jest.doMock('../services/providers/dhan', () => dhanProvider);
+    jest.doMock('../services/browserPool', () => ({ acquire: jest.fn(), release: jest.fn() }));
+    jest.doMock('../services/distributedLock', () => ({
+      acquire: jest.fn(),
+      release: jest.fn()
+    }));
+    jest.doMock('../services/encryptor', () => ({
+      encrypt: jest.fn((value) => `enc:${value}`),
+      decrypt: jest.fn((value) => String(value).replace(/^enc:/, '')),
+      decryptWithMeta: jest.fn((value) => ({ ok: true, value: String(value).replace(/^enc:/, ''), format: 'GCM', reasonCode: 'TOKEN_OK' })),
+      getKeyFingerprint: jest.fn(() => 'test-key-fp')
+    }));
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+  });
+
+  const statusUpdates = () => dbQuery.mock.calls
+    .filter(([sql]) => String(sql).includes('SET "status" ='))
+    .map(([sql, params]) => ({ sql: String(sql).replace(/\s+/g, ' '), params }));
+
+  test('flags the connection REAUTH_REQUIRED when the broker rejects the token', async () => {
+    dhanProvider.validateToken.mockResolvedValue(false);
+    const tokenManager = require('../services/tokenManager');
+
+    const result = await tokenManager.validateToken({ brokerType: 'DHAN', brokerConnectionId: 'conn-1' });
+
+    expect(dhanProvider.validateToken).toHaveBeenCalledWith('dhan-token', 'acct-1');
+    expect(result).toMatchObject({ valid: false, reason: 'TOKEN_REJECTED', broker_connection_id: 'conn-1' });
+    expect(statusUpdates()).toHaveLength(1);
+    expect(statusUpdates()[0].sql).toContain(`"status" = 'REAUTH_REQUIRED'`);
+    expect(statusUpdates()[0].sql).toContain('AND "accessTokenEncrypted" = $4');
+    expect(statusUpdates()[0].params[3]).toBe('enc:dhan-token');
+    expect(result.token).not.toHaveProperty('access_token_encrypted');
+  });
+
+  test('clears a stale ERROR status when the broker accepts the token', async () => {
+    dhanProvider.validateToken.mockResolvedValue(true);
+    const tokenManager = require('../services/tokenManager');
+
+    const result = await tokenManager.validateToken({ brokerType: 'DHAN', brokerConnectionId: 'conn-1' });
+
+    expect(result).toMatchObject({ valid: true, reason: 'TOKEN_OK' });
+    expect(statusUpdates()[0].sql).toContain(`"status" = 'CONNECTED'`);
+    // A refresh (or a newer flag) landing during the broker call must survive this verdict.
+    expect(statusUpdates()[0].sql).toContain(`AND "accessTokenEncrypted" = $3 AND "status" IN ('REAUTH_REQUIRED', 'ERROR')`);
+    expect(statusUpdates()[0].params).toEqual(['conn-1', 'user-1', 'enc:dhan-token']);
+  });
+
+  test('leaves the connection untouched when the broker cannot be reached', async () => {
+    dhanProvider.validateToken.mockRejectedValue(new Error('socket hang up'));
+    const tokenManager = require('../services/tokenManager');
+
+    const result = await tokenManager.validateToken({ brokerType: 'DHAN', brokerConnectionId: 'conn-1' });
+
+    expect(result).toMatchObject({ valid: null, reason: 'VALIDATION_UNAVAILABLE' });
+    expect(statusUpdates()).toHaveLength(0);
+  });
+});
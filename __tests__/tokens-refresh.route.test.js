@@ -63,7 +63,9 @@ describe('POST /api/tokens/refresh error mapping', () => {
 
     jest.doMock('../middleware/auth', () => ({
       authenticateUser: jest.fn((req, res, next) => next()),
-      authenticateService: jest.fn((req, res, next) => next())
+      checkServiceAuth: jest.fn(async () => ({ principal: { id: null, name: 'legacy', scopes: ['admin'], legacy: true } })),
+      optionalAuth: jest.fn((req, res, next) => next()),
+      requireServiceAuth: jest.fn(() => (req, res, next) => next())
     }));
 
     jest.doMock('../utils/userIdPolicy', () => ({
@@ -0,0 +1,98 @@
+describe('UpstoxTokenManager', () => {
+  let dbQuery;
+  let fetchAccessToken;
+
+  beforeEach(() => {
+    jest.resetModules();
+
+    dbQuery = jest.fn();
+    fetchAccessToken = jest.fn();
+
+    jest.doMock('../config/database', () => ({
+      query: dbQuery
+    }));
+
+    jest.doMock('../services/upstoxTokenFetcher', () => ({
+      fetchAccessToken
+    }));
+
+    jest.doMock('../services/encryptor', () => ({
+      decryptCredential: jest.fn(async (value) => `plain:${value}`),
+      encryptCredential: jest.fn(async (value) => value)
+    }));
+
+    jest.doMock('../utils/logger', () => ({
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn()
+    }));
+
+    jest.doMock('../utils/retry', () => ({
+      retryWithBackoff: jest.fn((fn) => fn())
+    }));
+  });
+
+  test('returns controlled UPSTOX_CREDENTIALS_MISSING result when connection has no credentials', async () => {
+    dbQuery
+      // BrokerConnection.credentialsEncrypted lookup
+      .mockResolvedValueOnce({ rows: [{ credentialsEncrypted: null }] })
+      // TokenRefreshHistory insert
+      .mockResolvedValueOnce({ rows: [] });
+
+    const UpstoxTokenManager = require('../services/token-managers/UpstoxTokenManager');
+    const manager = new UpstoxTokenManager();
+
+    const result = await manager.refresh({ userId: 'user-1', connectionId: 'conn-1' });
+
+    expect(result).toMatchObject({
+      success: false,
+      error: 'UPSTOX_CREDENTIALS_MISSING',
+      error_code: 'UPSTOX_CREDENTIALS_MISSING',
+      statusCode: 422,
+      guidance: 'Reconnect and save credentials'
+    });
+    expect(fetchAccessToken).not.toHaveBeenCalled();
+  });
+
+  test('logs in with decrypted connection credentials and returns the new access token', async () => {
+    const expiresAt = '2026-01-02T22:00:00.000Z';
+    dbQuery
+      .mockResolvedValueOnce({
+        rows: [{
+          credentialsEncrypted: JSON.stringify({
+            mobile_number: '9999999999',
+            encrypted_pin: 'pin',
+            encrypted_totp_secret: 'totp',
+            encrypted_api_key: 'key',
+            encrypted_api_secret: 'secret',
+            redirect_uri: 'https://example.com/upstox/callback'
+          })
+        }]
+      })
+      .mockResolvedValueOnce({ rows: [] });
+    fetchAccessToken.mockResolvedValue({ access_token: 'upstox-token', expires_at: expiresAt });
+
+    const UpstoxTokenManager = require('../services/token-managers/UpstoxTokenManager');
+    const manager = new UpstoxTokenManager();
+
+    const result = await manager.refresh({ userId: 'user-1', connectionId: 'conn-1' });
+
+    expect(fetchAccessToken).toHaveBeenCalledWith({
+      mobile_number: '9999999999',
+      pin: 'plain:pin',
+      totp_secret: 'plain:totp',
+      api_key: 'plain:key',
+      api_secret: 'plain:secret',
+      redirect_uri: 'https://example.com/upstox/callback'
+    });
+    expect(require('../services/encryptor').decryptCredential)
+      .toHaveBeenCalledWith('pin', { context: { connectionId: 'conn-1', field: 'encrypted_pin' } });
+    expect(result).toMatchObject({
+      success: true,
+      access_token: 'upstox-token',
+      refresh_token: null,
+      token_status: 'VALID'
+    });
+    expect(result.expires_at.toISOString()).toBe(expiresAt);
+  });
+});
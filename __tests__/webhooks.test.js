@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+
+describe('outbound webhooks', () => {
+  const originalEnv = process.env;
+  const originalFetch = global.fetch;
+  let dbQuery;
+  let subscriptions;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv, WEBHOOK_MAX_ATTEMPTS: '2' };
+    delete process.env.NOTIFICATION_WEBHOOK_URL;
+    delete process.env.NOTIFICATION_WEBHOOK_SECRET;
+    subscriptions = [];
+
+    dbQuery = jest.fn(async (sql, params = []) => {
+      const normalizedSql = String(sql).replace(/\s+/g, ' ').trim();
+      if (normalizedSql.startsWith('SELECT * FROM webhook_subscriptions')) {
+        return { rows: subscriptions };
+      }
+      if (normalizedSql.startsWith('SELECT secret_encrypted FROM webhook_subscriptions')) {
+        return { rows: [{ secret_encrypted: 'enc:subscriber-secret-0001' }] };
+      }
+      if (normalizedSql.startsWith('INSERT INTO webhook_deliveries')) {
+        return {
+          rows: [{
+            id: `delivery-${params[0]}`,
+            subscription_id: params[0],
+            event_id: params[1],
+            event_type: params[2],
+            url: params[3],
+            payload: params[4],
+            attempts: 0
+          }]
+        };
+      }
+      return { rows: [] };
+    });
+
+    jest.doMock('../config/database', () => ({ query: dbQuery, getClient: jest.fn() }));
+    jest.doMock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+    jest.doMock('../services/encryptor', () => ({
+      encrypt: jest.fn((value) => `enc:${value}`),
+      decrypt: jest.fn((value) => value.replace(/^enc:/, ''))
+    }));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const deliveryUpdates = () => dbQuery.mock.calls
+    .filter(([sql]) => String(sql).includes('UPDATE webhook_deliveries'));
+
+  test('filters subscribers by event type, broker and user', () => {
+    const webhookService = require('../services/webhookService');
+    const event = { type: 'token.refreshed', data: { broker_type: 'ZERODHA', user_id: 'user-1' } };
+
+    expect(webhookService._matches({}, event)).toBe(true);
+    expect(webhookService._matches({ event_types: ['token.refreshed'], broker_types: ['ZERODHA'], user_ids: ['user-1'] }, event)).toBe(true);
+    expect(webhookService._matches({ event_types: ['credentials.updated'] }, event)).toBe(false);
+    expect(webhookService._matches({ broker_types: ['DHAN'] }, event)).toBe(false);
+    expect(webhookService._matches({ user_ids: ['user-2'] }, event)).toBe(false);
+  });
+
+  test('rejects invalid subscriptions and returns the generated secret once', async () => {
+    dbQuery.mockImplementation(async (sql, params) => ({
+      rows: [{ id: 1, url: params[0], event_types: params[3], broker_types: params[4], user_ids: params[5], is_active: true }]
+    }));
+    const webhookService = require('../services/webhookService');
+
+    await expect(webhookService.createSubscription({ url: 'ftp://example.com' })).rejects.toMatchObject({ statusCode: 400, code: 'WEBHOOK_INVALID' });
+    await expect(webhookService.createSubscription({ url: 'https://example.com/hook', eventTypes: ['token.expired'] }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'WEBHOOK_INVALID' });
+
+    const created = await webhookService.createSubscription({ url: 'https://example.com/hook', brokerTypes: ['dhan'] });
+
+    expect(created).toMatchObject({ id: 1, broker_types: ['DHAN'] });
+    expect(created.secret).toMatch(/^[a-f0-9]{64}$/);
+    expect(dbQuery.mock.calls[0][1][1]).toBe(`enc:${created.secret}`);
+  });
+
+  test('delivers signed events to matching subscribers', async () => {
+    subscriptions = [
+      { id: 1, url: 'https://a.example.com/hook', broker_types: ['ZERODHA'] },
+      { id: 2, url: 'https://b.example.com/hook', broker_types: ['DHAN'] }
+    ];
+    global.fetch = jest.fn(async () => ({ ok: true, status: 204 }));
+    const webhookService = require('../services/webhookService');
+    const event = { id: 'evt-1', type: 'token.refreshed', occurred_at: '2026-10-19T03:00:00.000Z', data: { broker_type: 'ZERODHA', user_id: 'user-1' } };
+
+    await expect(webhookService.handleEvent(event)).resolves.toBe(1);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://a.example.com/hook');
+    expect(request.headers['X-TokenBot-Event']).toBe('token.refreshed');
+    const expected = crypto.createHmac('sha256', 'subscriber-secret-0001')
+      .update(`${request.headers['X-TokenBot-Timestamp']}.${request.body}`)
+      .digest('hex');
+    expect(request.headers['X-TokenBot-Signature']).toBe(`sha256=${expected}`);
+    expect(JSON.parse(request.body)).toEqual(event);
+    expect(deliveryUpdates()[0][0]).toContain(`state = 'delivered'`);
+  });
+
+  test('NOTIFICATION_WEBHOOK_URL is only signed with its own secret, never the service API key', async () => {
+    process.env.NOTIFICATION_WEBHOOK_URL = 'https://ops.example.com/hook';
+    process.env.TOKENBOT_API_KEY = 'master-service-key';
+    global.fetch = jest.fn(async () => ({ ok: true, status: 204 }));
+    const event = { id: 'evt-3', type: 'token.refreshed', data: {} };
+
+    await expect(require('../services/webhookService').handleEvent(event)).resolves.toBe(0);
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    jest.resetModules();
+    process.env.NOTIFICATION_WEBHOOK_SECRET = 'ops-webhook-secret';
+    await expect(require('../services/webhookService').handleEvent(event)).resolves.toBe(1);
+    const [, request] = global.fetch.mock.calls[0];
+    const expected = crypto.createHmac('sha256', 'ops-webhook-secret')
+      .update(`${request.headers['X-TokenBot-Timestamp']}.${request.body}`)
+      .digest('hex');
+    expect(request.headers['X-TokenBot-Signature']).toBe(`sha256=${expected}`);
+  });
+
+  test('failed attempts stay pending with backoff until attempts run out', async () => {
+    subscriptions = [{ id: 1, url: 'https://a.example.com/hook' }];
+    global.fetch = jest.fn(async () => ({ ok: false, status: 503 }));
+    const webhookService = require('../services/webhookService');
+    const event = { id: 'evt-2', type: 'token.refresh_failed', data: {} };
+
+    await webhookService.handleEvent(event);
+    const [, firstParams] = deliveryUpdates()[0];
+    expect(firstParams).toEqual(['delivery-1', 'pending', 1, 503, 'HTTP 503', 30]);
+
+    await webhookService._attempt({ id: 'delivery-1', subscription_id: 1, event_type: event.type, event_id: event.id, url: 'https://a.example.com/hook', payload: event, attempts: 1 });
+    const [, secondParams] = deliveryUpdates()[1];
+    expect(secondParams.slice(1, 3)).toEqual(['failed', 2]);
+  });
+
+  test('retry passes claim one delivery per attempt and never overlap', async () => {
+    const due = ['delivery-a', 'delivery-b'];
+    const baseQuery = dbQuery.getMockImplementation();
+    dbQuery.mockImplementation(async (sql, params) => {
+      if (String(sql).includes('FOR UPDATE SKIP LOCKED')) {
+        const id = due.shift();
+        return { rows: id ? [{ id, subscription_id: 1, event_type: 'token.refreshed', url: 'https://a.example.com/hook', payload: {}, attempts: 1 }] : [] };
+      }
+      return baseQuery(sql, params);
+    });
+    let release;
+    global.fetch = jest.fn(async () => ({ ok: true, status: 204 }))
+      .mockImplementationOnce(() => new Promise((resolve) => { release = () => resolve({ ok: true, status: 204 }); }));
+    const webhookService = require('../services/webhookService');
+
+    const pass = webhookService.retryDue();
+    await new Promise((resolve) => setImmediate(resolve));
+    await expect(webhookService.retryDue()).resolves.toBe(0);
+    expect(dbQuery.mock.calls.filter(([sql]) => String(sql).includes('SKIP LOCKED'))).toHaveLength(1);
+
+    release();
+    await expect(pass).resolves.toBe(2);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('a failing event subscriber does not affect the publisher or other subscribers', async () => {
+    const tokenEvents = require('../services/tokenEvents');
+    const received = [];
+    const unsubscribeFailing = tokenEvents.onEvent(() => { throw new Error('boom'); });
+    const unsubscribe = tokenEvents.onEvent((event) => { received.push(event); });
+
+    const event = tokenEvents.publish('credentials.updated', { user_id: 'user-1', fields: ['password'] });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(received).toEqual([event]);
+    expect(() => tokenEvents.publish('token.expired')).toThrow('Unknown token event type');
+    unsubscribeFailing();
+    unsubscribe();
+  });
+});
@@ -0,0 +1,95 @@
+describe('ZerodhaTokenManager login strategy', () => {
+  let storedCredentials;
+  let browserFetcher;
+  let httpFetcher;
+
+  const tokenData = {
+    access_token: 'kite-token',
+    public_token: 'public',
+    login_time: '2026-01-02T03:00:00.000Z',
+    expires_at: '2026-01-02T18:29:00.000Z'
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    delete process.env.ZERODHA_LOGIN_STRATEGY;
+
+    storedCredentials = {
+      kite_user_id: 'AB1234',
+      encrypted_password: 'password',
+      encrypted_totp_secret: 'totp',
+      encrypted_api_key: 'key',
+      encrypted_api_secret: 'secret'
+    };
+    browserFetcher = { fetchAccessToken: jest.fn().mockResolvedValue(tokenData) };
+    httpFetcher = { fetchAccessToken: jest.fn().mockResolvedValue(tokenData) };
+
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    jest.doMock('../config/database', () => ({
+      query: jest.fn(() => Promise.resolve({ rows: [{ credentialsEncrypted: storedCredentials }] })),
+      getClient: jest.fn().mockResolvedValue(client)
+    }));
+    jest.doMock('../services/tokenFetcher', () => browserFetcher);
+    jest.doMock('../services/kiteHttpTokenFetcher', () => httpFetcher);
+    jest.doMock('../services/encryptor', () => ({
+      decryptCredential: jest.fn(async (value) => value),
+      encryptCredential: jest.fn(async (value) => value)
+    }));
+    jest.doMock('../utils/logger', () => ({
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn()
+    }));
+    jest.doMock('../utils/retry', () => ({
+      retryWithBackoff: jest.fn((fn) => fn())
+    }));
+  });
+
+  afterAll(() => {
+    delete process.env.ZERODHA_LOGIN_STRATEGY;
+  });
+
+  const refresh = () => {
+    const ZerodhaTokenManager = require('../services/token-managers/ZerodhaTokenManager');
+    return new ZerodhaTokenManager().refresh({ userId: 'user-1', connectionId: 'conn-1' });
+  };
+
+  test('defaults to the browser login', async () => {
+    const result = await refresh();
+
+    expect(result.success).toBe(true);
+    expect(browserFetcher.fetchAccessToken).toHaveBeenCalled();
+    expect(httpFetcher.fetchAccessToken).not.toHaveBeenCalled();
+  });
+
+  test('uses HTTP login when the connection selects it', async () => {
+    storedCredentials.login_strategy = 'http';
+
+    const result = await refresh();
+
+    expect(result.success).toBe(true);
+    expect(httpFetcher.fetchAccessToken).toHaveBeenCalledWith(expect.objectContaining({ kite_user_id: 'AB1234' }));
+    expect(browserFetcher.fetchAccessToken).not.toHaveBeenCalled();
+  });
+
+  test('does not fall back to the browser for the plain http strategy', async () => {
+    storedCredentials.login_strategy = 'http';
+    httpFetcher.fetchAccessToken.mockRejectedValue(new Error('Kite login failed: Invalid credentials'));
+
+    const result = await refresh();
+
+    expect(result.success).toBe(false);
+    expect(browserFetcher.fetchAccessToken).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the browser when http_then_browser HTTP login fails', async () => {
+    process.env.ZERODHA_LOGIN_STRATEGY = 'http_then_browser';
+    httpFetcher.fetchAccessToken.mockRejectedValue(new Error('Request token not found in redirect URL'));
+
+    const result = await refresh();
+
+    expect(result).toMatchObject({ success: true, access_token: 'kite-token' });
+    expect(httpFetcher.fetchAccessToken).toHaveBeenCalled();
+    expect(browserFetcher.fetchAccessToken).toHaveBeenCalled();
+  });
+});
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
+const apiKeyService = require('../services/apiKeyService');
+const requestSigning = require('../services/requestSigning');
 
 /**
  * Authenticate user using JWT token
@@ -61,28 +63,85 @@ function authenticateUser(req, res, next) {
 }
 
 /**
- * Authenticate internal service-to-service calls using API key
+ * Read the service API key from x-api-key or Authorization (with or without Bearer)
  */
-function authenticateService(req, res, next) {
-  const apiKey = req.headers['x-api-key'] || req.headers['authorization'];
-  
+function readServiceKey(req) {
+  const header = req.headers['x-api-key'] || req.headers['authorization'];
+  if (!header || typeof header !== 'string') return null;
+  return header.startsWith('Bearer ') ? header.substring(7).trim() : header.trim();
+}
+
+/**
+ * Authenticate a bare (unsigned) API key.
+ */
+async function authenticateApiKey(req) {
+  const apiKey = readServiceKey(req);
   if (!apiKey) {
-    return res.status(401).json({
-      success: false,
-      error: 'API key required'
-    });
+    return { status: 401, error: 'API key or request signature required', code: 'API_KEY_REQUIRED' };
   }
 
-  const expectedKey = process.env.TOKENBOT_API_KEY;
-  
-  if (apiKey !== expectedKey && apiKey !== `Bearer ${expectedKey}`) {
-    return res.status(403).json({
-      success: false,
-      error: 'Invalid API key'
-    });
+  const principal = await apiKeyService.authenticate(apiKey);
+  if (!principal) {
+    return { status: 401, error: 'Invalid, expired or revoked API key', code: 'API_KEY_INVALID' };
   }
 
-  next();
+  if (requestSigning.required || principal.requireSignature) {
+    return { status: 401, error: 'This API key must be used on signed requests', code: 'API_SIGNATURE_REQUIRED' };
+  }
+
+  return { principal };
+}
+
+/**
+ * Check a service call's request signature or API key against the scope it needs.
+ * Resolves to { principal } or { status, error, code } for the caller to send.
+ */
+async function checkServiceAuth(req, scope) {
+  const result = requestSigning.isSigned(req)
+    ? await requestSigning.verify(req)
+    : await authenticateApiKey(req);
+  const { principal } = result;
+  if (!principal) {
+    if (result.code !== 'API_KEY_REQUIRED') {
+      logger.warn(`🚫 Service auth rejected (${result.code}) for ${req.method} ${req.originalUrl || req.url}`);
+    }
+    return result;
+  }
+
+  if (scope && !apiKeyService.hasScope(principal, scope)) {
+    logger.warn(`🚫 API key "${principal.name}" lacks scope ${scope} for ${req.method} ${req.originalUrl || req.url}`);
+    return { status: 403, error: `API key lacks the ${scope} scope`, code: 'API_KEY_SCOPE_DENIED' };
+  }
+
+  return { principal };
+}
+
+/**
+ * Authenticate internal service-to-service calls with a signed request or a
+ * scoped API key. Sets req.serviceAuth to the key's principal.
+ */
+function requireServiceAuth(scope) {
+  return async (req, res, next) => {
+    try {
+      const result = await checkServiceAuth(req, scope);
+      if (!result.principal) {
+        return res.status(result.status).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+      req.serviceAuth = result.principal;
+      next();
+    } catch (error) {
+      logger.error('Service authentication error:', error.message);
+      return res.status(500).json({
+        success: false,
+        error: 'Authentication failed'
+      });
+    }
+  };
 }
 
 /**
@@ -113,7 +172,9 @@ function optionalAuth(req, res, next) {
 
 module.exports = {
   authenticateUser,
-  authenticateService,
+  readServiceKey,
+  checkServiceAuth,
+  requireServiceAuth,
   optionalAuth
 };
 
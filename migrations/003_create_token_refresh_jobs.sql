@@ -0,0 +1,30 @@
+-- Async token refresh jobs
+-- POST /api/tokens/refresh?async=true records a job here and returns 202;
+-- callers poll GET /api/tokens/refresh-jobs/:id for the outcome.
+
+CREATE TABLE IF NOT EXISTS token_refresh_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    broker_connection_id VARCHAR(255) NOT NULL,
+    user_id VARCHAR(255),
+    broker_type VARCHAR(50) NOT NULL,
+    account_id VARCHAR(255),
+    state VARCHAR(20) NOT NULL DEFAULT 'queued',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    correlation_id VARCHAR(255),
+    error_code VARCHAR(100),
+    error_message TEXT,
+    expires_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT token_refresh_jobs_state_check CHECK (state IN ('queued', 'running', 'succeeded', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_refresh_jobs_connection_state ON token_refresh_jobs(broker_connection_id, state);
+CREATE INDEX IF NOT EXISTS idx_token_refresh_jobs_created_at ON token_refresh_jobs(created_at);
+
+COMMENT ON TABLE token_refresh_jobs IS 'Async token refresh requests and their outcome';
+COMMENT ON COLUMN token_refresh_jobs.state IS 'queued | running | succeeded | failed';
+COMMENT ON COLUMN token_refresh_jobs.attempts IS 'Refresh attempts made for this job (lock contention is retried)';
+COMMENT ON COLUMN token_refresh_jobs.error_code IS 'Final error code when state = failed (e.g. REAUTH_REQUIRED, DHAN_CREDENTIALS_MISSING)';
@@ -0,0 +1,22 @@
+-- Durable refresh work queue
+-- token_refresh_jobs becomes the queue for both API and scheduler refreshes.
+-- Workers on any replica claim jobs with SELECT ... FOR UPDATE SKIP LOCKED and
+-- hold a lease (locked_until); a job whose lease lapses (worker crashed) is
+-- claimed again by another worker.
+
+ALTER TABLE token_refresh_jobs ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'api';
+ALTER TABLE token_refresh_jobs ADD COLUMN IF NOT EXISTS run_after TIMESTAMP NOT NULL DEFAULT NOW();
+ALTER TABLE token_refresh_jobs ADD COLUMN IF NOT EXISTS max_attempts INTEGER NOT NULL DEFAULT 3;
+ALTER TABLE token_refresh_jobs ADD COLUMN IF NOT EXISTS locked_by VARCHAR(255);
+ALTER TABLE token_refresh_jobs ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+-- At most one queued/running job per connection; enqueue relies on this for dedupe.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_token_refresh_jobs_active_connection
+    ON token_refresh_jobs(broker_connection_id)
+    WHERE state IN ('queued', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_token_refresh_jobs_claim ON token_refresh_jobs(state, run_after);
+
+COMMENT ON COLUMN token_refresh_jobs.source IS 'api | scheduler';
+COMMENT ON COLUMN token_refresh_jobs.run_after IS 'Earliest time a worker may claim the job (retry backoff)';
+COMMENT ON COLUMN token_refresh_jobs.locked_until IS 'Lease held by locked_by; expired leases are reclaimed';
@@ -0,0 +1,41 @@
+-- Refresh policies
+-- A row with broker_connection_id overrides one connection; a row with only
+-- broker_type is that broker's default. Unset (NULL) fields fall through to the
+-- next level: connection -> broker default -> registry default in code.
+-- Times are Asia/Kolkata wall-clock times.
+
+CREATE TABLE IF NOT EXISTS token_refresh_policies (
+    id SERIAL PRIMARY KEY,
+    broker_connection_id VARCHAR(255),
+    broker_type VARCHAR(50),
+    preferred_login_time TIME,
+    lead_time_minutes INTEGER,
+    stale_after_hours INTEGER,
+    max_attempts INTEGER,
+    quiet_hours_start TIME,
+    quiet_hours_end TIME,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT token_refresh_policies_scope_check CHECK (
+        (broker_connection_id IS NOT NULL AND broker_type IS NULL)
+        OR (broker_connection_id IS NULL AND broker_type IS NOT NULL)
+    ),
+    CONSTRAINT token_refresh_policies_lead_time_check CHECK (lead_time_minutes IS NULL OR lead_time_minutes >= 0),
+    CONSTRAINT token_refresh_policies_stale_check CHECK (stale_after_hours IS NULL OR stale_after_hours > 0),
+    CONSTRAINT token_refresh_policies_attempts_check CHECK (max_attempts IS NULL OR max_attempts > 0)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_token_refresh_policies_connection
+    ON token_refresh_policies(broker_connection_id)
+    WHERE broker_connection_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_token_refresh_policies_broker_default
+    ON token_refresh_policies(broker_type)
+    WHERE broker_connection_id IS NULL;
+
+COMMENT ON TABLE token_refresh_policies IS 'Per-connection / per-broker refresh scheduling policies';
+COMMENT ON COLUMN token_refresh_policies.preferred_login_time IS 'Daily login at or after this IST time if not yet logged in today';
+COMMENT ON COLUMN token_refresh_policies.lead_time_minutes IS 'Refresh tokens expiring within this many minutes';
+COMMENT ON COLUMN token_refresh_policies.stale_after_hours IS 'Connections without expiry are due this long after last auth';
+COMMENT ON COLUMN token_refresh_policies.max_attempts IS 'Attempts per scheduled refresh job';
+COMMENT ON COLUMN token_refresh_policies.quiet_hours_start IS 'No proactive refresh between start and end (IST) unless the token has expired';
@@ -0,0 +1,23 @@
+-- Market calendar
+-- Exchange holidays and special sessions (e.g. Muhurat trading) uploaded via
+-- POST /api/admin/market-calendar. The scheduler skips scheduled refreshes on
+-- weekends/holidays and logs in ahead of special sessions.
+
+CREATE TABLE IF NOT EXISTS market_calendar_days (
+    id SERIAL PRIMARY KEY,
+    exchange VARCHAR(10) NOT NULL,
+    day DATE NOT NULL,
+    type VARCHAR(20) NOT NULL,
+    description TEXT,
+    session_start TIME,
+    session_end TIME,
+    created_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT market_calendar_days_type_check CHECK (type IN ('HOLIDAY', 'SPECIAL_SESSION')),
+    CONSTRAINT market_calendar_days_session_check CHECK (type <> 'SPECIAL_SESSION' OR session_start IS NOT NULL),
+    CONSTRAINT uq_market_calendar_days UNIQUE (exchange, day, type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_market_calendar_days_day ON market_calendar_days(day);
+
+COMMENT ON TABLE market_calendar_days IS 'Exchange holidays and special trading sessions (IST)';
+COMMENT ON COLUMN market_calendar_days.session_start IS 'IST start of a special session (SPECIAL_SESSION only)';
@@ -0,0 +1,13 @@
+-- Scheduler job state
+-- Pausing is stored here rather than in the leader's memory so it applies to
+-- whichever replica holds scheduler leadership and survives failover/restarts.
+
+CREATE TABLE IF NOT EXISTS scheduler_job_state (
+    job_name VARCHAR(100) PRIMARY KEY,
+    paused BOOLEAN NOT NULL DEFAULT false,
+    pause_reason TEXT,
+    paused_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE scheduler_job_state IS 'Pause/resume state of scheduler cron jobs (expiring-<broker>)';
@@ -0,0 +1,30 @@
+-- Connection refresh health / quarantine
+-- Consecutive refresh failures per BrokerConnection. After
+-- TOKEN_REFRESH_QUARANTINE_THRESHOLD consecutive credential failures (wrong
+-- password/TOTP/PIN) the connection is QUARANTINED so no further logins are
+-- attempted until its credentials are updated or an admin lifts it.
+
+CREATE TABLE IF NOT EXISTS broker_connection_refresh_health (
+    broker_connection_id VARCHAR(255) PRIMARY KEY,
+    broker_type VARCHAR(50),
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    consecutive_credential_failures INTEGER NOT NULL DEFAULT 0,
+    last_failure_class VARCHAR(20),
+    last_failure_code VARCHAR(100),
+    last_failure_message TEXT,
+    last_failure_at TIMESTAMP,
+    last_success_at TIMESTAMP,
+    quarantined_at TIMESTAMP,
+    quarantine_reason TEXT,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT broker_connection_refresh_health_class_check CHECK (
+        last_failure_class IS NULL OR last_failure_class IN ('credential', 'transient')
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_broker_connection_refresh_health_quarantined
+    ON broker_connection_refresh_health(quarantined_at)
+    WHERE quarantined_at IS NOT NULL;
+
+COMMENT ON TABLE broker_connection_refresh_health IS 'Consecutive refresh failures and quarantine state per broker connection';
+COMMENT ON COLUMN broker_connection_refresh_health.consecutive_credential_failures IS 'Credential failures since the last successful refresh (transient failures do not reset it)';
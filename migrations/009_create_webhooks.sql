@@ -0,0 +1,47 @@
+-- Outbound webhooks
+-- Subscribers receive HMAC-signed token lifecycle events (token.refreshed,
+-- token.refresh_failed, connection.reauth_required, credentials.updated).
+-- Empty filter arrays mean "all". Deliveries double as the retry queue.
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id SERIAL PRIMARY KEY,
+    url TEXT NOT NULL,
+    secret_encrypted TEXT NOT NULL,
+    description TEXT,
+    event_types TEXT[] NOT NULL DEFAULT '{}',
+    broker_types TEXT[] NOT NULL DEFAULT '{}',
+    user_ids TEXT[] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    subscription_id INTEGER REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    url TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    state VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    locked_until TIMESTAMP,
+    last_status_code INTEGER,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    delivered_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT webhook_deliveries_state_check CHECK (state IN ('pending', 'delivered', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+    ON webhook_deliveries(next_attempt_at)
+    WHERE state = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+    ON webhook_deliveries(subscription_id, created_at DESC);
+
+COMMENT ON TABLE webhook_subscriptions IS 'Outbound webhook subscribers with event/broker/user filters';
+COMMENT ON TABLE webhook_deliveries IS 'Webhook delivery log and retry queue';
+COMMENT ON COLUMN webhook_deliveries.subscription_id IS 'NULL for the NOTIFICATION_WEBHOOK_URL subscriber';
@@ -0,0 +1,41 @@
+-- Bulk re-encryption jobs
+-- POST /api/admin/reencryption walks the credential and token columns and
+-- rewrites legacy CBC and retired-key ciphertexts with the active GCM key.
+-- Progress (per-table cursor and counts) is saved after every batch so an
+-- interrupted job resumes where it stopped; per-value failures are logged.
+
+CREATE TABLE IF NOT EXISTS reencryption_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    state VARCHAR(20) NOT NULL DEFAULT 'running',
+    target_key_id VARCHAR(20),
+    progress JSONB NOT NULL DEFAULT '{}'::jsonb,
+    worker_id VARCHAR(255),
+    requested_by VARCHAR(255),
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    started_at TIMESTAMP DEFAULT NOW(),
+    heartbeat_at TIMESTAMP DEFAULT NOW(),
+    finished_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT reencryption_jobs_state_check CHECK (state IN ('running', 'completed', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_reencryption_jobs_created_at ON reencryption_jobs(created_at);
+
+CREATE TABLE IF NOT EXISTS reencryption_failures (
+    id SERIAL PRIMARY KEY,
+    job_id UUID NOT NULL REFERENCES reencryption_jobs(id) ON DELETE CASCADE,
+    table_name VARCHAR(100) NOT NULL,
+    row_id VARCHAR(255) NOT NULL,
+    column_name VARCHAR(255) NOT NULL,
+    reason_code VARCHAR(100),
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT reencryption_failures_unique UNIQUE (job_id, table_name, row_id, column_name)
+);
+
+COMMENT ON TABLE reencryption_jobs IS 'Bulk upgrades of CBC / retired-key ciphertexts to the active GCM key';
+COMMENT ON COLUMN reencryption_jobs.progress IS 'Per table: { cursor, scanned, updated, reencrypted, failed, done }';
+COMMENT ON COLUMN reencryption_jobs.heartbeat_at IS 'Bumped after every batch; a running job with a stale heartbeat was interrupted and can be resumed';
+COMMENT ON TABLE reencryption_failures IS 'Values a re-encryption job could not decrypt or rewrite';
+COMMENT ON COLUMN reencryption_failures.column_name IS 'Column, or column.field for JSON credential blobs';
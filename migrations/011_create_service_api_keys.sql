@@ -0,0 +1,26 @@
+-- Scoped service API keys
+-- Callers authenticate with `X-API-Key: tbk_...` (or a Bearer header). Only a
+-- SHA-256 of the key is stored; the key itself is shown once, when minted via
+-- POST /api/admin/api-keys. Scopes: tokens:read, tokens:refresh,
+-- credentials:write, admin (admin implies every other scope).
+
+CREATE TABLE IF NOT EXISTS service_api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    created_by VARCHAR(255),
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_api_keys_created_at ON service_api_keys(created_at);
+
+COMMENT ON TABLE service_api_keys IS 'Hashed, scoped API keys for service-to-service calls';
+COMMENT ON COLUMN service_api_keys.key_prefix IS 'First characters of the key, to recognise it in listings and logs';
+COMMENT ON COLUMN service_api_keys.key_hash IS 'SHA-256 hex of the full key';
+COMMENT ON COLUMN service_api_keys.last_used_at IS 'Updated at most once a minute per key';
@@ -0,0 +1,11 @@
+-- HMAC request signing for service API keys
+-- A key minted with a signing secret can sign requests (X-TokenBot-Key-Id,
+-- -Timestamp, -Nonce, -Signature) instead of sending the key itself. The secret
+-- is stored encrypted with ENCRYPTION_KEY and shown once, when minted.
+-- require_signature keys are rejected when sent as a bare X-API-Key.
+
+ALTER TABLE service_api_keys ADD COLUMN IF NOT EXISTS signing_secret_encrypted TEXT;
+ALTER TABLE service_api_keys ADD COLUMN IF NOT EXISTS require_signature BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN service_api_keys.signing_secret_encrypted IS 'HMAC signing secret, encrypted with ENCRYPTION_KEY';
+COMMENT ON COLUMN service_api_keys.require_signature IS 'Only accept this key on signed requests';
@@ -0,0 +1,464 @@
+const express = require('express');
+const router = express.Router();
+const { requireServiceAuth } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const refreshPolicyService = require('../services/refreshPolicyService');
+const marketCalendar = require('../services/marketCalendar');
+const scheduler = require('../services/scheduler');
+const connectionQuarantine = require('../services/connectionQuarantine');
+const webhookService = require('../services/webhookService');
+const reencryptionService = require('../services/reencryptionService');
+const encryptor = require('../services/encryptor');
+const apiKeyService = require('../services/apiKeyService');
+
+router.use(requireServiceAuth('admin'));
+
+function sendError(res, error, context) {
+  const statusCode = error.statusCode || 500;
+  if (statusCode >= 500) {
+    logger.error(`Error ${context}:`, error);
+  }
+  res.status(statusCode).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+}
+
+/**
+ * GET /api/admin/refresh-policies
+ * List stored refresh policies (?brokerType, ?brokerConnectionId)
+ */
+router.get('/refresh-policies', async (req, res) => {
+  try {
+    const policies = await refreshPolicyService.list({
+      brokerType: req.query.brokerType,
+      brokerConnectionId: req.query.brokerConnectionId
+    });
+    res.json({ success: true, data: policies });
+  } catch (error) {
+    sendError(res, error, 'listing refresh policies');
+  }
+});
+
+/**
+ * GET /api/admin/refresh-policies/effective?brokerConnectionId=
+ * Policy the scheduler applies to a connection and where each field comes from
+ */
+router.get('/refresh-policies/effective', async (req, res) => {
+  try {
+    if (!req.query.brokerConnectionId) {
+      return res.status(400).json({ success: false, error: 'Missing required parameter: brokerConnectionId' });
+    }
+    const effective = await refreshPolicyService.getEffective(req.query.brokerConnectionId);
+    res.json({ success: true, data: effective });
+  } catch (error) {
+    sendError(res, error, 'resolving effective refresh policy');
+  }
+});
+
+/**
+ * PUT /api/admin/refresh-policies
+ * Create/update a connection policy ({ brokerConnectionId, ... }) or a broker
+ * default ({ brokerType, ... }). null clears a field back to the next level.
+ */
+router.put('/refresh-policies', async (req, res) => {
+  try {
+    const policy = await refreshPolicyService.upsert(req.body || {});
+    logger.info(`🗓️ Refresh policy saved for ${policy.broker_connection_id || `${policy.broker_type} default`}`);
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    sendError(res, error, 'saving refresh policy');
+  }
+});
+
+/**
+ * DELETE /api/admin/refresh-policies/:id
+ */
+router.delete('/refresh-policies/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid refresh policy id' });
+    }
+    const policy = await refreshPolicyService.remove(id);
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    sendError(res, error, 'deleting refresh policy');
+  }
+});
+
+/**
+ * GET /api/admin/market-calendar?year=
+ * Holidays and special sessions the scheduler currently knows about
+ */
+router.get('/market-calendar', async (req, res) => {
+  try {
+    await marketCalendar.ensureLoaded();
+    res.json({
+      success: true,
+      data: {
+        exchanges: marketCalendar.exchanges,
+        entries: marketCalendar.list(req.query.year || null)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'listing market calendar');
+  }
+});
+
+/**
+ * GET /api/admin/market-calendar/today
+ * Trading status of today's IST date (or ?date=YYYY-MM-DD)
+ */
+router.get('/market-calendar/today', async (req, res) => {
+  try {
+    await marketCalendar.ensureLoaded();
+    res.json({ success: true, data: marketCalendar.getDayStatus(req.query.date || new Date()) });
+  } catch (error) {
+    sendError(res, error, 'resolving market calendar day');
+  }
+});
+
+/**
+ * POST /api/admin/market-calendar?year=YYYY
+ * Replace a year's calendar. Body is the JSON calendar document, or CSV with
+ * Content-Type: text/csv (date,type,description,start,end,exchanges).
+ */
+router.post('/market-calendar', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  try {
+    const isCsv = typeof req.body === 'string';
+    const year = req.query.year || (!isCsv && req.body?.year);
+    if (!year) {
+      return res.status(400).json({ success: false, error: 'Missing required parameter: year' });
+    }
+
+    const entries = isCsv ? marketCalendar.parseCsv(req.body) : marketCalendar.parseJson(req.body || {});
+    const stored = await marketCalendar.replaceYear(year, entries);
+    res.json({
+      success: true,
+      data: {
+        year: parseInt(year, 10),
+        stored,
+        entries: marketCalendar.list(parseInt(year, 10))
+      }
+    });
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      error.statusCode = 400;
+      error.code = 'MARKET_CALENDAR_INVALID';
+    }
+    sendError(res, error, 'uploading market calendar');
+  }
+});
+
+/**
+ * GET /api/admin/scheduler/jobs?count=5
+ * Scheduler jobs with pause state and upcoming run times
+ */
+router.get('/scheduler/jobs', async (req, res) => {
+  try {
+    const jobs = await scheduler.listJobs({ count: req.query.count });
+    res.json({ success: true, data: jobs });
+  } catch (error) {
+    sendError(res, error, 'listing scheduler jobs');
+  }
+});
+
+/**
+ * POST /api/admin/scheduler/jobs/:name/trigger
+ * Run a job now (refresh-all, expiring-zerodha, expiring-dhan, ...), for every
+ * connection or only { connectionIds: [...] }. Refreshes go through the queue.
+ */
+router.post('/scheduler/jobs/:name/trigger', async (req, res) => {
+  try {
+    const results = await scheduler.triggerJob(req.params.name, {
+      connectionIds: req.body?.connectionIds ?? null
+    });
+    res.status(202).json({ success: true, data: results });
+  } catch (error) {
+    sendError(res, error, 'triggering scheduler job');
+  }
+});
+
+/**
+ * POST /api/admin/scheduler/jobs/:name/pause
+ * Stop scheduled runs of a job on every replica until resumed ({ reason })
+ */
+router.post('/scheduler/jobs/:name/pause', async (req, res) => {
+  try {
+    await scheduler.pauseJob(req.params.name, { reason: req.body?.reason });
+    const jobs = await scheduler.listJobs();
+    res.json({ success: true, data: jobs.find((job) => job.name === req.params.name.toLowerCase()) });
+  } catch (error) {
+    sendError(res, error, 'pausing scheduler job');
+  }
+});
+
+/**
+ * POST /api/admin/scheduler/jobs/:name/resume
+ */
+router.post('/scheduler/jobs/:name/resume', async (req, res) => {
+  try {
+    await scheduler.resumeJob(req.params.name);
+    const jobs = await scheduler.listJobs();
+    res.json({ success: true, data: jobs.find((job) => job.name === req.params.name.toLowerCase()) });
+  } catch (error) {
+    sendError(res, error, 'resuming scheduler job');
+  }
+});
+
+/**
+ * GET /api/admin/quarantine
+ * Connections quarantined after repeated credential failures
+ */
+router.get('/quarantine', async (req, res) => {
+  try {
+    const connections = await connectionQuarantine.listQuarantined();
+    res.json({ success: true, data: connections });
+  } catch (error) {
+    sendError(res, error, 'listing quarantined connections');
+  }
+});
+
+/**
+ * GET /api/admin/quarantine/:brokerConnectionId
+ * Refresh failure history of a connection
+ */
+router.get('/quarantine/:brokerConnectionId', async (req, res) => {
+  try {
+    const health = await connectionQuarantine.getHealth(req.params.brokerConnectionId);
+    if (!health) {
+      return res.status(404).json({ success: false, error: 'No refresh failures recorded for this connection' });
+    }
+    res.json({ success: true, data: health });
+  } catch (error) {
+    sendError(res, error, 'reading connection refresh health');
+  }
+});
+
+/**
+ * POST /api/admin/quarantine/:brokerConnectionId/release
+ * Lift a quarantine without a credential update ({ reason })
+ */
+router.post('/quarantine/:brokerConnectionId/release', async (req, res) => {
+  try {
+    const reason = req.body?.reason ? `Quarantine lifted by admin: ${req.body.reason}` : 'Quarantine lifted by admin';
+    const released = await connectionQuarantine.release({ connectionId: req.params.brokerConnectionId, reason });
+    if (released.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Broker connection ${req.params.brokerConnectionId} is not quarantined`,
+        code: 'CONNECTION_NOT_QUARANTINED'
+      });
+    }
+    logger.info(`🔓 Admin released quarantine on ${released[0]}`);
+    res.json({ success: true, data: { broker_connection_id: released[0], status: 'REAUTH_REQUIRED' } });
+  } catch (error) {
+    sendError(res, error, 'releasing quarantine');
+  }
+});
+
+function parseId(value) {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) ? id : null;
+}
+
+/**
+ * GET /api/admin/webhooks
+ * Webhook subscribers (secrets are never returned)
+ */
+router.get('/webhooks', async (req, res) => {
+  try {
+    res.json({ success: true, data: await webhookService.listSubscriptions() });
+  } catch (error) {
+    sendError(res, error, 'listing webhook subscriptions');
+  }
+});
+
+/**
+ * POST /api/admin/webhooks
+ * { url, secret?, description?, eventTypes?, brokerTypes?, userIds? } - empty filters match everything.
+ * The signing secret (generated when omitted) is only returned by this call.
+ */
+router.post('/webhooks', async (req, res) => {
+  try {
+    const subscription = await webhookService.createSubscription(req.body || {});
+    logger.info(`🪝 Webhook subscription ${subscription.id} created for ${subscription.url}`);
+    res.status(201).json({ success: true, data: subscription });
+  } catch (error) {
+    sendError(res, error, 'creating webhook subscription');
+  }
+});
+
+/**
+ * PATCH /api/admin/webhooks/:id
+ */
+router.patch('/webhooks/:id', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (id === null) {
+      return res.status(400).json({ success: false, error: 'Invalid webhook subscription id' });
+    }
+    res.json({ success: true, data: await webhookService.updateSubscription(id, req.body || {}) });
+  } catch (error) {
+    sendError(res, error, 'updating webhook subscription');
+  }
+});
+
+/**
+ * DELETE /api/admin/webhooks/:id
+ */
+router.delete('/webhooks/:id', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (id === null) {
+      return res.status(400).json({ success: false, error: 'Invalid webhook subscription id' });
+    }
+    res.json({ success: true, data: await webhookService.removeSubscription(id) });
+  } catch (error) {
+    sendError(res, error, 'deleting webhook subscription');
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/deliveries
+ * Delivery log (?subscriptionId, ?state=pending|delivered|failed, ?eventType, ?limit)
+ */
+router.get('/webhooks/deliveries', async (req, res) => {
+  try {
+    const deliveries = await webhookService.listDeliveries({
+      subscriptionId: req.query.subscriptionId,
+      state: req.query.state,
+      eventType: req.query.eventType,
+      limit: req.query.limit
+    });
+    res.json({ success: true, data: deliveries });
+  } catch (error) {
+    sendError(res, error, 'listing webhook deliveries');
+  }
+});
+
+const UUID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+/**
+ * GET /api/admin/encryption/keys
+ * Key ring fingerprints and the key provider's configuration (never key material)
+ */
+router.get('/encryption/keys', (req, res) => {
+  try {
+    res.json({ success: true, data: encryptor.getKeyRing() });
+  } catch (error) {
+    sendError(res, error, 'reading the encryption key ring');
+  }
+});
+
+/**
+ * GET /api/admin/reencryption
+ * Recent re-encryption jobs with per-table progress (?limit)
+ */
+router.get('/reencryption', async (req, res) => {
+  try {
+    res.json({ success: true, data: await reencryptionService.listJobs({ limit: req.query.limit }) });
+  } catch (error) {
+    sendError(res, error, 'listing re-encryption jobs');
+  }
+});
+
+/**
+ * POST /api/admin/reencryption
+ * Start re-encrypting CBC / retired-key ciphertexts with the active key ({ requestedBy })
+ */
+router.post('/reencryption', async (req, res) => {
+  try {
+    const job = await reencryptionService.start({ requestedBy: req.body?.requestedBy || null });
+    res.status(202).json({ success: true, data: job });
+  } catch (error) {
+    sendError(res, error, 'starting re-encryption');
+  }
+});
+
+/**
+ * GET /api/admin/reencryption/:id
+ * Job progress plus the values it could not re-encrypt (?failureLimit)
+ */
+router.get('/reencryption/:id', async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid re-encryption job id' });
+  }
+  try {
+    const job = await reencryptionService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Re-encryption job not found', code: 'REENCRYPTION_JOB_NOT_FOUND' });
+    }
+    const failures = await reencryptionService.listFailures(req.params.id, { limit: req.query.failureLimit });
+    res.json({ success: true, data: { ...job, failures } });
+  } catch (error) {
+    sendError(res, error, 'fetching re-encryption job');
+  }
+});
+
+/**
+ * POST /api/admin/reencryption/:id/resume
+ * Continue a failed or interrupted job from its saved cursors
+ */
+router.post('/reencryption/:id/resume', async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid re-encryption job id' });
+  }
+  try {
+    const job = await reencryptionService.resume(req.params.id);
+    res.status(202).json({ success: true, data: job });
+  } catch (error) {
+    sendError(res, error, 'resuming re-encryption');
+  }
+});
+
+/**
+ * GET /api/admin/api-keys
+ * Service API keys with their scopes and status (hashes are never returned)
+ */
+router.get('/api-keys', async (req, res) => {
+  try {
+    res.json({ success: true, data: await apiKeyService.list() });
+  } catch (error) {
+    sendError(res, error, 'listing API keys');
+  }
+});
+
+/**
+ * POST /api/admin/api-keys
+ * { name, scopes, expiresAt? | expiresInDays?, requireSignature? } - scopes: tokens:read, tokens:refresh,
+ * credentials:write, admin. The key and its signing secret are only returned by this call.
+ */
+router.post('/api-keys', async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.mint({
+      ...(req.body || {}),
+      createdBy: req.body?.createdBy || req.serviceAuth?.name || null
+    });
+    logger.info(`🔑 API key ${apiKey.id} (${apiKey.key_prefix}…) minted for "${apiKey.name}" with scopes ${apiKey.scopes.join(', ')}`);
+    res.status(201).json({ success: true, data: apiKey });
+  } catch (error) {
+    sendError(res, error, 'minting API key');
+  }
+});
+
+/**
+ * DELETE /api/admin/api-keys/:id
+ * Revoke a key; the row is kept for auditing
+ */
+router.delete('/api-keys/:id', async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid API key id' });
+  }
+  try {
+    const apiKey = await apiKeyService.revoke(req.params.id);
+    logger.info(`🔒 API key ${apiKey.id} ("${apiKey.name}") revoked`);
+    res.json({ success: true, data: apiKey });
+  } catch (error) {
+    sendError(res, error, 'revoking API key');
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,13 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const encryptor = require('../services/encryptor');
-const { authenticateUser } = require('../middleware/auth');
+const { authenticateUser, checkServiceAuth, requireServiceAuth } = require('../middleware/auth');
 const logger = require('../utils/logger');
 const { assertProductionSafeUserId } = require('../utils/userIdPolicy');
+const brokerRegistry = require('../services/token-managers');
+const connectionQuarantine = require('../services/connectionQuarantine');
+const tokenEvents = require('../services/tokenEvents');
+const tokenCache = require('../services/tokenCache');
 
 function resolveServiceUserId() {
   const candidate =
@@ -29,6 +33,44 @@ function resolveServiceUserId() {
   return null;
 }
 
+/**
+ * Encrypt one credential bound to its owner ({ userId } for the per-user
+ * tables, { connectionId } for BrokerConnection.credentialsEncrypted) and to
+ * the field it is stored under, so it cannot be copied elsewhere and still decrypt.
+ * Envelope-encrypted when ENCRYPTION_KEY_PROVIDER is set.
+ */
+function sealCredential(owner, field, value) {
+  return encryptor.encryptCredential(String(value), { context: { ...owner, field } });
+}
+
+/**
+ * Publish credentials.updated and lift any quarantine (new credentials are the
+ * user's answer to one) so the scheduler logs in again. Never fails the save.
+ */
+async function onCredentialsUpdated({ connectionId = null, userId, brokerType, fields = [] }) {
+  try {
+    tokenEvents.publish('credentials.updated', {
+      broker_connection_id: connectionId,
+      user_id: userId,
+      broker_type: brokerType,
+      fields
+    });
+  } catch (error) {
+    logger.warn(`⚠️ Could not publish credentials.updated for ${connectionId || `${userId}/${brokerType}`}: ${error.message}`);
+  }
+
+  try {
+    await connectionQuarantine.release({
+      connectionId,
+      userId,
+      brokerType,
+      reason: 'Credentials updated; login pending'
+    });
+  } catch (error) {
+    logger.warn(`⚠️ Could not lift quarantine after credential update for ${connectionId || `${userId}/${brokerType}`}: ${error.message}`);
+  }
+}
+
 /**
  * POST /api/credentials
  * Save/update user credentials (supports both user and service authentication)
@@ -45,21 +87,12 @@ router.post('/', async (req, res, next) => {
     }
     // Check if service-to-service call (backend endpoint)
     else if (req.body.user_id || req.query.user_id) {
-      // Verify service API key for service-to-service calls
-      const serviceApiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-      const expectedApiKey = process.env.SERVICE_API_KEY || process.env.TOKENBOT_API_KEY;
-
-      if (!expectedApiKey) {
-        return res.status(500).json({
-          success: false,
-          error: 'Service auth is not configured on TokenBot'
-        });
-      }
-
-      if (!serviceApiKey || serviceApiKey !== expectedApiKey) {
-        return res.status(401).json({
+      const serviceAuth = await checkServiceAuth(req, 'credentials:write');
+      if (!serviceAuth.principal) {
+        return res.status(serviceAuth.status).json({
           success: false,
-          error: 'Unauthorized service call'
+          error: serviceAuth.error,
+          code: serviceAuth.code
         });
       }
 
@@ -82,7 +115,8 @@ router.post('/', async (req, res, next) => {
       auto_refresh_enabled,
       brokerConnectionId,
       accountId,
-      accountLabel
+      accountLabel,
+      login_strategy
     } = req.body;
 
     logger.info(`📝 Saving credentials for user: ${safeUserId}`);
@@ -104,12 +138,20 @@ router.post('/', async (req, res, next) => {
       });
     }
 
+    if (login_strategy && !['http', 'browser', 'http_then_browser'].includes(login_strategy)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid login_strategy. Must be one of: http, browser, http_then_browser'
+      });
+    }
+
     // Encrypt sensitive data
+    const owner = { userId: safeUserId };
     const encrypted = {
-      password: encryptor.encrypt(password),
-      totp_secret: encryptor.encrypt(totp_secret),
-      api_key: encryptor.encrypt(api_key),
-      api_secret: encryptor.encrypt(api_secret)
+      password: await sealCredential(owner, 'encrypted_password', password),
+      totp_secret: await sealCredential(owner, 'encrypted_totp_secret', totp_secret),
+      api_key: await sealCredential(owner, 'encrypted_api_key', api_key),
+      api_secret: await sealCredential(owner, 'encrypted_api_secret', api_secret)
     };
 
     // Upsert credentials — always activate when full credentials are provided
@@ -138,12 +180,15 @@ router.post('/', async (req, res, next) => {
     logger.info(`✅ Credentials saved for user: ${safeUserId}`);
 
     if (brokerConnectionId && typeof brokerConnectionId === 'string' && brokerConnectionId.trim()) {
+      // Sealed again: the connection copy is bound to the connection, not the user.
+      const connection = { connectionId: brokerConnectionId.trim() };
       const connectionCredentialPayload = JSON.stringify({
         kite_user_id,
-        encrypted_password: encrypted.password,
-        encrypted_totp_secret: encrypted.totp_secret,
-        encrypted_api_key: encrypted.api_key,
-        encrypted_api_secret: encrypted.api_secret
+        encrypted_password: await sealCredential(connection, 'encrypted_password', password),
+        encrypted_totp_secret: await sealCredential(connection, 'encrypted_totp_secret', totp_secret),
+        encrypted_api_key: await sealCredential(connection, 'encrypted_api_key', api_key),
+        encrypted_api_secret: await sealCredential(connection, 'encrypted_api_secret', api_secret),
+        ...(login_strategy ? { login_strategy } : {})
       });
 
       const connectionUpdate = await db.query(`
@@ -173,6 +218,13 @@ router.post('/', async (req, res, next) => {
       }
     }
 
+    await onCredentialsUpdated({
+      connectionId: brokerConnectionId && typeof brokerConnectionId === 'string' ? brokerConnectionId.trim() || null : null,
+      userId: safeUserId,
+      brokerType: 'ZERODHA',
+      fields: ['kite_user_id', 'password', 'totp_secret', 'api_key', 'api_secret', ...(login_strategy ? ['login_strategy'] : [])]
+    });
+
     res.json({
       success: true,
       message: 'Credentials saved successfully',
@@ -187,19 +239,11 @@ router.post('/', async (req, res, next) => {
 
 /**
  * POST /api/credentials/dhan
- * Save/update Dhan broker credentials (service-to-service, API key auth).
+ * Save/update Dhan broker credentials (service-to-service, credentials:write API key).
  * Fields: user_id, client_id, password, api_key, api_secret, [totp_secret], [redirect_uri]
  */
-router.post('/dhan', async (req, res, next) => {
+router.post('/dhan', requireServiceAuth('credentials:write'), async (req, res, next) => {
   try {
-    // Service-to-service authentication
-    const serviceApiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-    const expectedApiKey = process.env.SERVICE_API_KEY || process.env.TOKENBOT_API_KEY;
-
-    if (!expectedApiKey || !serviceApiKey || serviceApiKey !== expectedApiKey) {
-      return res.status(401).json({ success: false, error: 'Unauthorized' });
-    }
-
     const {
       user_id: bodyUserId,
       client_id,
@@ -229,11 +273,12 @@ router.post('/dhan', async (req, res, next) => {
     }
 
     // Encrypt fields (password and secrets are optional for read-only API access)
+    const owner = { userId: safeUserId };
     const encrypted = {
-      api_key: encryptor.encrypt(api_key),
-      api_secret: api_secret ? encryptor.encrypt(api_secret) : null,
-      password: password ? encryptor.encrypt(password) : null,
-      totp_secret: totp_secret ? encryptor.encrypt(totp_secret) : null,
+      api_key: await sealCredential(owner, 'encrypted_api_key', api_key),
+      api_secret: api_secret ? await sealCredential(owner, 'encrypted_api_secret', api_secret) : null,
+      password: password ? await sealCredential(owner, 'encrypted_password', password) : null,
+      totp_secret: totp_secret ? await sealCredential(owner, 'encrypted_totp_secret', totp_secret) : null,
     };
 
     // Ensure dhan_user_credentials table exists
@@ -290,13 +335,14 @@ router.post('/dhan', async (req, res, next) => {
     logger.info(`✅ Dhan credentials saved for user: ${safeUserId}, client: ${client_id}`);
 
     if (broker_connection_id && typeof broker_connection_id === 'string' && broker_connection_id.trim()) {
+      const connection = { connectionId: broker_connection_id.trim() };
       const connectionCredentialPayload = JSON.stringify({
         client_id,
         dhan_user_id: dhan_user_id || client_id,
-        encrypted_api_key: encrypted.api_key,
-        encrypted_api_secret: encrypted.api_secret,
-        encrypted_password: encrypted.password,
-        encrypted_totp_secret: encrypted.totp_secret,
+        encrypted_api_key: await sealCredential(connection, 'encrypted_api_key', api_key),
+        encrypted_api_secret: api_secret ? await sealCredential(connection, 'encrypted_api_secret', api_secret) : null,
+        encrypted_password: password ? await sealCredential(connection, 'encrypted_password', password) : null,
+        encrypted_totp_secret: totp_secret ? await sealCredential(connection, 'encrypted_totp_secret', totp_secret) : null,
         redirect_uri: redirect_uri || null
       });
 
@@ -327,6 +373,13 @@ router.post('/dhan', async (req, res, next) => {
       }
     }
 
+    await onCredentialsUpdated({
+      connectionId: broker_connection_id && typeof broker_connection_id === 'string' ? broker_connection_id.trim() || null : null,
+      userId: safeUserId,
+      brokerType: 'DHAN',
+      fields: ['client_id', 'api_key', 'api_secret', 'password', 'totp_secret', 'redirect_uri'].filter((field) => req.body[field])
+    });
+
     res.json({
       success: true,
       message: 'Dhan credentials saved successfully',
@@ -339,6 +392,165 @@ router.post('/dhan', async (req, res, next) => {
   }
 });
 
+/**
+ * Shared handler for brokers whose credentials live only on
+ * BrokerConnection.credentialsEncrypted (service-to-service, credentials:write API key).
+ * `buildPayload(body, seal)` returns the fields to merge, encrypting secrets with
+ * `seal(field, value)` (bound to the connection); null fields are dropped so
+ * optional values saved earlier are kept.
+ */
+async function saveConnectionCredentials(req, res, { brokerType, required, optional = [], buildPayload }) {
+  const { label } = brokerRegistry.get(brokerType);
+  const { user_id: bodyUserId, broker_connection_id, accountId, accountLabel } = req.body;
+
+  const safeUserId = assertProductionSafeUserId(bodyUserId || resolveServiceUserId(), 'credentials');
+
+  if (!broker_connection_id || typeof broker_connection_id !== 'string' || !broker_connection_id.trim()) {
+    return res.status(400).json({ success: false, error: 'broker_connection_id is required' });
+  }
+
+  if (required.some((field) => !req.body[field])) {
+    return res.status(400).json({
+      success: false,
+      error: 'All credential fields are required',
+      required,
+      optional
+    });
+  }
+
+  const seal = (field, value) => sealCredential({ connectionId: broker_connection_id.trim() }, field, value);
+
+  const connectionUpdate = await db.query(`
+    UPDATE "BrokerConnection"
+    SET "credentialsEncrypted" = COALESCE("credentialsEncrypted", '{}'::jsonb) || $1::jsonb,
+        "accountId" = COALESCE($2, "accountId"),
+        "accountLabel" = COALESCE($3, "accountLabel"),
+        "isActive" = true,
+        "updatedAt" = NOW()
+    WHERE id = $4
+      AND "userId" = $5
+      AND "brokerType" = $6
+    RETURNING id, "userId" AS user_id, "accountId" AS account_id, "isActive" AS is_active
+  `, [
+    JSON.stringify(Object.fromEntries(
+      Object.entries(await buildPayload(req.body, seal)).filter(([, value]) => value !== null && value !== undefined)
+    )),
+    accountId || null,
+    accountLabel || null,
+    broker_connection_id.trim(),
+    safeUserId,
+    brokerType
+  ]);
+
+  if (connectionUpdate.rows.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: `broker_connection_id ${broker_connection_id} not found for user`
+    });
+  }
+
+  logger.info(`✅ ${label} credentials saved for user: ${safeUserId}, connection: ${broker_connection_id.trim()}`);
+  await onCredentialsUpdated({
+    connectionId: broker_connection_id.trim(),
+    userId: safeUserId,
+    brokerType,
+    fields: [...required, ...optional].filter((field) => req.body[field])
+  });
+
+  res.json({
+    success: true,
+    message: `${label} credentials saved successfully`,
+    data: connectionUpdate.rows[0]
+  });
+}
+
+/**
+ * POST /api/credentials/upstox
+ * Save/update Upstox credentials on a BrokerConnection (service-to-service, credentials:write API key).
+ * Fields: user_id, broker_connection_id, mobile_number, pin, totp_secret, api_key, api_secret, [redirect_uri]
+ */
+router.post('/upstox', requireServiceAuth('credentials:write'), async (req, res, next) => {
+  try {
+    await saveConnectionCredentials(req, res, {
+      brokerType: 'UPSTOX',
+      required: ['mobile_number', 'pin', 'totp_secret', 'api_key', 'api_secret'],
+      optional: ['redirect_uri'],
+      buildPayload: async (body, seal) => ({
+        mobile_number: String(body.mobile_number).trim(),
+        encrypted_pin: await seal('encrypted_pin', body.pin),
+        encrypted_totp_secret: await seal('encrypted_totp_secret', body.totp_secret),
+        encrypted_api_key: await seal('encrypted_api_key', body.api_key),
+        encrypted_api_secret: await seal('encrypted_api_secret', body.api_secret),
+        redirect_uri: body.redirect_uri || null
+      })
+    });
+  } catch (error) {
+    logger.error('Error saving Upstox credentials:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/credentials/angelone
+ * Save/update Angel One SmartAPI credentials on a BrokerConnection (service-to-service, credentials:write API key).
+ * Fields: user_id, broker_connection_id, client_code, mpin, totp_secret, api_key
+ */
+router.post('/angelone', requireServiceAuth('credentials:write'), async (req, res, next) => {
+  try {
+    await saveConnectionCredentials(req, res, {
+      brokerType: 'ANGELONE',
+      required: ['client_code', 'mpin', 'totp_secret', 'api_key'],
+      buildPayload: async (body, seal) => ({
+        client_code: String(body.client_code).trim(),
+        encrypted_mpin: await seal('encrypted_mpin', body.mpin),
+        encrypted_totp_secret: await seal('encrypted_totp_secret', body.totp_secret),
+        encrypted_api_key: await seal('encrypted_api_key', body.api_key)
+      })
+    });
+  } catch (error) {
+    logger.error('Error saving Angel One credentials:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/credentials/fyers
+ * Save/update Fyers API v3 credentials on a BrokerConnection (service-to-service, credentials:write API key).
+ * Fields: user_id, broker_connection_id, app_id, app_secret, pin, [fyers_id, totp_secret, redirect_uri]
+ * fyers_id/totp_secret are only needed when the refresh token has lapsed and a browser login is required.
+ */
+router.post('/fyers', requireServiceAuth('credentials:write'), async (req, res, next) => {
+  try {
+    await saveConnectionCredentials(req, res, {
+      brokerType: 'FYERS',
+      required: ['app_id', 'app_secret', 'pin'],
+      optional: ['fyers_id', 'totp_secret', 'redirect_uri'],
+      buildPayload: async (body, seal) => ({
+        app_id: String(body.app_id).trim(),
+        encrypted_app_secret: await seal('encrypted_app_secret', body.app_secret),
+        encrypted_pin: await seal('encrypted_pin', body.pin),
+        fyers_id: body.fyers_id ? String(body.fyers_id).trim() : null,
+        encrypted_totp_secret: body.totp_secret ? await seal('encrypted_totp_secret', body.totp_secret) : null,
+        redirect_uri: body.redirect_uri || null
+      })
+    });
+  } catch (error) {
+    logger.error('Error saving Fyers credentials:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/credentials/brokers
+ * List brokers TokenBot can refresh, with capabilities and default refresh policy
+ */
+router.get('/brokers', (req, res) => {
+  res.json({
+    success: true,
+    data: brokerRegistry.describe()
+  });
+});
+
 /**
  * GET /api/credentials/status
  * Get credential status (without sensitive data)
@@ -467,7 +679,7 @@ router.patch('/toggle', authenticateUser, async (req, res, next) => {
  * Allows web app to sync API key without needing all credentials
  * Service-to-service authentication only
  */
-router.patch('/api-key', async (req, res, next) => {
+router.patch('/api-key', requireServiceAuth('credentials:write'), async (req, res, next) => {
   // Verify table exists before attempting query
   try {
     const tableCheck = await db.query(`
@@ -494,24 +706,6 @@ router.patch('/api-key', async (req, res, next) => {
     });
   }
   try {
-    // Service-to-service authentication (no user auth required)
-    const serviceApiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-    const expectedApiKey = process.env.SERVICE_API_KEY || process.env.TOKENBOT_API_KEY;
-
-    if (!expectedApiKey) {
-      return res.status(500).json({
-        success: false,
-        error: 'Service auth is not configured on TokenBot'
-      });
-    }
-
-    if (!serviceApiKey || serviceApiKey !== expectedApiKey) {
-      return res.status(401).json({
-        success: false,
-        error: 'Unauthorized service call'
-      });
-    }
-
     const requestedUserId = req.body.user_id || req.query.user_id || resolveServiceUserId();
     const user_id = assertProductionSafeUserId(requestedUserId, 'credentials');
     const { api_key, api_secret } = req.body;
@@ -538,9 +732,10 @@ router.patch('/api-key', async (req, res, next) => {
 
       // Create minimal credentials - API key is required, other fields can be set later
       // Use placeholder values that will be updated when full credentials are created
+      const owner = { userId: user_id };
       const encrypted = {
-        api_key: encryptor.encrypt(api_key),
-        ...(api_secret && { api_secret: encryptor.encrypt(api_secret) })
+        api_key: await sealCredential(owner, 'encrypted_api_key', api_key),
+        ...(api_secret && { api_secret: await sealCredential(owner, 'encrypted_api_secret', api_secret) })
       };
 
       try {
@@ -562,10 +757,10 @@ router.patch('/api-key', async (req, res, next) => {
         `, [
           user_id,
           'pending', // Placeholder - will be updated when full credentials are created
-          encryptor.encrypt('pending'), // Placeholder
-          encryptor.encrypt('pending'), // Placeholder
+          await sealCredential(owner, 'encrypted_password', 'pending'), // Placeholder
+          await sealCredential(owner, 'encrypted_totp_secret', 'pending'), // Placeholder
           encrypted.api_key,
-          encrypted.api_secret || encryptor.encrypt('pending')
+          encrypted.api_secret || await sealCredential(owner, 'encrypted_api_secret', 'pending')
         ]);
         logger.info(`✅ Created minimal credentials for user ${user_id} with API key. Full credentials can be added later.`);
       } catch (createError) {
@@ -579,8 +774,8 @@ router.patch('/api-key', async (req, res, next) => {
 
     // Encrypt API key (and optionally API secret)
     const encrypted = {
-      api_key: encryptor.encrypt(api_key),
-      ...(api_secret && { api_secret: encryptor.encrypt(api_secret) })
+      api_key: await sealCredential({ userId: user_id }, 'encrypted_api_key', api_key),
+      ...(api_secret && { api_secret: await sealCredential({ userId: user_id }, 'encrypted_api_secret', api_secret) })
     };
 
     // Build update query dynamically
@@ -620,9 +815,15 @@ router.patch('/api-key', async (req, res, next) => {
       const fallbackDelete = await db.query(`DELETE FROM stored_tokens WHERE user_id = $1`, [user_id]);
       invalidatedCount = fallbackDelete.rowCount || 0;
     }
+    tokenCache.invalidateUser(user_id, 'ZERODHA');
     logger.info(`🗑️ Invalidated ${invalidatedCount} token row(s) after API key update for user: ${user_id}`);
 
     logger.info(`✅ API key updated successfully for user: ${user_id}`);
+    await onCredentialsUpdated({
+      userId: user_id,
+      brokerType: 'ZERODHA',
+      fields: ['api_key', ...(api_secret ? ['api_secret'] : [])]
+    });
 
     res.json({
       success: true,
@@ -636,20 +837,43 @@ router.patch('/api-key', async (req, res, next) => {
   }
 });
 
+/**
+ * Move one user's rows of a per-user credential table to another user,
+ * re-sealing each encrypted_* column under the new owner.
+ * @returns {Promise<number>} rows moved
+ */
+async function migrateCredentialRows(client, table, oldUserId, newUserId) {
+  const { rows } = await client.query(`SELECT * FROM ${table} WHERE user_id = $1 FOR UPDATE`, [oldUserId]);
+
+  for (const row of rows) {
+    const params = [row.id, newUserId];
+    const assignments = [];
+    for (const column of Object.keys(row).filter((name) => name.startsWith('encrypted_'))) {
+      if (!row[column]) continue;
+      const value = await encryptor.decryptCredential(row[column], {
+        allowLegacy: true,
+        context: { userId: oldUserId, field: column }
+      });
+      params.push(await sealCredential({ userId: newUserId }, column, value));
+      assignments.push(`${column} = $${params.length}`);
+    }
+
+    await client.query(`
+      UPDATE ${table}
+      SET user_id = $2, ${assignments.map((assignment) => `${assignment}, `).join('')}updated_at = NOW()
+      WHERE id = $1
+    `, params);
+  }
+  return rows.length;
+}
+
 /**
  * POST /api/credentials/migrate
  * Migrate all credentials from an old user_id to a new user_id
  * Service-to-service authentication only
  */
-router.post('/migrate', async (req, res, next) => {
+router.post('/migrate', requireServiceAuth('credentials:write'), async (req, res, next) => {
   try {
-    const serviceApiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-    const expectedApiKey = process.env.SERVICE_API_KEY || process.env.TOKENBOT_API_KEY;
-
-    if (!expectedApiKey || !serviceApiKey || serviceApiKey !== expectedApiKey) {
-      return res.status(401).json({ success: false, error: 'Unauthorized' });
-    }
-
     const { oldUserId, newUserId } = req.body;
     if (!oldUserId || !newUserId) {
       return res.status(400).json({ success: false, error: 'oldUserId and newUserId are required' });
@@ -657,17 +881,18 @@ router.post('/migrate', async (req, res, next) => {
 
     logger.info(`🚚 Migrating credentials from ${oldUserId} to ${newUserId}`);
 
+    // Credentials are sealed to their owner, so moving a row means re-sealing
+    // every encrypted_* column under the new user; all or nothing.
+    const client = await db.getClient();
     let zerodhaCount = 0;
+    let dhanCount = 0;
     try {
-      const result = await db.query(`
-        UPDATE kite_user_credentials
-        SET user_id = $2, updated_at = NOW()
-        WHERE user_id = $1
-      `, [oldUserId, newUserId]);
-      zerodhaCount = result.rowCount;
+      await client.query('BEGIN');
+      zerodhaCount = await migrateCredentialRows(client, 'kite_user_credentials', oldUserId, newUserId);
+      dhanCount = await migrateCredentialRows(client, 'dhan_user_credentials', oldUserId, newUserId);
       // Also migrate stored token ownership markers if any
-      await db.query(`UPDATE stored_tokens SET user_id = $2 WHERE user_id = $1`, [oldUserId, newUserId]);
-      await db.query(`
+      await client.query(`UPDATE stored_tokens SET user_id = $2 WHERE user_id = $1`, [oldUserId, newUserId]);
+      await client.query(`
         UPDATE stored_tokens
         SET broker_connection_id = regexp_replace(
           broker_connection_id,
@@ -676,20 +901,12 @@ router.post('/migrate', async (req, res, next) => {
         )
         WHERE broker_connection_id LIKE 'legacy:' || $1 || ':%'
       `, [oldUserId, newUserId]);
-    } catch (e) {
-      logger.warn(`Failed to migrate Zerodha credentials: ${e.message}`);
-    }
-
-    let dhanCount = 0;
-    try {
-      const result = await db.query(`
-        UPDATE dhan_user_credentials
-        SET user_id = $2, updated_at = NOW()
-        WHERE user_id = $1
-      `, [oldUserId, newUserId]);
-      dhanCount = result.rowCount;
-    } catch (e) {
-      logger.warn(`Failed to migrate Dhan credentials: ${e.message}`);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => { });
+      throw error;
+    } finally {
+      client.release();
     }
 
     res.json({
@@ -3,6 +3,12 @@ const router = express.Router();
 const db = require('../config/database');
 const logger = require('../utils/logger');
 const distributedLock = require('../services/distributedLock');
+const brokerRegistry = require('../services/token-managers');
+const leaderElection = require('../services/leaderElection');
+const tokenEvents = require('../services/tokenEvents');
+const tokenCache = require('../services/tokenCache');
+const encryptor = require('../services/encryptor');
+const { requireServiceAuth } = require('../middleware/auth');
 
 // Safely import browserPool - don't crash if it fails to load
 let browserPool = null;
@@ -107,6 +113,13 @@ router.get('/', async (req, res) => {
     }
   }
 
+  let schedulerStatus = null;
+  try {
+    schedulerStatus = await leaderElection.getStatus();
+  } catch (leaderError) {
+    logger.warn(`⚠️ Scheduler leader status unavailable: ${leaderError.message}`);
+  }
+
   const browserPoolStats = browserPool ? browserPool.getStats() : { error: 'not_available' };
   const breakerState = browserPoolStats?.circuitBreaker?.state || 'UNKNOWN';
   const breakerOpen = breakerState === 'OPEN';
@@ -145,7 +158,13 @@ router.get('/', async (req, res) => {
     },
     browser_pool: browserPoolStats,
     token_refresh: tokenRefreshHealth,
-    distributed_locks: distributedLock.getStatus()
+    distributed_locks: distributedLock.getStatus(),
+    token_events: tokenEvents.getStatus(),
+    token_cache: tokenCache.getStats(),
+    // Fingerprints and provider settings are on GET /api/admin/encryption/keys.
+    encryption_keys: { keyProvider: encryptor.getKeyProviderName(), keys: encryptor.getKeyRing().keys.length },
+    scheduler: schedulerStatus,
+    supported_brokers: brokerRegistry.describe()
   });
 });
 
@@ -360,23 +379,7 @@ router.get('/schema', async (req, res) => {
  * POST /health/migrate
  * Force run database migrations (for debugging/recovery)
  */
-router.post('/migrate', async (req, res) => {
-  const apiKey = req.headers['x-api-key'];
-  // Accept the known TokenBot API key (same one used for other endpoints)
-  const validKeys = [
-    process.env.JWT_SECRET,
-    process.env.TOKENBOT_API_KEY,
-    process.env.SERVICE_API_KEY
-  ].filter(Boolean);
-  
-  // Require API key for security
-  if (!apiKey || !validKeys.includes(apiKey)) {
-    return res.status(401).json({
-      success: false,
-      error: 'Unauthorized - API key required'
-    });
-  }
-
+router.post('/migrate', requireServiceAuth('admin'), async (req, res) => {
   try {
     logger.info('🔄 [HEALTH] Force migration requested...');
     
@@ -417,18 +420,7 @@ router.post('/migrate', async (req, res) => {
  * POST /health/optimize
  * Run safe database optimizations (non-destructive)
  */
-router.post('/optimize', async (req, res) => {
-  const apiKey = req.headers['x-api-key'];
-  const validKeys = [
-    process.env.JWT_SECRET,
-    process.env.TOKENBOT_API_KEY,
-    process.env.SERVICE_API_KEY
-  ].filter(Boolean);
-  
-  if (!apiKey || !validKeys.includes(apiKey)) {
-    return res.status(401).json({ success: false, error: 'Unauthorized' });
-  }
-
+router.post('/optimize', requireServiceAuth('admin'), async (req, res) => {
   const results = {
     extensions: [],
     indexes: [],
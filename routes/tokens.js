@@ -2,7 +2,9 @@ const express = require('express');
 const { randomUUID } = require('crypto');
 const router = express.Router();
 const tokenManager = require('../services/tokenManager');
-const { authenticateUser, authenticateService } = require('../middleware/auth');
+const tokenEvents = require('../services/tokenEvents');
+const refreshJobService = require('../services/refreshJobService');
+const { authenticateUser, checkServiceAuth, optionalAuth, requireServiceAuth } = require('../middleware/auth');
 const logger = require('../utils/logger');
 const { assertProductionSafeUserId, normalizeUserId } = require('../utils/userIdPolicy');
 
@@ -41,6 +43,40 @@ function resolveCorrelationId(req) {
   return randomUUID();
 }
 
+function isTruthyFlag(value) {
+  return ['1', 'true', 'yes'].includes(String(value || '').toLowerCase());
+}
+
+/**
+ * Bounded wait for ?ensureFresh=true; callers may ask for less than the
+ * configured ceiling (TOKEN_ENSURE_FRESH_MAX_WAIT_MS) but never more.
+ */
+function resolveEnsureFreshWaitMs(requested) {
+  const ceiling = Math.max(1000, parseInt(process.env.TOKEN_ENSURE_FRESH_MAX_WAIT_MS || '20000', 10));
+  const parsed = parseInt(requested, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.min(parsed, ceiling) : ceiling;
+}
+
+/**
+ * POST /refresh runs async when asked via ?async=true, body.async or
+ * `Prefer: respond-async`.
+ */
+function wantsAsyncRefresh(req) {
+  return (
+    isTruthyFlag(req.body?.async) ||
+    isTruthyFlag(req.query?.async) ||
+    /respond-async/i.test(String(req.headers?.prefer || ''))
+  );
+}
+
+// Events that change which token a connection holds.
+const STREAM_EVENT_TYPES = ['token.updated', 'connection.reauth_required'];
+const STREAM_HEARTBEAT_MS = Math.max(5000, parseInt(process.env.TOKEN_STREAM_HEARTBEAT_MS || '25000', 10));
+
+function writeStreamEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
 function resolveConnectionId(req) {
   const direct =
     req.body?.brokerConnectionId ||
@@ -73,25 +109,16 @@ router.post('/refresh', async (req, res, next) => {
     }
     // Check if service-to-service call (backend endpoint)
     else if (req.body.user_id || req.query.user_id || connectionId) {
-      // Verify service API key for service-to-service calls
-      const serviceApiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-      const expectedApiKey = process.env.SERVICE_API_KEY || process.env.TOKENBOT_API_KEY;
-
-      if (!expectedApiKey) {
-        return res.status(500).json({
-          success: false,
-          error: 'Service auth is not configured on TokenBot',
-          correlationId
-        });
-      }
-
-      if (!serviceApiKey || serviceApiKey !== expectedApiKey) {
-        return res.status(401).json({
+      const serviceAuth = await checkServiceAuth(req, 'tokens:refresh');
+      if (!serviceAuth.principal) {
+        return res.status(serviceAuth.status).json({
           success: false,
-          error: 'Unauthorized service call',
+          error: serviceAuth.error,
+          code: serviceAuth.code,
           correlationId
         });
       }
+      req.serviceAuth = serviceAuth.principal;
 
       user_id = req.body.user_id || req.query.user_id || null;
     } else {
@@ -117,6 +144,30 @@ router.post('/refresh', async (req, res, next) => {
 
     logger.info(`🔄 Token refresh requested for user: ${user_id || 'resolved-via-connection'} (connection: ${connectionId || 'none'})`);
 
+    if (wantsAsyncRefresh(req)) {
+      const { job, deduplicated } = await refreshJobService.enqueue({
+        userId: user_id,
+        brokerType,
+        accountId,
+        brokerConnectionId: connectionId,
+        correlationId
+      });
+      const statusUrl = `${req.baseUrl || '/api/tokens'}/refresh-jobs/${job.id}`;
+
+      res.setHeader('Location', statusUrl);
+      return res.status(202).json({
+        success: true,
+        message: deduplicated ? 'Refresh already in progress' : 'Token refresh queued',
+        correlationId,
+        data: {
+          job_id: job.id,
+          state: job.state,
+          deduplicated,
+          status_url: statusUrl
+        }
+      });
+    }
+
     const tokenData = await tokenManager.refreshTokenForUser({
       userId: user_id,
       brokerType,
@@ -142,11 +193,16 @@ router.post('/refresh', async (req, res, next) => {
     logger.error(`Error refreshing token [ref: ${correlationId}]:`, error);
 
     // Provide user-friendly error messages
+    const isCredentialsMissing = String(error.code || '').endsWith('_CREDENTIALS_MISSING');
+    const isQuarantined = error.code === 'CONNECTION_QUARANTINED' || error.quarantined === true;
     let errorMessage = error.message;
     let statusCode = error.statusCode || 500;
     let retryAfterMs = error.retryAfterMs || null;
 
-    if (error.message.includes('No active credentials')) {
+    if (error.code === 'CONNECTION_QUARANTINED') {
+      statusCode = 423;
+      retryAfterMs = null;
+    } else if (error.message.includes('No active credentials')) {
       errorMessage = 'Please configure your broker credentials first';
       statusCode = 404;
     } else if (error.message.includes('incomplete') || error.message.includes('incomplete')) {
@@ -175,9 +231,13 @@ router.post('/refresh', async (req, res, next) => {
     } else if (error.code === 'BROKER_CONNECTION_USER_MISMATCH') {
       statusCode = 403;
       retryAfterMs = null;
-    } else if (error.code === 'DHAN_CREDENTIALS_MISSING') {
+    } else if (isCredentialsMissing) {
       statusCode = error.statusCode || 422;
-      errorMessage = 'DHAN_CREDENTIALS_MISSING';
+      errorMessage = error.code;
+      retryAfterMs = null;
+    } else if (error.code === 'REAUTH_REQUIRED') {
+      statusCode = 401;
+      errorMessage = error.code;
       retryAfterMs = null;
     }
 
@@ -190,9 +250,10 @@ router.post('/refresh', async (req, res, next) => {
       error: errorMessage,
       correlationId,
       retry_after_ms: retryAfterMs,
-      guidance: error.code === 'DHAN_CREDENTIALS_MISSING'
+      guidance: isCredentialsMissing
         ? (error.guidance || 'Reconnect and save credentials')
-        : undefined,
+        : (error.code === 'REAUTH_REQUIRED' || isQuarantined ? error.guidance : undefined),
+      quarantined: isQuarantined || undefined,
       hint: error.message.includes('incomplete') ? 'Use POST /api/credentials with all required fields (kite_user_id, password, totp_secret, api_key, api_secret) to complete credential setup.' : undefined
     });
   }
@@ -245,7 +306,7 @@ router.get('/status', authenticateUser, async (req, res, next) => {
  * GET /api/tokens/current
  * Get current token for a user
  */
-router.get('/current', authenticateService, async (req, res, next) => {
+router.get('/current', requireServiceAuth('tokens:read'), async (req, res, next) => {
   const correlationId = resolveCorrelationId(req);
   res.setHeader('x-correlation-id', correlationId);
 
@@ -266,12 +327,45 @@ router.get('/current', authenticateService, async (req, res, next) => {
 
     logger.info(`🔍 Getting current token for user: ${safeUserId || 'resolved-via-connection'} (Broker: ${brokerType || 'Default'}, connection: ${connectionId || 'none'})`);
 
-    const tokenData = await tokenManager.getCurrentToken({
+    const lookup = {
       userId: safeUserId,
       brokerType: String(brokerType || 'ZERODHA').toUpperCase(),
       accountId,
       brokerConnectionId: connectionId
-    });
+    };
+
+    let tokenData = null;
+    let validation = null;
+    let freshness = null;
+
+    if (isTruthyFlag(req.query.ensureFresh)) {
+      const fresh = await tokenManager.getFreshToken(
+        { ...lookup, correlationId },
+        { maxWaitMs: resolveEnsureFreshWaitMs(req.query.maxWaitMs) }
+      );
+
+      if (fresh.status === 'pending') {
+        res.setHeader('Retry-After', Math.max(1, Math.ceil(fresh.retryAfterMs / 1000)));
+        return res.status(202).json({
+          success: false,
+          status: 'refresh_pending',
+          message: 'Token refresh in progress; retry shortly',
+          retry_after_ms: fresh.retryAfterMs,
+          correlationId
+        });
+      }
+
+      freshness = { status: fresh.status, refreshed: fresh.status === 'refreshed' };
+      tokenData = fresh.token;
+    }
+
+    if (isTruthyFlag(req.query.validate)) {
+      const { token, ...validationResult } = await tokenManager.validateToken(lookup);
+      tokenData = token;
+      validation = validationResult;
+    } else if (!freshness) {
+      tokenData = await tokenManager.getCurrentToken(lookup);
+    }
 
     if (!tokenData) {
       return res.status(404).json({
@@ -281,10 +375,25 @@ router.get('/current', authenticateService, async (req, res, next) => {
       });
     }
 
+    if (validation?.valid === false) {
+      return res.status(401).json({
+        success: false,
+        error: 'Token rejected by broker; connection flagged REAUTH_REQUIRED',
+        code: 'REAUTH_REQUIRED',
+        correlationId,
+        validation
+      });
+    }
+
     res.json({
       success: true,
       correlationId,
-      data: tokenData
+      data: {
+        ...tokenData,
+        token_fingerprint: tokenManager.fingerprintToken(tokenData.access_token),
+        ...(freshness ? { freshness } : {}),
+        ...(validation ? { validation } : {})
+      }
     });
 
   } catch (error) {
@@ -297,22 +406,261 @@ router.get('/current', authenticateService, async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/tokens/validate
+ * Check the stored token against the broker's profile endpoint.
+ * Rejected tokens flag the BrokerConnection REAUTH_REQUIRED.
+ */
+router.post('/validate', requireServiceAuth('tokens:read'), async (req, res, next) => {
+  const correlationId = resolveCorrelationId(req);
+  res.setHeader('x-correlation-id', correlationId);
+
+  try {
+    const connectionId = resolveConnectionId(req);
+    const user_id = normalizeUserId(req.body.user_id || req.query.user_id);
+    const brokerType = req.body.brokerType || req.query.brokerType;
+    const accountId = req.body.accountId || req.query.accountId;
+
+    if (!user_id && !connectionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: brokerConnectionId or user_id',
+        correlationId
+      });
+    }
+
+    const { token, ...validation } = await tokenManager.validateToken({
+      userId: user_id ? assertProductionSafeUserId(user_id, 'validate') : null,
+      brokerType: String(brokerType || 'ZERODHA').toUpperCase(),
+      accountId,
+      brokerConnectionId: connectionId
+    });
+
+    res.json({
+      success: true,
+      correlationId,
+      data: {
+        ...validation,
+        expires_at: token?.expires_at || null
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error validating token [ref: ${correlationId}]:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      correlationId
+    });
+  }
+});
+
+/**
+ * POST /api/tokens/report-invalid
+ * A consumer saw the broker reject a token. Flags the connection and queues an
+ * immediate refresh job, but only if the connection still holds that token.
+ * Body: { brokerConnectionId, brokerType?, tokenFingerprint, reason? }
+ */
+router.post('/report-invalid', requireServiceAuth('tokens:refresh'), async (req, res, next) => {
+  const correlationId = resolveCorrelationId(req);
+  res.setHeader('x-correlation-id', correlationId);
+
+  try {
+    const connectionId = resolveConnectionId(req);
+    const tokenFingerprint = req.body.tokenFingerprint || req.body.token_fingerprint;
+
+    if (!connectionId || !tokenFingerprint) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: brokerConnectionId and tokenFingerprint',
+        correlationId
+      });
+    }
+
+    const result = await tokenManager.reportInvalidToken({
+      brokerConnectionId: connectionId,
+      brokerType: String(req.body.brokerType || 'ZERODHA').toUpperCase(),
+      tokenFingerprint,
+      reason: req.body.reason,
+      correlationId
+    });
+
+    res.status(result.status === 'accepted' ? 202 : 200).json({
+      success: true,
+      correlationId,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error(`Error handling invalid-token report [ref: ${correlationId}]:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      correlationId
+    });
+  }
+});
+
+/**
+ * GET /api/tokens/refresh-jobs/:id
+ * Poll an async refresh started with POST /api/tokens/refresh?async=true
+ */
+router.get('/refresh-jobs/:id', requireServiceAuth('tokens:read'), async (req, res, next) => {
+  const correlationId = resolveCorrelationId(req);
+  res.setHeader('x-correlation-id', correlationId);
+
+  try {
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid refresh job id',
+        correlationId
+      });
+    }
+
+    const job = await refreshJobService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Refresh job not found',
+        correlationId
+      });
+    }
+
+    if (job.state === 'queued' || job.state === 'running') {
+      res.setHeader('Retry-After', 5);
+    }
+
+    res.json({
+      success: true,
+      correlationId,
+      data: job
+    });
+
+  } catch (error) {
+    logger.error(`Error fetching refresh job [ref: ${correlationId}]:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      correlationId
+    });
+  }
+});
+
+/**
+ * GET /api/tokens/stream (Service, Server-Sent Events)
+ * Push token.updated / connection.reauth_required for one connection
+ * (brokerConnectionId) or a user's connections (user_id, optional brokerType).
+ * Payloads carry the token fingerprint, never the token; fetch it from
+ * /api/tokens/current. Reconnects with Last-Event-ID replay missed events, or
+ * get a `resync` event when they are no longer in history.
+ */
+router.get('/stream', requireServiceAuth('tokens:read'), (req, res) => {
+  const correlationId = resolveCorrelationId(req);
+  res.setHeader('x-correlation-id', correlationId);
+
+  let scope;
+  try {
+    const connectionId = resolveConnectionId(req);
+    const userId = normalizeUserId(req.query.user_id);
+
+    if (!userId && !connectionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: brokerConnectionId or user_id',
+        correlationId
+      });
+    }
+
+    scope = {
+      connectionId: connectionId ? String(connectionId) : null,
+      userId: userId ? assertProductionSafeUserId(userId, 'stream') : null,
+      brokerType: req.query.brokerType ? String(req.query.brokerType).toUpperCase() : null
+    };
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      correlationId
+    });
+  }
+
+  const matches = (event) => {
+    const data = event.data || {};
+    return (
+      STREAM_EVENT_TYPES.includes(event.type) &&
+      (!scope.connectionId || data.broker_connection_id === scope.connectionId) &&
+      (!scope.userId || data.user_id === scope.userId) &&
+      (!scope.brokerType || data.broker_type === scope.brokerType)
+    );
+  };
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  res.write(`retry: 5000\n\n`);
+
+  const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = tokenEvents.since(String(lastEventId));
+    if (missed === null) {
+      // Too old to replay: the consumer should re-read its token.
+      res.write(`event: resync\ndata: ${JSON.stringify({ last_event_id: String(lastEventId) })}\n\n`);
+    } else {
+      missed.filter(matches).forEach((event) => writeStreamEvent(res, event));
+    }
+  }
+
+  const unsubscribe = tokenEvents.onEvent((event) => {
+    if (matches(event)) {
+      writeStreamEvent(res, event);
+    }
+  });
+  const heartbeat = setInterval(() => res.write(`: keep-alive\n\n`), STREAM_HEARTBEAT_MS);
+  if (typeof heartbeat.unref === 'function') heartbeat.unref();
+
+  logger.info(`📡 Token stream opened for ${scope.connectionId || scope.userId} [ref: ${correlationId}]`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.info(`📡 Token stream closed for ${scope.connectionId || scope.userId} [ref: ${correlationId}]`);
+  });
+});
+
 /**
  * GET /api/tokens/logs/:userId (User or Service)
  * Get token generation logs
  */
-router.get('/logs/:userId', async (req, res, next) => {
+router.get('/logs/:userId', optionalAuth, async (req, res, next) => {
   try {
     const { userId } = req.params;
     const safeUserId = assertProductionSafeUserId(userId, 'logs');
     const { limit = 10 } = req.query;
 
     // Check authentication - either user accessing their own logs or service
-    if (req.user && req.user.user_id !== safeUserId) {
-      return res.status(403).json({
-        success: false,
-        error: 'Forbidden'
-      });
+    if (req.user) {
+      if (normalizeUserId(req.user.user_id) !== safeUserId) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden'
+        });
+      }
+    } else {
+      const serviceAuth = await checkServiceAuth(req, 'tokens:read');
+      if (!serviceAuth.principal) {
+        return res.status(serviceAuth.status).json({
+          success: false,
+          error: serviceAuth.error,
+          code: serviceAuth.code
+        });
+      }
+      req.serviceAuth = serviceAuth.principal;
     }
 
     const logs = await tokenManager.getTokenLogs(safeUserId, parseInt(limit));
@@ -331,7 +679,7 @@ router.get('/logs/:userId', async (req, res, next) => {
  * GET /api/tokens/:userId (Service-to-service only)
  * Get valid token for a user (for AI trading backend)
  */
-router.get('/:userId', authenticateService, async (req, res, next) => {
+router.get('/:userId', requireServiceAuth('tokens:read'), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const safeUserId = assertProductionSafeUserId(userId, 'lookup');
@@ -375,7 +723,7 @@ router.get('/:userId', authenticateService, async (req, res, next) => {
  * POST /api/tokens/store
  * Store token data for a user
  */
-router.post('/store', authenticateService, async (req, res, next) => {
+router.post('/store', requireServiceAuth('tokens:refresh'), async (req, res, next) => {
   const correlationId = resolveCorrelationId(req);
   res.setHeader('x-correlation-id', correlationId);
 
@@ -407,7 +755,8 @@ router.post('/store', authenticateService, async (req, res, next) => {
       brokerType,
       accountId,
       connectionId,
-      brokerConnectionId: connectionId
+      brokerConnectionId: connectionId,
+      correlationId
     });
 
     res.json({
@@ -8,6 +8,10 @@ const db = require('./config/database');
 const migrationRunner = require('./config/migrations');
 const encryptor = require('./services/encryptor');
 const scheduler = require('./services/scheduler');
+const refreshJobService = require('./services/refreshJobService');
+const leaderElection = require('./services/leaderElection');
+const webhookService = require('./services/webhookService');
+const tokenEvents = require('./services/tokenEvents');
 const browserPool = require('./services/browserPool');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 
@@ -15,6 +19,7 @@ const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const healthRoutes = require('./routes/health');
 const credentialsRoutes = require('./routes/credentials');
 const tokensRoutes = require('./routes/tokens');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -29,21 +34,6 @@ function parseBoolean(value, fallback = false) {
   return fallback;
 }
 
-function shouldStartScheduler() {
-  if (!process.env.DATABASE_URL) return false;
-
-  if (process.env.TOKENBOT_SCHEDULER_OWNER !== undefined) {
-    return parseBoolean(process.env.TOKENBOT_SCHEDULER_OWNER, false);
-  }
-
-  const railwayReplicaId = process.env.RAILWAY_REPLICA_ID;
-  if (railwayReplicaId !== undefined) {
-    return String(railwayReplicaId) === '0';
-  }
-
-  return true;
-}
-
 // Middleware
 app.use(helmet());
 
@@ -69,10 +59,15 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-TokenBot-Key-Id', 'X-TokenBot-Timestamp', 'X-TokenBot-Nonce', 'X-TokenBot-Signature']
 }));
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw body for verifying signed service requests (services/requestSigning)
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+app.use(express.text({ type: ['text/csv', 'text/plain'], limit: '1mb', verify: captureRawBody }));
 
 // Request logging
 app.use((req, res, next) => {
@@ -90,6 +85,7 @@ app.use((req, res, next) => {
 app.use('/health', healthRoutes);
 app.use('/api/credentials', credentialsRoutes);
 app.use('/api/tokens', tokensRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -101,7 +97,8 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       credentials: '/api/credentials',
-      tokens: '/api/tokens'
+      tokens: '/api/tokens',
+      admin: '/api/admin'
     }
   });
 });
@@ -128,6 +125,22 @@ async function initializeServices() {
   if (encryptionKeyFingerprint) {
     logger.info(`🔐 ENCRYPTION_KEY fingerprint: ${encryptionKeyFingerprint}`);
   }
+  const retiredKeyIds = typeof encryptor.getKeyRing === 'function'
+    ? encryptor.getKeyRing().keys.filter((key) => !key.active).map((key) => key.id)
+    : [];
+  if (retiredKeyIds.length > 0) {
+    logger.info(`🔐 Previous encryption keys accepted for decryption: ${retiredKeyIds.join(', ')}`);
+  }
+  if (typeof encryptor.checkKeyProvider === 'function') {
+    try {
+      const keyProvider = await encryptor.checkKeyProvider();
+      if (keyProvider) {
+        logger.info(`🔐 Credential envelope encryption via ${keyProvider.name} key provider`);
+      }
+    } catch (error) {
+      logger.error(`❌ Key provider ${encryptor.getKeyProviderName()} failed its startup check: ${error.message}`);
+    }
+  }
   logger.info(
     `⚙️ Legacy token flags: ALLOW_STORED_TOKENS=${String(process.env.LEGACY_ALLOW_STORED_TOKENS || 'false')}, PERSIST_STORED_TOKENS=${String(process.env.LEGACY_PERSIST_STORED_TOKENS || 'false')}`
   );
@@ -191,11 +204,25 @@ async function initializeServices() {
   // 2. Start other services
   try {
     if (process.env.ENCRYPTION_KEY) encryptor.test();
-    if (shouldStartScheduler()) {
-      scheduler.start();
-      logger.info('✅ Scheduler started on this TokenBot instance');
+    // Every replica works the refresh queue; only the leader enqueues cron work.
+    if (process.env.DATABASE_URL && parseBoolean(process.env.TOKEN_REFRESH_WORKER_ENABLED, true)) {
+      refreshJobService.startWorker();
+    }
+    // Token events reach SSE streams on every replica via Redis when configured.
+    await tokenEvents.start();
+    // Webhook deliveries are logged in the database, which doubles as their retry queue.
+    if (process.env.DATABASE_URL && parseBoolean(process.env.WEBHOOK_DELIVERY_ENABLED, true)) {
+      webhookService.start();
+    }
+    // Only the elected leader runs the crons; leadership fails over when the
+    // leader stops renewing its lease.
+    if (process.env.DATABASE_URL) {
+      await leaderElection.start({
+        onElected: () => scheduler.start(),
+        onDemoted: () => scheduler.stop()
+      });
     } else {
-      logger.info('ℹ️ Scheduler skipped on this instance (non-owner replica)');
+      logger.info('ℹ️ Scheduler skipped (no DATABASE_URL)');
     }
   } catch (err) {
     logger.warn('⚠️ Minor service initialization warning:', err.message);
@@ -217,6 +244,28 @@ app.listen(PORT, '0.0.0.0', () => {
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
 
+  // Hand back scheduler leadership so another replica takes over immediately
+  try {
+    await leaderElection.stop();
+  } catch (error) {
+    logger.error(`Error releasing scheduler leadership: ${error.message}`);
+  }
+
+  // Let in-flight refresh jobs finish; unfinished ones are reclaimed after their lease
+  try {
+    await refreshJobService.stopWorker();
+  } catch (error) {
+    logger.error(`Error stopping refresh worker: ${error.message}`);
+  }
+
+  // Pending webhook deliveries stay queued for the next replica's retry pass
+  webhookService.stop();
+  try {
+    await tokenEvents.stop();
+  } catch (error) {
+    logger.error(`Error leaving token event channel: ${error.message}`);
+  }
+
   // FIX: Shutdown browser pool before closing database
   try {
     await browserPool.shutdown();
@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const encryptor = require('./encryptor');
+
+const SCOPES = ['tokens:read', 'tokens:refresh', 'credentials:write', 'admin'];
+const KEY_PREFIX = 'tbk_';
+const SIGNING_SECRET_PREFIX = 'tbs_';
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+const MAX_LIFETIME_DAYS = 3650;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function keysMatch(presented, expected) {
+  return crypto.timingSafeEqual(Buffer.from(hashKey(presented), 'hex'), Buffer.from(hashKey(expected), 'hex'));
+}
+
+/**
+ * Scoped API keys for service-to-service calls.
+ *
+ * Keys are minted as `tbk_<random>` and only their SHA-256 is stored (in
+ * service_api_keys), with scopes, an optional expiry and a last-used time.
+ * `admin` implies every other scope. Successful lookups are cached for
+ * API_KEY_CACHE_TTL_MS, so a revoked key can keep working that long on other
+ * replicas (revoking clears this replica's cache at once).
+ *
+ * TOKENBOT_API_KEY / SERVICE_API_KEY are still accepted as a legacy key with
+ * every scope until SERVICE_API_KEY_LEGACY_ENABLED=false.
+ *
+ * Each minted key also gets an HMAC signing secret (see requestSigning); keys
+ * minted with requireSignature only work on signed requests.
+ */
+class ApiKeyService {
+  constructor() {
+    this.scopes = SCOPES;
+    this.cacheTtlMs = Math.max(0, parseInt(process.env.API_KEY_CACHE_TTL_MS || '30000', 10));
+    this.legacyEnabled = process.env.SERVICE_API_KEY_LEGACY_ENABLED !== 'false';
+    this.cache = new Map();
+    this.signingCache = new Map();
+    this.lastTouched = new Map();
+  }
+
+  _buildError(message, statusCode = 400, code = 'API_KEY_INVALID') {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  _toKey(row) {
+    if (!row) return null;
+    const now = Date.now();
+    let status = 'active';
+    if (row.revoked_at) status = 'revoked';
+    else if (row.expires_at && new Date(row.expires_at).getTime() <= now) status = 'expired';
+
+    return {
+      id: row.id,
+      name: row.name,
+      key_prefix: row.key_prefix,
+      scopes: row.scopes || [],
+      status,
+      signing: Boolean(row.signing_secret_encrypted),
+      require_signature: Boolean(row.require_signature),
+      created_by: row.created_by || null,
+      expires_at: row.expires_at || null,
+      last_used_at: row.last_used_at || null,
+      revoked_at: row.revoked_at || null,
+      created_at: row.created_at
+    };
+  }
+
+  _legacyKeys() {
+    return [process.env.SERVICE_API_KEY, process.env.TOKENBOT_API_KEY].filter(Boolean);
+  }
+
+  hasScope(principal, scope) {
+    const scopes = principal?.scopes || [];
+    return scopes.includes('admin') || scopes.includes(scope);
+  }
+
+  _toPrincipal(row) {
+    return { id: row.id, name: row.name, scopes: row.scopes || [], legacy: false, requireSignature: Boolean(row.require_signature) };
+  }
+
+  _cacheEntry(principal, row, extra = {}) {
+    return {
+      principal,
+      ...extra,
+      cachedUntil: Date.now() + this.cacheTtlMs,
+      expiresAt: row.expires_at ? new Date(row.expires_at).getTime() : null
+    };
+  }
+
+  _cachedEntry(cache, cacheKey) {
+    const now = Date.now();
+    const cached = cache.get(cacheKey);
+    if (cached && cached.cachedUntil > now && (!cached.expiresAt || cached.expiresAt > now)) {
+      return cached;
+    }
+    cache.delete(cacheKey);
+    return null;
+  }
+
+  _noteLastUsed(row) {
+    if (row.last_used_at && !this.lastTouched.has(row.id)) {
+      this.lastTouched.set(row.id, new Date(row.last_used_at).getTime());
+    }
+  }
+
+  /**
+   * Resolve a presented key to the principal it belongs to.
+   * @returns {Promise<{ id: string|null, name: string, scopes: string[], legacy: boolean, requireSignature: boolean }|null>}
+   *   null for unknown, revoked and expired keys
+   */
+  async authenticate(rawKey) {
+    const key = typeof rawKey === 'string' ? rawKey.trim() : '';
+    if (!key) return null;
+
+    if (this.legacyEnabled && this._legacyKeys().some((legacyKey) => keysMatch(key, legacyKey))) {
+      return { id: null, name: 'legacy', scopes: [...SCOPES], legacy: true, requireSignature: false };
+    }
+    if (!key.startsWith(KEY_PREFIX)) return null;
+
+    const keyHash = hashKey(key);
+    const cached = this._cachedEntry(this.cache, keyHash);
+    if (cached) {
+      this._touch(cached.principal.id);
+      return cached.principal;
+    }
+
+    let row;
+    try {
+      const result = await db.query(`
+        SELECT id, name, scopes, expires_at, last_used_at, require_signature
+        FROM service_api_keys
+        WHERE key_hash = $1
+          AND revoked_at IS NULL
+          AND (expires_at IS NULL OR expires_at > NOW())
+      `, [keyHash]);
+      row = result.rows[0];
+    } catch (error) {
+      // Before migration 011 only the legacy key exists.
+      if (error?.code === '42P01') return null;
+      throw error;
+    }
+    if (!row) return null;
+
+    const principal = this._toPrincipal(row);
+    if (this.cacheTtlMs > 0) {
+      this.cache.set(keyHash, this._cacheEntry(principal, row));
+    }
+    this._noteLastUsed(row);
+    this._touch(row.id);
+    return principal;
+  }
+
+  /**
+   * Principal and decrypted signing secret for a key id, for verifying signed
+   * requests. Counts as a use of the key.
+   * @returns {Promise<{ principal: Object, secret: string }|null>}
+   *   null for unknown, revoked and expired keys and keys without a secret
+   *   or whose secret no longer decrypts
+   */
+  async getSigningKey(keyId) {
+    const cached = this._cachedEntry(this.signingCache, keyId);
+    if (cached) {
+      this._touch(keyId);
+      return { principal: cached.principal, secret: cached.secret };
+    }
+
+    let row;
+    try {
+      const result = await db.query(`
+        SELECT id, name, scopes, expires_at, last_used_at, require_signature, signing_secret_encrypted
+        FROM service_api_keys
+        WHERE id = $1
+          AND revoked_at IS NULL
+          AND (expires_at IS NULL OR expires_at > NOW())
+      `, [keyId]);
+      row = result.rows[0];
+    } catch (error) {
+      // 42P01/42703: migrations 011/012 have not run yet. 22P02: not a UUID.
+      if (['42P01', '42703', '22P02'].includes(error?.code)) return null;
+      throw error;
+    }
+    if (!row || !row.signing_secret_encrypted) return null;
+
+    let secret;
+    try {
+      secret = encryptor.decrypt(row.signing_secret_encrypted);
+    } catch (error) {
+      // e.g. sealed under a key that has since left the ring
+      logger.warn(`⚠️ Could not decrypt signing secret for API key ${keyId}: ${error.message}`);
+      return null;
+    }
+    const principal = this._toPrincipal(row);
+    if (this.cacheTtlMs > 0) {
+      this.signingCache.set(keyId, this._cacheEntry(principal, row, { secret }));
+    }
+    this._noteLastUsed(row);
+    this._touch(row.id);
+    return { principal, secret };
+  }
+
+  /**
+   * Record use of a key, at most once a minute per key. Never blocks or fails
+   * the request.
+   */
+  _touch(keyId) {
+    const now = Date.now();
+    if (!keyId || now - (this.lastTouched.get(keyId) || 0) < LAST_USED_INTERVAL_MS) return;
+    this.lastTouched.set(keyId, now);
+
+    db.query(`UPDATE service_api_keys SET last_used_at = NOW() WHERE id = $1`, [keyId])
+      .catch((error) => logger.warn(`⚠️ Could not record use of API key ${keyId}: ${error.message}`));
+  }
+
+  _validateMint(input) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > 255) {
+      throw this._buildError('name is required (max 255 characters)');
+    }
+
+    const scopes = Array.isArray(input.scopes) ? [...new Set(input.scopes.map((scope) => String(scope).trim()))] : [];
+    if (scopes.length === 0) {
+      throw this._buildError(`scopes must list at least one of: ${SCOPES.join(', ')}`);
+    }
+    const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw this._buildError(`Unknown scopes: ${unknown.join(', ')} (allowed: ${SCOPES.join(', ')})`, 400, 'API_KEY_SCOPE_INVALID');
+    }
+
+    let expiresAt = null;
+    if (input.expiresAt !== undefined && input.expiresAt !== null) {
+      expiresAt = new Date(input.expiresAt);
+      if (Number.isNaN(expiresAt.getTime()) || expiresAt.getTime() <= Date.now()) {
+        throw this._buildError('expiresAt must be a future date');
+      }
+    } else if (input.expiresInDays !== undefined && input.expiresInDays !== null) {
+      const days = Number(input.expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_LIFETIME_DAYS) {
+        throw this._buildError(`expiresInDays must be a whole number between 1 and ${MAX_LIFETIME_DAYS}`);
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    return { name, scopes, expiresAt, requireSignature: input.requireSignature === true };
+  }
+
+  /**
+   * Mint a key ({ name, scopes, expiresAt? | expiresInDays?, requireSignature?, createdBy? }).
+   * The key and its signing secret are only ever returned here.
+   */
+  async mint(input = {}) {
+    const { name, scopes, expiresAt, requireSignature } = this._validateMint(input);
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const signingSecret = `${SIGNING_SECRET_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const result = await db.query(`
+      INSERT INTO service_api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at, signing_secret_encrypted, require_signature)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [name, key.slice(0, 12), hashKey(key), scopes, input.createdBy || null, expiresAt, encryptor.encrypt(signingSecret), requireSignature]);
+
+    return { ...this._toKey(result.rows[0]), key, signing_secret: signingSecret };
+  }
+
+  async list() {
+    const result = await db.query(`SELECT * FROM service_api_keys ORDER BY created_at DESC`);
+    return result.rows.map((row) => this._toKey(row));
+  }
+
+  /**
+   * Revoke a key. Revoking twice keeps the first revocation time.
+   */
+  async revoke(id) {
+    const result = await db.query(`
+      UPDATE service_api_keys
+      SET revoked_at = COALESCE(revoked_at, NOW()),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      throw this._buildError(`API key ${id} not found`, 404, 'API_KEY_NOT_FOUND');
+    }
+
+    for (const [keyHash, entry] of this.cache) {
+      if (entry.principal.id === id) this.cache.delete(keyHash);
+    }
+    this.signingCache.delete(id);
+    return this._toKey(result.rows[0]);
+  }
+}
+
+module.exports = new ApiKeyService();
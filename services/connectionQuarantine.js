@@ -0,0 +1,253 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+const QUARANTINED_STATUS = 'QUARANTINED';
+
+// Failures that retrying cannot fix and that count towards a broker-side
+// account lock: rejected password/TOTP/PIN, bad API keys, missing credentials.
+const CREDENTIAL_PATTERNS = [
+  /password/i,
+  /totp/i,
+  /\bpin\b/i,
+  /mpin/i,
+  /credential/i,
+  /api key/i,
+  /invalid (user|client|login)/i,
+  /incorrect/i,
+  /login failed/i,
+  /account (is )?(locked|blocked|suspended)/i
+];
+
+// Infrastructure noise: browser pool/crash, timeouts, network, broker 5xx.
+const TRANSIENT_PATTERNS = [
+  /browser/i,
+  /timed? ?out/i,
+  /navigation/i,
+  /net::/i,
+  /econn|enotfound|socket hang up|eai_again/i,
+  /target closed|protocol error|session closed/i,
+  /refresh lock/i
+];
+
+/**
+ * Consecutive refresh failures per BrokerConnection and automatic quarantine.
+ *
+ * Every refresh outcome is recorded in broker_connection_refresh_health.
+ * Failures are classified as credential or transient; once
+ * TOKEN_REFRESH_QUARANTINE_THRESHOLD credential failures pile up without a
+ * success in between, the connection is set to QUARANTINED and no further
+ * logins are attempted until its credentials are updated or an admin lifts it.
+ */
+class ConnectionQuarantine {
+  constructor() {
+    this.enabled = process.env.TOKEN_REFRESH_QUARANTINE_ENABLED !== 'false';
+    this.threshold = Math.max(1, parseInt(process.env.TOKEN_REFRESH_QUARANTINE_THRESHOLD || '3', 10));
+  }
+
+  /**
+   * @returns {'credential'|'transient'}
+   */
+  classifyFailure({ code = null, message = '', statusCode = null } = {}) {
+    const normalizedCode = String(code || '');
+    const text = String(message || '');
+    const status = Number(statusCode || 0);
+
+    if (
+      normalizedCode.startsWith('BROWSER_POOL_') ||
+      normalizedCode.startsWith('TOKEN_REFRESH_LOCK') ||
+      status === 429 ||
+      status >= 500 ||
+      TRANSIENT_PATTERNS.some((pattern) => pattern.test(text))
+    ) {
+      return 'transient';
+    }
+
+    if (
+      normalizedCode.endsWith('_CREDENTIALS_MISSING') ||
+      status === 401 ||
+      status === 403 ||
+      CREDENTIAL_PATTERNS.some((pattern) => pattern.test(text))
+    ) {
+      return 'credential';
+    }
+
+    return 'transient';
+  }
+
+  _toHealth(row) {
+    if (!row) return null;
+    return {
+      broker_connection_id: row.broker_connection_id,
+      broker_type: row.broker_type || null,
+      consecutive_failures: row.consecutive_failures,
+      consecutive_credential_failures: row.consecutive_credential_failures,
+      last_failure_class: row.last_failure_class || null,
+      last_failure_code: row.last_failure_code || null,
+      last_failure_message: row.last_failure_message || null,
+      last_failure_at: row.last_failure_at || null,
+      last_success_at: row.last_success_at || null,
+      quarantined: Boolean(row.quarantined_at),
+      quarantined_at: row.quarantined_at || null,
+      quarantine_reason: row.quarantine_reason || null
+    };
+  }
+
+  /**
+   * Record a failed refresh; quarantines the connection when the credential
+   * failure threshold is reached.
+   * @returns {Promise<Object|null>} updated health, null without a connection id
+   */
+  async recordFailure({ connectionId, brokerType = null, code = null, message = '', statusCode = null, correlationId = null }) {
+    if (!connectionId) return null;
+
+    const failureClass = this.classifyFailure({ code, message, statusCode });
+    const result = await db.query(`
+      INSERT INTO broker_connection_refresh_health (
+        broker_connection_id, broker_type, consecutive_failures, consecutive_credential_failures,
+        last_failure_class, last_failure_code, last_failure_message, last_failure_at, updated_at
+      )
+      VALUES ($1, $2, 1, $3, $4, $5, $6, NOW(), NOW())
+      ON CONFLICT (broker_connection_id) DO UPDATE
+      SET broker_type = COALESCE(EXCLUDED.broker_type, broker_connection_refresh_health.broker_type),
+          consecutive_failures = broker_connection_refresh_health.consecutive_failures + 1,
+          consecutive_credential_failures = broker_connection_refresh_health.consecutive_credential_failures
+            + EXCLUDED.consecutive_credential_failures,
+          last_failure_class = EXCLUDED.last_failure_class,
+          last_failure_code = EXCLUDED.last_failure_code,
+          last_failure_message = EXCLUDED.last_failure_message,
+          last_failure_at = NOW(),
+          updated_at = NOW()
+      RETURNING *
+    `, [
+      String(connectionId),
+      brokerType,
+      failureClass === 'credential' ? 1 : 0,
+      failureClass,
+      code ? String(code).substring(0, 100) : null,
+      String(message || '').substring(0, 1000)
+    ]);
+
+    const health = this._toHealth(result.rows[0]);
+    if (
+      this.enabled &&
+      health &&
+      !health.quarantined &&
+      health.consecutive_credential_failures >= this.threshold
+    ) {
+      const reason = `Auto-refresh quarantined after ${health.consecutive_credential_failures} consecutive credential failures `
+        + `(last: ${String(message || code || 'unknown error').substring(0, 200)}). Update the broker credentials to resume.`
+        + `${correlationId ? ` [ref: ${correlationId}]` : ''}`;
+      return this.quarantine(connectionId, reason);
+    }
+
+    return health;
+  }
+
+  async recordSuccess(connectionId) {
+    if (!connectionId) return;
+
+    await db.query(`
+      UPDATE broker_connection_refresh_health
+      SET consecutive_failures = 0,
+          consecutive_credential_failures = 0,
+          last_success_at = NOW(),
+          updated_at = NOW()
+      WHERE broker_connection_id = $1
+    `, [String(connectionId)]);
+  }
+
+  async quarantine(connectionId, reason) {
+    const safeReason = String(reason || 'Quarantined by admin').substring(0, 500);
+    const result = await db.query(`
+      UPDATE broker_connection_refresh_health
+      SET quarantined_at = NOW(),
+          quarantine_reason = $2,
+          updated_at = NOW()
+      WHERE broker_connection_id = $1
+      RETURNING *
+    `, [String(connectionId), safeReason]);
+
+    await db.query(`
+      UPDATE "BrokerConnection"
+      SET "status" = '${QUARANTINED_STATUS}',
+          "lastError" = $2,
+          "updatedAt" = NOW()
+      WHERE id::text = $1
+    `, [String(connectionId), safeReason]);
+
+    logger.warn(`🚧 Broker connection ${connectionId} quarantined: ${safeReason}`);
+    return this._toHealth(result.rows[0]);
+  }
+
+  /**
+   * Lift quarantine for one connection, or for all of a user's connections of
+   * a broker (credential updates that are not tied to a connection id).
+   * The connection goes back to REAUTH_REQUIRED so the next check logs in.
+   * @returns {Promise<string[]>} released connection ids
+   */
+  async release({ connectionId = null, userId = null, brokerType = null, reason = 'Quarantine lifted' }) {
+    if (!connectionId && !(userId && brokerType)) {
+      return [];
+    }
+
+    const result = await db.query(`
+      UPDATE "BrokerConnection"
+      SET "status" = 'REAUTH_REQUIRED',
+          "lastError" = $4,
+          "updatedAt" = NOW()
+      WHERE "status" = '${QUARANTINED_STATUS}'
+        AND (
+          ($1::text IS NOT NULL AND id::text = $1)
+          OR ($1::text IS NULL AND "userId" = $2 AND "brokerType" = $3)
+        )
+      RETURNING id
+    `, [connectionId ? String(connectionId) : null, userId, brokerType, String(reason).substring(0, 500)]);
+
+    const releasedIds = result.rows.map((row) => String(row.id));
+    if (releasedIds.length === 0) {
+      return [];
+    }
+
+    await db.query(`
+      UPDATE broker_connection_refresh_health
+      SET consecutive_failures = 0,
+          consecutive_credential_failures = 0,
+          quarantined_at = NULL,
+          quarantine_reason = NULL,
+          updated_at = NOW()
+      WHERE broker_connection_id = ANY($1)
+    `, [releasedIds]);
+
+    logger.info(`✅ Quarantine lifted for ${releasedIds.join(', ')}: ${reason}`);
+    return releasedIds;
+  }
+
+  /**
+   * Quarantined connections with their failure history.
+   */
+  async listQuarantined() {
+    const result = await db.query(`
+      SELECT h.*, bc."userId" AS user_id, bc."accountId" AS account_id
+      FROM broker_connection_refresh_health h
+      JOIN "BrokerConnection" bc ON bc.id::text = h.broker_connection_id
+      WHERE h.quarantined_at IS NOT NULL
+      ORDER BY h.quarantined_at DESC
+    `);
+    return result.rows.map((row) => ({
+      ...this._toHealth(row),
+      user_id: row.user_id,
+      account_id: row.account_id || null
+    }));
+  }
+
+  async getHealth(connectionId) {
+    const result = await db.query(`
+      SELECT *
+      FROM broker_connection_refresh_health
+      WHERE broker_connection_id = $1
+    `, [String(connectionId)]);
+    return this._toHealth(result.rows[0]);
+  }
+}
+
+module.exports = new ConnectionQuarantine();
@@ -63,11 +63,14 @@ class CredentialLoader {
             if (existing.rows.length === 0 || existing.rows[0].kite_user_id === 'pending') {
                 logger.info('🔄 Syncing credentials from Environment Variables...');
 
+                const seal = (field, value) => encryptor.encryptCredential(value, {
+                    context: { userId: tokenBotUserId, field }
+                });
                 const encrypted = {
-                    password: encryptor.encrypt(password),
-                    totp_secret: encryptor.encrypt(totpSecret),
-                    api_key: encryptor.encrypt(apiKey),
-                    api_secret: encryptor.encrypt(apiSecret)
+                    password: await seal('encrypted_password', password),
+                    totp_secret: await seal('encrypted_totp_secret', totpSecret),
+                    api_key: await seal('encrypted_api_key', apiKey),
+                    api_secret: await seal('encrypted_api_secret', apiSecret)
                 };
 
                 await db.query(`
@@ -9,6 +9,14 @@ else
 end
 `;
 
+const EXTEND_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("pexpire", KEYS[1], ARGV[2])
+else
+  return 0
+end
+`;
+
 class DistributedLockService {
   constructor() {
     this.redisClient = null;
@@ -95,14 +103,13 @@ class DistributedLockService {
     return this.redisInitPromise;
   }
 
-  _acquireLocalLock(lockKey, ttlMs) {
+  _acquireLocalLock(lockKey, ttlMs, token = crypto.randomUUID()) {
     const now = Date.now();
     const current = this.localLocks.get(lockKey);
     if (current && current.expiresAt > now) {
       throw this._makeLockHeldError(lockKey, current.expiresAt - now);
     }
 
-    const token = crypto.randomUUID();
     this.localLocks.set(lockKey, {
       token,
       expiresAt: now + ttlMs
@@ -116,7 +123,12 @@ class DistributedLockService {
     };
   }
 
-  async acquire(rawKey, ttlMs = 45000) {
+  /**
+   * @param {string} rawKey
+   * @param {number} ttlMs
+   * @param {Object} [options] - { token } to store a caller-chosen holder id
+   */
+  async acquire(rawKey, ttlMs = 45000, { token: requestedToken = null } = {}) {
     const lockKey = this._lockKey(rawKey);
     if (!lockKey || lockKey.endsWith(':')) {
       throw new Error('Cannot acquire distributed lock with empty key');
@@ -125,11 +137,12 @@ class DistributedLockService {
     const safeTtlMs = Math.max(1000, Number(ttlMs || 45000));
     const redisClient = await this._ensureRedisClient();
 
+    const token = requestedToken || crypto.randomUUID();
+
     if (!redisClient) {
-      return this._acquireLocalLock(lockKey, safeTtlMs);
+      return this._acquireLocalLock(lockKey, safeTtlMs, token);
     }
 
-    const token = crypto.randomUUID();
     const acquired = await redisClient.set(lockKey, token, 'PX', safeTtlMs, 'NX');
     if (acquired !== 'OK') {
       const remainingTtl = await redisClient.pttl(lockKey).catch(() => -1);
@@ -169,6 +182,58 @@ class DistributedLockService {
     }
   }
 
+  /**
+   * Push a held lock's expiry out by ttlMs.
+   * @returns {Promise<boolean>} false when the lock is no longer ours
+   */
+  async extend(lock, ttlMs = 45000) {
+    if (!lock || !lock.key || !lock.token) {
+      return false;
+    }
+
+    const safeTtlMs = Math.max(1000, Number(ttlMs || 45000));
+
+    if (lock.mode === 'memory') {
+      const current = this.localLocks.get(lock.key);
+      if (current?.token !== lock.token || current.expiresAt <= Date.now()) {
+        return false;
+      }
+      current.expiresAt = Date.now() + safeTtlMs;
+      return true;
+    }
+
+    const redisClient = await this._ensureRedisClient();
+    if (!redisClient) {
+      return false;
+    }
+
+    const extended = await redisClient.eval(EXTEND_SCRIPT, 1, lock.key, lock.token, safeTtlMs);
+    return Number(extended) === 1;
+  }
+
+  /**
+   * Token of whoever currently holds the lock, or null.
+   */
+  async getHolder(rawKey) {
+    const lockKey = this._lockKey(rawKey);
+
+    const redisClient = await this._ensureRedisClient().catch(() => null);
+    if (!redisClient) {
+      const current = this.localLocks.get(lockKey);
+      return current && current.expiresAt > Date.now() ? current.token : null;
+    }
+
+    return redisClient.get(lockKey);
+  }
+
+  /**
+   * Shared ioredis client for other Redis users (token event fan-out), or null
+   * when Redis is not configured or unreachable.
+   */
+  async getRedisClient() {
+    return this._ensureRedisClient().catch(() => null);
+  }
+
   getStatus() {
     return {
       transport: this.redisClient ? 'redis' : 'memory',
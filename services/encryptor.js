@@ -1,9 +1,53 @@
 const crypto = require('crypto');
+const { PROVIDER_NAMES, createKeyProvider } = require('./key-providers');
 
 const LEGACY_ALGORITHM = 'aes-256-cbc';
 const CANONICAL_ALGORITHM = 'aes-256-gcm';
 const IV_LENGTH = 16;
 const GCM_TAG_BYTES = 16;
+// Key-ring payloads: v2:<keyId>:<iv>:<cipher>:<tag>, keyId = key fingerprint.
+const KEYED_VERSION = 'v2';
+// Owner-bound payloads: v3:<keyId>:<iv>:<cipher>:<tag>, sealed with the owner as AAD.
+const BOUND_VERSION = 'v3';
+// Envelope payloads: v4:<provider>:<wrappedDataKey>:<iv>:<cipher>:<tag>, wrapped key
+// base64url-encoded; the cipher is keyed by the data key and owner-bound like v3.
+const ENVELOPE_VERSION = 'v4';
+const DATA_KEY_BYTES = 32;
+
+function parseKey(raw) {
+  const normalized = String(raw || '').trim();
+  return /^[0-9a-f]{64}$/i.test(normalized) ? Buffer.from(normalized, 'hex') : null;
+}
+
+function fingerprintKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+/**
+ * Associated data for an owner-bound ciphertext. A connection id takes
+ * precedence over a user id, so the same field stored per user and per
+ * connection gets two different bindings.
+ * @param {{ userId?: string, connectionId?: string, field: string }} context
+ * @returns {Buffer|null} null when the context names no owner or field
+ */
+function contextAad(context) {
+  if (!context || typeof context !== 'object') return null;
+  const field = typeof context.field === 'string' ? context.field.trim() : '';
+  const connectionId = context.connectionId ? String(context.connectionId).trim() : '';
+  const userId = context.userId ? String(context.userId).trim() : '';
+  if (!field || (!connectionId && !userId)) return null;
+
+  const owner = connectionId ? `connection=${connectionId}` : `user=${userId}`;
+  return Buffer.from(`tokenbot:${BOUND_VERSION}:${owner}:field=${field}`, 'utf8');
+}
+
+function decryptError(result) {
+  const error = new Error(result.errorMessage || result.reasonCode || 'Token decrypt failed');
+  error.code = result.reasonCode || 'TOKEN_DECRYPT_FAILED';
+  error.format = result.format;
+  error.shape = result.shape;
+  return error;
+}
 
 function isHex(value) {
   return typeof value === 'string' && value.length > 0 && value.length % 2 === 0 && /^[0-9a-f]+$/i.test(value);
@@ -20,45 +64,193 @@ function mapDecryptError(message, format) {
   return 'TOKEN_DECRYPT_ERROR';
 }
 
+/**
+ * AES-256 credential/token encryption with a key ring.
+ *
+ * ENCRYPTION_KEY is the active key used for new writes; ENCRYPTION_PREVIOUS_KEYS
+ * (comma-separated) are still accepted for decryption so a key can be rotated
+ * without losing stored credentials. Keys are identified by fingerprint, and new
+ * ciphertexts carry the fingerprint of the key that wrote them. Unprefixed
+ * ciphertexts from before the ring (GCM iv:cipher:tag or legacy CBC iv:cipher)
+ * are tried against every key, active first.
+ *
+ * Credentials are written with an owner context ({ userId | connectionId, field })
+ * that is sealed into the GCM tag as associated data, so a ciphertext copied to
+ * another user, connection or field no longer decrypts. Unbound ciphertexts are
+ * still read as before.
+ *
+ * With ENCRYPTION_KEY_PROVIDER set (env | local | vault), encryptCredential()
+ * switches to envelope encryption: each value gets its own data key, wrapped by
+ * the provider's master key and stored alongside. Envelope payloads name their
+ * provider, so values written under a previous provider stay readable as long
+ * as that provider is still configured.
+ */
 class Encryptor {
   constructor() {
     this.encryptionKey = null;
     this.keyFingerprint = null;
-    
+    this.keys = new Map();
+    // Opt-in: Core/Web read BrokerConnection access tokens as iv:cipher:tag.
+    // Credentials are owner-bound (v3/v4) and carry their key id regardless.
+    this.prefixKeyId = process.env.ENCRYPTION_KEY_ID_PREFIX === 'true';
+
     if (process.env.ENCRYPTION_KEY) {
-      const normalized = String(process.env.ENCRYPTION_KEY).trim();
-      if (!/^[0-9a-f]{64}$/i.test(normalized)) {
+      const key = parseKey(process.env.ENCRYPTION_KEY);
+      if (!key) {
         console.warn('⚠️ ENCRYPTION_KEY must be 64 hex characters (32 bytes)');
       } else {
-        this.encryptionKey = Buffer.from(normalized, 'hex');
-        this.keyFingerprint = crypto.createHash('sha256').update(this.encryptionKey).digest('hex').slice(0, 12);
+        this.encryptionKey = key;
+        this.keyFingerprint = fingerprintKey(key);
+        this.keys.set(this.keyFingerprint, key);
       }
     } else {
       console.warn('⚠️ ENCRYPTION_KEY environment variable not set');
     }
+
+    String(process.env.ENCRYPTION_PREVIOUS_KEYS || '')
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean)
+      .forEach((value, index) => {
+        const key = parseKey(value);
+        if (!key) {
+          console.warn(`⚠️ ENCRYPTION_PREVIOUS_KEYS entry ${index + 1} must be 64 hex characters (32 bytes); ignored`);
+          return;
+        }
+        const fingerprint = fingerprintKey(key);
+        if (!this.keys.has(fingerprint)) {
+          this.keys.set(fingerprint, key);
+        }
+      });
+
+    this.keyProviders = new Map();
+    this.keyProviderName = null;
+    const providerName = String(process.env.ENCRYPTION_KEY_PROVIDER || '').trim().toLowerCase();
+    if (providerName && !PROVIDER_NAMES.includes(providerName)) {
+      console.warn(`⚠️ ENCRYPTION_KEY_PROVIDER must be one of ${PROVIDER_NAMES.join(', ')}; envelope encryption disabled`);
+    } else if (providerName) {
+      this.keyProviderName = providerName;
+    }
+  }
+
+  /**
+   * Provider instance by name, created on first use.
+   * @returns {import('./key-providers/KeyProvider').KeyProvider|null}
+   */
+  _getKeyProvider(name) {
+    if (!this.keyProviders.has(name)) {
+      const provider = createKeyProvider(name, { keys: this.keys, activeKeyId: this.keyFingerprint });
+      if (!provider) return null;
+      this.keyProviders.set(name, provider);
+    }
+    return this.keyProviders.get(name);
   }
 
-  encrypt(text) {
+  /**
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {{ userId?: string, connectionId?: string, field: string }} [options.context]
+   *   Owner binding; the result can then only be decrypted with the same context.
+   */
+  encrypt(text, options = {}) {
     if (!this.encryptionKey) {
       throw new Error('Encryption service not initialized - ENCRYPTION_KEY required');
     }
     
     if (!text) throw new Error('Text to encrypt is required');
 
-    // Canonical format for BrokerConnection/access tokens is GCM (iv:cipher:tag).
+    let aad = null;
+    if (options.context !== undefined && options.context !== null) {
+      aad = contextAad(options.context);
+      if (!aad) {
+        const error = new Error('Encryption context requires a field and a userId or connectionId');
+        error.code = 'ENCRYPTION_CONTEXT_INVALID';
+        throw error;
+      }
+    }
+
+    // Canonical format for BrokerConnection/access tokens is GCM (iv:cipher:tag),
+    // prefixed with the active key id.
     const iv = crypto.randomBytes(IV_LENGTH);
     const cipher = crypto.createCipheriv(CANONICAL_ALGORITHM, this.encryptionKey, iv);
+    if (aad) cipher.setAAD(aad);
 
     let encrypted = cipher.update(text, 'utf8', 'hex');
     encrypted += cipher.final('hex');
     const authTag = cipher.getAuthTag().toString('hex');
+    const body = `${iv.toString('hex')}:${encrypted}:${authTag}`;
 
-    return `${iv.toString('hex')}:${encrypted}:${authTag}`;
+    // Bound payloads are only read by TokenBot, so they always carry the key id.
+    if (aad) return `${BOUND_VERSION}:${this.keyFingerprint}:${body}`;
+    return this.prefixKeyId ? `${KEYED_VERSION}:${this.keyFingerprint}:${body}` : body;
+  }
+
+  /**
+   * Encrypt a credential for its owner (`context` is required). Envelope
+   * encryption with a per-value data key when ENCRYPTION_KEY_PROVIDER is set,
+   * otherwise the same owner-bound payload as encrypt().
+   * @param {string} text
+   * @param {{ context: { userId?: string, connectionId?: string, field: string } }} options
+   * @returns {Promise<string>}
+   */
+  async encryptCredential(text, options = {}) {
+    const aad = contextAad(options.context);
+    if (!aad) {
+      const error = new Error('Encryption context requires a field and a userId or connectionId');
+      error.code = 'ENCRYPTION_CONTEXT_INVALID';
+      throw error;
+    }
+    if (!this.keyProviderName) {
+      return this.encrypt(text, { context: options.context });
+    }
+    if (!text) throw new Error('Text to encrypt is required');
+
+    const dataKey = crypto.randomBytes(DATA_KEY_BYTES);
+    const wrappedKey = await this._getKeyProvider(this.keyProviderName).wrapKey(dataKey);
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CANONICAL_ALGORITHM, dataKey, iv);
+    cipher.setAAD(aad);
+    let encrypted = cipher.update(text, 'utf8', 'hex');
+    encrypted += cipher.final('hex');
+    const authTag = cipher.getAuthTag().toString('hex');
+
+    return [
+      ENVELOPE_VERSION,
+      this.keyProviderName,
+      Buffer.from(wrappedKey, 'utf8').toString('base64url'),
+      iv.toString('hex'),
+      encrypted,
+      authTag
+    ].join(':');
+  }
+
+  /**
+   * Split off the key-ring prefix, if any.
+   * @returns {{ keyId: string|null, keyed: boolean, bound: boolean, envelope?: boolean, provider?: string, wrappedKey?: string, parts: string[] }}
+   */
+  _splitPayload(payload) {
+    const parts = payload ? payload.split(':') : [];
+    if (parts[0] === ENVELOPE_VERSION) {
+      return {
+        keyId: null,
+        keyed: false,
+        bound: true,
+        envelope: true,
+        provider: parts[1] || null,
+        wrappedKey: parts[2] ? Buffer.from(parts[2], 'base64url').toString('utf8') : null,
+        parts: parts.slice(3)
+      };
+    }
+    if (parts[0] === KEYED_VERSION || parts[0] === BOUND_VERSION) {
+      return { keyId: parts[1] || null, keyed: true, bound: parts[0] === BOUND_VERSION, parts: parts.slice(2) };
+    }
+    return { keyId: null, keyed: false, bound: false, parts };
   }
 
   describePayload(encryptedText) {
     const payload = typeof encryptedText === 'string' ? encryptedText.trim() : '';
-    const parts = payload ? payload.split(':') : [];
+    const { parts } = this._splitPayload(payload);
     return {
       parts: parts.length,
       ivLength: parts[0] ? parts[0].length : 0,
@@ -74,14 +266,29 @@ class Encryptor {
       return { format: 'NONE', reasonCode: 'TOKEN_EMPTY', shape };
     }
 
-    const parts = payload.split(':');
+    const { keyId, keyed, bound, envelope, provider, wrappedKey, parts } = this._splitPayload(payload);
+    if (envelope) {
+      const [ivHex, encryptedHex, authTagHex] = parts;
+      const base = { format: 'GCM', envelope: true, provider, bound: true, shape };
+      if (!PROVIDER_NAMES.includes(provider)) return { ...base, reasonCode: 'TOKEN_KEY_PROVIDER_UNKNOWN' };
+      if (!wrappedKey || parts.length !== 3) return { ...base, reasonCode: 'TOKEN_FORMAT_UNSUPPORTED' };
+      if (!isHex(ivHex) || ivHex.length !== IV_LENGTH * 2) return { ...base, reasonCode: 'TOKEN_GCM_IV_INVALID' };
+      if (!isHex(encryptedHex)) return { ...base, reasonCode: 'TOKEN_GCM_CIPHER_INVALID' };
+      if (!isHex(authTagHex) || authTagHex.length !== GCM_TAG_BYTES * 2) return { ...base, reasonCode: 'TOKEN_GCM_TAG_INVALID' };
+      return { ...base, reasonCode: 'TOKEN_OK' };
+    }
+
+    if (keyed && (!/^[0-9a-f]{12}$/i.test(keyId || '') || parts.length !== 3)) {
+      return { format: 'GCM', reasonCode: 'TOKEN_FORMAT_UNSUPPORTED', keyId, bound, shape };
+    }
+
     if (parts.length === 3) {
       const [ivHex, encryptedHex, authTagHex] = parts;
-      if (!isHex(ivHex) || ivHex.length !== IV_LENGTH * 2) return { format: 'GCM', reasonCode: 'TOKEN_GCM_IV_INVALID', shape };
-      if (!isHex(encryptedHex)) return { format: 'GCM', reasonCode: 'TOKEN_GCM_CIPHER_INVALID', shape };
-      if (!isHex(authTagHex)) return { format: 'GCM', reasonCode: 'TOKEN_GCM_TAG_INVALID', shape };
-      if (authTagHex.length !== GCM_TAG_BYTES * 2) return { format: 'GCM', reasonCode: 'TOKEN_GCM_TAG_LENGTH_INVALID', shape };
-      return { format: 'GCM', reasonCode: 'TOKEN_OK', shape };
+      if (!isHex(ivHex) || ivHex.length !== IV_LENGTH * 2) return { format: 'GCM', reasonCode: 'TOKEN_GCM_IV_INVALID', keyId, bound, shape };
+      if (!isHex(encryptedHex)) return { format: 'GCM', reasonCode: 'TOKEN_GCM_CIPHER_INVALID', keyId, bound, shape };
+      if (!isHex(authTagHex)) return { format: 'GCM', reasonCode: 'TOKEN_GCM_TAG_INVALID', keyId, bound, shape };
+      if (authTagHex.length !== GCM_TAG_BYTES * 2) return { format: 'GCM', reasonCode: 'TOKEN_GCM_TAG_LENGTH_INVALID', keyId, bound, shape };
+      return { format: 'GCM', reasonCode: 'TOKEN_OK', keyId, bound, shape };
     }
 
     if (parts.length === 2) {
@@ -94,8 +301,52 @@ class Encryptor {
     return { format: 'UNKNOWN', reasonCode: 'TOKEN_FORMAT_UNSUPPORTED', shape };
   }
 
+  _decipher(format, parts, key, aad = null) {
+    if (format === 'GCM') {
+      const [ivHex, encryptedHex, authTagHex] = parts;
+      const decipher = crypto.createDecipheriv(
+        CANONICAL_ALGORITHM,
+        key,
+        Buffer.from(ivHex, 'hex')
+      );
+      if (aad) decipher.setAAD(aad);
+      decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+      return decipher.update(encryptedHex, 'hex', 'utf8') + decipher.final('utf8');
+    }
+
+    const [ivHex, encryptedHex] = parts;
+    const decipher = crypto.createDecipheriv(
+      LEGACY_ALGORITHM,
+      key,
+      Buffer.from(ivHex, 'hex')
+    );
+    return decipher.update(encryptedHex, 'hex', 'utf8') + decipher.final('utf8');
+  }
+
+  /**
+   * Decrypt without throwing. `keyId` in the result is the fingerprint of the
+   * key that opened the payload; `keyActive` is false for retired keys.
+   *
+   * `options.context` is required for owner-bound payloads and ignored for
+   * unbound ones; `bound` in the result says which kind was read. A bound payload
+   * read without a context fails with TOKEN_CONTEXT_REQUIRED, and one read with
+   * a different owner or field (or tampered with) fails with TOKEN_CONTEXT_MISMATCH.
+   * Envelope payloads need the provider and fail here with
+   * TOKEN_ENVELOPE_REQUIRES_ASYNC; use decryptCredentialWithMeta() for them.
+   */
   decryptWithMeta(encryptedText, options = {}) {
-    if (!this.encryptionKey) {
+    if (this._splitPayload(typeof encryptedText === 'string' ? encryptedText.trim() : '').envelope) {
+      return {
+        ok: false,
+        value: null,
+        format: 'GCM',
+        reasonCode: 'TOKEN_ENVELOPE_REQUIRES_ASYNC',
+        bound: true,
+        shape: this.describePayload(encryptedText)
+      };
+    }
+
+    if (this.keys.size === 0) {
       return {
         ok: false,
         value: null,
@@ -127,74 +378,176 @@ class Encryptor {
       };
     }
 
-    try {
-      const parts = String(encryptedText).trim().split(':');
-      let decrypted = '';
-
-      if (detected.format === 'GCM') {
-        const [ivHex, encryptedHex, authTagHex] = parts;
-        const decipher = crypto.createDecipheriv(
-          CANONICAL_ALGORITHM,
-          this.encryptionKey,
-          Buffer.from(ivHex, 'hex')
-        );
-        decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
-        decrypted = decipher.update(encryptedHex, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-      } else if (detected.format === 'CBC') {
-        const [ivHex, encryptedHex] = parts;
-        const decipher = crypto.createDecipheriv(
-          LEGACY_ALGORITHM,
-          this.encryptionKey,
-          Buffer.from(ivHex, 'hex')
-        );
-        decrypted = decipher.update(encryptedHex, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-      } else {
+    if (detected.keyId && !this.keys.has(detected.keyId)) {
+      return {
+        ok: false,
+        value: null,
+        format: detected.format,
+        reasonCode: 'TOKEN_KEY_UNKNOWN',
+        keyId: detected.keyId,
+        shape: detected.shape
+      };
+    }
+
+    let aad = null;
+    if (detected.bound) {
+      aad = contextAad(options.context);
+      if (!aad) {
         return {
           ok: false,
           value: null,
           format: detected.format,
-          reasonCode: 'TOKEN_FORMAT_UNSUPPORTED',
+          reasonCode: 'TOKEN_CONTEXT_REQUIRED',
+          keyId: detected.keyId,
+          bound: true,
           shape: detected.shape
         };
       }
+    }
+
+    const { parts } = this._splitPayload(String(encryptedText).trim());
+    // Prefixed payloads name their key; older ones are tried against the whole ring.
+    const candidates = detected.keyId
+      ? [[detected.keyId, this.keys.get(detected.keyId)]]
+      : [...this.keys.entries()];
+    let lastError = null;
+
+    for (const [keyId, key] of candidates) {
+      try {
+        const decrypted = this._decipher(detected.format, parts, key, aad);
+        return {
+          ok: true,
+          value: decrypted || null,
+          format: detected.format,
+          reasonCode: 'TOKEN_OK',
+          keyId,
+          keyActive: keyId === this.keyFingerprint,
+          bound: detected.bound,
+          shape: detected.shape
+        };
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    const reasonCode = mapDecryptError(lastError.message, detected.format);
+    return {
+      ok: false,
+      value: null,
+      format: detected.format,
+      // The key is known, so a bound payload that fails authentication was
+      // presented under the wrong owner/field or altered.
+      reasonCode: detected.bound && reasonCode === 'TOKEN_GCM_AUTH_FAILED' ? 'TOKEN_CONTEXT_MISMATCH' : reasonCode,
+      errorMessage: lastError.message,
+      bound: detected.bound,
+      shape: detected.shape
+    };
+  }
+
+  decrypt(encryptedText, options = {}) {
+    const result = this.decryptWithMeta(encryptedText, options);
+    if (!result.ok) throw decryptError(result);
+    return result.value;
+  }
+
+  /**
+   * decryptWithMeta() that also opens envelope payloads. For those, `envelope`
+   * and `provider` are set, and `keyActive` means the value was wrapped by the
+   * configured provider under its current master key. Unwrap failures report
+   * TOKEN_DATA_KEY_UNWRAP_FAILED.
+   */
+  async decryptCredentialWithMeta(encryptedText, options = {}) {
+    const detected = this.detectFormat(encryptedText);
+    if (!detected.envelope) {
+      return this.decryptWithMeta(encryptedText, options);
+    }
+
+    const failure = (reasonCode, errorMessage) => ({
+      ok: false,
+      value: null,
+      format: detected.format,
+      reasonCode,
+      ...(errorMessage ? { errorMessage } : {}),
+      envelope: true,
+      provider: detected.provider,
+      bound: true,
+      shape: detected.shape
+    });
 
+    if (detected.reasonCode !== 'TOKEN_OK') return failure(detected.reasonCode);
+    const aad = contextAad(options.context);
+    if (!aad) return failure('TOKEN_CONTEXT_REQUIRED');
+
+    const { wrappedKey, parts } = this._splitPayload(String(encryptedText).trim());
+    const provider = this._getKeyProvider(detected.provider);
+    let dataKey;
+    try {
+      dataKey = await provider.unwrapKey(wrappedKey);
+    } catch (error) {
+      return failure('TOKEN_DATA_KEY_UNWRAP_FAILED', error.message);
+    }
+
+    try {
+      const decrypted = this._decipher('GCM', parts, dataKey, aad);
       return {
         ok: true,
         value: decrypted || null,
-        format: detected.format,
+        format: 'GCM',
         reasonCode: 'TOKEN_OK',
+        envelope: true,
+        provider: detected.provider,
+        keyActive: detected.provider === this.keyProviderName && provider.isCurrent(wrappedKey),
+        bound: true,
         shape: detected.shape
       };
     } catch (error) {
-      return {
-        ok: false,
-        value: null,
-        format: detected.format,
-        reasonCode: mapDecryptError(error.message, detected.format),
-        errorMessage: error.message,
-        shape: detected.shape
-      };
+      const reasonCode = mapDecryptError(error.message, 'GCM');
+      return failure(reasonCode === 'TOKEN_GCM_AUTH_FAILED' ? 'TOKEN_CONTEXT_MISMATCH' : reasonCode, error.message);
     }
   }
 
-  decrypt(encryptedText, options = {}) {
-    const result = this.decryptWithMeta(encryptedText, options);
-    if (!result.ok) {
-      const error = new Error(result.errorMessage || result.reasonCode || 'Token decrypt failed');
-      error.code = result.reasonCode || 'TOKEN_DECRYPT_FAILED';
-      error.format = result.format;
-      error.shape = result.shape;
-      throw error;
-    }
+  async decryptCredential(encryptedText, options = {}) {
+    const result = await this.decryptCredentialWithMeta(encryptedText, options);
+    if (!result.ok) throw decryptError(result);
     return result.value;
   }
 
+  getKeyProviderName() {
+    return this.keyProviderName;
+  }
+
+  /**
+   * Wrap and unwrap a throwaway data key with the configured provider, so a
+   * misconfigured KMS shows up at startup rather than on the first credential save.
+   * @returns {Promise<Object|null>} provider diagnostics, null when no provider is set
+   */
+  async checkKeyProvider() {
+    if (!this.keyProviderName) return null;
+    const provider = this._getKeyProvider(this.keyProviderName);
+    const probe = crypto.randomBytes(DATA_KEY_BYTES);
+    const unwrapped = await provider.unwrapKey(await provider.wrapKey(probe));
+    if (!probe.equals(unwrapped)) {
+      throw provider._buildError(`${this.keyProviderName} key provider returned a different data key`);
+    }
+    return provider.describe();
+  }
+
   getKeyFingerprint() {
     return this.keyFingerprint;
   }
 
+  /**
+   * Key ring diagnostics: fingerprints only, never key material.
+   */
+  getKeyRing() {
+    return {
+      active: this.keyFingerprint,
+      prefixKeyId: this.prefixKeyId,
+      keys: [...this.keys.keys()].map((id) => ({ id, active: id === this.keyFingerprint })),
+      keyProvider: this.keyProviderName ? this._getKeyProvider(this.keyProviderName).describe() : null
+    };
+  }
+
   /**
    * Test encryption/decryption
    */
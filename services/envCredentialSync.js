@@ -42,20 +42,23 @@ class EnvironmentCredentialSync {
 
             logger.info('🔄 [EnvSync] Detected credentials in environment variables. Syncing to database...');
 
-            // 2. Encrypt credentials
-            const encrypted = {
-                password: encryptor.encrypt(password),
-                totp_secret: encryptor.encrypt(totpSecret),
-                api_key: encryptor.encrypt(apiKey),
-                api_secret: encryptor.encrypt(apiSecret)
-            };
-
             const botUserId = resolveTokenBotUserId();
             if (!botUserId) {
                 logger.warn('⚠️ [EnvSync] Missing service user id in production. Skipping credential auto-sync.');
                 return;
             }
 
+            // 2. Encrypt credentials, bound to the service user's row
+            const seal = (field, value) => encryptor.encryptCredential(value, {
+                context: { userId: botUserId, field }
+            });
+            const encrypted = {
+                password: await seal('encrypted_password', password),
+                totp_secret: await seal('encrypted_totp_secret', totpSecret),
+                api_key: await seal('encrypted_api_key', apiKey),
+                api_secret: await seal('encrypted_api_secret', apiSecret)
+            };
+
             // 3. CHECK if sync is needed (Prevent Crash Loops)
             // Fetch existing credentials
             const existing = await db.query(
@@ -69,7 +72,9 @@ class EnvironmentCredentialSync {
                 const creds = existing.rows[0];
                 try {
                     // Decrypt stored API Key to compare
-                    const storedApiKey = encryptor.decrypt(creds.encrypted_api_key);
+                    const storedApiKey = await encryptor.decryptCredential(creds.encrypted_api_key, {
+                        context: { userId: botUserId, field: 'encrypted_api_key' }
+                    });
                     const storedUserId = creds.kite_user_id;
 
                     // If critical identity fields match, we assume it's synced.
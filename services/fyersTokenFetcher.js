@@ -0,0 +1,167 @@
+// apps/tokenbot/services/fyersTokenFetcher.js
+//
+// Puppeteer-based Fyers API v3 login. Only needed for the first auth of a
+// connection (or after the 15-day refresh token lapses); daily renewal goes
+// through providers/fyers.renewToken without a browser.
+// Fyers login flow (api-t1.fyers.in/api/v3/generate-authcode):
+//   Step 1 → Enter Fyers client ID
+//   Step 2 → Enter 6-digit TOTP (segmented inputs)
+//   Step 3 → Enter 4-digit PIN (segmented inputs)
+//   Step 4 → Capture ?auth_code= from the redirect to the registered redirect_uri
+
+const { authenticator } = require('otplib');
+const logger = require('../utils/logger');
+const browserPool = require('./browserPool');
+const fyersAuthProvider = require('./providers/fyers');
+
+class FyersTokenFetcher {
+    /**
+     * Drive the Fyers login dialog and return the auth code.
+     * @param {Object} credentials
+     * @param {string} credentials.fyers_id      - Fyers client ID
+     * @param {string} credentials.pin           - 4-digit login PIN
+     * @param {string} credentials.totp_secret   - TOTP secret for 2FA
+     * @param {string} credentials.app_id        - Fyers app id
+     * @param {string} credentials.redirect_uri  - Redirect URI registered on the app
+     * @returns {Promise<string>} auth code
+     */
+    async fetchAuthorizationCode(credentials) {
+        const { fyers_id, pin, totp_secret, app_id, redirect_uri } = credentials;
+
+        if (!fyers_id || !pin || !totp_secret || !app_id || !redirect_uri) {
+            throw new Error('Fyers login requires: fyers_id, pin, totp_secret, app_id and redirect_uri');
+        }
+
+        logger.info(`[FyersTokenFetcher] 🚀 Starting Puppeteer login for Fyers ID: ${fyers_id}`);
+
+        let browserInfo = null;
+        let page = null;
+
+        try {
+            try {
+                browserInfo = await browserPool.acquire();
+            } catch (poolError) {
+                const wrappedError = new Error(`Browser unavailable: ${poolError.message}`);
+                wrappedError.code = poolError.code || 'BROWSER_POOL_UNAVAILABLE';
+                wrappedError.statusCode = poolError.statusCode || 503;
+                wrappedError.retryAfterMs = poolError.retryAfterMs || 30000;
+                throw wrappedError;
+            }
+
+            const browser = browserInfo.browser;
+            if (!browser || !browser.isConnected()) {
+                throw new Error('Acquired browser is not connected');
+            }
+            logger.info(`[FyersTokenFetcher] ✅ Browser acquired: ${browserInfo.id}`);
+
+            page = await browser.newPage();
+            await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+
+            let capturedCode = null;
+            await page.setRequestInterception(true);
+            page.on('request', (req) => {
+                const url = req.url();
+                if (!capturedCode && url.startsWith(redirect_uri)) {
+                    try {
+                        const code = new URL(url).searchParams.get('auth_code');
+                        if (code) {
+                            capturedCode = code;
+                            logger.info('[FyersTokenFetcher] 🎯 Auth code captured from redirect');
+                            req.abort('blockedbyclient').catch(() => { });
+                            return;
+                        }
+                    } catch (_) { }
+                }
+                if (!req.isInterceptResolutionHandled()) {
+                    req.continue().catch(() => { });
+                }
+            });
+
+            const loginUrl = fyersAuthProvider.buildAuthorizationUrl(app_id, redirect_uri);
+            logger.info(`[FyersTokenFetcher] 🌐 Navigating to Fyers authorization dialog`);
+            await page.goto(loginUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+
+            // ─── STEP 1: Client ID ────────────────────────────────────────
+            await this._typeInto(page, ['#fy_client_id', 'input[name="fy_client_id"]', 'input[type="text"]'], fyers_id, 'client ID');
+            await this._click(page, ['#clientIdSubmit', 'button[type="submit"]'], 'Continue after client ID');
+            await new Promise(r => setTimeout(r, 2500));
+
+            // ─── STEP 2: TOTP ─────────────────────────────────────────────
+            const otp = authenticator.generate(totp_secret);
+            await this._typeInto(page, ['#otp-container input', '#first', 'input[maxlength="1"]'], otp, 'TOTP');
+            await this._click(page, ['#confirmOtpSubmit', 'button[type="submit"]'], 'Continue after TOTP');
+            await new Promise(r => setTimeout(r, 2500));
+
+            // ─── STEP 3: PIN ──────────────────────────────────────────────
+            await this._typeInto(page, ['#pin-container input', '#verify-pin-page input', 'input[type="password"]'], String(pin), 'PIN');
+            await this._click(page, ['#verifyPinSubmit', 'button[type="submit"]'], 'Continue after PIN');
+
+            // ─── Wait for redirect ────────────────────────────────────────
+            let waited = 0;
+            while (!capturedCode && waited < 20000) {
+                await new Promise(r => setTimeout(r, 1000));
+                waited += 1000;
+            }
+
+            if (!capturedCode) {
+                const pageText = await page.evaluate(() => document.body?.innerText || '').catch(() => '');
+                const invalidHint = /invalid|incorrect|wrong/i.test(pageText) ? ' (login page reported invalid credentials)' : '';
+                throw new Error(`Fyers login completed but no auth code was captured${invalidHint}. Final URL: ${page.url()}`);
+            }
+
+            return capturedCode;
+        } finally {
+            if (page) {
+                try { await page.close(); } catch (_) { }
+            }
+            if (browserInfo) {
+                try { browserPool.release(browserInfo.id, browserInfo.requestId); } catch (_) { }
+            }
+        }
+    }
+
+    /**
+     * Full login: browser dialog for the auth code, then the token exchange.
+     */
+    async fetchAccessToken(credentials) {
+        const startTime = Date.now();
+        const code = await this.fetchAuthorizationCode(credentials);
+        const tokenData = await fyersAuthProvider.exchangeAuthorizationCode(code, credentials);
+        return {
+            ...tokenData,
+            execution_time_ms: Date.now() - startTime
+        };
+    }
+
+    /**
+     * Segmented digit inputs auto-advance focus, so typing into the first
+     * box fills the whole group.
+     */
+    async _typeInto(page, selectors, value, label) {
+        for (const sel of selectors) {
+            try {
+                await page.waitForSelector(sel, { visible: true, timeout: 5000 });
+                await page.click(sel, { clickCount: 3 });
+                await page.keyboard.type(value, { delay: 60 });
+                logger.info(`[FyersTokenFetcher] ✅ Entered ${label} (${sel})`);
+                return;
+            } catch (_) { }
+        }
+        throw new Error(`Could not find ${label} input on Fyers login page`);
+    }
+
+    async _click(page, selectors, label) {
+        for (const sel of selectors) {
+            const el = await page.$(sel).catch(() => null);
+            if (el) {
+                await el.click();
+                logger.info(`[FyersTokenFetcher] ✅ Clicked ${label} (${sel})`);
+                return;
+            }
+        }
+        await page.keyboard.press('Enter');
+        logger.info(`[FyersTokenFetcher] ✅ Pressed Enter (${label})`);
+    }
+}
+
+module.exports = new FyersTokenFetcher();
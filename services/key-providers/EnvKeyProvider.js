@@ -0,0 +1,23 @@
+const { StaticKeyProvider } = require('./KeyProvider');
+
+/**
+ * Wraps data keys with the encryptor's own key ring (ENCRYPTION_KEY, with
+ * ENCRYPTION_PREVIOUS_KEYS still able to unwrap). Master key ids are the key
+ * fingerprints shown under /health `encryption_keys`.
+ */
+class EnvKeyProvider extends StaticKeyProvider {
+  /**
+   * @param {{ keys: Map<string, Buffer>, activeKeyId: string|null }} ring
+   */
+  constructor({ keys, activeKeyId }) {
+    super();
+    this.keys = keys;
+    this.activeKeyId = activeKeyId;
+  }
+
+  get name() {
+    return 'env';
+  }
+}
+
+module.exports = EnvKeyProvider;
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+const WRAP_ALGORITHM = 'aes-256-gcm';
+const WRAP_IV_LENGTH = 12;
+
+/**
+ * Wraps and unwraps the per-record data keys used for envelope encryption.
+ *
+ * Wrapped keys are opaque strings stored next to the ciphertext. A provider
+ * must unwrap anything it wrapped before, including under master keys it has
+ * since rotated away from; `isCurrent()` tells the re-encryption job whether a
+ * wrapped key is still under the provider's current master key.
+ */
+class KeyProvider {
+  constructor() {
+    if (this.constructor === KeyProvider) {
+      throw new Error('Abstract class KeyProvider cannot be instantiated directly.');
+    }
+  }
+
+  get name() {
+    throw new Error("Method 'name' must be implemented.");
+  }
+
+  /**
+   * @param {Buffer} dataKey
+   * @returns {Promise<string>} wrapped key
+   */
+  async wrapKey(dataKey) {
+    throw new Error("Method 'wrapKey()' must be implemented.");
+  }
+
+  /**
+   * @param {string} wrappedKey
+   * @returns {Promise<Buffer>} data key
+   */
+  async unwrapKey(wrappedKey) {
+    throw new Error("Method 'unwrapKey()' must be implemented.");
+  }
+
+  isCurrent(wrappedKey) {
+    return true;
+  }
+
+  /**
+   * Diagnostics for /health; never key material or credentials.
+   */
+  describe() {
+    return { name: this.name };
+  }
+
+  _buildError(message, code = 'KEY_PROVIDER_UNAVAILABLE', guidance = null) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = 503;
+    if (guidance) error.guidance = guidance;
+    return error;
+  }
+}
+
+/**
+ * Provider whose master keys are 32-byte AES keys it holds itself. Wrapped keys
+ * are <masterKeyId>:<iv>:<cipher>:<tag>, sealed with the provider name as AAD.
+ * Subclasses load `this.keys` (id -> Buffer) and `this.activeKeyId` in _loadKeys().
+ */
+class StaticKeyProvider extends KeyProvider {
+  constructor() {
+    super();
+    this.keys = new Map();
+    this.activeKeyId = null;
+  }
+
+  async _loadKeys() {}
+
+  async wrapKey(dataKey) {
+    await this._loadKeys();
+    const masterKey = this.keys.get(this.activeKeyId);
+    if (!masterKey) {
+      throw this._buildError(`${this.name} key provider has no active master key`, 'KEY_PROVIDER_MISCONFIGURED');
+    }
+
+    const iv = crypto.randomBytes(WRAP_IV_LENGTH);
+    const cipher = crypto.createCipheriv(WRAP_ALGORITHM, masterKey, iv);
+    cipher.setAAD(Buffer.from(`tokenbot:dek:${this.name}`, 'utf8'));
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    return [this.activeKeyId, iv.toString('hex'), wrapped.toString('hex'), cipher.getAuthTag().toString('hex')].join(':');
+  }
+
+  async unwrapKey(wrappedKey) {
+    const [keyId, ivHex, wrappedHex, tagHex] = String(wrappedKey || '').split(':');
+    if (!keyId || !ivHex || !wrappedHex || !tagHex) {
+      throw this._buildError(`Malformed ${this.name} wrapped key`, 'KEY_PROVIDER_WRAPPED_KEY_INVALID');
+    }
+
+    await this._loadKeys(keyId);
+    const masterKey = this.keys.get(keyId);
+    if (!masterKey) {
+      throw this._buildError(`${this.name} key provider does not hold master key ${keyId}`, 'KEY_PROVIDER_KEY_UNKNOWN');
+    }
+
+    const decipher = crypto.createDecipheriv(WRAP_ALGORITHM, masterKey, Buffer.from(ivHex, 'hex'));
+    decipher.setAAD(Buffer.from(`tokenbot:dek:${this.name}`, 'utf8'));
+    decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(wrappedHex, 'hex')), decipher.final()]);
+  }
+
+  isCurrent(wrappedKey) {
+    return String(wrappedKey || '').split(':')[0] === this.activeKeyId;
+  }
+
+  describe() {
+    return { name: this.name, active_key_id: this.activeKeyId, key_ids: [...this.keys.keys()] };
+  }
+}
+
+module.exports = { KeyProvider, StaticKeyProvider };
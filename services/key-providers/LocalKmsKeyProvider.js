@@ -0,0 +1,63 @@
+const fs = require('fs/promises');
+const { StaticKeyProvider } = require('./KeyProvider');
+
+/**
+ * File-based KMS stand-in for development and single-host deployments: master
+ * keys live in LOCAL_KMS_KEY_FILE, outside the service's environment.
+ *
+ * File format: { "active": "<key id>", "keys": { "<key id>": "<64 hex chars>", ... } }
+ * Add a key and point "active" at it to rotate; keep the old entry until the
+ * re-encryption job has rewrapped everything. The file is re-read when a wrapped
+ * key names a master key that is not loaded yet.
+ */
+class LocalKmsKeyProvider extends StaticKeyProvider {
+  constructor() {
+    super();
+    this.filePath = process.env.LOCAL_KMS_KEY_FILE || null;
+    this.loaded = false;
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  async _loadKeys(requiredKeyId = null) {
+    if (this.loaded && (!requiredKeyId || this.keys.has(requiredKeyId))) return;
+
+    if (!this.filePath) {
+      throw this._buildError(
+        'LOCAL_KMS_KEY_FILE is not set',
+        'KEY_PROVIDER_MISCONFIGURED',
+        'Point LOCAL_KMS_KEY_FILE at a JSON file of master keys, or choose another ENCRYPTION_KEY_PROVIDER'
+      );
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      throw this._buildError(`Could not read LOCAL_KMS_KEY_FILE: ${error.message}`, 'KEY_PROVIDER_UNAVAILABLE');
+    }
+
+    const keys = new Map();
+    for (const [keyId, hex] of Object.entries(parsed?.keys || {})) {
+      if (!/^[0-9a-f]{64}$/i.test(String(hex || '').trim())) {
+        throw this._buildError(`LOCAL_KMS_KEY_FILE key ${keyId} must be 64 hex characters (32 bytes)`, 'KEY_PROVIDER_MISCONFIGURED');
+      }
+      keys.set(keyId, Buffer.from(String(hex).trim(), 'hex'));
+    }
+    if (!parsed?.active || !keys.has(parsed.active)) {
+      throw this._buildError('LOCAL_KMS_KEY_FILE "active" must name one of its keys', 'KEY_PROVIDER_MISCONFIGURED');
+    }
+
+    this.keys = keys;
+    this.activeKeyId = parsed.active;
+    this.loaded = true;
+  }
+
+  describe() {
+    return { ...super.describe(), file: this.filePath };
+  }
+}
+
+module.exports = LocalKmsKeyProvider;
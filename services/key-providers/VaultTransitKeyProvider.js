@@ -0,0 +1,86 @@
+const { KeyProvider } = require('./KeyProvider');
+
+/**
+ * Wraps data keys with a HashiCorp Vault transit key (or anything speaking the
+ * same API): POST /v1/<mount>/encrypt/<key> and /decrypt/<key>. The master key
+ * never leaves Vault; wrapped keys are Vault's own `vault:v<N>:...` ciphertexts,
+ * so transit key rotation is handled by Vault.
+ */
+class VaultTransitKeyProvider extends KeyProvider {
+  constructor() {
+    super();
+    this.address = String(process.env.VAULT_ADDR || '').replace(/\/+$/, '') || null;
+    this.token = process.env.VAULT_TOKEN || null;
+    this.namespace = process.env.VAULT_NAMESPACE || null;
+    this.mount = String(process.env.VAULT_TRANSIT_MOUNT || 'transit').replace(/^\/+|\/+$/g, '');
+    this.keyName = process.env.VAULT_TRANSIT_KEY || 'tokenbot';
+    this.timeoutMs = Math.max(1, parseInt(process.env.VAULT_TIMEOUT_MS || '5000', 10));
+  }
+
+  get name() {
+    return 'vault';
+  }
+
+  async _request(action, body) {
+    if (!this.address || !this.token) {
+      throw this._buildError(
+        'VAULT_ADDR and VAULT_TOKEN are required for the vault key provider',
+        'KEY_PROVIDER_MISCONFIGURED',
+        'Set VAULT_ADDR and VAULT_TOKEN, or choose another ENCRYPTION_KEY_PROVIDER'
+      );
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    let response;
+    try {
+      response = await fetch(`${this.address}/v1/${this.mount}/${action}/${encodeURIComponent(this.keyName)}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Vault-Token': this.token,
+          ...(this.namespace ? { 'X-Vault-Namespace': this.namespace } : {})
+        },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? `timed out after ${this.timeoutMs}ms` : error.message;
+      throw this._buildError(`Vault transit ${action} failed: ${reason}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const detail = Array.isArray(payload.errors) && payload.errors.length > 0 ? `: ${payload.errors.join('; ')}` : '';
+      throw this._buildError(
+        `Vault transit ${action} failed: HTTP ${response.status}${detail}`,
+        response.status === 403 ? 'KEY_PROVIDER_FORBIDDEN' : 'KEY_PROVIDER_UNAVAILABLE'
+      );
+    }
+    return payload.data || {};
+  }
+
+  async wrapKey(dataKey) {
+    const data = await this._request('encrypt', { plaintext: dataKey.toString('base64') });
+    if (!data.ciphertext) {
+      throw this._buildError('Vault transit encrypt returned no ciphertext');
+    }
+    return data.ciphertext;
+  }
+
+  async unwrapKey(wrappedKey) {
+    const data = await this._request('decrypt', { ciphertext: wrappedKey });
+    if (!data.plaintext) {
+      throw this._buildError('Vault transit decrypt returned no plaintext');
+    }
+    return Buffer.from(data.plaintext, 'base64');
+  }
+
+  describe() {
+    return { name: this.name, address: this.address, mount: this.mount, key: this.keyName };
+  }
+}
+
+module.exports = VaultTransitKeyProvider;
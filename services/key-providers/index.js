@@ -0,0 +1,25 @@
+const EnvKeyProvider = require('./EnvKeyProvider');
+const LocalKmsKeyProvider = require('./LocalKmsKeyProvider');
+const VaultTransitKeyProvider = require('./VaultTransitKeyProvider');
+
+const PROVIDERS = {
+  env: (ring) => new EnvKeyProvider(ring),
+  local: () => new LocalKmsKeyProvider(),
+  vault: () => new VaultTransitKeyProvider()
+};
+
+/**
+ * Build the key provider registered under `name` (env | local | vault).
+ * @param {string} name
+ * @param {{ keys: Map<string, Buffer>, activeKeyId: string|null }} ring - encryptor key ring, used by `env`
+ * @returns {import('./KeyProvider').KeyProvider|null} null for unknown names
+ */
+function createKeyProvider(name, ring) {
+  const factory = PROVIDERS[name];
+  return factory ? factory(ring) : null;
+}
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  createKeyProvider
+};
@@ -0,0 +1,155 @@
+const axios = require('axios');
+const otplib = require('otplib');
+const KiteConnect = require('kiteconnect').KiteConnect;
+const logger = require('../utils/logger');
+const tokenFetcher = require('./tokenFetcher');
+
+const KITE_BASE_URL = 'https://kite.zerodha.com';
+const MAX_REDIRECTS = 10;
+
+/**
+ * Minimal cookie jar for the kite.zerodha.com session. Only name/value pairs
+ * are tracked; every request goes to the same host so domain/path scoping is
+ * not needed.
+ */
+class CookieJar {
+  constructor() {
+    this.cookies = new Map();
+  }
+
+  store(setCookieHeaders) {
+    for (const header of [].concat(setCookieHeaders || [])) {
+      const [pair] = String(header).split(';');
+      const separatorIndex = pair.indexOf('=');
+      if (separatorIndex <= 0) continue;
+      const name = pair.slice(0, separatorIndex).trim();
+      const value = pair.slice(separatorIndex + 1).trim();
+      if (value) {
+        this.cookies.set(name, value);
+      } else {
+        this.cookies.delete(name);
+      }
+    }
+  }
+
+  header() {
+    return Array.from(this.cookies.entries()).map(([name, value]) => `${name}=${value}`).join('; ');
+  }
+}
+
+/**
+ * Browserless Kite login: performs the same login → twofa → connect redirect
+ * sequence the Kite web app does, over plain HTTP.
+ */
+class KiteHttpTokenFetcher {
+  async _request(jar, method, url, data = null) {
+    const response = await axios({
+      method,
+      url,
+      data: data ? new URLSearchParams(data).toString() : undefined,
+      headers: {
+        'Accept': 'application/json, text/plain, */*',
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'X-Kite-Version': '3',
+        'Cookie': jar.header()
+      },
+      maxRedirects: 0,
+      timeout: 15000,
+      validateStatus: () => true
+    });
+    jar.store(response.headers['set-cookie']);
+    return response;
+  }
+
+  _assertApiSuccess(response, step) {
+    if (response.status >= 400 || response.data?.status !== 'success') {
+      const message = response.data?.message || `HTTP ${response.status}`;
+      const error = new Error(`Kite ${step} failed: ${message}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+    return response.data.data;
+  }
+
+  /**
+   * Follow the connect/login redirect chain until Kite redirects to the app's
+   * redirect URL carrying request_token. The app URL itself is never requested.
+   */
+  async _followConnectRedirects(jar, startUrl) {
+    let url = startUrl;
+    for (let hop = 0; hop < MAX_REDIRECTS; hop++) {
+      const requestToken = new URL(url, KITE_BASE_URL).searchParams.get('request_token');
+      if (requestToken) {
+        return { url, requestToken };
+      }
+
+      const response = await this._request(jar, 'get', url);
+      const location = response.headers.location;
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return { url, requestToken: null };
+      }
+      url = new URL(location, url).toString();
+    }
+    return { url, requestToken: null };
+  }
+
+  async fetchAccessToken({ kite_user_id, password, totp_secret, api_key, api_secret }) {
+    const startTime = Date.now();
+    const jar = new CookieJar();
+    const connectUrl = `${KITE_BASE_URL}/connect/login?v=3&api_key=${encodeURIComponent(api_key)}`;
+
+    logger.info(`🌐 Starting HTTP token fetch for user: ${kite_user_id}`);
+
+    // Step 1: Open the connect session so Kite binds sess_id to this cookie jar
+    const { url: loginPageUrl } = await this._followConnectRedirects(jar, connectUrl);
+
+    // Step 2: Password login
+    const loginData = this._assertApiSuccess(
+      await this._request(jar, 'post', `${KITE_BASE_URL}/api/login`, { user_id: kite_user_id, password }),
+      'login'
+    );
+
+    // Step 3: TOTP
+    this._assertApiSuccess(
+      await this._request(jar, 'post', `${KITE_BASE_URL}/api/twofa`, {
+        user_id: loginData.user_id || kite_user_id,
+        request_id: loginData.request_id,
+        twofa_value: otplib.authenticator.generate(totp_secret),
+        twofa_type: loginData.twofa_type || 'totp',
+        skip_totp: 'true'
+      }),
+      'TOTP verification'
+    );
+
+    // Step 4: Resume the connect flow; with an authenticated session Kite
+    // redirects to the app's redirect URL with request_token
+    const { url: finalUrl, requestToken } = await this._followConnectRedirects(
+      jar,
+      `${loginPageUrl}${loginPageUrl.includes('?') ? '&' : '?'}skip_session=true`
+    );
+
+    if (!requestToken) {
+      throw new Error(`Request token not found in redirect URL. Full URL: ${finalUrl}`);
+    }
+
+    logger.info(`✅ Request token extracted over HTTP: ${requestToken.substring(0, 10)}...`);
+
+    // Step 5: Generate session using KiteConnect
+    const kite = new KiteConnect({ api_key });
+    const session = await kite.generateSession(requestToken, api_secret);
+
+    const executionTime = Date.now() - startTime;
+    logger.info(`✅ HTTP token generation successful in ${executionTime}ms`);
+
+    return {
+      access_token: session.access_token,
+      public_token: session.public_token || null,
+      login_time: session.login_time || new Date().toISOString(),
+      expires_at: tokenFetcher.calculateExpiry(session.login_time || new Date()),
+      execution_time_ms: executionTime
+    };
+  }
+}
+
+module.exports = new KiteHttpTokenFetcher();
@@ -0,0 +1,292 @@
+const os = require('os');
+const { randomUUID } = require('crypto');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const distributedLock = require('./distributedLock');
+
+const LEADER_LOCK_KEY = 'scheduler-leader';
+// pg_try_advisory_lock(bigint) key for the Postgres fallback; any constant
+// unique to TokenBot works.
+const LEADER_ADVISORY_KEY = 74201501;
+const LEADER_APP_NAME_PREFIX = 'tokenbot-leader:';
+
+function parseOwnerOverride(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const normalized = String(value).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'on'].includes(normalized)) return true;
+  if (['0', 'false', 'no', 'off'].includes(normalized)) return false;
+  return null;
+}
+
+/**
+ * Lease-based leader election for scheduler ownership.
+ *
+ * Every replica campaigns; the holder of the lease runs the crons and renews
+ * the lease on each heartbeat. If the leader dies its lease lapses (Redis TTL)
+ * or its session closes (Postgres advisory lock) and another replica takes
+ * over on its next heartbeat. The transport is fixed by configuration (Redis
+ * when REDIS_URL is set, never mixed), so two replicas can never lead through
+ * different ones. TOKENBOT_SCHEDULER_OWNER=true|false pins the role instead.
+ */
+class LeaderElection {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.leaseMs = Math.max(5000, parseInt(process.env.TOKENBOT_LEADER_LEASE_MS || '30000', 10));
+    this.heartbeatMs = Math.max(1000, parseInt(process.env.TOKENBOT_LEADER_HEARTBEAT_MS || String(Math.floor(this.leaseMs / 3)), 10));
+    this.isLeader = false;
+    this.transport = null;
+    this.lease = null;
+    this.leaderSince = null;
+    this.lastHeartbeatAt = null;
+    this.timer = null;
+    this.running = false;
+    this.onElected = null;
+    this.onDemoted = null;
+  }
+
+  _ownerOverride() {
+    return parseOwnerOverride(process.env.TOKENBOT_SCHEDULER_OWNER);
+  }
+
+  /**
+   * With Redis configured it is the only transport: a replica that cannot reach
+   * it sits the round out rather than taking the advisory lock, which a leader
+   * holding the Redis lease would never see.
+   */
+  async _tryAcquireRedis() {
+    const token = `${this.instanceId}#${randomUUID()}`;
+    try {
+      const lock = await distributedLock.acquire(LEADER_LOCK_KEY, this.leaseMs, { token });
+      if (lock.mode === 'redis') {
+        return { transport: 'redis', lock };
+      }
+      // Redis configured but unreachable (non-production falls back to memory).
+      await distributedLock.release(lock);
+      logger.warn('[LeaderElection] Redis unreachable; not campaigning this round');
+      return null;
+    } catch (error) {
+      if (error.code !== 'TOKEN_REFRESH_LOCKED') {
+        logger.warn(`[LeaderElection] Redis lease unavailable; not campaigning this round: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  async _tryAcquireAdvisoryLock() {
+    const client = await db.getClient();
+    try {
+      const result = await client.query('SELECT pg_try_advisory_lock($1) AS acquired', [LEADER_ADVISORY_KEY]);
+      if (!result.rows[0]?.acquired) {
+        client.release();
+        return null;
+      }
+      // Lets other replicas see who holds the lock via pg_stat_activity.
+      await client.query(`SELECT set_config('application_name', $1, false)`, [`${LEADER_APP_NAME_PREFIX}${this.instanceId}`]);
+      return { transport: 'postgres', client };
+    } catch (error) {
+      client.release(true);
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<Object|null>} lease when acquired, null when another replica leads
+   */
+  async _tryAcquire() {
+    if (distributedLock.getStatus().redisConfigured) {
+      return this._tryAcquireRedis();
+    }
+
+    if (db.pool) {
+      return this._tryAcquireAdvisoryLock();
+    }
+
+    // No shared transport: a single local instance is trivially the leader.
+    return { transport: 'memory' };
+  }
+
+  async _renew() {
+    const { transport } = this.lease;
+    if (transport === 'redis') {
+      return distributedLock.extend(this.lease.lock, this.leaseMs);
+    }
+    if (transport === 'postgres') {
+      // The advisory lock lives as long as this session does.
+      await this.lease.client.query('SELECT 1');
+      return true;
+    }
+    return true;
+  }
+
+  async _releaseLease() {
+    const lease = this.lease;
+    this.lease = null;
+    if (!lease) return;
+
+    try {
+      if (lease.transport === 'redis') {
+        await distributedLock.release(lease.lock);
+      } else if (lease.transport === 'postgres') {
+        await lease.client.query('SELECT pg_advisory_unlock($1)', [LEADER_ADVISORY_KEY]);
+        lease.client.release();
+      }
+    } catch (error) {
+      logger.warn(`[LeaderElection] Failed to release leader lease cleanly: ${error.message}`);
+      if (lease.transport === 'postgres') {
+        lease.client.release(true);
+      }
+    }
+  }
+
+  _becomeLeader() {
+    this.isLeader = true;
+    this.leaderSince = new Date().toISOString();
+    logger.info(`👑 [LeaderElection] ${this.instanceId} is now scheduler leader (${this.transport})`);
+    try {
+      this.onElected?.();
+    } catch (error) {
+      logger.error(`❌ [LeaderElection] onElected handler failed: ${error.message}`);
+    }
+  }
+
+  _stepDown(reason) {
+    if (!this.isLeader) return;
+    this.isLeader = false;
+    this.leaderSince = null;
+    logger.warn(`⚠️ [LeaderElection] ${this.instanceId} lost scheduler leadership: ${reason}`);
+    try {
+      this.onDemoted?.();
+    } catch (error) {
+      logger.error(`❌ [LeaderElection] onDemoted handler failed: ${error.message}`);
+    }
+  }
+
+  async _heartbeat() {
+    this.lastHeartbeatAt = new Date().toISOString();
+
+    if (this.isLeader) {
+      let renewed = false;
+      try {
+        renewed = await this._renew();
+      } catch (error) {
+        logger.warn(`[LeaderElection] Lease renewal failed: ${error.message}`);
+        if (this.lease?.transport === 'postgres') {
+          this.lease.client.release(true);
+          this.lease = null;
+        }
+      }
+
+      if (!renewed) {
+        await this._releaseLease();
+        this._stepDown('lease renewal failed');
+      }
+      return;
+    }
+
+    try {
+      const lease = await this._tryAcquire();
+      if (lease) {
+        this.lease = lease;
+        this.transport = lease.transport;
+        this._becomeLeader();
+      }
+    } catch (error) {
+      logger.warn(`[LeaderElection] Campaign failed: ${error.message}`);
+    }
+  }
+
+  _scheduleNext() {
+    if (!this.running) return;
+    this.timer = setTimeout(async () => {
+      await this._heartbeat();
+      this._scheduleNext();
+    }, this.heartbeatMs);
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+  }
+
+  /**
+   * Start campaigning. onElected/onDemoted fire on every role change.
+   */
+  async start({ onElected = null, onDemoted = null } = {}) {
+    if (this.running) return;
+
+    this.onElected = onElected;
+    this.onDemoted = onDemoted;
+
+    const override = this._ownerOverride();
+    if (override !== null) {
+      this.transport = 'static';
+      logger.info(`ℹ️ [LeaderElection] TOKENBOT_SCHEDULER_OWNER=${override}; leader election disabled on this instance`);
+      if (override) this._becomeLeader();
+      return;
+    }
+
+    this.running = true;
+    await this._heartbeat();
+    this._scheduleNext();
+  }
+
+  /**
+   * Stop campaigning and hand the lease back so another replica can take over
+   * without waiting for it to expire.
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this._releaseLease();
+    this._stepDown('shutting down');
+  }
+
+  /**
+   * Best-effort id of the current leader, as seen from this instance.
+   */
+  async getLeader() {
+    if (this.isLeader) return this.instanceId;
+    if (this.transport === 'static') return null;
+
+    try {
+      if (distributedLock.getStatus().redisConfigured) {
+        const holder = await distributedLock.getHolder(LEADER_LOCK_KEY);
+        if (holder) return String(holder).split('#')[0];
+      }
+
+      if (db.pool) {
+        const result = await db.query(`
+          SELECT a.application_name
+          FROM pg_locks l
+          JOIN pg_stat_activity a ON a.pid = l.pid
+          WHERE l.locktype = 'advisory'
+            AND l.classid = 0
+            AND l.objid = $1
+            AND l.granted
+          LIMIT 1
+        `, [LEADER_ADVISORY_KEY]);
+        const appName = result.rows[0]?.application_name || '';
+        if (appName.startsWith(LEADER_APP_NAME_PREFIX)) {
+          return appName.slice(LEADER_APP_NAME_PREFIX.length);
+        }
+      }
+    } catch (error) {
+      logger.warn(`[LeaderElection] Could not look up current leader: ${error.message}`);
+    }
+
+    return null;
+  }
+
+  async getStatus() {
+    return {
+      instance_id: this.instanceId,
+      is_leader: this.isLeader,
+      leader: await this.getLeader(),
+      mode: this.transport === 'static' ? 'static' : 'election',
+      transport: this.transport,
+      leader_since: this.leaderSince,
+      last_heartbeat_at: this.lastHeartbeatAt,
+      lease_ms: this.leaseMs,
+      heartbeat_ms: this.heartbeatMs
+    };
+  }
+}
+
+module.exports = new LeaderElection();
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+const ENTRY_TYPES = ['HOLIDAY', 'SPECIAL_SESSION'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DEFAULT_EXCHANGES = ['NSE', 'BSE'];
+
+/**
+ * NSE/BSE trading calendar.
+ *
+ * Entries come from an optional JSON/CSV file (MARKET_CALENDAR_FILE) and from
+ * the market_calendar_days table (uploaded through the admin API); table rows
+ * win over file rows for the same exchange/day/type. Weekends are closed
+ * unless a special session (e.g. Muhurat trading) is listed.
+ *
+ * JSON: { holidays: [{ date, description, exchanges }],
+ *         specialSessions: [{ date, description, start, end, exchanges }] }
+ * CSV:  date,type,description,start,end,exchanges   (exchanges "NSE|BSE")
+ */
+class MarketCalendar {
+  constructor() {
+    this.exchanges = String(process.env.MARKET_CALENDAR_EXCHANGES || DEFAULT_EXCHANGES.join(','))
+      .split(',')
+      .map((exchange) => exchange.trim().toUpperCase())
+      .filter(Boolean);
+    this.reloadIntervalMs = Math.max(60000, parseInt(process.env.MARKET_CALENDAR_RELOAD_MS || '600000', 10));
+    this.fileEntries = [];
+    this.dbEntries = [];
+    this.loadedAt = 0;
+    this.fileLoaded = false;
+    this.index = new Map();
+  }
+
+  _buildError(message, statusCode = 400, code = 'MARKET_CALENDAR_INVALID') {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  _key(exchange, date, type) {
+    return `${exchange}:${date}:${type}`;
+  }
+
+  _rebuildIndex() {
+    const merged = new Map();
+    for (const entry of [...this.fileEntries, ...this.dbEntries]) {
+      merged.set(this._key(entry.exchange, entry.date, entry.type), entry);
+    }
+    this.index = merged;
+  }
+
+  _normalizeEntry(raw, type, position) {
+    const date = String(raw.date || '').trim();
+    if (!DATE_PATTERN.test(date) || Number.isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+      throw this._buildError(`Entry ${position}: date must be YYYY-MM-DD`);
+    }
+    if (!ENTRY_TYPES.includes(type)) {
+      throw this._buildError(`Entry ${position}: type must be HOLIDAY or SPECIAL_SESSION`);
+    }
+
+    const start = raw.start ? String(raw.start).trim() : null;
+    const end = raw.end ? String(raw.end).trim() : null;
+    if (type === 'SPECIAL_SESSION' && !TIME_PATTERN.test(start || '')) {
+      throw this._buildError(`Entry ${position}: special sessions need a start time (HH:MM IST)`);
+    }
+    if (end && !TIME_PATTERN.test(end)) {
+      throw this._buildError(`Entry ${position}: end must be HH:MM`);
+    }
+
+    const exchanges = (Array.isArray(raw.exchanges)
+      ? raw.exchanges
+      : String(raw.exchanges || DEFAULT_EXCHANGES.join('|')).split(/[|,]/))
+      .map((exchange) => String(exchange).trim().toUpperCase())
+      .filter(Boolean);
+
+    return exchanges.map((exchange) => ({
+      exchange,
+      date,
+      type,
+      description: raw.description ? String(raw.description).trim() : null,
+      sessionStart: type === 'SPECIAL_SESSION' ? start : null,
+      sessionEnd: type === 'SPECIAL_SESSION' ? end : null
+    }));
+  }
+
+  parseJson(payload) {
+    const document = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    if (!document || typeof document !== 'object') {
+      throw this._buildError('Calendar JSON must be an object with holidays/specialSessions');
+    }
+
+    const holidays = (document.holidays || []).flatMap((entry, i) => this._normalizeEntry(entry, 'HOLIDAY', `holidays[${i}]`));
+    const sessions = (document.specialSessions || []).flatMap((entry, i) => this._normalizeEntry(entry, 'SPECIAL_SESSION', `specialSessions[${i}]`));
+    return [...holidays, ...sessions];
+  }
+
+  parseCsv(text) {
+    const lines = String(text || '')
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith('#'));
+    if (lines.length === 0) return [];
+
+    const header = lines[0].split(',').map((column) => column.trim().toLowerCase());
+    if (!header.includes('date') || !header.includes('type')) {
+      throw this._buildError('CSV header must include date and type columns');
+    }
+
+    return lines.slice(1).flatMap((line, i) => {
+      const cells = line.split(',').map((cell) => cell.trim());
+      const row = Object.fromEntries(header.map((column, c) => [column, cells[c] || '']));
+      return this._normalizeEntry(row, String(row.type).toUpperCase(), `line ${i + 2}`);
+    });
+  }
+
+  /**
+   * Load the bundled calendar file (.json or .csv). Missing file is not an error.
+   */
+  loadFromFile(filePath = process.env.MARKET_CALENDAR_FILE) {
+    if (!filePath) return 0;
+
+    const resolved = path.resolve(filePath);
+    if (!fs.existsSync(resolved)) {
+      logger.warn(`⚠️ [MarketCalendar] Calendar file ${resolved} not found`);
+      return 0;
+    }
+
+    const content = fs.readFileSync(resolved, 'utf8');
+    this.fileEntries = resolved.toLowerCase().endsWith('.csv') ? this.parseCsv(content) : this.parseJson(content);
+    this._rebuildIndex();
+    logger.info(`📅 [MarketCalendar] Loaded ${this.fileEntries.length} entries from ${resolved}`);
+    return this.fileEntries.length;
+  }
+
+  async reload() {
+    try {
+      const result = await db.query(`
+        SELECT exchange, TO_CHAR(day, 'YYYY-MM-DD') AS date, type, description,
+               TO_CHAR(session_start, 'HH24:MI') AS session_start,
+               TO_CHAR(session_end, 'HH24:MI') AS session_end
+        FROM market_calendar_days
+      `);
+      this.dbEntries = result.rows.map((row) => ({
+        exchange: row.exchange,
+        date: row.date,
+        type: row.type,
+        description: row.description || null,
+        sessionStart: row.session_start || null,
+        sessionEnd: row.session_end || null
+      }));
+      this._rebuildIndex();
+    } catch (error) {
+      logger.warn(`⚠️ [MarketCalendar] Could not load calendar from database: ${error.message}`);
+    }
+    this.loadedAt = Date.now();
+  }
+
+  async ensureLoaded() {
+    if (!this.fileLoaded) {
+      this.fileLoaded = true;
+      try {
+        this.loadFromFile();
+      } catch (error) {
+        logger.error(`❌ [MarketCalendar] Could not parse calendar file: ${error.message}`);
+      }
+    }
+    if (Date.now() - this.loadedAt > this.reloadIntervalMs) {
+      await this.reload();
+    }
+  }
+
+  /**
+   * Replace all entries of a year with an uploaded calendar.
+   * @returns {Promise<number>} entries stored
+   */
+  async replaceYear(year, entries) {
+    const numericYear = parseInt(year, 10);
+    if (!Number.isInteger(numericYear) || numericYear < 2000 || numericYear > 2100) {
+      throw this._buildError('year must be a four-digit year');
+    }
+    const outside = entries.find((entry) => !entry.date.startsWith(`${numericYear}-`));
+    if (outside) {
+      throw this._buildError(`Entry for ${outside.date} is outside ${numericYear}`);
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      await client.query(`DELETE FROM market_calendar_days WHERE EXTRACT(YEAR FROM day) = $1`, [numericYear]);
+      for (const entry of entries) {
+        await client.query(`
+          INSERT INTO market_calendar_days (exchange, day, type, description, session_start, session_end)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          ON CONFLICT (exchange, day, type) DO UPDATE
+          SET description = EXCLUDED.description,
+              session_start = EXCLUDED.session_start,
+              session_end = EXCLUDED.session_end
+        `, [entry.exchange, entry.date, entry.type, entry.description, entry.sessionStart, entry.sessionEnd]);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => { });
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await this.reload();
+    logger.info(`📅 [MarketCalendar] Stored ${entries.length} calendar entries for ${numericYear}`);
+    return entries.length;
+  }
+
+  list(year = null) {
+    return [...this.index.values()]
+      .filter((entry) => !year || entry.date.startsWith(`${year}-`))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.exchange.localeCompare(b.exchange));
+  }
+
+  istDate(date = new Date()) {
+    const timestamp = new Date(date).getTime();
+    if (Number.isNaN(timestamp)) {
+      throw this._buildError('date must be YYYY-MM-DD');
+    }
+    return new Date(timestamp + IST_OFFSET_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Trading status of an IST calendar day across the configured exchanges.
+   * A day is a trading day if any configured exchange is open; regularSession
+   * is false when the only trading is a special session (e.g. Muhurat on Diwali).
+   * @returns {{ date, tradingDay: boolean, regularSession: boolean, reason: string, description: string|null, specialSession: Object|null }}
+   */
+  getDayStatus(date = new Date()) {
+    const day = typeof date === 'string' && DATE_PATTERN.test(date) ? date : this.istDate(date);
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    const isWeekend = weekday === 0 || weekday === 6;
+
+    const session = this.exchanges
+      .map((exchange) => this.index.get(this._key(exchange, day, 'SPECIAL_SESSION')))
+      .filter(Boolean)
+      .sort((a, b) => a.sessionStart.localeCompare(b.sessionStart))[0] || null;
+    const holidays = this.exchanges.map((exchange) => this.index.get(this._key(exchange, day, 'HOLIDAY')));
+    const closedEverywhere = isWeekend || holidays.every(Boolean);
+
+    if (session) {
+      return {
+        date: day,
+        tradingDay: true,
+        regularSession: !closedEverywhere,
+        reason: 'SPECIAL_SESSION',
+        description: session.description,
+        specialSession: { start: session.sessionStart, end: session.sessionEnd, exchange: session.exchange }
+      };
+    }
+
+    if (closedEverywhere) {
+      return {
+        date: day,
+        tradingDay: false,
+        regularSession: false,
+        reason: isWeekend ? 'WEEKEND' : 'HOLIDAY',
+        description: isWeekend ? null : holidays.find(Boolean)?.description || null,
+        specialSession: null
+      };
+    }
+
+    return { date: day, tradingDay: true, regularSession: true, reason: 'TRADING_DAY', description: null, specialSession: null };
+  }
+}
+
+module.exports = new MarketCalendar();
@@ -0,0 +1,67 @@
+const logger = require('../utils/logger');
+const distributedLock = require('./distributedLock');
+
+/**
+ * Remembers request-signing nonces until their timestamp can no longer pass the
+ * freshness check, so a captured signed request cannot be replayed.
+ *
+ * Nonces are claimed with SET NX on the shared Redis client when REDIS_URL is
+ * set, which covers every replica. Without Redis (or while it is unreachable)
+ * they are kept in process, so a replay sent to a different replica within the
+ * window is not caught.
+ */
+class NonceStore {
+  constructor() {
+    this.local = new Map();
+    this.maxLocalEntries = Math.max(1000, parseInt(process.env.SERVICE_SIGNATURE_NONCE_MAX_ENTRIES || '100000', 10));
+    this.warnedMemory = false;
+  }
+
+  _key(scope, nonce) {
+    return `tokenbot:nonce:${scope}:${nonce}`;
+  }
+
+  _claimLocal(key, ttlMs) {
+    const now = Date.now();
+    if (this.local.size >= this.maxLocalEntries) {
+      for (const [entry, expiresAt] of this.local) {
+        if (expiresAt <= now) this.local.delete(entry);
+      }
+    }
+
+    const expiresAt = this.local.get(key);
+    if (expiresAt && expiresAt > now) return false;
+    if (this.local.size >= this.maxLocalEntries) {
+      // Every entry is still live; drop the oldest rather than grow without bound.
+      this.local.delete(this.local.keys().next().value);
+    }
+    this.local.set(key, now + ttlMs);
+    return true;
+  }
+
+  /**
+   * Record a nonce for `ttlMs`.
+   * @returns {Promise<boolean>} false when the nonce was already used
+   */
+  async claim(scope, nonce, ttlMs) {
+    const key = this._key(scope, nonce);
+    const safeTtlMs = Math.max(1000, Number(ttlMs) || 1000);
+
+    const client = await distributedLock.getRedisClient();
+    if (client) {
+      try {
+        const result = await client.set(key, '1', 'PX', safeTtlMs, 'NX');
+        return result === 'OK';
+      } catch (error) {
+        logger.warn(`[NonceStore] Redis unavailable, checking nonces in memory: ${error.message}`);
+      }
+    } else if (!this.warnedMemory) {
+      this.warnedMemory = true;
+      logger.info('ℹ️ Request-signing nonces are tracked in memory (Redis not configured)');
+    }
+
+    return this._claimLocal(key, safeTtlMs);
+  }
+}
+
+module.exports = new NonceStore();
@@ -0,0 +1,153 @@
+const axios = require('axios');
+const { authenticator } = require('otplib');
+
+class AngelOneAuthProvider {
+    constructor() {
+        this.baseUrl = 'https://apiconnect.angelone.in';
+    }
+
+    /**
+     * SmartAPI expects these client identification headers on every call.
+     * The IP/MAC values are informational only and are not validated server-side.
+     */
+    _buildHeaders(apiKey, jwtToken = null) {
+        const headers = {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json',
+            'X-UserType': 'USER',
+            'X-SourceID': 'WEB',
+            'X-ClientLocalIP': process.env.ANGELONE_CLIENT_LOCAL_IP || '127.0.0.1',
+            'X-ClientPublicIP': process.env.ANGELONE_CLIENT_PUBLIC_IP || '127.0.0.1',
+            'X-MACAddress': process.env.ANGELONE_CLIENT_MAC || '00:00:00:00:00:00',
+            'X-PrivateKey': apiKey
+        };
+        if (jwtToken) {
+            headers['Authorization'] = `Bearer ${jwtToken}`;
+        }
+        return headers;
+    }
+
+    _stripBearer(token) {
+        return typeof token === 'string' ? token.replace(/^Bearer\s+/i, '').trim() : null;
+    }
+
+    /**
+     * Read the `exp` claim from the jwtToken. Falls back to midnight IST,
+     * which is when SmartAPI sessions are invalidated.
+     */
+    calculateExpiry(jwtToken, issuedAt = new Date()) {
+        try {
+            const [, payloadSegment] = String(jwtToken).split('.');
+            const claims = JSON.parse(Buffer.from(payloadSegment, 'base64').toString('utf8'));
+            if (Number.isFinite(claims?.exp)) {
+                return new Date(claims.exp * 1000).toISOString();
+            }
+        } catch (_) { }
+
+        const istOffset = 5.5 * 60 * 60 * 1000;
+        const expiryIST = new Date(new Date(issuedAt).getTime() + istOffset);
+        expiryIST.setUTCHours(24, 0, 0, 0);
+        return new Date(expiryIST.getTime() - istOffset).toISOString();
+    }
+
+    _extractSession(payload, fallbackRefreshToken = null) {
+        if (payload?.status === false || !payload?.data) {
+            const error = new Error(payload?.message || 'Angel One did not return a session');
+            error.code = payload?.errorcode || null;
+            throw error;
+        }
+
+        const jwtToken = this._stripBearer(payload.data.jwtToken);
+        if (!jwtToken) {
+            throw new Error('Angel One response did not include a jwtToken');
+        }
+
+        return {
+            access_token: jwtToken,
+            refresh_token: payload.data.refreshToken || fallbackRefreshToken,
+            feed_token: payload.data.feedToken || null,
+            expires_at: this.calculateExpiry(jwtToken)
+        };
+    }
+
+    async _post(path, body, headers, action) {
+        try {
+            const response = await axios.post(`${this.baseUrl}${path}`, body, { headers, timeout: 15000 });
+            return response.data;
+        } catch (error) {
+            const apiMessage = error?.response?.data?.message;
+            const wrapped = new Error(`Angel One ${action} failed: ${apiMessage || error.message}`);
+            wrapped.statusCode = error?.response?.status || null;
+            throw wrapped;
+        }
+    }
+
+    /**
+     * Full headless login with client code + MPIN + TOTP.
+     * @param {Object} credentials - { client_code, mpin, totp_secret, api_key }
+     */
+    async login({ client_code, mpin, totp_secret, api_key }) {
+        if (!client_code || !mpin || !totp_secret || !api_key) {
+            throw new Error('Angel One login requires: client_code, mpin, totp_secret and api_key');
+        }
+
+        const payload = await this._post(
+            '/rest/auth/angelbroking/user/v1/loginByPassword',
+            {
+                clientcode: client_code,
+                password: String(mpin),
+                totp: authenticator.generate(totp_secret)
+            },
+            this._buildHeaders(api_key),
+            'login'
+        );
+
+        return this._extractSession(payload);
+    }
+
+    /**
+     * Exchange the refresh token for a new jwtToken/feedToken pair.
+     * @param {string} jwtToken - Current (possibly expired) jwtToken
+     * @param {string} refreshToken
+     * @param {string} apiKey
+     */
+    async renewToken(jwtToken, refreshToken, apiKey) {
+        if (!refreshToken) {
+            throw new Error('Angel One renewal requires a refresh token');
+        }
+
+        const payload = await this._post(
+            '/rest/auth/angelbroking/jwt/v1/generateTokens',
+            { refreshToken },
+            this._buildHeaders(apiKey, this._stripBearer(jwtToken)),
+            'token renewal'
+        );
+
+        return this._extractSession(payload, refreshToken);
+    }
+
+    /**
+     * Validate a token by fetching the user profile
+     * @param {string} jwtToken
+     * @param {string} apiKey
+     * @returns {Promise<boolean>} false when SmartAPI rejects the session;
+     *   throws for network/server errors
+     */
+    async validateToken(jwtToken, apiKey) {
+        try {
+            const response = await axios.get(`${this.baseUrl}/rest/secure/angelbroking/user/v1/getProfile`, {
+                headers: this._buildHeaders(apiKey, this._stripBearer(jwtToken)),
+                timeout: 15000
+            });
+            return response.data?.status !== false;
+        } catch (error) {
+            const status = error?.response?.status;
+            if (status === 401 || status === 403) {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = new AngelOneAuthProvider();
@@ -72,7 +72,8 @@ class DhanAuthProvider {
      * Validate a token by making a test request
      * @param {string} accessToken 
      * @param {string} accountId 
-     * @returns {Promise<boolean>}
+     * @returns {Promise<boolean>} false when Dhan rejects the token (401/403);
+     *   throws for network/server errors so callers can tell "unknown" from "revoked"
      */
     async validateToken(accessToken, accountId) {
         try {
@@ -81,20 +82,27 @@ class DhanAuthProvider {
                 'Accept': 'application/json',
                 'Content-Type': 'application/json'
             };
+            if (accountId) {
+                headers['client-id'] = accountId;
+            }
 
             // Prefer /fundlimit (v2). Fallback to older path for compatibility.
             try {
-                await axios.get(`${this.baseUrl}/fundlimit`, { headers });
+                await axios.get(`${this.baseUrl}/fundlimit`, { headers, timeout: 15000 });
             } catch (error) {
                 if (error?.response?.status !== 404) throw error;
-                await axios.get(`${this.baseUrl}/fund/limits`, { headers });
+                await axios.get(`${this.baseUrl}/fund/limits`, { headers, timeout: 15000 });
             }
 
             // If success, token is valid
             return true;
         } catch (error) {
-            logger.warn(`Dhan token validation failed for ${accountId}: ${error.message}`);
-            return false;
+            const status = error?.response?.status;
+            if (status === 401 || status === 403) {
+                logger.warn(`Dhan token validation failed for ${accountId}: ${error.message}`);
+                return false;
+            }
+            throw error;
         }
     }
 
@@ -0,0 +1,150 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+class FyersAuthProvider {
+    constructor() {
+        this.baseUrl = 'https://api-t1.fyers.in/api/v3';
+    }
+
+    /**
+     * Fyers identifies the app by SHA-256 of `app_id:app_secret` on token endpoints.
+     */
+    _appIdHash(appId, appSecret) {
+        return crypto.createHash('sha256').update(`${appId}:${appSecret}`).digest('hex');
+    }
+
+    /**
+     * Authorization dialog URL the browser login starts from.
+     * @param {string} appId - Fyers app id (e.g. XXXX-100)
+     * @param {string} redirectUri - Redirect URI registered on the Fyers app
+     */
+    buildAuthorizationUrl(appId, redirectUri) {
+        const params = new URLSearchParams({
+            client_id: appId,
+            redirect_uri: redirectUri,
+            response_type: 'code',
+            state: 'tokenbot'
+        });
+        return `${this.baseUrl}/generate-authcode?${params.toString()}`;
+    }
+
+    /**
+     * Read the `exp` claim from the access token. Falls back to the next
+     * 06:00 IST, after which Fyers rejects the previous day's tokens.
+     */
+    calculateExpiry(accessToken, issuedAt = new Date()) {
+        try {
+            const [, payloadSegment] = String(accessToken).split('.');
+            const claims = JSON.parse(Buffer.from(payloadSegment, 'base64').toString('utf8'));
+            if (Number.isFinite(claims?.exp)) {
+                return new Date(claims.exp * 1000).toISOString();
+            }
+        } catch (_) { }
+
+        const istOffset = 5.5 * 60 * 60 * 1000;
+        const issuedIST = new Date(new Date(issuedAt).getTime() + istOffset);
+        const expiryIST = new Date(issuedIST);
+        expiryIST.setUTCHours(6, 0, 0, 0);
+        if (expiryIST <= issuedIST) {
+            expiryIST.setUTCDate(expiryIST.getUTCDate() + 1);
+        }
+        return new Date(expiryIST.getTime() - istOffset).toISOString();
+    }
+
+    async _post(path, body, action) {
+        let payload = null;
+        try {
+            const response = await axios.post(`${this.baseUrl}${path}`, body, {
+                headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+                timeout: 15000
+            });
+            payload = response.data;
+        } catch (error) {
+            payload = error?.response?.data || null;
+            if (!payload) {
+                throw new Error(`Fyers ${action} failed: ${error.message}`);
+            }
+            payload.httpStatus = error.response.status;
+        }
+
+        if (payload?.s !== 'ok' || !payload?.access_token) {
+            const wrapped = new Error(`Fyers ${action} failed: ${payload?.message || 'no access token returned'}`);
+            wrapped.statusCode = payload?.httpStatus || null;
+            wrapped.fyersCode = payload?.code ?? null;
+            throw wrapped;
+        }
+        return payload;
+    }
+
+    /**
+     * Exchange the auth code captured from the redirect for access + refresh tokens.
+     * @param {string} code
+     * @param {Object} credentials - { app_id, app_secret }
+     */
+    async exchangeAuthorizationCode(code, { app_id, app_secret }) {
+        if (!code) {
+            throw new Error('Fyers auth code is required');
+        }
+
+        const payload = await this._post('/validate-authcode', {
+            grant_type: 'authorization_code',
+            appIdHash: this._appIdHash(app_id, app_secret),
+            code
+        }, 'auth code exchange');
+
+        return {
+            access_token: payload.access_token,
+            refresh_token: payload.refresh_token || null,
+            expires_at: this.calculateExpiry(payload.access_token)
+        };
+    }
+
+    /**
+     * Issue a new access token from the (15-day) refresh token and the account PIN.
+     * @param {string} refreshToken
+     * @param {Object} credentials - { app_id, app_secret, pin }
+     */
+    async renewToken(refreshToken, { app_id, app_secret, pin }) {
+        if (!refreshToken) {
+            throw new Error('Fyers renewal requires a refresh token');
+        }
+
+        const payload = await this._post('/validate-refresh-token', {
+            grant_type: 'refresh_token',
+            appIdHash: this._appIdHash(app_id, app_secret),
+            refresh_token: refreshToken,
+            pin: String(pin)
+        }, 'token renewal');
+
+        return {
+            access_token: payload.access_token,
+            refresh_token: refreshToken,
+            expires_at: this.calculateExpiry(payload.access_token)
+        };
+    }
+
+    /**
+     * Validate a token by fetching the user profile
+     * @param {string} accessToken
+     * @param {string} appId
+     * @returns {Promise<boolean>} false when Fyers rejects the token;
+     *   throws for network/server errors
+     */
+    async validateToken(accessToken, appId) {
+        try {
+            const response = await axios.get(`${this.baseUrl}/profile`, {
+                headers: { 'Authorization': `${appId}:${accessToken}` },
+                timeout: 15000
+            });
+            return response.data?.s === 'ok';
+        } catch (error) {
+            const status = error?.response?.status;
+            if (status === 401 || status === 403) {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = new FyersAuthProvider();
@@ -0,0 +1,110 @@
+const axios = require('axios');
+
+class UpstoxAuthProvider {
+    constructor() {
+        this.baseUrl = 'https://api.upstox.com/v2';
+    }
+
+    /**
+     * Authorization dialog URL the browser login starts from.
+     * @param {string} apiKey - Upstox app API key (client_id)
+     * @param {string} redirectUri - Redirect URI registered on the Upstox app
+     */
+    buildAuthorizationUrl(apiKey, redirectUri) {
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: apiKey,
+            redirect_uri: redirectUri
+        });
+        return `${this.baseUrl}/login/authorization/dialog?${params.toString()}`;
+    }
+
+    /**
+     * Upstox access tokens are valid until 3:30 AM IST the following day,
+     * irrespective of when they were generated.
+     */
+    calculateExpiry(issuedAt = new Date()) {
+        const istOffset = 5.5 * 60 * 60 * 1000;
+        const issuedIST = new Date(new Date(issuedAt).getTime() + istOffset);
+
+        const expiryIST = new Date(issuedIST);
+        expiryIST.setUTCHours(3, 30, 0, 0);
+        if (expiryIST <= issuedIST) {
+            expiryIST.setUTCDate(expiryIST.getUTCDate() + 1);
+        }
+
+        return new Date(expiryIST.getTime() - istOffset).toISOString();
+    }
+
+    /**
+     * Exchange the authorization code captured from the redirect for an access token.
+     * @param {string} code
+     * @param {Object} credentials - { api_key, api_secret, redirect_uri }
+     */
+    async exchangeAuthorizationCode(code, { api_key, api_secret, redirect_uri }) {
+        if (!code) {
+            throw new Error('Upstox authorization code is required');
+        }
+
+        const body = new URLSearchParams({
+            code,
+            client_id: api_key,
+            client_secret: api_secret,
+            redirect_uri,
+            grant_type: 'authorization_code'
+        });
+
+        let payload = null;
+        try {
+            const response = await axios.post(`${this.baseUrl}/login/authorization/token`, body.toString(), {
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                timeout: 15000
+            });
+            payload = response.data;
+        } catch (error) {
+            const apiMessage = error?.response?.data?.errors?.[0]?.message || error?.response?.data?.message;
+            const wrapped = new Error(`Upstox token exchange failed: ${apiMessage || error.message}`);
+            wrapped.statusCode = error?.response?.status || null;
+            throw wrapped;
+        }
+
+        const accessToken = payload?.access_token || payload?.data?.access_token;
+        if (!accessToken || typeof accessToken !== 'string') {
+            throw new Error('Upstox token exchange did not return an access token');
+        }
+
+        return {
+            access_token: accessToken.trim(),
+            extended_token: payload?.extended_token || payload?.data?.extended_token || null,
+            account_id: payload?.user_id || payload?.data?.user_id || null,
+            expires_at: this.calculateExpiry(new Date())
+        };
+    }
+
+    /**
+     * Validate a token by fetching the user profile
+     * @param {string} accessToken
+     * @returns {Promise<boolean>} false when Upstox rejects the token (401/403);
+     *   throws for network/server errors
+     */
+    async validateToken(accessToken) {
+        try {
+            await axios.get(`${this.baseUrl}/user/profile`, {
+                headers: { 'Accept': 'application/json', 'Authorization': `Bearer ${accessToken}` },
+                timeout: 15000
+            });
+            return true;
+        } catch (error) {
+            const status = error?.response?.status;
+            if (status === 401 || status === 403) {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = new UpstoxAuthProvider();
@@ -0,0 +1,29 @@
+const KiteConnect = require('kiteconnect').KiteConnect;
+const logger = require('../../utils/logger');
+
+class ZerodhaAuthProvider {
+    /**
+     * Validate a token by fetching the Kite user profile (/user/profile).
+     * @param {string} accessToken
+     * @param {string} apiKey
+     * @returns {Promise<boolean>} false when Kite rejects the token (TokenException);
+     *   throws for network/server errors so callers can tell "unknown" from "revoked"
+     */
+    async validateToken(accessToken, apiKey) {
+        const kite = new KiteConnect({ api_key: apiKey });
+        kite.setAccessToken(accessToken);
+
+        try {
+            await kite.getProfile();
+            return true;
+        } catch (error) {
+            if (error?.error_type === 'TokenException' || error?.error_type === 'PermissionException') {
+                logger.warn(`Kite token validation failed: ${error.message}`);
+                return false;
+            }
+            throw new Error(`Kite profile check failed: ${error?.message || 'unknown error'}`);
+        }
+    }
+}
+
+module.exports = new ZerodhaAuthProvider();
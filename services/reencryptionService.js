@@ -0,0 +1,421 @@
+const os = require('os');
+const db = require('../config/database');
+const encryptor = require('./encryptor');
+const logger = require('../utils/logger');
+
+// Tables holding ciphertexts. `encrypted_*` columns are discovered per row;
+// JSON columns hold objects whose ciphertext-shaped string fields are upgraded.
+// `owner` gives the encryption context credentials are bound to; access tokens
+// are read outside TokenBot and stay unbound, as do webhook and API key
+// signing secrets.
+const TARGETS = [
+  {
+    name: 'kite_user_credentials',
+    table: 'kite_user_credentials',
+    select: '*',
+    columnPrefix: 'encrypted_',
+    owner: (row) => ({ userId: row.user_id })
+  },
+  {
+    name: 'dhan_user_credentials',
+    table: 'dhan_user_credentials',
+    select: '*',
+    columnPrefix: 'encrypted_',
+    owner: (row) => ({ userId: row.user_id })
+  },
+  {
+    name: 'BrokerConnection',
+    table: '"BrokerConnection"',
+    select: 'id, "accessTokenEncrypted", "credentialsEncrypted"',
+    columns: ['accessTokenEncrypted'],
+    jsonColumns: ['credentialsEncrypted'],
+    jsonOwner: (row) => ({ connectionId: row.id })
+  },
+  {
+    name: 'webhook_subscriptions',
+    table: 'webhook_subscriptions',
+    select: 'id, secret_encrypted',
+    columns: ['secret_encrypted']
+  },
+  {
+    name: 'service_api_keys',
+    table: 'service_api_keys',
+    select: 'id, signing_secret_encrypted',
+    columns: ['signing_secret_encrypted']
+  }
+];
+
+const CIPHERTEXT_REASONS = ['TOKEN_OK', 'TOKEN_CBC_LEGACY_FORMAT'];
+
+function quoteColumn(column) {
+  return `"${String(column).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Resumable bulk re-encryption of stored credentials and tokens.
+ *
+ * Walks every target table in id order and rewrites legacy CBC ciphertexts and
+ * ciphertexts from retired keys with the active GCM key; unbound credentials
+ * are bound to their owner on the way. Progress is saved to
+ * reencryption_jobs after each batch; a job whose heartbeat goes stale (replica
+ * restarted) can be resumed from its cursor. Values that cannot be decrypted
+ * are left untouched and logged in reencryption_failures.
+ */
+class ReencryptionService {
+  constructor() {
+    this.batchSize = Math.max(1, parseInt(process.env.REENCRYPTION_BATCH_SIZE || '100', 10));
+    this.staleMs = Math.max(10000, parseInt(process.env.REENCRYPTION_STALE_MS || '120000', 10));
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.activeRun = null;
+  }
+
+  _buildError(message, statusCode = 400, code = 'REENCRYPTION_INVALID') {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  _toJob(row) {
+    if (!row) return null;
+    const progress = row.progress || {};
+    const totals = Object.values(progress).reduce((sum, table) => ({
+      scanned: sum.scanned + (table.scanned || 0),
+      updated: sum.updated + (table.updated || 0),
+      reencrypted: sum.reencrypted + (table.reencrypted || 0),
+      failed: sum.failed + (table.failed || 0)
+    }), { scanned: 0, updated: 0, reencrypted: 0, failed: 0 });
+    const heartbeatMs = row.heartbeat_at ? new Date(row.heartbeat_at).getTime() : 0;
+
+    return {
+      id: row.id,
+      state: row.state,
+      interrupted: row.state === 'running' && Date.now() - heartbeatMs > this.staleMs,
+      target_key_id: row.target_key_id || null,
+      progress,
+      totals,
+      requested_by: row.requested_by || null,
+      last_error: row.last_error || null,
+      started_at: row.started_at || null,
+      heartbeat_at: row.heartbeat_at || null,
+      finished_at: row.finished_at || null
+    };
+  }
+
+  /**
+   * Decide what to do with one stored value. With a `context` (credentials),
+   * the value is also bound to its owner if it is not already, and moved to or
+   * off envelope encryption to match ENCRYPTION_KEY_PROVIDER.
+   * @returns {Promise<{ status: 'current'|'upgraded'|'failed', value?: string, reasonCode?: string, error?: string }>}
+   */
+  async _upgradeValue(value, context = null) {
+    const result = context
+      ? await encryptor.decryptCredentialWithMeta(value, { allowLegacy: true, context })
+      : encryptor.decryptWithMeta(value, { allowLegacy: true });
+    if (!result.ok) {
+      return { status: 'failed', reasonCode: result.reasonCode, error: result.errorMessage || result.reasonCode };
+    }
+    if (!result.value) {
+      return { status: 'failed', reasonCode: 'TOKEN_DECRYPT_EMPTY', error: 'Decrypted value is empty' };
+    }
+    if (!context) {
+      return result.format === 'GCM' && result.keyActive
+        ? { status: 'current' }
+        : { status: 'upgraded', value: encryptor.encrypt(result.value) };
+    }
+
+    const envelopeWanted = Boolean(encryptor.getKeyProviderName());
+    if (result.format === 'GCM' && result.keyActive && result.bound && Boolean(result.envelope) === envelopeWanted) {
+      return { status: 'current' };
+    }
+    return { status: 'upgraded', value: await encryptor.encryptCredential(result.value, { context }) };
+  }
+
+  _looksEncrypted(value) {
+    return typeof value === 'string' && CIPHERTEXT_REASONS.includes(encryptor.detectFormat(value).reasonCode);
+  }
+
+  /**
+   * Work out the column updates for one row.
+   * @returns {Promise<{ updates: Object[], failures: Object[], reencrypted: number }>}
+   */
+  async _planRow(target, row) {
+    const updates = [];
+    const failures = [];
+    let reencrypted = 0;
+
+    const columns = target.columnPrefix
+      ? Object.keys(row).filter((column) => column.startsWith(target.columnPrefix))
+      : target.columns;
+
+    for (const column of columns) {
+      if (row[column] === null || row[column] === undefined || row[column] === '') continue;
+      const context = target.owner ? { ...target.owner(row), field: column } : null;
+      const outcome = await this._upgradeValue(row[column], context);
+      if (outcome.status === 'failed') {
+        failures.push({ column, reasonCode: outcome.reasonCode, error: outcome.error });
+      } else if (outcome.status === 'upgraded') {
+        updates.push({ column, previous: row[column], value: outcome.value, json: false });
+        reencrypted += 1;
+      }
+    }
+
+    for (const column of target.jsonColumns || []) {
+      let blob = row[column];
+      if (!blob) continue;
+      if (typeof blob === 'string') {
+        try {
+          blob = JSON.parse(blob);
+        } catch (error) {
+          failures.push({ column, reasonCode: 'CREDENTIALS_JSON_INVALID', error: error.message });
+          continue;
+        }
+      }
+      if (typeof blob !== 'object' || Array.isArray(blob)) continue;
+
+      const next = { ...blob };
+      let changed = false;
+      for (const [field, value] of Object.entries(blob)) {
+        if (!this._looksEncrypted(value)) continue;
+        const context = target.jsonOwner ? { ...target.jsonOwner(row), field } : null;
+        const outcome = await this._upgradeValue(value, context);
+        if (outcome.status === 'failed') {
+          failures.push({ column: `${column}.${field}`, reasonCode: outcome.reasonCode, error: outcome.error });
+        } else if (outcome.status === 'upgraded') {
+          next[field] = outcome.value;
+          changed = true;
+          reencrypted += 1;
+        }
+      }
+      if (changed) {
+        updates.push({ column, previous: JSON.stringify(blob), value: JSON.stringify(next), json: true });
+      }
+    }
+
+    return { updates, failures, reencrypted };
+  }
+
+  /**
+   * Apply a row's updates only if none of the values changed since they were
+   * read (a concurrent refresh/credential save already wrote the current key).
+   */
+  async _applyRow(target, rowId, updates) {
+    const params = [String(rowId)];
+    const assignments = [];
+    const guards = [];
+
+    for (const update of updates) {
+      const cast = update.json ? '::jsonb' : '';
+      params.push(update.value);
+      assignments.push(`${quoteColumn(update.column)} = $${params.length}${cast}`);
+      params.push(update.previous);
+      guards.push(`${quoteColumn(update.column)} = $${params.length}${cast}`);
+    }
+
+    const result = await db.query(`
+      UPDATE ${target.table}
+      SET ${assignments.join(', ')}
+      WHERE id::text = $1
+        AND ${guards.join(' AND ')}
+    `, params);
+    return (result.rowCount || 0) > 0;
+  }
+
+  async _recordFailures(jobId, target, rowId, failures) {
+    for (const failure of failures) {
+      await db.query(`
+        INSERT INTO reencryption_failures (job_id, table_name, row_id, column_name, reason_code, error_message)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (job_id, table_name, row_id, column_name) DO UPDATE
+        SET reason_code = EXCLUDED.reason_code,
+            error_message = EXCLUDED.error_message,
+            created_at = NOW()
+      `, [jobId, target.name, String(rowId), failure.column, failure.reasonCode || null, String(failure.error || '').substring(0, 1000)]);
+    }
+  }
+
+  async _tableExists(target) {
+    const result = await db.query(`SELECT to_regclass($1) AS table_name`, [`public.${target.table}`]);
+    return Boolean(result.rows[0]?.table_name);
+  }
+
+  /**
+   * Persist progress and bump the heartbeat.
+   * @returns {Promise<boolean>} false when another worker has taken the job over
+   */
+  async _saveProgress(jobId, progress) {
+    const result = await db.query(`
+      UPDATE reencryption_jobs
+      SET progress = $3::jsonb,
+          heartbeat_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1 AND worker_id = $2 AND state = 'running'
+    `, [jobId, this.workerId, JSON.stringify(progress)]);
+    return (result.rowCount || 0) > 0;
+  }
+
+  async _run(jobId, progress) {
+    try {
+      for (const target of TARGETS) {
+        const tableProgress = progress[target.name] || { cursor: null, scanned: 0, updated: 0, reencrypted: 0, failed: 0, done: false };
+        progress[target.name] = tableProgress;
+        if (tableProgress.done) continue;
+
+        if (!(await this._tableExists(target))) {
+          tableProgress.done = true;
+          tableProgress.missing = true;
+          if (!(await this._saveProgress(jobId, progress))) return;
+          continue;
+        }
+
+        for (;;) {
+          const batch = await db.query(`
+            SELECT ${target.select}
+            FROM ${target.table}
+            WHERE id::text > $1
+            ORDER BY id::text
+            LIMIT $2
+          `, [tableProgress.cursor || '', this.batchSize]);
+
+          if (batch.rows.length === 0) {
+            tableProgress.done = true;
+            if (!(await this._saveProgress(jobId, progress))) return;
+            break;
+          }
+
+          for (const row of batch.rows) {
+            const plan = await this._planRow(target, row);
+            tableProgress.scanned += 1;
+            if (plan.updates.length > 0 && await this._applyRow(target, row.id, plan.updates)) {
+              tableProgress.updated += 1;
+              tableProgress.reencrypted += plan.reencrypted;
+            }
+            if (plan.failures.length > 0) {
+              tableProgress.failed += plan.failures.length;
+              await this._recordFailures(jobId, target, row.id, plan.failures);
+            }
+          }
+
+          tableProgress.cursor = String(batch.rows[batch.rows.length - 1].id);
+          if (!(await this._saveProgress(jobId, progress))) {
+            logger.warn(`⚠️ Re-encryption job ${jobId} was taken over by another worker; stopping here`);
+            return;
+          }
+        }
+      }
+
+      await db.query(`
+        UPDATE reencryption_jobs
+        SET state = 'completed', finished_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND worker_id = $2
+      `, [jobId, this.workerId]);
+      logger.info(`✅ Re-encryption job ${jobId} completed`);
+    } catch (error) {
+      logger.error(`❌ Re-encryption job ${jobId} failed: ${error.message}`);
+      await db.query(`
+        UPDATE reencryption_jobs
+        SET state = 'failed', last_error = $3, finished_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND worker_id = $2
+      `, [jobId, this.workerId, String(error.message).substring(0, 1000)]).catch(() => {});
+    }
+  }
+
+  _launch(row) {
+    this.activeRun = this._run(row.id, row.progress || {}).finally(() => {
+      this.activeRun = null;
+    });
+    return this._toJob(row);
+  }
+
+  _requireActiveKey() {
+    const activeKeyId = encryptor.getKeyFingerprint();
+    if (!activeKeyId) {
+      throw this._buildError('ENCRYPTION_KEY is not configured; nothing to re-encrypt with', 503, 'ENCRYPTION_KEY_MISSING');
+    }
+    return activeKeyId;
+  }
+
+  /**
+   * Start a job in the background. Only one job runs at a time.
+   */
+  async start({ requestedBy = null } = {}) {
+    const activeKeyId = this._requireActiveKey();
+
+    const result = await db.query(`
+      INSERT INTO reencryption_jobs (state, target_key_id, worker_id, requested_by)
+      SELECT 'running', $1, $2, $3
+      WHERE NOT EXISTS (
+        SELECT 1 FROM reencryption_jobs
+        WHERE state = 'running' AND heartbeat_at > NOW() - make_interval(secs => $4)
+      )
+      RETURNING *
+    `, [activeKeyId, this.workerId, requestedBy, Math.ceil(this.staleMs / 1000)]);
+
+    if (result.rows.length === 0) {
+      throw this._buildError('A re-encryption job is already running', 409, 'REENCRYPTION_JOB_ACTIVE');
+    }
+
+    logger.info(`🔐 Re-encryption job ${result.rows[0].id} started (target key ${activeKeyId})`);
+    return this._launch(result.rows[0]);
+  }
+
+  /**
+   * Continue a failed or interrupted job from its saved cursors.
+   */
+  async resume(jobId) {
+    const activeKeyId = this._requireActiveKey();
+
+    const result = await db.query(`
+      UPDATE reencryption_jobs
+      SET state = 'running',
+          target_key_id = $2,
+          worker_id = $3,
+          last_error = NULL,
+          finished_at = NULL,
+          heartbeat_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1
+        AND (state = 'failed' OR (state = 'running' AND heartbeat_at <= NOW() - make_interval(secs => $4)))
+      RETURNING *
+    `, [jobId, activeKeyId, this.workerId, Math.ceil(this.staleMs / 1000)]);
+
+    if (result.rows.length === 0) {
+      const existing = await this.getJob(jobId);
+      if (!existing) {
+        throw this._buildError(`Re-encryption job ${jobId} not found`, 404, 'REENCRYPTION_JOB_NOT_FOUND');
+      }
+      throw this._buildError(`Re-encryption job ${jobId} is ${existing.state}${existing.state === 'running' ? ' and still active' : ''}`, 409, 'REENCRYPTION_JOB_NOT_RESUMABLE');
+    }
+
+    logger.info(`🔐 Re-encryption job ${jobId} resumed (target key ${activeKeyId})`);
+    return this._launch(result.rows[0]);
+  }
+
+  async getJob(jobId) {
+    const result = await db.query(`SELECT * FROM reencryption_jobs WHERE id = $1`, [jobId]);
+    return this._toJob(result.rows[0]);
+  }
+
+  async listJobs({ limit = 20 } = {}) {
+    const result = await db.query(`
+      SELECT *
+      FROM reencryption_jobs
+      ORDER BY created_at DESC
+      LIMIT $1
+    `, [Math.min(100, Math.max(1, parseInt(limit, 10) || 20))]);
+    return result.rows.map((row) => this._toJob(row));
+  }
+
+  async listFailures(jobId, { limit = 100 } = {}) {
+    const result = await db.query(`
+      SELECT table_name, row_id, column_name, reason_code, error_message, created_at
+      FROM reencryption_failures
+      WHERE job_id = $1
+      ORDER BY id
+      LIMIT $2
+    `, [jobId, Math.min(1000, Math.max(1, parseInt(limit, 10) || 100))]);
+    return result.rows;
+  }
+}
+
+module.exports = new ReencryptionService();
@@ -0,0 +1,363 @@
+const os = require('os');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const tokenManager = require('./tokenManager');
+
+const ACTIVE_STATES = ['queued', 'running'];
+const LOCK_CONTENTION_CODES = ['TOKEN_REFRESH_LOCKED', 'TOKEN_REFRESH_LOCK_UNAVAILABLE'];
+
+/**
+ * Durable token refresh queue backed by token_refresh_jobs.
+ *
+ * API callers and the scheduler enqueue jobs; workers on every replica claim
+ * them with SELECT ... FOR UPDATE SKIP LOCKED under a renewable lease, so jobs
+ * survive restarts and a crashed worker's job is picked up again once its
+ * lease lapses.
+ */
+class RefreshJobService {
+  constructor() {
+    this.maxAttempts = Math.max(1, parseInt(process.env.TOKEN_REFRESH_JOB_MAX_ATTEMPTS || '3', 10));
+    this.leaseMs = Math.max(30000, parseInt(process.env.TOKEN_REFRESH_JOB_LEASE_MS || '180000', 10));
+    this.pollIntervalMs = Math.max(250, parseInt(process.env.TOKEN_REFRESH_WORKER_POLL_MS || '2000', 10));
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.workerRunning = false;
+    this.workerLoops = [];
+  }
+
+  _toJob(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      state: row.state,
+      attempts: row.attempts,
+      source: row.source || 'api',
+      broker_connection_id: row.broker_connection_id,
+      broker_type: row.broker_type,
+      correlationId: row.correlation_id || null,
+      error_code: row.error_code || null,
+      error_message: row.error_message || null,
+      expires_at: row.expires_at || null,
+      created_at: row.created_at,
+      run_after: row.run_after || null,
+      started_at: row.started_at || null,
+      finished_at: row.finished_at || null
+    };
+  }
+
+  _isAuthError(error) {
+    const message = String(error?.message || '').toLowerCase();
+    const statusCode = Number(error?.statusCode || error?.status || 0);
+    return (
+      statusCode === 401 ||
+      statusCode === 403 ||
+      message.includes('token') ||
+      message.includes('auth') ||
+      message.includes('invalid') ||
+      message.includes('expired') ||
+      message.includes('unauthorized')
+    );
+  }
+
+  /**
+   * Lock contention and browser pool exhaustion clear up on their own; anything
+   * else (bad credentials, REAUTH_REQUIRED, broker errors) is final.
+   */
+  _isRetryable(error) {
+    return (
+      LOCK_CONTENTION_CODES.includes(error?.code) ||
+      String(error?.code || '').startsWith('BROWSER_POOL_') ||
+      String(error?.message || '').includes('Browser pool exhausted')
+    );
+  }
+
+  /**
+   * Record a refresh job for a user/connection lookup (API path). A connection
+   * with a queued/running job gets that job back instead of a second one.
+   * @returns {Promise<{ job: Object, deduplicated: boolean }>}
+   */
+  async enqueue({ userId = null, brokerType = 'ZERODHA', accountId = null, brokerConnectionId = null, correlationId = null }) {
+    const connection = await tokenManager.resolveConnection(
+      { userId, brokerType, accountId, brokerConnectionId },
+      'refresh'
+    );
+
+    return this.enqueueConnection({ ...connection, correlationId, source: 'api' });
+  }
+
+  /**
+   * Record a refresh job for an already-resolved BrokerConnection.
+   * @returns {Promise<{ job: Object, deduplicated: boolean }>}
+   */
+  async enqueueConnection({ connectionId, userId = null, brokerType, accountId = null, correlationId = null, source = 'api', maxAttempts = null }, { retried = false } = {}) {
+    const inserted = await db.query(`
+      INSERT INTO token_refresh_jobs
+        (broker_connection_id, user_id, broker_type, account_id, state, correlation_id, source, max_attempts, run_after)
+      VALUES ($1, $2, $3, $4, 'queued', $5, $6, $7, NOW())
+      ON CONFLICT (broker_connection_id) WHERE state IN ('queued', 'running') DO NOTHING
+      RETURNING *
+    `, [connectionId, userId, brokerType, accountId, correlationId, source, maxAttempts || this.maxAttempts]);
+
+    if (inserted.rows.length > 0) {
+      const job = this._toJob(inserted.rows[0]);
+      logger.info(`📥 Queued ${source} refresh job ${job.id} for ${brokerType} connection ${connectionId}${correlationId ? ` [ref: ${correlationId}]` : ''}`);
+      return { job, deduplicated: false };
+    }
+
+    const existing = await db.query(`
+      SELECT *
+      FROM token_refresh_jobs
+      WHERE broker_connection_id = $1
+        AND state = ANY($2)
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [connectionId, ACTIVE_STATES]);
+
+    // The active job finished between our INSERT and SELECT; the slot is free again.
+    if (!existing.rows[0] && !retried) {
+      return this.enqueueConnection({ connectionId, userId, brokerType, accountId, correlationId, source, maxAttempts }, { retried: true });
+    }
+    if (!existing.rows[0]) {
+      const conflict = new Error(`Could not enqueue refresh job for connection ${connectionId}: active job changed concurrently`);
+      conflict.code = 'REFRESH_JOB_ENQUEUE_CONFLICT';
+      conflict.statusCode = 503;
+      throw conflict;
+    }
+
+    logger.info(`♻️ Refresh job already active for ${connectionId}; returning ${existing.rows[0].id}`);
+    return { job: this._toJob(existing.rows[0]), deduplicated: true };
+  }
+
+  async getJob(jobId) {
+    const result = await db.query(`SELECT * FROM token_refresh_jobs WHERE id = $1`, [jobId]);
+    return this._toJob(result.rows[0]);
+  }
+
+  /**
+   * Claim the next due job: queued jobs whose backoff has elapsed, or running
+   * jobs whose worker let the lease lapse.
+   */
+  async _claimNext() {
+    const result = await db.query(`
+      UPDATE token_refresh_jobs
+      SET state = 'running',
+          attempts = attempts + 1,
+          locked_by = $1,
+          locked_until = NOW() + make_interval(secs => $2),
+          started_at = COALESCE(started_at, NOW()),
+          updated_at = NOW()
+      WHERE id = (
+        SELECT id
+        FROM token_refresh_jobs
+        WHERE (state = 'queued' AND run_after <= NOW())
+           OR (state = 'running' AND locked_until < NOW())
+        ORDER BY run_after ASC, created_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [this.workerId, Math.ceil(this.leaseMs / 1000)]);
+
+    return result.rows[0] || null;
+  }
+
+  async _extendLease(jobId) {
+    try {
+      await db.query(`
+        UPDATE token_refresh_jobs
+        SET locked_until = NOW() + make_interval(secs => $3),
+            updated_at = NOW()
+        WHERE id = $1
+          AND locked_by = $2
+          AND state = 'running'
+      `, [jobId, this.workerId, Math.ceil(this.leaseMs / 1000)]);
+    } catch (error) {
+      logger.warn(`⚠️ Could not extend lease on refresh job ${jobId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * The _mark* / _requeue writes only land while this worker still holds the
+   * lease; a job reclaimed after a lapsed lease belongs to its new worker.
+   * @returns {Promise<boolean>} false when the lease was lost
+   */
+  async _markSucceeded(row, result) {
+    const update = await db.query(`
+      UPDATE token_refresh_jobs
+      SET state = 'succeeded',
+          expires_at = $2,
+          error_code = NULL,
+          error_message = NULL,
+          locked_by = NULL,
+          locked_until = NULL,
+          finished_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1
+        AND locked_by = $3
+        AND state = 'running'
+    `, [row.id, result?.expires_at || null, this.workerId]);
+    return update.rowCount !== 0;
+  }
+
+  async _requeue(row, delayMs, error) {
+    const update = await db.query(`
+      UPDATE token_refresh_jobs
+      SET state = 'queued',
+          run_after = NOW() + make_interval(secs => $2),
+          error_code = $3,
+          error_message = $4,
+          locked_by = NULL,
+          locked_until = NULL,
+          updated_at = NOW()
+      WHERE id = $1
+        AND locked_by = $5
+        AND state = 'running'
+    `, [row.id, Math.max(1, Math.ceil(delayMs / 1000)), String(error.code || 'TOKEN_REFRESH_RETRY'), String(error.message || '').substring(0, 1000), this.workerId]);
+    return update.rowCount !== 0;
+  }
+
+  async _markFailed(row, error) {
+    const update = await db.query(`
+      UPDATE token_refresh_jobs
+      SET state = 'failed',
+          error_code = $2,
+          error_message = $3,
+          locked_by = NULL,
+          locked_until = NULL,
+          finished_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1
+        AND locked_by = $4
+        AND state = 'running'
+    `, [row.id, String(error.code || 'TOKEN_REFRESH_FAILED'), String(error.message || '').substring(0, 1000), this.workerId]);
+    if (update.rowCount === 0) return false;
+
+    // Scheduled refreshes have no caller to report to; surface the failure on
+    // the connection like the old scheduler loops did.
+    if (row.source === 'scheduler' && !LOCK_CONTENTION_CODES.includes(error.code)) {
+      const status = this._isAuthError(error) ? 'REAUTH_REQUIRED' : 'ERROR';
+      await db.query(`
+        UPDATE "BrokerConnection"
+        SET "status" = $1,
+            "lastError" = $2,
+            "updatedAt" = NOW()
+        WHERE id = $3
+          AND "status" <> 'QUARANTINED'
+      `, [
+        status,
+        `${String(error.message || `${row.broker_type} auto-refresh failed`).substring(0, 450)}${row.correlation_id ? ` [ref: ${row.correlation_id}]` : ''}`,
+        row.broker_connection_id
+      ]).catch((persistError) => {
+        logger.warn(`⚠️ Could not persist refresh error for ${row.broker_connection_id}: ${persistError.message}`);
+      });
+    }
+    return true;
+  }
+
+  _logLostLease(row) {
+    logger.warn(`⚠️ Lost the lease on refresh job ${row.id} (attempt ${row.attempts}); leaving its outcome to the current holder`);
+  }
+
+  async _execute(row) {
+    if (row.attempts > (row.max_attempts || this.maxAttempts)) {
+      const exhausted = new Error(`Refresh job abandoned after ${row.attempts - 1} attempt(s) (worker lease expired)`);
+      exhausted.code = 'REFRESH_JOB_ATTEMPTS_EXHAUSTED';
+      if (await this._markFailed(row, exhausted)) {
+        logger.warn(`❌ Refresh job ${row.id} exhausted its attempts`);
+      } else {
+        this._logLostLease(row);
+      }
+      return;
+    }
+
+    const leaseTimer = setInterval(() => this._extendLease(row.id), Math.floor(this.leaseMs / 3));
+    if (typeof leaseTimer.unref === 'function') leaseTimer.unref();
+
+    try {
+      const result = await tokenManager.refreshTokenForUser({
+        userId: row.user_id,
+        brokerType: row.broker_type,
+        accountId: row.account_id,
+        brokerConnectionId: row.broker_connection_id,
+        correlationId: row.correlation_id
+      });
+      if (await this._markSucceeded(row, result)) {
+        logger.info(`✅ Refresh job ${row.id} succeeded (attempt ${row.attempts})`);
+      } else {
+        this._logLostLease(row);
+      }
+    } catch (error) {
+      if (this._isRetryable(error) && row.attempts < (row.max_attempts || this.maxAttempts)) {
+        const delayMs = error.retryAfterMs || 30000;
+        if (await this._requeue(row, delayMs, error)) {
+          logger.warn(`⏳ Refresh job ${row.id} attempt ${row.attempts} hit ${error.code || error.message}; retrying in ${delayMs}ms`);
+        } else {
+          this._logLostLease(row);
+        }
+        return;
+      }
+
+      if (await this._markFailed(row, error)) {
+        logger.warn(`❌ Refresh job ${row.id} failed after ${row.attempts} attempt(s): ${error.code || error.message}`);
+      } else {
+        this._logLostLease(row);
+      }
+    } finally {
+      clearInterval(leaseTimer);
+    }
+  }
+
+  /**
+   * Claim and run a single job.
+   * @returns {Promise<boolean>} true when a job was processed
+   */
+  async processNext() {
+    const row = await this._claimNext();
+    if (!row) return false;
+    await this._execute(row);
+    return true;
+  }
+
+  async _workerLoop(slot) {
+    while (this.workerRunning) {
+      let processed = false;
+      try {
+        processed = await this.processNext();
+      } catch (error) {
+        logger.error(`❌ Refresh worker ${slot} error: ${error.message}`);
+      }
+
+      if (!processed && this.workerRunning) {
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, this.pollIntervalMs);
+          if (typeof timer.unref === 'function') timer.unref();
+        });
+      }
+    }
+  }
+
+  /**
+   * Start `concurrency` worker loops on this replica.
+   */
+  startWorker({ concurrency = parseInt(process.env.TOKEN_REFRESH_WORKER_CONCURRENCY || '1', 10) } = {}) {
+    if (this.workerRunning) return;
+
+    const slots = Math.max(1, Number(concurrency) || 1);
+    this.workerRunning = true;
+    this.workerLoops = Array.from({ length: slots }, (_, slot) => this._workerLoop(slot + 1));
+    logger.info(`✅ Refresh job worker started (${this.workerId}, concurrency ${slots})`);
+  }
+
+  /**
+   * Stop claiming new jobs and wait for in-flight ones to finish.
+   */
+  async stopWorker() {
+    if (!this.workerRunning) return;
+
+    this.workerRunning = false;
+    await Promise.allSettled(this.workerLoops);
+    this.workerLoops = [];
+    logger.info('🛑 Refresh job worker stopped');
+  }
+}
+
+module.exports = new RefreshJobService();
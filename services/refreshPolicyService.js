@@ -0,0 +1,191 @@
+const db = require('../config/database');
+const brokerRegistry = require('./token-managers');
+
+// API field -> token_refresh_policies column
+const POLICY_FIELDS = {
+  preferredLoginTime: 'preferred_login_time',
+  leadTimeMinutes: 'lead_time_minutes',
+  staleAfterHours: 'stale_after_hours',
+  maxAttempts: 'max_attempts',
+  quietHoursStart: 'quiet_hours_start',
+  quietHoursEnd: 'quiet_hours_end'
+};
+const TIME_FIELDS = ['preferredLoginTime', 'quietHoursStart', 'quietHoursEnd'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * CRUD for token_refresh_policies plus effective-policy resolution
+ * (connection row -> broker default row -> registry default).
+ */
+class RefreshPolicyService {
+  _buildError(message, statusCode = 400, code = 'REFRESH_POLICY_INVALID') {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  _toPolicy(row) {
+    if (!row) return null;
+    const policy = {
+      id: row.id,
+      broker_connection_id: row.broker_connection_id || null,
+      broker_type: row.broker_type || null,
+      updated_at: row.updated_at || null
+    };
+    for (const [field, column] of Object.entries(POLICY_FIELDS)) {
+      const value = row[column] ?? null;
+      // TIME columns come back as 'HH:MM:SS'
+      policy[field] = value !== null && TIME_FIELDS.includes(field) ? String(value).slice(0, 5) : value;
+    }
+    return policy;
+  }
+
+  _validateFields(input) {
+    const values = {};
+    for (const field of Object.keys(POLICY_FIELDS)) {
+      if (!(field in input)) continue;
+      const value = input[field];
+
+      if (value === null || value === '') {
+        values[field] = null;
+      } else if (TIME_FIELDS.includes(field)) {
+        if (!TIME_PATTERN.test(String(value))) {
+          throw this._buildError(`${field} must be HH:MM (24h, Asia/Kolkata)`);
+        }
+        values[field] = String(value);
+      } else {
+        const number = Number(value);
+        const min = field === 'leadTimeMinutes' ? 0 : 1;
+        if (!Number.isInteger(number) || number < min) {
+          throw this._buildError(`${field} must be an integer >= ${min}`);
+        }
+        values[field] = number;
+      }
+    }
+
+    const hasStart = values.quietHoursStart != null;
+    const hasEnd = values.quietHoursEnd != null;
+    if (('quietHoursStart' in values || 'quietHoursEnd' in values) && hasStart !== hasEnd) {
+      throw this._buildError('quietHoursStart and quietHoursEnd must be set together');
+    }
+
+    return values;
+  }
+
+  async list({ brokerType = null, brokerConnectionId = null } = {}) {
+    const conditions = [];
+    const params = [];
+    if (brokerType) {
+      params.push(String(brokerType).toUpperCase());
+      conditions.push(`broker_type = $${params.length}`);
+    }
+    if (brokerConnectionId) {
+      params.push(String(brokerConnectionId));
+      conditions.push(`broker_connection_id = $${params.length}`);
+    }
+
+    const result = await db.query(`
+      SELECT *
+      FROM token_refresh_policies
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY broker_connection_id NULLS FIRST, broker_type, id
+    `, params);
+    return result.rows.map((row) => this._toPolicy(row));
+  }
+
+  /**
+   * Create or update the policy for one connection (brokerConnectionId) or a
+   * broker default (brokerType). Fields left out keep their stored value.
+   */
+  async upsert({ brokerConnectionId = null, brokerType = null, ...fields }) {
+    if (!!brokerConnectionId === !!brokerType) {
+      throw this._buildError('Provide exactly one of brokerConnectionId or brokerType');
+    }
+
+    const normalizedBroker = brokerType ? String(brokerType).toUpperCase() : null;
+    if (normalizedBroker && !brokerRegistry.has(normalizedBroker)) {
+      throw this._buildError(`Unknown broker type ${normalizedBroker}`, 400, 'BROKER_NOT_SUPPORTED');
+    }
+
+    if (brokerConnectionId) {
+      const connection = await db.query(`SELECT id FROM "BrokerConnection" WHERE id::text = $1`, [String(brokerConnectionId)]);
+      if (connection.rows.length === 0) {
+        throw this._buildError(`Broker connection ${brokerConnectionId} not found`, 404, 'BROKER_CONNECTION_NOT_FOUND');
+      }
+    }
+
+    const values = this._validateFields(fields);
+    const fieldNames = Object.keys(values);
+    const columns = fieldNames.map((field) => POLICY_FIELDS[field]);
+    const params = [brokerConnectionId ? String(brokerConnectionId) : null, normalizedBroker, ...fieldNames.map((field) => values[field])];
+    const placeholders = columns.map((_, index) => `$${index + 3}`);
+    const conflictTarget = brokerConnectionId
+      ? '(broker_connection_id) WHERE broker_connection_id IS NOT NULL'
+      : '(broker_type) WHERE broker_connection_id IS NULL';
+    const updates = columns.map((column) => `${column} = EXCLUDED.${column}`);
+
+    const result = await db.query(`
+      INSERT INTO token_refresh_policies (broker_connection_id, broker_type${columns.map((c) => `, ${c}`).join('')})
+      VALUES ($1, $2${placeholders.map((p) => `, ${p}`).join('')})
+      ON CONFLICT ${conflictTarget}
+      DO UPDATE SET ${[...updates, 'updated_at = NOW()'].join(', ')}
+      RETURNING *
+    `, params);
+
+    return this._toPolicy(result.rows[0]);
+  }
+
+  async remove(id) {
+    const result = await db.query(`DELETE FROM token_refresh_policies WHERE id = $1 RETURNING *`, [id]);
+    if (result.rows.length === 0) {
+      throw this._buildError(`Refresh policy ${id} not found`, 404, 'REFRESH_POLICY_NOT_FOUND');
+    }
+    return this._toPolicy(result.rows[0]);
+  }
+
+  /**
+   * The policy the scheduler applies to a connection, with where each field came from.
+   * @returns {Promise<{ policy: Object, sources: Object }>}
+   */
+  async getEffective(brokerConnectionId) {
+    const connection = await db.query(`
+      SELECT id, "brokerType" AS broker_type
+      FROM "BrokerConnection"
+      WHERE id::text = $1
+    `, [String(brokerConnectionId)]);
+    const row = connection.rows[0];
+    if (!row) {
+      throw this._buildError(`Broker connection ${brokerConnectionId} not found`, 404, 'BROKER_CONNECTION_NOT_FOUND');
+    }
+
+    const entry = brokerRegistry.get(row.broker_type);
+    const defaults = entry ? entry.refreshPolicy : {};
+    const [connectionPolicy] = await this.list({ brokerConnectionId: row.id });
+    const [brokerPolicy] = (await this.list({ brokerType: row.broker_type })).filter((p) => !p.broker_connection_id);
+
+    const policy = {};
+    const sources = {};
+    for (const field of Object.keys(POLICY_FIELDS)) {
+      if (connectionPolicy?.[field] != null) {
+        policy[field] = connectionPolicy[field];
+        sources[field] = 'connection';
+      } else if (brokerPolicy?.[field] != null) {
+        policy[field] = brokerPolicy[field];
+        sources[field] = 'broker';
+      } else {
+        policy[field] = defaults[field] ?? null;
+        sources[field] = 'default';
+      }
+    }
+
+    return {
+      broker_connection_id: row.id,
+      broker_type: row.broker_type,
+      policy,
+      sources
+    };
+  }
+}
+
+module.exports = new RefreshPolicyService();
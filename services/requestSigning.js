@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const apiKeyService = require('./apiKeyService');
+const nonceStore = require('./nonceStore');
+
+const SCHEME = 'TOKENBOT-HMAC-SHA256';
+const KEY_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+const HEADERS = {
+  keyId: 'x-tokenbot-key-id',
+  timestamp: 'x-tokenbot-timestamp',
+  nonce: 'x-tokenbot-nonce',
+  signature: 'x-tokenbot-signature'
+};
+
+function sha256Hex(body) {
+  return crypto.createHash('sha256').update(body ?? '').digest('hex');
+}
+
+/**
+ * HMAC request signing for service-to-service calls.
+ *
+ * A caller holding an API key's signing secret sends
+ *   X-TokenBot-Key-Id: <api key id>
+ *   X-TokenBot-Timestamp: <unix seconds>
+ *   X-TokenBot-Nonce: <16-128 random [A-Za-z0-9_-]>
+ *   X-TokenBot-Signature: sha256=<hex HMAC-SHA256(secret, canonical request)>
+ * where the canonical request is the scheme name, key id, timestamp, nonce,
+ * method, path with query string and SHA-256 hex of the raw body, one per line.
+ *
+ * The key itself never goes over the wire. Requests older or newer than
+ * SERVICE_SIGNATURE_TOLERANCE_MS are rejected, and each nonce is accepted once
+ * within that window (see nonceStore). SERVICE_AUTH_REQUIRE_SIGNATURE=true turns
+ * bare X-API-Key authentication off for every key.
+ */
+class RequestSigning {
+  constructor() {
+    this.toleranceMs = Math.max(1000, parseInt(process.env.SERVICE_SIGNATURE_TOLERANCE_MS || '300000', 10));
+    this.required = process.env.SERVICE_AUTH_REQUIRE_SIGNATURE === 'true';
+  }
+
+  canonicalRequest({ keyId, timestamp, nonce, method, path, body }) {
+    return [SCHEME, keyId, timestamp, nonce, String(method).toUpperCase(), path, sha256Hex(body)].join('\n');
+  }
+
+  /**
+   * Headers for a signed request (for callers and tests).
+   * @param {Object} options - { keyId, secret, method, path, body?, timestamp?, nonce? }
+   */
+  sign({ keyId, secret, method, path, body = '', timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomBytes(16).toString('base64url') }) {
+    const signature = crypto.createHmac('sha256', secret)
+      .update(this.canonicalRequest({ keyId, timestamp, nonce, method, path, body }))
+      .digest('hex');
+
+    return {
+      'X-TokenBot-Key-Id': keyId,
+      'X-TokenBot-Timestamp': String(timestamp),
+      'X-TokenBot-Nonce': nonce,
+      'X-TokenBot-Signature': `sha256=${signature}`
+    };
+  }
+
+  isSigned(req) {
+    return Boolean(req.headers[HEADERS.signature]);
+  }
+
+  _reject(error, code = 'API_SIGNATURE_INVALID') {
+    return { status: 401, error, code };
+  }
+
+  /**
+   * Verify a signed request. Needs req.rawBody (captured by the body parsers in
+   * server.js) for requests with a body.
+   * Resolves to { principal } or { status, error, code } like checkServiceAuth.
+   */
+  async verify(req) {
+    const keyId = req.headers[HEADERS.keyId];
+    const timestamp = req.headers[HEADERS.timestamp];
+    const nonce = req.headers[HEADERS.nonce];
+    const signature = String(req.headers[HEADERS.signature] || '');
+
+    if (!keyId || !timestamp || !nonce) {
+      return this._reject('Signed requests need X-TokenBot-Key-Id, X-TokenBot-Timestamp and X-TokenBot-Nonce');
+    }
+    if (!KEY_ID_PATTERN.test(keyId) || !NONCE_PATTERN.test(nonce) || !/^\d+$/.test(timestamp) || !/^sha256=[0-9a-f]{64}$/i.test(signature)) {
+      return this._reject('Malformed request signature headers');
+    }
+    if (Math.abs(Date.now() - Number(timestamp) * 1000) > this.toleranceMs) {
+      return this._reject('Request timestamp is outside the allowed window', 'API_SIGNATURE_STALE');
+    }
+
+    const signingKey = await apiKeyService.getSigningKey(keyId);
+    if (!signingKey) {
+      return this._reject('Unknown, expired or revoked signing key');
+    }
+
+    const expected = this.sign({
+      keyId,
+      secret: signingKey.secret,
+      method: req.method,
+      path: req.originalUrl || req.url,
+      body: req.rawBody,
+      timestamp,
+      nonce
+    })['X-TokenBot-Signature'];
+    if (!crypto.timingSafeEqual(Buffer.from(expected.toLowerCase()), Buffer.from(signature.toLowerCase()))) {
+      return this._reject('Request signature does not match');
+    }
+
+    // Checked last so unsigned traffic cannot use up a caller's nonces. A
+    // timestamp can pass on either side of now, hence twice the tolerance.
+    if (!(await nonceStore.claim(keyId, nonce, this.toleranceMs * 2))) {
+      return this._reject('Request nonce was already used', 'API_SIGNATURE_REPLAYED');
+    }
+
+    return { principal: { ...signingKey.principal, signed: true } };
+  }
+}
+
+module.exports = new RequestSigning();
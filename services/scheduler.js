@@ -1,14 +1,82 @@
 const cron = require('node-cron');
 const { randomUUID } = require('crypto');
 const db = require('../config/database');
-const tokenManager = require('./tokenManager');
+const refreshJobService = require('./refreshJobService');
 const logger = require('../utils/logger');
 const { isDefaultUserId } = require('../utils/userIdPolicy');
 const soakMetrics = require('./soakMetrics');
+const brokerRegistry = require('./token-managers');
+const marketCalendar = require('./marketCalendar');
+
+// Zerodha keeps its own flow: connections are joined against the legacy
+// kite_user_credentials table for the auto_refresh_enabled opt-in.
+const ZERODHA_BROKER_TYPE = 'ZERODHA';
+
+// How often each broker's due connections are evaluated. *When* a connection
+// is due comes from its refresh policy, not from this cadence.
+const DEFAULT_CHECK_CRON = '*/5 * * * *';
+const SCHEDULER_TIMEZONE = 'Asia/Kolkata';
+
+function subtractMinutes(hhmm, minutes) {
+  const [hours, mins] = hhmm.split(':').map(Number);
+  const total = Math.max(0, hours * 60 + mins - minutes);
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
 
+/**
+ * Cron ticks only decide *which* connections are due and enqueue them on the
+ * durable refresh queue (refreshJobService); workers on any replica do the
+ * refreshing. Re-enqueuing a connection that already has an active job is a
+ * no-op, so overlapping ticks need no in-process guard.
+ *
+ * Due-ness is computed in SQL from token_refresh_policies: a connection's own
+ * policy row, else its broker's default row, else the registry default.
+ * Policy checks also consult the NSE/BSE trading calendar (marketCalendar).
+ */
 class Scheduler {
   constructor() {
-    this.isRunning = false;
+    this.cronTasks = new Map();
+    this.checkCronExpression = process.env.TOKENBOT_SCHEDULER_CHECK_CRON || DEFAULT_CHECK_CRON;
+    this.calendarEnabled = process.env.MARKET_CALENDAR_ENABLED !== 'false';
+    this.sessionLoginLeadMinutes = Math.max(0, parseInt(process.env.MARKET_SESSION_LOGIN_LEAD_MINUTES || '60', 10));
+  }
+
+  /**
+   * How today's trading calendar affects policy checks:
+   * - run:   regular trading day, policies apply as-is
+   * - skip:  weekend/holiday with no session, nothing is enqueued
+   * - defer: special-session-only day (e.g. Muhurat), before the session's login time
+   * - force: special-session-only day, past the login time; every connection
+   *          without a login since then is due, quiet hours notwithstanding
+   * @returns {Promise<{ action: string, day: Object|null, loginTime?: string }>}
+   */
+  async _calendarGate(now = new Date()) {
+    if (!this.calendarEnabled) return { action: 'run', day: null };
+
+    try {
+      await marketCalendar.ensureLoaded();
+      const day = marketCalendar.getDayStatus(now);
+      if (!day.tradingDay) return { action: 'skip', day };
+      if (day.regularSession) return { action: 'run', day };
+
+      const loginTime = subtractMinutes(day.specialSession.start, this.sessionLoginLeadMinutes);
+      const localTime = now.toLocaleTimeString('en-GB', { timeZone: SCHEDULER_TIMEZONE, hour: '2-digit', minute: '2-digit', hour12: false });
+      return { action: localTime < loginTime ? 'defer' : 'force', day, loginTime };
+    } catch (error) {
+      logger.warn(`⚠️ [Scheduler] Market calendar unavailable, running policy check as usual: ${error.message}`);
+      return { action: 'run', day: null };
+    }
+  }
+
+  _logCalendarGate(gate, label) {
+    const { day } = gate;
+    if (gate.action === 'skip') {
+      logger.info(`📅 [Scheduler] ${day.date} is a market ${day.reason.toLowerCase()}${day.description ? ` (${day.description})` : ''}; skipping ${label} check`);
+    } else if (gate.action === 'defer') {
+      logger.info(`📅 [Scheduler] ${day.description || 'Special session'} on ${day.date}; deferring ${label} logins until ${gate.loginTime} IST`);
+    } else if (gate.action === 'force') {
+      logger.info(`📅 [Scheduler] ${day.description || 'Special session'} on ${day.date}; forcing ${label} logins since ${gate.loginTime} IST`);
+    }
   }
 
   _filterSchedulableUsers(rows = []) {
@@ -24,426 +92,455 @@ class Scheduler {
     return filtered;
   }
 
-  _isAuthError(error) {
-    const message = String(error?.message || '').toLowerCase();
-    const statusCode = Number(error?.statusCode || error?.status || 0);
-    return (
-      statusCode === 401 ||
-      statusCode === 403 ||
-      message.includes('token') ||
-      message.includes('auth') ||
-      message.includes('invalid') ||
-      message.includes('expired') ||
-      message.includes('unauthorized')
-    );
-  }
+  /**
+   * Active connections of a broker with their effective refresh policy.
+   * With dueOnly, keeps only connections due now: expiring inside the lead
+   * time, stale without an expiry, or past today's preferred login time
+   * without a login since — and outside quiet hours unless already expired.
+   * preferredLoginOverride/ignoreQuietHours are set on special-session days;
+   * connectionIds narrows a manual trigger to selected connections.
+   */
+  async _listPolicyConnections(brokerType, {
+    dueOnly = true,
+    joinKiteCredentials = false,
+    limit = 200,
+    preferredLoginOverride = null,
+    ignoreQuietHours = false,
+    connectionIds = null
+  } = {}) {
+    const { refreshPolicy } = brokerRegistry.get(brokerType);
+    const params = [
+      brokerType,
+      refreshPolicy.leadTimeMinutes,
+      refreshPolicy.staleAfterHours,
+      refreshPolicy.preferredLoginTime,
+      refreshPolicy.maxAttempts,
+      refreshPolicy.quietHoursStart,
+      refreshPolicy.quietHoursEnd,
+      limit
+    ];
+    const placeholder = (value) => `$${params.push(value)}`;
+    const overrideParam = preferredLoginOverride ? placeholder(preferredLoginOverride) : null;
+    const connectionIdsParam = connectionIds ? placeholder(connectionIds.map(String)) : null;
 
-  async _listZerodhaConnections({ expiringOnly = false } = {}) {
     let query = `
-      SELECT
-        bc.id,
-        bc."userId" AS user_id,
-        bc."accountId" AS account_id,
-        bc."expiresAt" AS expires_at,
-        bc."lastAuthAt" AS last_auth_at,
-        bc."lastSyncAt" AS last_sync_at,
-        bc."status" AS status,
-        kuc.kite_user_id
-      FROM "BrokerConnection" bc
-      INNER JOIN kite_user_credentials kuc
-        ON kuc.user_id = bc."userId"
-      WHERE bc."brokerType" = 'ZERODHA'
-        AND bc."isActive" = true
-        AND kuc.is_active = true
-        AND kuc.auto_refresh_enabled = true
+      WITH candidates AS (
+        SELECT
+          bc.id,
+          bc."userId" AS user_id,
+          bc."accountId" AS account_id,
+          bc."expiresAt" AS expires_at,
+          bc."lastAuthAt" AS last_auth_at,
+          bc."lastSyncAt" AS last_sync_at,
+          bc."status" AS status,
+          bc."updatedAt" AS updated_at,
+          ${joinKiteCredentials ? 'kuc.kite_user_id,' : ''}
+          COALESCE(cp.lead_time_minutes, bp.lead_time_minutes, $2) AS lead_time_minutes,
+          COALESCE(cp.stale_after_hours, bp.stale_after_hours, $3) AS stale_after_hours,
+          COALESCE(${overrideParam ? `${overrideParam}::time, ` : ''}cp.preferred_login_time, bp.preferred_login_time, $4::time) AS preferred_login_time,
+          COALESCE(cp.max_attempts, bp.max_attempts, $5) AS max_attempts,
+          COALESCE(cp.quiet_hours_start, bp.quiet_hours_start, $6::time) AS quiet_hours_start,
+          COALESCE(cp.quiet_hours_end, bp.quiet_hours_end, $7::time) AS quiet_hours_end,
+          (NOW() AT TIME ZONE '${SCHEDULER_TIMEZONE}') AS local_now
+        FROM "BrokerConnection" bc
+        ${joinKiteCredentials ? `INNER JOIN kite_user_credentials kuc
+          ON kuc.user_id = bc."userId"
+          AND kuc.is_active = true
+          AND kuc.auto_refresh_enabled = true` : ''}
+        LEFT JOIN token_refresh_policies cp
+          ON cp.broker_connection_id = bc.id::text
+        LEFT JOIN token_refresh_policies bp
+          ON bp.broker_connection_id IS NULL
+          AND bp.broker_type = bc."brokerType"
+        WHERE bc."brokerType" = $1
+          AND bc."isActive" = true
+          AND bc."status" IS DISTINCT FROM 'QUARANTINED'
+          ${connectionIdsParam ? `AND bc.id::text = ANY(${connectionIdsParam})` : ''}
+      )
+      SELECT *
+      FROM candidates
     `;
 
-    if (expiringOnly) {
+    if (dueOnly) {
       query += `
-        AND (
-          (bc."expiresAt" IS NOT NULL AND bc."expiresAt" < NOW() + INTERVAL '3 hours')
+      WHERE (
+          (
+            expires_at IS NOT NULL
+            AND expires_at < NOW() + make_interval(mins => lead_time_minutes)
+            -- A login inside the lead window can stamp the same expiry again
+            -- (Kite tokens always expire at 23:59 IST); don't re-login until it lapses.
+            AND (
+              expires_at <= NOW()
+              OR last_auth_at IS NULL
+              OR last_auth_at < expires_at - make_interval(mins => lead_time_minutes)
+            )
+          )
           OR
-          (bc."expiresAt" IS NULL AND (bc."lastAuthAt" IS NULL OR bc."lastAuthAt" < NOW() - INTERVAL '20 hours'))
+          (expires_at IS NULL AND (last_auth_at IS NULL OR last_auth_at < NOW() - make_interval(hours => stale_after_hours)))
+          OR
+          (
+            preferred_login_time IS NOT NULL
+            AND local_now::time >= preferred_login_time
+            AND (last_auth_at IS NULL OR last_auth_at < (local_now::date + preferred_login_time) AT TIME ZONE '${SCHEDULER_TIMEZONE}')
+          )
         )
       `;
+      if (!ignoreQuietHours) {
+        query += `
+        AND (
+          quiet_hours_start IS NULL
+          OR quiet_hours_end IS NULL
+          OR (expires_at IS NOT NULL AND expires_at <= NOW())
+          OR NOT (
+            CASE
+              WHEN quiet_hours_start <= quiet_hours_end
+                THEN local_now::time >= quiet_hours_start AND local_now::time < quiet_hours_end
+              ELSE local_now::time >= quiet_hours_start OR local_now::time < quiet_hours_end
+            END
+          )
+        )
+        `;
+      }
     }
 
     query += `
       ORDER BY
-        COALESCE(bc."expiresAt", NOW()) ASC,
-        bc."updatedAt" DESC
-      LIMIT 500
+        COALESCE(expires_at, NOW()) ASC,
+        updated_at DESC
+      LIMIT $8
     `;
 
-    const result = await db.query(query);
+    const result = await db.query(query, params);
     return this._filterSchedulableUsers(result.rows || []);
   }
 
-  start() {
-    // Run daily at 8:30 AM IST (primary refresh)
-    // Cron format: minute hour day month dayOfWeek
-    const cronExpression = '30 8 * * *';
-
-    cron.schedule(cronExpression, async () => {
-      logger.info('⏰ [Scheduler] Triggered via Cron (8:30 AM IST)');
-      await this.refreshAllTokens();
-    }, {
-      timezone: 'Asia/Kolkata'
-    });
+  /**
+   * Zerodha connections are additionally joined against the legacy
+   * kite_user_credentials table for the auto_refresh_enabled opt-in.
+   */
+  async _listZerodhaConnections({ dueOnly = false, ...options } = {}) {
+    return this._listPolicyConnections(ZERODHA_BROKER_TYPE, { ...options, dueOnly, joinKiteCredentials: true, limit: 500 });
+  }
+
+  /**
+   * Active connections of a (non-Zerodha) broker that are due per their refresh policy.
+   */
+  async _listExpiringConnections(brokerType, options = {}) {
+    return this._listPolicyConnections(brokerType, { ...options, dueOnly: true });
+  }
+
+  _calendarOptions(gate) {
+    return gate.action === 'force'
+      ? { preferredLoginOverride: gate.loginTime, ignoreQuietHours: true }
+      : {};
+  }
+
+  async _enqueueConnections(rows, brokerType) {
+    const results = { queued: [], deduplicated: [], failed: [] };
+
+    for (const row of rows) {
+      try {
+        const { job, deduplicated } = await refreshJobService.enqueueConnection({
+          connectionId: row.id,
+          userId: row.user_id,
+          brokerType,
+          accountId: row.account_id || null,
+          correlationId: randomUUID(),
+          source: 'scheduler',
+          maxAttempts: row.max_attempts || null
+        });
+        (deduplicated ? results.deduplicated : results.queued).push(job?.id || row.id);
+      } catch (error) {
+        logger.error(`❌ [Scheduler] Could not enqueue refresh for connection ${row.id}: ${error.message}`);
+        results.failed.push({ connection_id: row.id, user_id: row.user_id, error: error.message });
+      }
+    }
 
-    // PROACTIVE REFRESH: Check every 2 hours for tokens expiring soon
-    // This ensures tokens are refreshed before expiry, not after
-    const proactiveCronExpression = '0 */2 * * *'; // Every 2 hours
+    return results;
+  }
 
-    cron.schedule(proactiveCronExpression, async () => {
-      logger.info('⏰ [Scheduler] Proactive refresh check (every 2 hours)');
-      await this.refreshExpiringTokens();
-    }, {
-      timezone: 'Asia/Kolkata'
+  _recordDrift(rows, brokerType) {
+    rows.forEach((row) => {
+      soakMetrics.recordBrokerSyncDrift({
+        connectionId: row.id,
+        brokerType,
+        lastSyncAt: row.last_sync_at || null
+      });
     });
+  }
 
-    // Dhan proactive refresh every hour using BrokerConnection expiry metadata.
-    const dhanCronExpression = '15 * * * *';
-    cron.schedule(dhanCronExpression, async () => {
-      logger.info('⏰ [Scheduler] Dhan proactive refresh check (hourly)');
-      await this.refreshExpiringDhanConnections();
-    }, {
-      timezone: 'Asia/Kolkata'
+  _buildError(message, statusCode = 400, code = 'SCHEDULER_JOB_INVALID') {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Jobs the scheduler knows about: one policy check per registered broker
+   * (expiring-<broker>, on the check cron) plus the manual-only refresh-all.
+   */
+  _jobDefinitions() {
+    const jobs = brokerRegistry.list().map(({ brokerType, label }) => ({
+      name: `expiring-${brokerType.toLowerCase()}`,
+      description: `${label} refresh check`,
+      brokerType,
+      schedule: this.checkCronExpression,
+      run: (options) => (brokerType === ZERODHA_BROKER_TYPE
+        ? this.refreshExpiringTokens(options)
+        : this.refreshExpiringBrokerConnections(brokerType, options))
+    }));
+
+    jobs.push({
+      name: 'refresh-all',
+      description: 'Zerodha full refresh (ignores policies)',
+      brokerType: ZERODHA_BROKER_TYPE,
+      schedule: null,
+      run: (options) => this.refreshAllTokens(options)
     });
 
-    logger.info('✅ [Scheduler] Daily token refresh scheduled for 8:30 AM IST');
-    logger.info('✅ [Scheduler] Proactive refresh check scheduled every 2 hours');
-    logger.info('✅ [Scheduler] Dhan proactive refresh scheduled hourly');
-    logger.info(`📅 [Scheduler] Next run: ${this.getNextRunTime()}`);
+    return jobs;
+  }
+
+  _getJob(name) {
+    const job = this._jobDefinitions().find((candidate) => candidate.name === String(name || '').toLowerCase());
+    if (!job) {
+      throw this._buildError(`Unknown scheduler job ${name}`, 404, 'SCHEDULER_JOB_NOT_FOUND');
+    }
+    return job;
+  }
 
-    // Startup Check: If it's between 8:30 AM and 3:30 PM, and we don't have a valid token
-    // trigger a refresh. This handles the "server down during 8:30 AM" case.
-    this._runStartupCheck();
+  async _loadJobStates() {
+    const result = await db.query(`SELECT job_name, paused, pause_reason, paused_at FROM scheduler_job_state`);
+    return new Map(result.rows.map((row) => [row.job_name, row]));
   }
 
-  async _runStartupCheck() {
+  async _isPaused(name) {
     try {
-      logger.info('🔍 [Scheduler] Running startup token check...');
+      const states = await this._loadJobStates();
+      return states.get(name)?.paused === true;
+    } catch (error) {
+      logger.warn(`⚠️ [Scheduler] Could not read pause state for ${name}, running: ${error.message}`);
+      return false;
+    }
+  }
 
-      const schedulableUsers = await this._listZerodhaConnections();
+  async _runScheduled(job) {
+    if (await this._isPaused(job.name)) {
+      logger.info(`⏸️ [Scheduler] ${job.description} is paused, skipping`);
+      return;
+    }
+    await job.run();
+  }
 
-      if (schedulableUsers.length === 0) {
-        logger.info('ℹ️ [Scheduler] No active users found for startup check');
-        return;
-      }
+  start() {
+    if (this.cronTasks.size > 0) {
+      logger.warn('⚠️ [Scheduler] Already started, ignoring');
+      return;
+    }
 
-      logger.info(`🔍 [Scheduler] Checking tokens for ${schedulableUsers.length} active Zerodha connection(s)...`);
+    // One check job per registered broker; each enqueues whatever its
+    // policies say is due.
+    for (const job of this._jobDefinitions().filter((candidate) => candidate.schedule)) {
+      this.cronTasks.set(job.name, cron.schedule(job.schedule, async () => {
+        logger.info(`⏰ [Scheduler] ${job.description} (${job.schedule})`);
+        await this._runScheduled(job);
+      }, {
+        name: job.name,
+        timezone: SCHEDULER_TIMEZONE
+      }));
+      logger.info(`✅ [Scheduler] ${job.description} scheduled (${job.schedule})`);
+
+      // Evaluate once immediately so a restart after the preferred login time
+      // (e.g. server down at 8:30) does not wait for the next tick.
+      this._runScheduled(job).catch((error) => {
+        logger.error(`❌ [Scheduler] Startup ${job.description} failed: ${error.message}`);
+      });
+    }
+  }
 
-      let needsRefreshCount = 0;
-      for (const user of schedulableUsers) {
-        const needsRefresh = await this._checkIfTokenNeeded(user);
-        if (needsRefresh) {
-          needsRefreshCount++;
-          logger.warn(`⚠️ [Scheduler] Connection ${user.id} (user ${user.user_id}) needs token refresh`);
-        }
-      }
+  /**
+   * Stop all cron tasks (this instance lost scheduler leadership).
+   */
+  stop() {
+    this.cronTasks.forEach((task) => task.stop());
+    this.cronTasks.clear();
+    logger.info('🛑 [Scheduler] Cron tasks stopped');
+  }
 
-      if (needsRefreshCount > 0) {
-        logger.warn(`⚠️ [Scheduler] ${needsRefreshCount} users need token refresh. Triggering refresh...`);
-        // Run refresh in background (non-blocking)
-        this.refreshAllTokens().catch(err => {
-          logger.error(`❌ [Scheduler] Startup refresh failed: ${err.message}`);
-        });
-      } else {
-        logger.info('✅ [Scheduler] All users have valid tokens. No startup refresh needed.');
+  /**
+   * Jobs with their pause state and next `count` run times. Works on any
+   * replica; `running_here` says whether this instance holds the cron.
+   */
+  async listJobs({ count = 5 } = {}) {
+    const runs = Math.min(50, Math.max(1, parseInt(count, 10) || 5));
+    const states = await this._loadJobStates();
+
+    return this._jobDefinitions().map((job) => {
+      const state = states.get(job.name);
+      const task = this.cronTasks.get(job.name);
+      let upcoming = [];
+      if (job.schedule && !state?.paused) {
+        // Followers have no task of their own; preview from an unstarted one.
+        const preview = task || cron.createTask(job.schedule, () => {}, { timezone: SCHEDULER_TIMEZONE });
+        upcoming = preview.getNextRuns(runs).map((date) => date.toISOString());
+        if (!task) preview.destroy();
       }
-    } catch (error) {
-      logger.error(`❌ [Scheduler] Startup check failed: ${error.message}`);
-      // Don't throw - startup check failure shouldn't prevent service from starting
+
+      return {
+        name: job.name,
+        description: job.description,
+        broker_type: job.brokerType,
+        schedule: job.schedule,
+        timezone: SCHEDULER_TIMEZONE,
+        paused: state?.paused === true,
+        pause_reason: state?.pause_reason || null,
+        paused_at: state?.paused_at || null,
+        running_here: Boolean(task),
+        last_run_at: task?.lastRun()?.date?.toISOString() || null,
+        upcoming_runs: upcoming
+      };
+    });
+  }
+
+  /**
+   * Run a job now, optionally for selected connection ids only. Manual runs
+   * ignore the market calendar; a paused job can still be triggered.
+   */
+  async triggerJob(name, { connectionIds = null } = {}) {
+    const job = this._getJob(name);
+    if (connectionIds !== null && (!Array.isArray(connectionIds) || connectionIds.length === 0)) {
+      throw this._buildError('connectionIds must be a non-empty array');
     }
+
+    logger.info(`🔄 [Scheduler] Manual trigger of ${job.name}${connectionIds ? ` for ${connectionIds.length} connection(s)` : ''}`);
+    const results = await job.run({ connectionIds, manual: true });
+    return { job: job.name, ...(results || { queued: [], deduplicated: [], failed: [] }) };
   }
 
-  async _checkIfTokenNeeded(connectionRow) {
-    try {
-      if (!connectionRow?.expires_at) return true;
-      const expiresAt = new Date(connectionRow.expires_at);
-      const now = new Date();
-      const hoursUntilExpiry = (expiresAt - now) / (1000 * 60 * 60);
-
-      // Refresh if expires in less than 2 hours (proactive buffer)
-      return hoursUntilExpiry < 2;
-    } catch (e) {
-      return true; // fail safe: try to refresh
+  async pauseJob(name, { reason = null } = {}) {
+    const job = this._getJob(name);
+    if (!job.schedule) {
+      throw this._buildError(`${job.name} is manual-only and has no schedule to pause`);
     }
+
+    await db.query(`
+      INSERT INTO scheduler_job_state (job_name, paused, pause_reason, paused_at, updated_at)
+      VALUES ($1, true, $2, NOW(), NOW())
+      ON CONFLICT (job_name) DO UPDATE
+      SET paused = true,
+          pause_reason = EXCLUDED.pause_reason,
+          paused_at = NOW(),
+          updated_at = NOW()
+    `, [job.name, reason ? String(reason).substring(0, 500) : null]);
+    logger.info(`⏸️ [Scheduler] ${job.name} paused${reason ? `: ${reason}` : ''}`);
+  }
+
+  async resumeJob(name) {
+    const job = this._getJob(name);
+    await db.query(`
+      UPDATE scheduler_job_state
+      SET paused = false,
+          pause_reason = NULL,
+          paused_at = NULL,
+          updated_at = NOW()
+      WHERE job_name = $1
+    `, [job.name]);
+    logger.info(`▶️ [Scheduler] ${job.name} resumed`);
   }
 
   /**
-   * Proactive refresh: Check for tokens expiring soon and refresh them
-   * This runs every 2 hours to catch tokens before they expire
+   * Zerodha: enqueue connections due per their refresh policy (daily login
+   * after the preferred time, or expiring inside the lead time).
    */
-  async refreshExpiringTokens() {
-    if (this.isRunning) {
-      logger.warn('⚠️ Token refresh already in progress, skipping proactive check');
-      return;
-    }
-
-    this.isRunning = true;
+  async refreshExpiringTokens({ connectionIds = null, manual = false } = {}) {
     try {
-      const expiringUsers = await this._listZerodhaConnections({ expiringOnly: true });
-      expiringUsers.forEach((row) => {
-        soakMetrics.recordBrokerSyncDrift({
-          connectionId: row.id,
-          brokerType: 'ZERODHA',
-          lastSyncAt: row.last_sync_at || null
-        });
-      });
-      if (expiringUsers.length === 0) {
-        logger.info('✅ [Scheduler] No Zerodha connections expiring soon (next 3 hours)');
+      const gate = manual ? { action: 'run', day: null } : await this._calendarGate();
+      this._logCalendarGate(gate, 'Zerodha');
+      if (gate.action === 'skip' || gate.action === 'defer') {
+        return { queued: [], deduplicated: [], failed: [], calendar: gate.action };
+      }
+
+      const dueConnections = await this._listZerodhaConnections({ dueOnly: true, connectionIds, ...this._calendarOptions(gate) });
+      this._recordDrift(dueConnections, ZERODHA_BROKER_TYPE);
+      if (dueConnections.length === 0) {
+        logger.info('✅ [Scheduler] No Zerodha connections due for refresh');
         soakMetrics.maybeSnapshot('tokenbot_refresh_expiring_zerodha_empty');
         return;
       }
 
-      logger.info(`🔄 [Scheduler] Found ${expiringUsers.length} Zerodha connection(s) expiring soon, refreshing...`);
-
-      for (const row of expiringUsers) {
-        const now = new Date();
-        const hasExpiry = !!row.expires_at;
-        const hoursUntilExpiry = hasExpiry
-          ? (new Date(row.expires_at) - now) / (1000 * 60 * 60)
-          : 0;
-
-        if (!hasExpiry || hoursUntilExpiry < 2) {
-          logger.info(`⏰ [Scheduler] Token for connection ${row.id} (user ${row.user_id}) expires in ${hoursUntilExpiry.toFixed(1)} hours, refreshing...`);
-          const correlationId = randomUUID();
-          try {
-            await tokenManager.refreshTokenForUser({
-              userId: row.user_id,
-              brokerType: 'ZERODHA',
-              accountId: row.account_id || null,
-              brokerConnectionId: row.id,
-              correlationId
-            });
-            logger.info(`✅ [Scheduler] Proactively refreshed token for connection ${row.id}`);
-
-            // Small delay between users
-            await new Promise(resolve => setTimeout(resolve, 2000));
-          } catch (error) {
-            logger.error(`❌ [Scheduler] Failed to proactively refresh connection ${row.id}: ${error.message}`);
-            const status = this._isAuthError(error) ? 'REAUTH_REQUIRED' : 'ERROR';
-            await db.query(`
-              UPDATE "BrokerConnection"
-              SET "status" = $1,
-                  "lastError" = $2,
-                  "updatedAt" = NOW()
-              WHERE id = $3
-            `, [
-              status,
-              `${String(error.message || 'Zerodha auto-refresh failed').substring(0, 450)} [ref: ${correlationId}]`,
-              row.id
-            ]);
-          }
-        }
-      }
+      const results = await this._enqueueConnections(dueConnections, ZERODHA_BROKER_TYPE);
+      logger.info(`🔄 [Scheduler] Zerodha check: ${results.queued.length} queued, ${results.deduplicated.length} already queued, ${results.failed.length} failed to enqueue`);
+      return results;
     } catch (error) {
       logger.error(`❌ [Scheduler] Error in proactive refresh: ${error.message}`);
+      // Cron ticks just log; an admin trigger should see the failure.
+      if (manual) throw error;
     } finally {
       soakMetrics.maybeSnapshot('tokenbot_refresh_expiring_zerodha');
-      this.isRunning = false;
     }
   }
 
-  async refreshExpiringDhanConnections() {
-    if (this.isRunning) {
-      logger.warn('⚠️ Token refresh already in progress, skipping Dhan proactive check');
+  /**
+   * Proactive refresh for a registered broker (other than Zerodha) based on
+   * its connections' refresh policies.
+   */
+  async refreshExpiringBrokerConnections(brokerType, { connectionIds = null, manual = false } = {}) {
+    const entry = brokerRegistry.get(brokerType);
+    if (!entry) {
+      logger.warn(`⚠️ [Scheduler] Unknown broker type ${brokerType}, skipping proactive check`);
       return;
     }
 
-    this.isRunning = true;
+    const { label } = entry;
+    const snapshotLabel = `tokenbot_refresh_expiring_${entry.brokerType.toLowerCase()}`;
+
     try {
-      const result = await db.query(`
-        SELECT
-          id,
-          "userId" AS user_id,
-          "accountId" AS account_id,
-          "expiresAt" AS expires_at,
-          "lastAuthAt" AS last_auth_at,
-          "lastSyncAt" AS last_sync_at
-        FROM "BrokerConnection"
-        WHERE "brokerType" = 'DHAN'
-          AND "isActive" = true
-          AND (
-            ("expiresAt" IS NOT NULL AND "expiresAt" < NOW() + INTERVAL '2 hours')
-            OR
-            ("expiresAt" IS NULL AND ("lastAuthAt" IS NULL OR "lastAuthAt" < NOW() - INTERVAL '20 hours'))
-          )
-        ORDER BY COALESCE("expiresAt", NOW()) ASC
-        LIMIT 200
-      `);
+      const gate = manual ? { action: 'run', day: null } : await this._calendarGate();
+      this._logCalendarGate(gate, label);
+      if (gate.action === 'skip' || gate.action === 'defer') {
+        return { queued: [], deduplicated: [], failed: [], calendar: gate.action };
+      }
 
-      const candidates = this._filterSchedulableUsers(result.rows || []);
-      candidates.forEach((row) => {
-        soakMetrics.recordBrokerSyncDrift({
-          connectionId: row.id,
-          brokerType: 'DHAN',
-          lastSyncAt: row.last_sync_at || null
-        });
-      });
+      const candidates = await this._listExpiringConnections(entry.brokerType, { connectionIds, ...this._calendarOptions(gate) });
+      this._recordDrift(candidates, entry.brokerType);
       if (candidates.length === 0) {
-        logger.info('✅ [Scheduler] No Dhan connections require proactive refresh');
-        soakMetrics.maybeSnapshot('tokenbot_refresh_expiring_dhan_empty');
+        logger.info(`✅ [Scheduler] No ${label} connections require proactive refresh`);
+        soakMetrics.maybeSnapshot(`${snapshotLabel}_empty`);
         return;
       }
 
-      logger.info(`🔄 [Scheduler] Found ${candidates.length} Dhan connection(s) requiring refresh`);
-
-      for (const row of candidates) {
-        const correlationId = randomUUID();
-        try {
-          await tokenManager.refreshTokenForUser({
-            userId: row.user_id,
-            brokerType: 'DHAN',
-            accountId: row.account_id || null,
-            brokerConnectionId: row.id,
-            correlationId
-          });
-          logger.info(`✅ [Scheduler] Dhan token refreshed for connection ${row.id}`);
-        } catch (error) {
-          logger.error(`❌ [Scheduler] Dhan refresh failed for connection ${row.id}: ${error.message}`);
-          const status = this._isAuthError(error) ? 'REAUTH_REQUIRED' : 'ERROR';
-          try {
-            await db.query(`
-              UPDATE "BrokerConnection"
-              SET "status" = $1,
-                  "lastError" = $2,
-                  "updatedAt" = NOW()
-              WHERE id = $3
-            `, [
-              status,
-              `${String(error.message || 'Dhan auto-renew failed').substring(0, 450)} [ref: ${correlationId}]`,
-              row.id
-            ]);
-          } catch (persistError) {
-            logger.warn(`⚠️ [Scheduler] Could not persist Dhan refresh error for ${row.id}: ${persistError.message}`);
-          }
-        }
-
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
+      const results = await this._enqueueConnections(candidates, entry.brokerType);
+      logger.info(`🔄 [Scheduler] ${label}: ${results.queued.length} queued, ${results.deduplicated.length} already queued, ${results.failed.length} failed to enqueue`);
+      return results;
     } catch (error) {
-      logger.error(`❌ [Scheduler] Error in Dhan proactive refresh: ${error.message}`);
+      logger.error(`❌ [Scheduler] Error in ${label} proactive refresh: ${error.message}`);
+      if (manual) throw error;
     } finally {
-      soakMetrics.maybeSnapshot('tokenbot_refresh_expiring_dhan');
-      this.isRunning = false;
+      soakMetrics.maybeSnapshot(snapshotLabel);
     }
   }
 
-  getNextRunTime() {
-    const now = new Date();
-    const next = new Date(now);
-
-    // Set to 8:00 AM IST today
-    next.setHours(8, 0, 0, 0);
-
-    // If already past 8 AM today, set to tomorrow
-    if (now.getHours() >= 8) {
-      next.setDate(next.getDate() + 1);
-    }
-
-    return next.toLocaleString('en-IN', {
-      timeZone: 'Asia/Kolkata',
-      dateStyle: 'medium',
-      timeStyle: 'medium'
-    });
-  }
-
-  async refreshAllTokens() {
-    if (this.isRunning) {
-      logger.warn('⚠️ Token refresh already in progress');
-      return;
-    }
-
-    this.isRunning = true;
-    const startTime = Date.now();
-
+  /**
+   * Enqueue every opted-in Zerodha connection regardless of policy.
+   */
+  async refreshAllTokens({ connectionIds = null } = {}) {
     try {
-      const users = await this._listZerodhaConnections();
-      users.forEach((row) => {
-        soakMetrics.recordBrokerSyncDrift({
-          connectionId: row.id,
-          brokerType: 'ZERODHA',
-          lastSyncAt: row.last_sync_at || null
-        });
-      });
+      const users = await this._listZerodhaConnections({ connectionIds });
+      this._recordDrift(users, ZERODHA_BROKER_TYPE);
       logger.info(`📋 [Scheduler] Found ${users.length} Zerodha connection(s) for token refresh`);
 
       if (users.length === 0) {
         logger.info('ℹ️ No Zerodha connections to refresh');
         soakMetrics.maybeSnapshot('tokenbot_refresh_all_empty');
-        return { success: [], failed: [] };
-      }
-
-      const results = {
-        success: [],
-        failed: []
-      };
-
-      for (const user of users) {
-        const maxRetries = 3;
-        let attempt = 0;
-        let success = false;
-
-        while (attempt < maxRetries && !success) {
-          attempt++;
-          try {
-            const correlationId = randomUUID();
-            logger.info(`🔄 Processing connection: ${user.id} (user ${user.user_id}, kite ${user.kite_user_id}) [attempt ${attempt}/${maxRetries}]`);
-            await tokenManager.refreshTokenForUser({
-              userId: user.user_id,
-              brokerType: 'ZERODHA',
-              accountId: user.account_id || null,
-              brokerConnectionId: user.id,
-              correlationId
-            });
-            results.success.push(user.id);
-            logger.info(`✅ Success: ${user.id}`);
-            success = true;
-          } catch (error) {
-            if (error.message.includes('Browser pool exhausted') && attempt < maxRetries) {
-              logger.warn(`⏳ Pool exhausted for connection ${user.id}, waiting 30s before retry (attempt ${attempt}/${maxRetries})...`);
-              await new Promise(resolve => setTimeout(resolve, 30000));
-            } else {
-              const correlationId = randomUUID();
-              const status = this._isAuthError(error) ? 'REAUTH_REQUIRED' : 'ERROR';
-              await db.query(`
-                UPDATE "BrokerConnection"
-                SET "status" = $1,
-                    "lastError" = $2,
-                    "updatedAt" = NOW()
-                WHERE id = $3
-              `, [
-                status,
-                `${String(error.message || 'Zerodha refresh failed').substring(0, 450)} [ref: ${correlationId}]`,
-                user.id
-              ]).catch(() => { });
-              results.failed.push({
-                connection_id: user.id,
-                user_id: user.user_id,
-                kite_user_id: user.kite_user_id,
-                error: error.message
-              });
-              logger.error(`❌ Failed: ${user.id} (${user.user_id}) - ${error.message}`);
-              break;
-            }
-          }
-        }
-
-        // Delay between users to avoid rate limiting (only if successful)
-        if (success) {
-          await new Promise(resolve => setTimeout(resolve, 5000));
-        }
+        return { queued: [], deduplicated: [], failed: [] };
       }
 
-      const duration = Date.now() - startTime;
-      logger.info(`✅ Token refresh complete in ${duration}ms: ${results.success.length} success, ${results.failed.length} failed`);
+      const results = await this._enqueueConnections(users, ZERODHA_BROKER_TYPE);
+      logger.info(`✅ [Scheduler] Zerodha full refresh enqueued: ${results.queued.length} queued, ${results.deduplicated.length} already queued, ${results.failed.length} failed to enqueue`);
 
-      // Log summary
       if (results.failed.length > 0) {
-        logger.warn('⚠️ Failed users:', results.failed);
+        logger.warn('⚠️ Failed to enqueue:', results.failed);
       }
 
       return results;
@@ -452,7 +549,6 @@ class Scheduler {
       throw error;
     } finally {
       soakMetrics.maybeSnapshot('tokenbot_refresh_all');
-      this.isRunning = false;
     }
   }
 
@@ -460,8 +556,7 @@ class Scheduler {
    * Manual trigger for testing/debugging
    */
   async triggerNow() {
-    logger.info('🔄 [Scheduler] Manual trigger initiated');
-    return await this.refreshAllTokens();
+    return this.triggerJob('refresh-all');
   }
 }
 
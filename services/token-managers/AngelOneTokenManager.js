@@ -0,0 +1,146 @@
+// apps/tokenbot/services/token-managers/AngelOneTokenManager.js
+const TokenManager = require('./TokenManager');
+const registry = require('./registry');
+const angelOneAuthProvider = require('../providers/angelone');
+const encryptor = require('../encryptor');
+const logger = require('../../utils/logger');
+
+class AngelOneTokenManager extends TokenManager {
+    get brokerType() {
+        return 'ANGELONE';
+    }
+
+    get refreshInterval() {
+        // SmartAPI sessions end at midnight IST; renew well before that
+        return 6 * 60 * 60 * 1000;
+    }
+
+    getExpiryWarningThreshold() {
+        return 60 * 60 * 1000; // 1 hr warning
+    }
+
+    /**
+     * Angel One credentials live only on BrokerConnection.credentialsEncrypted
+     * (saved via POST /api/credentials/angelone).
+     */
+    async _getCredentials(connectionId) {
+        const creds = await this._getConnectionCredentials(connectionId);
+        if (!creds || !creds.client_code || !creds.encrypted_mpin ||
+            !creds.encrypted_totp_secret || !creds.encrypted_api_key) {
+            throw this._buildMissingCredentialsError(connectionId);
+        }
+        return creds;
+    }
+
+    /**
+     * Validates the jwtToken against SmartAPI getProfile (needs the connection's API key).
+     */
+    async validate(context) {
+        return this._runValidation(context, async (currentToken) => {
+            const credentials = await this._getCredentials(context.connectionId);
+            return angelOneAuthProvider.validateToken(
+                currentToken.access_token,
+                await this._decryptCredential(credentials, 'encrypted_api_key', context.connectionId)
+            );
+        });
+    }
+
+    /**
+     * Refreshes the Angel One session.
+     *
+     * Strategy:
+     *   1. If a refresh token is stored → generateTokens (no TOTP needed)
+     *   2. If there is no refresh token OR renewal fails → full login
+     *      (client code + MPIN + TOTP)
+     * The feedToken is kept on credentialsEncrypted since BrokerConnection
+     * has no dedicated column for it.
+     */
+    async refresh(context) {
+        const { userId, connectionId } = context;
+        const startTime = Date.now();
+
+        try {
+            const credentials = await this._getCredentials(connectionId);
+            const apiKey = await this._decryptCredential(credentials, 'encrypted_api_key', connectionId);
+
+            let session = null;
+
+            // Path A: refresh-token renewal (fast path)
+            const currentToken = context.currentToken;
+            if (currentToken?.refresh_token) {
+                try {
+                    logger.info(`[AngelOneTokenManager] ⚡ Fast path: renewing Angel One session for ${userId}`);
+                    session = await angelOneAuthProvider.renewToken(
+                        currentToken.access_token,
+                        currentToken.refresh_token,
+                        apiKey
+                    );
+                } catch (renewError) {
+                    logger.warn(`[AngelOneTokenManager] ⚠️ generateTokens failed (${renewError.message}), falling back to full login`);
+                }
+            }
+
+            // Path B: full login
+            if (!session) {
+                logger.info(`[AngelOneTokenManager] 🔐 Full login for Angel One user ${userId}`);
+                session = await angelOneAuthProvider.login({
+                    client_code: credentials.client_code,
+                    mpin: await this._decryptCredential(credentials, 'encrypted_mpin', connectionId),
+                    totp_secret: await this._decryptCredential(credentials, 'encrypted_totp_secret', connectionId),
+                    api_key: apiKey
+                });
+            }
+
+            if (session.feed_token) {
+                await this._mergeConnectionCredentials(connectionId, {
+                    encrypted_feed_token: await encryptor.encryptCredential(session.feed_token, {
+                        context: { connectionId, field: 'encrypted_feed_token' }
+                    })
+                });
+            }
+
+            const expiresAt = session.expires_at
+                ? new Date(session.expires_at)
+                : new Date(Date.now() + this.refreshInterval);
+            const executionTimeMs = Date.now() - startTime;
+
+            await this._logTokenRefresh(connectionId, 'VALID', null, executionTimeMs, expiresAt);
+            logger.info(`[AngelOneTokenManager] ✅ Angel One session refreshed for ${userId}`);
+
+            return {
+                success: true,
+                access_token: session.access_token,
+                refresh_token: session.refresh_token || null,
+                expires_at: expiresAt,
+                execution_time_ms: executionTimeMs,
+                token_status: 'VALID'
+            };
+        } catch (error) {
+            const errorCode = error?.code || null;
+            const errorMessage = errorCode === 'ANGELONE_CREDENTIALS_MISSING'
+                ? 'ANGELONE_CREDENTIALS_MISSING'
+                : error.message;
+            const executionTimeMs = Date.now() - startTime;
+
+            logger.error(`[AngelOneTokenManager] ❌ Token refresh failed for user ${userId}: ${errorMessage}`);
+            await this._logTokenRefresh(connectionId, 'FAILED', errorMessage, executionTimeMs, null);
+
+            return {
+                success: false,
+                error: errorMessage,
+                error_code: errorCode,
+                statusCode: Number(error?.statusCode || 0) || null,
+                guidance: error?.guidance || null,
+                execution_time_ms: executionTimeMs,
+                token_status: 'FAILED'
+            };
+        }
+    }
+}
+
+registry.register(AngelOneTokenManager, {
+    label: 'Angel One',
+    capabilities: { supportsRenew: true, needsBrowser: false, supportsValidate: true }
+});
+
+module.exports = AngelOneTokenManager;
@@ -1,10 +1,10 @@
 // apps/tokenbot/services/token-managers/DhanTokenManager.js
 const TokenManager = require('./TokenManager');
+const registry = require('./registry');
 const dhanAuthProvider = require('../providers/dhan');
 const dhanTokenFetcher = require('../dhanTokenFetcher');
 const logger = require('../../utils/logger');
 const db = require('../../config/database');
-const encryptor = require('../encryptor');
 
 class DhanTokenManager extends TokenManager {
     get brokerType() {
@@ -25,17 +25,6 @@ class DhanTokenManager extends TokenManager {
      * Get Dhan credentials from dhan_user_credentials table.
      * Falls back to BrokerConnection.credentialsEncrypted.
      */
-    _buildMissingCredentialsError(connectionId = null) {
-        const error = new Error('DHAN_CREDENTIALS_MISSING');
-        error.code = 'DHAN_CREDENTIALS_MISSING';
-        error.statusCode = 422;
-        error.guidance = 'Reconnect and save credentials';
-        if (connectionId) {
-            error.brokerConnectionId = connectionId;
-        }
-        return error;
-    }
-
     async _getCredentials(userId, connectionId) {
         // 1. Check BrokerConnection.credentialsEncrypted first (preferred)
         if (connectionId) {
@@ -84,6 +73,16 @@ class DhanTokenManager extends TokenManager {
         throw this._buildMissingCredentialsError(connectionId);
     }
 
+    /**
+     * Validates the token against Dhan /fundlimit.
+     */
+    async validate(context) {
+        return this._runValidation(context, (currentToken) => dhanAuthProvider.validateToken(
+            currentToken.access_token,
+            context.accountId || currentToken.account_id || null
+        ));
+    }
+
     /**
      * Refreshes the Dhan token.
      *
@@ -134,16 +133,16 @@ class DhanTokenManager extends TokenManager {
                 client_id: credentials.client_id || credentials.dhan_client_id,
                 dhan_user_id: credentials.dhan_user_id || credentials.client_id,
                 password: credentials.encrypted_password
-                    ? encryptor.decrypt(credentials.encrypted_password)
+                    ? await this._decryptCredential(credentials, 'encrypted_password', connectionId)
                     : credentials.password,
                 totp_secret: credentials.encrypted_totp_secret
-                    ? encryptor.decrypt(credentials.encrypted_totp_secret)
+                    ? await this._decryptCredential(credentials, 'encrypted_totp_secret', connectionId)
                     : (credentials.totp_secret || null),
                 api_key: credentials.encrypted_api_key
-                    ? encryptor.decrypt(credentials.encrypted_api_key)
+                    ? await this._decryptCredential(credentials, 'encrypted_api_key', connectionId)
                     : credentials.api_key,
                 api_secret: credentials.encrypted_api_secret
-                    ? encryptor.decrypt(credentials.encrypted_api_secret)
+                    ? await this._decryptCredential(credentials, 'encrypted_api_secret', connectionId)
                     : (credentials.api_secret || null),
                 redirect_uri: credentials.redirect_uri || null,
             };
@@ -191,33 +190,11 @@ class DhanTokenManager extends TokenManager {
             };
         }
     }
-
-    async _logTokenRefresh(connectionId, status, error, durationMs, nextRefresh) {
-        if (!connectionId) return;
-
-        try {
-            const client = await db.getClient();
-            try {
-                await client.query(`
-          INSERT INTO "TokenRefreshHistory" 
-            ("id", "brokerConnectionId", "brokerType", "refreshTimestamp", "tokenStatus", "errorMessage", "durationMs", "nextRefreshScheduled", "createdAt")
-          VALUES 
-            (gen_random_uuid(), $1, $2, NOW(), $3, $4, $5, $6, NOW())
-        `, [
-                    connectionId,
-                    this.brokerType,
-                    status,
-                    error ? String(error).substring(0, 1000) : null,
-                    durationMs,
-                    nextRefresh
-                ]);
-            } finally {
-                client.release();
-            }
-        } catch (dbError) {
-            logger.warn(`[DhanTokenManager] Failed to log refresh history: ${dbError.message}`);
-        }
-    }
 }
 
+registry.register(DhanTokenManager, {
+    label: 'Dhan',
+    capabilities: { supportsRenew: true, needsBrowser: true, supportsValidate: true }
+});
+
 module.exports = DhanTokenManager;
@@ -0,0 +1,156 @@
+// apps/tokenbot/services/token-managers/FyersTokenManager.js
+const TokenManager = require('./TokenManager');
+const registry = require('./registry');
+const fyersAuthProvider = require('../providers/fyers');
+const fyersTokenFetcher = require('../fyersTokenFetcher');
+const logger = require('../../utils/logger');
+const { retryWithBackoff } = require('../../utils/retry');
+
+class FyersTokenManager extends TokenManager {
+    get brokerType() {
+        return 'FYERS';
+    }
+
+    get refreshInterval() {
+        // Access tokens are daily; the refresh token itself lasts 15 days
+        return 24 * 60 * 60 * 1000;
+    }
+
+    getExpiryWarningThreshold() {
+        return 60 * 60 * 1000; // 1 hr warning
+    }
+
+    /**
+     * Fyers credentials live only on BrokerConnection.credentialsEncrypted
+     * (saved via POST /api/credentials/fyers). app_id/app_secret/pin are enough
+     * for renewal; fyers_id/totp_secret are only needed for the browser login.
+     */
+    async _getCredentials(connectionId) {
+        const creds = await this._getConnectionCredentials(connectionId);
+        if (!creds || !creds.app_id || !creds.encrypted_app_secret || !creds.encrypted_pin) {
+            throw this._buildMissingCredentialsError(connectionId);
+        }
+        return creds;
+    }
+
+    /**
+     * Validates the token against Fyers /profile (needs the connection's app id).
+     */
+    async validate(context) {
+        return this._runValidation(context, async (currentToken) => {
+            const credentials = await this._getCredentials(context.connectionId);
+            return fyersAuthProvider.validateToken(currentToken.access_token, credentials.app_id);
+        });
+    }
+
+    /**
+     * Refreshes the Fyers token.
+     *
+     * Strategy:
+     *   1. If a refresh token is stored → validate-refresh-token with the PIN (no browser)
+     *   2. If there is no refresh token OR it was rejected → browser auth-code login,
+     *      provided fyers_id + totp_secret are stored; otherwise REAUTH_REQUIRED
+     */
+    async refresh(context) {
+        const { userId, connectionId, currentToken } = context;
+        const maxAttempts = 3;
+        let attemptNumber = 0;
+        const startTime = Date.now();
+
+        try {
+            const credentials = await this._getCredentials(connectionId);
+            const appCreds = {
+                app_id: credentials.app_id,
+                app_secret: await this._decryptCredential(credentials, 'encrypted_app_secret', connectionId),
+                pin: await this._decryptCredential(credentials, 'encrypted_pin', connectionId)
+            };
+
+            let tokenData = null;
+            let renewError = null;
+
+            // Path A: refresh token + PIN (fast path — no browser needed)
+            if (currentToken?.refresh_token) {
+                try {
+                    logger.info(`[FyersTokenManager] ⚡ Fast path: renewing Fyers token for ${userId}`);
+                    tokenData = await fyersAuthProvider.renewToken(currentToken.refresh_token, appCreds);
+                } catch (error) {
+                    renewError = error;
+                    logger.warn(`[FyersTokenManager] ⚠️ validate-refresh-token failed (${error.message}), falling back to browser login`);
+                }
+            }
+
+            // Path B: browser auth-code login
+            if (!tokenData) {
+                const redirectUri = credentials.redirect_uri || process.env.FYERS_REDIRECT_URL || null;
+                if (!credentials.fyers_id || !credentials.encrypted_totp_secret || !redirectUri) {
+                    throw this._buildReauthRequiredError(
+                        connectionId,
+                        renewError ? 'Fyers refresh token was rejected' : 'no Fyers refresh token stored'
+                    );
+                }
+
+                const loginCreds = {
+                    ...appCreds,
+                    fyers_id: credentials.fyers_id,
+                    totp_secret: await this._decryptCredential(credentials, 'encrypted_totp_secret', connectionId),
+                    redirect_uri: redirectUri
+                };
+
+                tokenData = await retryWithBackoff(
+                    async () => {
+                        attemptNumber++;
+                        logger.info(`[FyersTokenManager] 🤖 Browser login attempt ${attemptNumber}/${maxAttempts} for user ${userId}`);
+                        return await fyersTokenFetcher.fetchAccessToken(loginCreds);
+                    },
+                    maxAttempts,
+                    (error, attempt) => {
+                        logger.warn(`[FyersTokenManager] ⚠️ Attempt ${attempt} failed for user ${userId}: ${error.message}`);
+                    }
+                );
+            }
+
+            const expiresAt = tokenData.expires_at
+                ? new Date(tokenData.expires_at)
+                : new Date(Date.now() + this.refreshInterval);
+            const executionTimeMs = Date.now() - startTime;
+
+            await this._logTokenRefresh(connectionId, 'VALID', null, executionTimeMs, expiresAt);
+            logger.info(`[FyersTokenManager] ✅ Fyers token refreshed for ${userId}`);
+
+            return {
+                success: true,
+                access_token: tokenData.access_token,
+                refresh_token: tokenData.refresh_token || currentToken?.refresh_token || null,
+                expires_at: expiresAt,
+                execution_time_ms: executionTimeMs,
+                token_status: 'VALID'
+            };
+        } catch (error) {
+            const errorCode = error?.code || null;
+            const errorMessage = errorCode === 'FYERS_CREDENTIALS_MISSING'
+                ? 'FYERS_CREDENTIALS_MISSING'
+                : error.message;
+            const executionTimeMs = Date.now() - startTime;
+
+            logger.error(`[FyersTokenManager] ❌ Token refresh failed for user ${userId}: ${errorMessage}`);
+            await this._logTokenRefresh(connectionId, 'FAILED', errorMessage, executionTimeMs, null);
+
+            return {
+                success: false,
+                error: errorMessage,
+                error_code: errorCode,
+                statusCode: Number(error?.statusCode || 0) || null,
+                guidance: error?.guidance || null,
+                execution_time_ms: executionTimeMs,
+                token_status: 'FAILED'
+            };
+        }
+    }
+}
+
+registry.register(FyersTokenManager, {
+    label: 'Fyers',
+    capabilities: { supportsRenew: true, needsBrowser: true, supportsValidate: true }
+});
+
+module.exports = FyersTokenManager;
@@ -1,4 +1,7 @@
 // apps/tokenbot/services/token-managers/TokenManager.js
+const db = require('../../config/database');
+const encryptor = require('../encryptor');
+const logger = require('../../utils/logger');
 
 /**
  * @typedef {Object} TokenRefreshResult
@@ -11,6 +14,13 @@
  * @property {number} [execution_time_ms]
  */
 
+/**
+ * @typedef {Object} TokenValidationResult
+ * @property {boolean|null} valid - null when the broker could not be asked
+ * @property {string} reason - TOKEN_OK | TOKEN_REJECTED | TOKEN_MISSING | VALIDATION_UNAVAILABLE | VALIDATION_NOT_SUPPORTED
+ * @property {string} [error]
+ */
+
 class TokenManager {
     constructor() {
         if (this.constructor === TokenManager) {
@@ -38,6 +48,152 @@ class TokenManager {
     getExpiryWarningThreshold() {
         throw new Error("Method 'getExpiryWarningThreshold()' must be implemented.");
     }
+
+    /**
+     * Checks the current token against the broker (profile endpoint).
+     * Managers without a validation call keep this default.
+     * @param {Object} context - { userId, connectionId, accountId, currentToken }
+     * @returns {Promise<TokenValidationResult>}
+     */
+    async validate(context) {
+        return { valid: null, reason: 'VALIDATION_NOT_SUPPORTED' };
+    }
+
+    /**
+     * Runs a provider check for validate(). `check(currentToken)` resolves
+     * true/false for accepted/rejected and throws when the broker is unreachable.
+     */
+    async _runValidation(context, check) {
+        const currentToken = context?.currentToken;
+        if (!currentToken?.access_token) {
+            return { valid: false, reason: 'TOKEN_MISSING' };
+        }
+
+        try {
+            const accepted = await check(currentToken);
+            return accepted
+                ? { valid: true, reason: 'TOKEN_OK' }
+                : { valid: false, reason: 'TOKEN_REJECTED' };
+        } catch (error) {
+            logger.warn(`[${this.constructor.name}] Token validation unavailable for ${context.connectionId || 'unknown'}: ${error.message}`);
+            return { valid: null, reason: 'VALIDATION_UNAVAILABLE', error: error.message };
+        }
+    }
+
+    /**
+     * Controlled error for connections that have no usable stored credentials.
+     * Code is `<BROKER>_CREDENTIALS_MISSING` so routes can map it to a 422.
+     */
+    _buildMissingCredentialsError(connectionId = null) {
+        const code = `${this.brokerType}_CREDENTIALS_MISSING`;
+        const error = new Error(code);
+        error.code = code;
+        error.statusCode = 422;
+        error.guidance = 'Reconnect and save credentials';
+        if (connectionId) {
+            error.brokerConnectionId = connectionId;
+        }
+        return error;
+    }
+
+    /**
+     * Controlled error for sessions that can no longer be renewed without the
+     * user logging in again. The message contains "auth" so
+     * _markBrokerConnectionError flags the connection REAUTH_REQUIRED.
+     */
+    _buildReauthRequiredError(connectionId = null, reason = null) {
+        const error = new Error(`REAUTH_REQUIRED${reason ? `: ${reason}` : ''}`);
+        error.code = 'REAUTH_REQUIRED';
+        error.statusCode = 401;
+        error.guidance = `Log in to ${this.brokerType} again to re-authorise this connection`;
+        if (connectionId) {
+            error.brokerConnectionId = connectionId;
+        }
+        return error;
+    }
+
+    /**
+     * Reads BrokerConnection.credentialsEncrypted for a connection.
+     * @returns {Promise<Object|null>} Parsed credential payload or null
+     */
+    async _getConnectionCredentials(connectionId) {
+        if (!connectionId) return null;
+
+        const result = await db.query(
+            `SELECT "credentialsEncrypted" FROM "BrokerConnection" WHERE id = $1`,
+            [connectionId]
+        );
+        let creds = result.rows[0]?.credentialsEncrypted || null;
+        if (!creds) return null;
+
+        if (typeof creds === 'string') {
+            try {
+                creds = JSON.parse(creds);
+            } catch (parseError) {
+                logger.warn(`[${this.constructor.name}] Failed to parse credentialsEncrypted for ${connectionId}: ${parseError.message}`);
+                return null;
+            }
+        }
+        return creds;
+    }
+
+    /**
+     * Decrypts one `encrypted_*` field of a credential record, checking
+     * owner-bound ciphertexts against their owner. Rows from the per-user
+     * credential tables carry `user_id`; anything else is the connection's
+     * credentialsEncrypted payload.
+     * @returns {Promise<string>}
+     */
+    _decryptCredential(credentials, field, connectionId) {
+        const owner = credentials.user_id ? { userId: credentials.user_id } : { connectionId };
+        return encryptor.decryptCredential(credentials[field], { context: { ...owner, field } });
+    }
+
+    /**
+     * Merges broker-specific session material (e.g. feed tokens) into
+     * BrokerConnection.credentialsEncrypted. Values must already be encrypted.
+     */
+    async _mergeConnectionCredentials(connectionId, patch) {
+        if (!connectionId || !patch) return;
+
+        try {
+            await db.query(`
+        UPDATE "BrokerConnection"
+        SET "credentialsEncrypted" = COALESCE("credentialsEncrypted", '{}'::jsonb) || $1::jsonb,
+            "updatedAt" = NOW()
+        WHERE id = $2
+      `, [JSON.stringify(patch), connectionId]);
+        } catch (dbError) {
+            logger.warn(`[${this.constructor.name}] Failed to update connection credentials: ${dbError.message}`);
+        }
+    }
+
+    async _logTokenRefresh(connectionId, status, error, durationMs, nextRefresh) {
+        if (!connectionId) return;
+
+        try {
+            const client = await db.getClient();
+            try {
+                await client.query(`
+          INSERT INTO "TokenRefreshHistory" 
+            ("id", "brokerConnectionId", "brokerType", "refreshTimestamp", "tokenStatus", "errorMessage", "durationMs", "nextRefreshScheduled", "createdAt")
+          VALUES 
+            (gen_random_uuid(), $1, $2, NOW(), $3, $4, $5, $6, NOW())
+        `, [
+                    connectionId,
+                    this.brokerType,
+                    status,
+                    error ? String(error).substring(0, 1000) : null,
+                    durationMs,
+                    nextRefresh
+                ]);
+            } finally {
+                client.release();
+            }
+        } catch (dbError) {
+            logger.warn(`[${this.constructor.name}] Failed to log refresh history: ${dbError.message}`);
+        }
+    }
 }
 
 module.exports = TokenManager;
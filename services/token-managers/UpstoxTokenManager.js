@@ -0,0 +1,125 @@
+// apps/tokenbot/services/token-managers/UpstoxTokenManager.js
+const TokenManager = require('./TokenManager');
+const registry = require('./registry');
+const upstoxTokenFetcher = require('../upstoxTokenFetcher');
+const upstoxAuthProvider = require('../providers/upstox');
+const logger = require('../../utils/logger');
+const { retryWithBackoff } = require('../../utils/retry');
+
+class UpstoxTokenManager extends TokenManager {
+    get brokerType() {
+        return 'UPSTOX';
+    }
+
+    get refreshInterval() {
+        // Upstox has no refresh grant; a new login is needed once per trading day
+        return 24 * 60 * 60 * 1000;
+    }
+
+    getExpiryWarningThreshold() {
+        return 60 * 60 * 1000; // 1 hr warning
+    }
+
+    /**
+     * Upstox credentials live only on BrokerConnection.credentialsEncrypted
+     * (saved via POST /api/credentials/upstox).
+     */
+    async _getCredentials(connectionId) {
+        const creds = await this._getConnectionCredentials(connectionId);
+        if (!creds || !creds.mobile_number || !creds.encrypted_pin || !creds.encrypted_totp_secret ||
+            !creds.encrypted_api_key || !creds.encrypted_api_secret) {
+            throw this._buildMissingCredentialsError(connectionId);
+        }
+        return creds;
+    }
+
+    /**
+     * Validates the token against Upstox /user/profile.
+     */
+    async validate(context) {
+        return this._runValidation(context, (currentToken) => upstoxAuthProvider.validateToken(currentToken.access_token));
+    }
+
+    /**
+     * Refreshes the Upstox token via browser login + authorization-code exchange.
+     */
+    async refresh(context) {
+        const { userId, connectionId } = context;
+        const maxAttempts = 3;
+        let attemptNumber = 0;
+        const startTime = Date.now();
+
+        try {
+            logger.info(`[UpstoxTokenManager] 🔄 Starting token refresh for user ${userId}, connection ${connectionId}`);
+            const credentials = await this._getCredentials(connectionId);
+
+            const decryptedCreds = {
+                mobile_number: credentials.mobile_number,
+                pin: await this._decryptCredential(credentials, 'encrypted_pin', connectionId),
+                totp_secret: await this._decryptCredential(credentials, 'encrypted_totp_secret', connectionId),
+                api_key: await this._decryptCredential(credentials, 'encrypted_api_key', connectionId),
+                api_secret: await this._decryptCredential(credentials, 'encrypted_api_secret', connectionId),
+                redirect_uri: credentials.redirect_uri || process.env.UPSTOX_REDIRECT_URL || null
+            };
+
+            if (!decryptedCreds.redirect_uri) {
+                throw this._buildMissingCredentialsError(connectionId);
+            }
+
+            const tokenData = await retryWithBackoff(
+                async () => {
+                    attemptNumber++;
+                    logger.info(`[UpstoxTokenManager] 📝 Login attempt ${attemptNumber}/${maxAttempts} for user ${userId}`);
+                    return await upstoxTokenFetcher.fetchAccessToken(decryptedCreds);
+                },
+                maxAttempts,
+                (error, attempt) => {
+                    logger.warn(`[UpstoxTokenManager] ⚠️ Attempt ${attempt} failed for user ${userId}: ${error.message}`);
+                }
+            );
+
+            const expiresAt = tokenData.expires_at
+                ? new Date(tokenData.expires_at)
+                : new Date(Date.now() + this.refreshInterval);
+            const executionTimeMs = Date.now() - startTime;
+
+            await this._logTokenRefresh(connectionId, 'VALID', null, executionTimeMs, expiresAt);
+            logger.info(`[UpstoxTokenManager] ✅ Upstox login succeeded for ${userId}`);
+
+            return {
+                success: true,
+                access_token: tokenData.access_token,
+                refresh_token: null,
+                expires_at: expiresAt,
+                execution_time_ms: executionTimeMs,
+                token_status: 'VALID'
+            };
+        } catch (error) {
+            const errorCode = error?.code || null;
+            const errorMessage = errorCode === 'UPSTOX_CREDENTIALS_MISSING'
+                ? 'UPSTOX_CREDENTIALS_MISSING'
+                : error.message;
+            const executionTimeMs = Date.now() - startTime;
+
+            logger.error(`[UpstoxTokenManager] ❌ Token refresh failed for user ${userId}: ${errorMessage}`);
+            await this._logTokenRefresh(connectionId, 'FAILED', errorMessage, executionTimeMs, null);
+
+            return {
+                success: false,
+                error: errorMessage,
+                error_code: errorCode,
+                statusCode: Number(error?.statusCode || 0) || null,
+                guidance: error?.guidance || null,
+                execution_time_ms: executionTimeMs,
+                token_status: 'FAILED'
+            };
+        }
+    }
+}
+
+registry.register(UpstoxTokenManager, {
+    label: 'Upstox',
+    capabilities: { supportsRenew: false, needsBrowser: true, supportsValidate: true }
+});
+
+module.exports = UpstoxTokenManager;
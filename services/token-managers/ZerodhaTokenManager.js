@@ -1,11 +1,15 @@
 // apps/tokenbot/services/token-managers/ZerodhaTokenManager.js
 const TokenManager = require('./TokenManager');
+const registry = require('./registry');
 const db = require('../../config/database');
-const encryptor = require('../encryptor');
 const tokenFetcher = require('../tokenFetcher');
+const kiteHttpTokenFetcher = require('../kiteHttpTokenFetcher');
+const zerodhaAuthProvider = require('../providers/zerodha');
 const logger = require('../../utils/logger');
 const { retryWithBackoff } = require('../../utils/retry');
 
+const LOGIN_STRATEGIES = ['http', 'browser', 'http_then_browser'];
+
 class ZerodhaTokenManager extends TokenManager {
     get brokerType() {
         return 'ZERODHA';
@@ -38,18 +42,19 @@ class ZerodhaTokenManager extends TokenManager {
             // Decrypt credentials
             const decryptedCreds = {
                 kite_user_id: credentials.kite_user_id,
-                password: encryptor.decrypt(credentials.encrypted_password),
-                totp_secret: encryptor.decrypt(credentials.encrypted_totp_secret),
-                api_key: encryptor.decrypt(credentials.encrypted_api_key),
-                api_secret: encryptor.decrypt(credentials.encrypted_api_secret)
+                password: await this._decryptCredential(credentials, 'encrypted_password', connectionId),
+                totp_secret: await this._decryptCredential(credentials, 'encrypted_totp_secret', connectionId),
+                api_key: await this._decryptCredential(credentials, 'encrypted_api_key', connectionId),
+                api_secret: await this._decryptCredential(credentials, 'encrypted_api_secret', connectionId)
             };
 
             // 2. Run Token Fetcher
+            const strategy = this._resolveLoginStrategy(credentials);
             const tokenData = await retryWithBackoff(
                 async () => {
                     attemptNumber++;
-                    logger.info(`[ZerodhaTokenManager] 📝 Token generation attempt ${attemptNumber}/${maxAttempts} for user ${userId}`);
-                    return await tokenFetcher.fetchAccessToken(decryptedCreds);
+                    logger.info(`[ZerodhaTokenManager] 📝 Token generation attempt ${attemptNumber}/${maxAttempts} (${strategy}) for user ${userId}`);
+                    return await this._fetchToken(decryptedCreds, strategy);
                 },
                 maxAttempts,
                 (error, attempt) => {
@@ -87,12 +92,58 @@ class ZerodhaTokenManager extends TokenManager {
             return {
                 success: false,
                 error: error.message,
+                error_code: error.code || null,
                 execution_time_ms: executionTimeMs,
                 token_status: 'FAILED'
             };
         }
     }
 
+    /**
+     * Validates the token against Kite /user/profile (needs the connection's API key).
+     */
+    async validate(context) {
+        return this._runValidation(context, async (currentToken) => {
+            const credentials = await this._getCredentials(context.userId, context.connectionId);
+            return zerodhaAuthProvider.validateToken(
+                currentToken.access_token,
+                await this._decryptCredential(credentials, 'encrypted_api_key', context.connectionId)
+            );
+        });
+    }
+
+    /**
+     * Login strategy for a connection: `credentialsEncrypted.login_strategy`,
+     * else ZERODHA_LOGIN_STRATEGY, else the Puppeteer browser flow.
+     */
+    _resolveLoginStrategy(credentials) {
+        const candidate = String(
+            credentials?.login_strategy || process.env.ZERODHA_LOGIN_STRATEGY || 'browser'
+        ).trim().toLowerCase();
+
+        if (!LOGIN_STRATEGIES.includes(candidate)) {
+            logger.warn(`[ZerodhaTokenManager] Unknown login strategy "${candidate}", using browser`);
+            return 'browser';
+        }
+        return candidate;
+    }
+
+    async _fetchToken(decryptedCreds, strategy) {
+        if (strategy === 'browser') {
+            return tokenFetcher.fetchAccessToken(decryptedCreds);
+        }
+
+        try {
+            return await kiteHttpTokenFetcher.fetchAccessToken(decryptedCreds);
+        } catch (error) {
+            if (strategy !== 'http_then_browser') {
+                throw error;
+            }
+            logger.warn(`[ZerodhaTokenManager] ⚠️ HTTP login failed (${error.message}), falling back to browser login`);
+            return tokenFetcher.fetchAccessToken(decryptedCreds);
+        }
+    }
+
     async _getCredentials(userId, connectionId) {
         // Check BrokerConnection for new dual broker architecture
         if (connectionId) {
@@ -154,32 +205,12 @@ class ZerodhaTokenManager extends TokenManager {
             client.release();
         }
     }
-
-    async _logTokenRefresh(connectionId, status, error, durationMs, nextRefresh) {
-        if (!connectionId) return;
-        try {
-            const client = await db.getClient();
-            try {
-                await client.query(`
-          INSERT INTO "TokenRefreshHistory" 
-            ("id", "brokerConnectionId", "brokerType", "refreshTimestamp", "tokenStatus", "errorMessage", "durationMs", "nextRefreshScheduled", "createdAt")
-          VALUES 
-            (gen_random_uuid(), $1, $2, NOW(), $3, $4, $5, $6, NOW())
-        `, [
-                    connectionId,
-                    this.brokerType,
-                    status,
-                    error ? String(error).substring(0, 1000) : null,
-                    durationMs,
-                    nextRefresh
-                ]);
-            } finally {
-                client.release();
-            }
-        } catch (dbError) {
-            logger.warn(`[ZerodhaTokenManager] Failed to log refresh history: ${dbError.message}`);
-        }
-    }
 }
 
+registry.register(ZerodhaTokenManager, {
+    label: 'Zerodha',
+    capabilities: { supportsRenew: false, needsBrowser: true, supportsValidate: true },
+    refreshPolicy: { preferredLoginTime: '08:30' }
+});
+
 module.exports = ZerodhaTokenManager;
@@ -0,0 +1,11 @@
+// apps/tokenbot/services/token-managers/index.js
+//
+// Loading a manager module registers it; require this file (not the modules
+// individually) to get a fully populated registry.
+require('./ZerodhaTokenManager');
+require('./DhanTokenManager');
+require('./UpstoxTokenManager');
+require('./AngelOneTokenManager');
+require('./FyersTokenManager');
+
+module.exports = require('./registry');
@@ -0,0 +1,106 @@
+// apps/tokenbot/services/token-managers/registry.js
+//
+// Broker registry: each token-manager module registers its class together with
+// capabilities and a default refresh policy. Dispatch (tokenManager), the
+// scheduler and /health enumerate brokers from here instead of hard-coding
+// broker type literals.
+
+/**
+ * @typedef {Object} BrokerCapabilities
+ * @property {boolean} supportsRenew    - Can refresh without a full login (refresh token / renew API)
+ * @property {boolean} needsBrowser     - May need a Puppeteer login via browserPool
+ * @property {boolean} supportsValidate - Provider exposes a cheap token validation call
+ */
+
+/**
+ * @typedef {Object} RefreshPolicy
+ * Code-level default for a broker. The token_refresh_policies table can
+ * override any field per broker or per connection (see scheduler).
+ * @property {string|null} preferredLoginTime - Daily login at/after this IST time ('HH:MM'), if not done yet today
+ * @property {number} leadTimeMinutes         - Connections expiring inside this window are due
+ * @property {number} staleAfterHours         - Connections without expiry are due after this long since last auth
+ * @property {number} maxAttempts             - Attempts per scheduled refresh job
+ * @property {string|null} quietHoursStart    - No proactive refresh from this IST time ('HH:MM')...
+ * @property {string|null} quietHoursEnd      - ...until this one, unless the token has already expired
+ */
+
+const DEFAULT_CAPABILITIES = {
+    supportsRenew: false,
+    needsBrowser: false,
+    supportsValidate: false
+};
+
+const DEFAULT_REFRESH_POLICY = {
+    preferredLoginTime: null,
+    leadTimeMinutes: 120,
+    staleAfterHours: 20,
+    maxAttempts: 3,
+    quietHoursStart: null,
+    quietHoursEnd: null
+};
+
+class BrokerRegistry {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * Register a TokenManager subclass. The broker type is read from the class.
+     * @param {Function} ManagerClass
+     * @param {Object} [options]
+     * @param {Partial<BrokerCapabilities>} [options.capabilities]
+     * @param {Partial<RefreshPolicy>} [options.refreshPolicy]
+     * @param {string} [options.label] - Human-readable broker name
+     */
+    register(ManagerClass, { capabilities = {}, refreshPolicy = {}, label = null } = {}) {
+        const manager = new ManagerClass();
+        const brokerType = String(manager.brokerType).toUpperCase();
+
+        this.entries.set(brokerType, {
+            brokerType,
+            label: label || brokerType,
+            ManagerClass,
+            manager,
+            capabilities: Object.freeze({ ...DEFAULT_CAPABILITIES, ...capabilities }),
+            refreshPolicy: Object.freeze({ ...DEFAULT_REFRESH_POLICY, ...refreshPolicy })
+        });
+        return this;
+    }
+
+    has(brokerType) {
+        return this.entries.has(String(brokerType || '').toUpperCase());
+    }
+
+    get(brokerType) {
+        return this.entries.get(String(brokerType || '').toUpperCase()) || null;
+    }
+
+    /**
+     * Shared manager instance for a broker type, or null if unsupported.
+     */
+    getManager(brokerType) {
+        return this.get(brokerType)?.manager || null;
+    }
+
+    brokerTypes() {
+        return Array.from(this.entries.keys());
+    }
+
+    list() {
+        return Array.from(this.entries.values());
+    }
+
+    /**
+     * Serializable view of the registry (no class/instance references).
+     */
+    describe() {
+        return this.list().map((entry) => ({
+            brokerType: entry.brokerType,
+            label: entry.label,
+            capabilities: entry.capabilities,
+            refreshPolicy: entry.refreshPolicy
+        }));
+    }
+}
+
+module.exports = new BrokerRegistry();
@@ -0,0 +1,138 @@
+const tokenEvents = require('./tokenEvents');
+
+/**
+ * Short-TTL cache of decrypted BrokerConnection tokens keyed by connection id,
+ * so hot GET /api/tokens/current lookups skip the context query, the token
+ * select and the decrypt.
+ *
+ * Entries are dropped when TokenManager stores a new token, when the Zerodha
+ * API key changes, and on any token event for the connection (or user/broker),
+ * including events fanned out from other replicas. TOKEN_CACHE_TTL_MS bounds
+ * staleness for changes that bypass both (0 disables the cache).
+ *
+ * Every invalidation bumps a version; a set() carrying a version taken before
+ * the invalidation is dropped, so a lookup that read the old token while a
+ * refresh was storing the new one cannot put the old one back.
+ */
+class TokenCache {
+  constructor() {
+    this.ttlMs = Math.max(0, parseInt(process.env.TOKEN_CACHE_TTL_MS || '30000', 10));
+    this.maxEntries = Math.max(1, parseInt(process.env.TOKEN_CACHE_MAX_ENTRIES || '1000', 10));
+    this.entries = new Map();
+    this.versions = new Map();
+    this.generation = 0;
+    this.counters = {
+      hits: 0,
+      misses: 0,
+      invalidations: 0
+    };
+
+    tokenEvents.onEvent((event) => this._onTokenEvent(event));
+  }
+
+  get enabled() {
+    return this.ttlMs > 0;
+  }
+
+  /**
+   * Cached token for a connection. The entry must belong to the requested
+   * user/broker (when given); anything else is a miss so the uncached path
+   * raises the usual mismatch errors.
+   * @returns {Object|null}
+   */
+  get(connectionId, { userId = null, brokerType = null } = {}) {
+    if (!this.enabled || !connectionId) return null;
+
+    const key = String(connectionId);
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.counters.misses += 1;
+      return null;
+    }
+
+    if ((userId && entry.userId !== userId) || (brokerType && entry.brokerType !== brokerType)) {
+      this.counters.misses += 1;
+      return null;
+    }
+
+    this.counters.hits += 1;
+    return { ...entry.token };
+  }
+
+  /**
+   * Version to take before reading a token from the database and pass to set().
+   * @returns {string}
+   */
+  version(connectionId) {
+    return `${this.generation}:${this.versions.get(String(connectionId)) || 0}`;
+  }
+
+  set(connectionId, { userId, brokerType, version = null }, token) {
+    if (!this.enabled || !connectionId || !token?.access_token) return;
+
+    const key = String(connectionId);
+    if (version !== null && version !== this.version(key)) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, { userId, brokerType, token: { ...token }, expiresAt: Date.now() + this.ttlMs });
+
+    // Map iteration order is insertion order: drop the oldest entries first.
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  invalidate(connectionId) {
+    if (!connectionId) return;
+
+    const key = String(connectionId);
+    this.versions.set(key, (this.versions.get(key) || 0) + 1);
+    if (this.entries.delete(key)) {
+      this.counters.invalidations += 1;
+    }
+  }
+
+  /**
+   * Drop every cached connection of a user, optionally only one broker's.
+   */
+  invalidateUser(userId, brokerType = null) {
+    if (!userId) return;
+
+    // Connections of the user may not be cached yet; fence every pending set.
+    this.generation += 1;
+    for (const [key, entry] of this.entries) {
+      if (entry.userId === userId && (!brokerType || entry.brokerType === brokerType)) {
+        this.entries.delete(key);
+        this.counters.invalidations += 1;
+      }
+    }
+  }
+
+  _onTokenEvent(event) {
+    const data = event.data || {};
+    if (data.broker_connection_id) {
+      this.invalidate(data.broker_connection_id);
+    } else if (data.user_id) {
+      this.invalidateUser(data.user_id, data.broker_type || null);
+    }
+  }
+
+  clear() {
+    this.generation += 1;
+    this.entries.clear();
+  }
+
+  getStats() {
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      enabled: this.enabled,
+      ttl_ms: this.ttlMs,
+      size: this.entries.size,
+      ...this.counters,
+      hit_rate: lookups > 0 ? Number((this.counters.hits / lookups).toFixed(3)) : null
+    };
+  }
+}
+
+module.exports = new TokenCache();
@@ -0,0 +1,179 @@
+const { randomUUID } = require('crypto');
+const distributedLock = require('./distributedLock');
+const logger = require('../utils/logger');
+
+const EVENT_TYPES = [
+  'token.refreshed',
+  'token.updated',
+  'token.refresh_failed',
+  'connection.reauth_required',
+  'credentials.updated'
+];
+
+/**
+ * Bus for token lifecycle events. TokenManager and the credential routes
+ * publish; delivery channels (webhooks, SSE streams, ...) subscribe with onEvent().
+ *
+ * Event shape: { id, type, occurred_at, data: { broker_connection_id, user_id, broker_type, ... } }.
+ * Payloads never carry tokens or credentials. The last TOKEN_EVENTS_HISTORY_SIZE
+ * events are kept so stream consumers can resume after a reconnect.
+ *
+ * With Redis configured, start() fans events out to every replica over
+ * TOKEN_EVENTS_CHANNEL, reusing the distributedLock client for publishing and a
+ * duplicate connection for the subscription. Without Redis the bus stays in-process.
+ */
+class TokenEvents {
+  constructor() {
+    // A plain Set rather than an EventEmitter: every open SSE stream holds a
+    // subscription, so there is no meaningful listener limit to warn about.
+    this.subscribers = new Set();
+    this.eventTypes = EVENT_TYPES;
+    this.historySize = Math.max(0, parseInt(process.env.TOKEN_EVENTS_HISTORY_SIZE || '500', 10));
+    this.history = [];
+    this.channel = process.env.TOKEN_EVENTS_CHANNEL || 'tokenbot:token-events';
+    this.instanceId = randomUUID();
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  /**
+   * Publish an event to every subscriber, here and (with Redis) on the other
+   * replicas. A failing subscriber never affects the publisher or other subscribers.
+   * @returns {Object} the published event
+   */
+  publish(type, data = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown token event type ${type}`);
+    }
+
+    const event = {
+      id: randomUUID(),
+      type,
+      occurred_at: new Date().toISOString(),
+      data
+    };
+
+    this._dispatch(event, true);
+
+    if (this.publisher) {
+      this.publisher.publish(this.channel, JSON.stringify({ origin: this.instanceId, event }))
+        .catch((error) => {
+          logger.warn(`⚠️ Failed to fan out token event ${type}: ${error.message}`);
+        });
+    }
+
+    return event;
+  }
+
+  _dispatch(event, local) {
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.splice(0, this.history.length - this.historySize);
+    }
+
+    for (const listener of [...this.subscribers]) {
+      Promise.resolve()
+        .then(() => listener(event, local))
+        .catch((error) => {
+          logger.warn(`⚠️ Token event subscriber failed on ${event.type}: ${error.message}`);
+        });
+    }
+  }
+
+  _onMessage(channel, message) {
+    if (channel !== this.channel) return;
+
+    let envelope;
+    try {
+      envelope = JSON.parse(message);
+    } catch (error) {
+      logger.warn(`⚠️ Ignoring malformed token event on ${channel}: ${error.message}`);
+      return;
+    }
+
+    // Our own events were dispatched when they were published.
+    if (envelope?.origin === this.instanceId) return;
+    if (!envelope?.event?.id || !EVENT_TYPES.includes(envelope.event.type)) {
+      logger.warn(`⚠️ Ignoring unknown token event on ${channel}`);
+      return;
+    }
+
+    this._dispatch(envelope.event, false);
+  }
+
+  /**
+   * Events published after the given event id, oldest first.
+   * @returns {Object[]|null} null when the id is no longer (or never was) in history
+   */
+  since(eventId) {
+    const index = this.history.findIndex((event) => event.id === eventId);
+    return index === -1 ? null : this.history.slice(index + 1);
+  }
+
+  /**
+   * @param {Function} listener - called with the event
+   * @param {Object} [options]
+   * @param {boolean} [options.localOnly=false] - skip events published by other
+   *   replicas (for side effects that must happen once, like webhook delivery)
+   * @returns {Function} unsubscribe
+   */
+  onEvent(listener, { localOnly = false } = {}) {
+    const handler = (event, local) => {
+      if (localOnly && !local) return undefined;
+      return listener(event);
+    };
+    this.subscribers.add(handler);
+    return () => this.subscribers.delete(handler);
+  }
+
+  /**
+   * Join the Redis fan-out channel. Falls back to the in-memory bus when Redis
+   * is not configured or the subscription fails.
+   */
+  async start() {
+    if (this.subscriber) return;
+
+    const client = await distributedLock.getRedisClient();
+    if (!client) {
+      logger.info('ℹ️ Token events use the in-memory bus (Redis not configured)');
+      return;
+    }
+
+    const subscriber = client.duplicate();
+    subscriber.on('error', (error) => {
+      logger.warn(`[TokenEvents] Redis subscriber error: ${error.message}`);
+    });
+    subscriber.on('message', (channel, message) => this._onMessage(channel, message));
+
+    try {
+      await subscriber.subscribe(this.channel);
+    } catch (error) {
+      logger.warn(`⚠️ Token event fan-out unavailable, using the in-memory bus: ${error.message}`);
+      subscriber.disconnect();
+      return;
+    }
+
+    this.subscriber = subscriber;
+    this.publisher = client;
+    logger.info(`✅ Token events fan out over Redis channel ${this.channel}`);
+  }
+
+  async stop() {
+    const subscriber = this.subscriber;
+    this.subscriber = null;
+    this.publisher = null;
+    if (subscriber) {
+      await subscriber.quit().catch(() => subscriber.disconnect());
+    }
+  }
+
+  getStatus() {
+    return {
+      transport: this.subscriber ? 'redis' : 'memory',
+      channel: this.subscriber ? this.channel : null,
+      history_size: this.history.length
+    };
+  }
+}
+
+module.exports = new TokenEvents();
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const db = require('../config/database');
 const tokenFetcher = require('./tokenFetcher');
 const encryptor = require('./encryptor');
@@ -7,17 +8,20 @@ const dhanAuthProvider = require('./providers/dhan');
 const { assertProductionSafeUserId, normalizeUserId } = require('../utils/userIdPolicy');
 const distributedLock = require('./distributedLock');
 const soakMetrics = require('./soakMetrics');
-const DhanTokenManager = require('./token-managers/DhanTokenManager');
-const ZerodhaTokenManager = require('./token-managers/ZerodhaTokenManager');
+const brokerRegistry = require('./token-managers');
+const connectionQuarantine = require('./connectionQuarantine');
+const tokenEvents = require('./tokenEvents');
+const tokenCache = require('./tokenCache');
 
 class TokenManager {
   constructor() {
     this.inFlightRefreshes = new Map();
+    this.recentInvalidReports = new Map();
+    this.pendingInvalidReports = new Set();
+    this.invalidReportDedupeMs = Math.max(1000, parseInt(process.env.TOKEN_INVALID_REPORT_DEDUPE_MS || '60000', 10));
     this.refreshLockTtlMs = Math.max(5000, parseInt(process.env.TOKEN_REFRESH_LOCK_TTL_MS || '45000', 10));
     this.allowLegacyStoredTokenFallback = String(process.env.LEGACY_ALLOW_STORED_TOKENS || 'false').toLowerCase() === 'true';
     this.persistLegacyStoredTokenWrites = String(process.env.LEGACY_PERSIST_STORED_TOKENS || 'false').toLowerCase() === 'true';
-    this.dhanManager = new DhanTokenManager();
-    this.zerodhaManager = new ZerodhaTokenManager();
 
     const keyFingerprint = typeof encryptor.getKeyFingerprint === 'function'
       ? encryptor.getKeyFingerprint()
@@ -138,7 +142,8 @@ class TokenManager {
           "userId" AS user_id,
           "brokerType" AS broker_type,
           "accountId" AS account_id,
-          "isActive" AS is_active
+          "isActive" AS is_active,
+          "status" AS status
         FROM "BrokerConnection"
         WHERE id = $1
         LIMIT 1
@@ -171,7 +176,8 @@ class TokenManager {
         userId: safeUserId,
         brokerType: row.broker_type,
         accountId: row.account_id || normalizedAccountId || null,
-        connectionId: row.id
+        connectionId: row.id,
+        status: row.status || null
       };
     }
 
@@ -183,7 +189,8 @@ class TokenManager {
         id,
         "userId" AS user_id,
         "brokerType" AS broker_type,
-        "accountId" AS account_id
+        "accountId" AS account_id,
+        "status" AS status
       FROM "BrokerConnection"
       WHERE "userId" = $1
         AND "brokerType" = $2
@@ -225,10 +232,44 @@ class TokenManager {
       userId: safeUserId,
       brokerType: resolved.broker_type,
       accountId: resolved.account_id || normalizedAccountId || null,
-      connectionId: resolved.id
+      connectionId: resolved.id,
+      status: resolved.status || null
     };
   }
 
+  /**
+   * Publish a lifecycle event; event delivery must never break a refresh.
+   */
+  _publishEvent(type, { connectionId = null, userId = null, brokerType = null, accountId = null, correlationId = null, ...details }) {
+    try {
+      tokenEvents.publish(type, {
+        broker_connection_id: connectionId,
+        user_id: userId,
+        broker_type: brokerType,
+        account_id: accountId,
+        correlation_id: correlationId,
+        ...details
+      });
+    } catch (error) {
+      logger.warn(`⚠️ Failed to publish ${type} for ${connectionId || userId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve a user/connection lookup to a concrete BrokerConnection
+   * ({ userId, brokerType, accountId, connectionId }) without touching tokens.
+   */
+  async resolveConnection(userIdOrContext, operation = 'lookup') {
+    const request = this._normalizeTokenRequest(userIdOrContext);
+    return this._resolveConnectionContext({
+      userId: request.userId,
+      brokerType: request.brokerType,
+      accountId: request.accountId,
+      connectionId: request.connectionId,
+      operation
+    });
+  }
+
   _isAuthErrorMessage(message) {
     const normalized = String(message || '').toLowerCase();
     return (
@@ -250,6 +291,19 @@ class TokenManager {
       operation: 'refresh'
     });
     resolvedContext.correlationId = request.correlationId || null;
+
+    // Repeated credential failures risk a broker-side account lock; a
+    // quarantined connection stays untouched until credentials change.
+    if (resolvedContext.status === 'QUARANTINED') {
+      const quarantinedError = this._buildError(
+        `Broker connection ${resolvedContext.connectionId} is quarantined after repeated credential failures`,
+        423,
+        'CONNECTION_QUARANTINED'
+      );
+      quarantinedError.guidance = 'Update the broker credentials, or ask an admin to lift the quarantine via POST /api/admin/quarantine/:brokerConnectionId/release.';
+      throw quarantinedError;
+    }
+
     const refreshKey = [
       resolvedContext.brokerType,
       resolvedContext.connectionId,
@@ -272,6 +326,7 @@ class TokenManager {
         }
         const normalizedError = new Error(`Unable to acquire refresh lock: ${lockError.message}`);
         normalizedError.statusCode = 503;
+        normalizedError.code = 'TOKEN_REFRESH_LOCK_UNAVAILABLE';
         normalizedError.retryAfterMs = 5000;
         throw normalizedError;
       }
@@ -300,13 +355,13 @@ class TokenManager {
   async _refreshTokenForUserInternal(context) {
     const { userId, brokerType = 'ZERODHA', accountId = null, connectionId = null, correlationId = null } = context;
 
-    let manager;
-    if (brokerType === 'ZERODHA') {
-      manager = this.zerodhaManager;
-    } else if (brokerType === 'DHAN') {
-      manager = this.dhanManager;
-    } else {
-      throw new Error(`Auto-refresh for ${brokerType} is not implemented`);
+    const manager = brokerRegistry.getManager(brokerType);
+    if (!manager) {
+      throw this._buildError(
+        `Auto-refresh for ${brokerType} is not implemented (supported: ${brokerRegistry.brokerTypes().join(', ')})`,
+        400,
+        'BROKER_NOT_SUPPORTED'
+      );
     }
 
     // Fetch the current token context to pass to the manager
@@ -332,7 +387,8 @@ class TokenManager {
           expires_at: result.expires_at || result.next_refresh_at,
           mode: 'automated',
           refresh_status: 'success',
-          error_reason: null
+          error_reason: null,
+          correlationId
         });
       } catch (syncError) {
         logger.error(`❌ Failed to persist canonical token for user ${userId}: ${syncError.message}`);
@@ -344,6 +400,18 @@ class TokenManager {
         brokerType,
         connectionId: connectionId || null
       });
+      await connectionQuarantine.recordSuccess(connectionId).catch((healthError) => {
+        logger.warn(`⚠️ Failed to reset refresh failure count for ${connectionId}: ${healthError.message}`);
+      });
+      this._publishEvent('token.refreshed', {
+        connectionId,
+        userId,
+        brokerType,
+        accountId,
+        correlationId,
+        expires_at: result.expires_at || result.next_refresh_at || null,
+        token_fingerprint: this.fingerprintToken(result.access_token)
+      });
     } else {
       if (this.persistLegacyStoredTokenWrites) {
         try {
@@ -360,14 +428,44 @@ class TokenManager {
 
       const failureMessage = String(result.error || 'Token refresh failed');
       const failureCode = String(result.error_code || 'TOKEN_REFRESH_FAILED');
-      const failureStatusCode = Number(result.statusCode || 0) || (failureCode === 'DHAN_CREDENTIALS_MISSING' ? 422 : 500);
+      const failureStatusCode = Number(result.statusCode || 0) || (failureCode.endsWith('_CREDENTIALS_MISSING') ? 422 : 500);
 
       await this._markBrokerConnectionError(connectionId, userId, failureMessage, correlationId);
+      const health = await connectionQuarantine.recordFailure({
+        connectionId,
+        brokerType,
+        code: failureCode,
+        message: failureMessage,
+        statusCode: result.statusCode || null,
+        correlationId
+      }).catch((healthError) => {
+        logger.warn(`⚠️ Failed to record refresh failure for ${connectionId}: ${healthError.message}`);
+        return null;
+      });
 
       const refreshError = this._buildError(failureMessage, failureStatusCode, failureCode);
       if (result.guidance) {
         refreshError.guidance = result.guidance;
       }
+      if (health?.quarantined) {
+        refreshError.quarantined = true;
+        refreshError.guidance = health.quarantine_reason;
+      }
+      const eventContext = { connectionId, userId, brokerType, accountId, correlationId };
+      this._publishEvent('token.refresh_failed', {
+        ...eventContext,
+        error_code: failureCode,
+        error: failureMessage,
+        failure_class: health?.last_failure_class || null,
+        quarantined: Boolean(health?.quarantined)
+      });
+      if (health?.quarantined || this._isAuthErrorMessage(failureMessage)) {
+        this._publishEvent('connection.reauth_required', {
+          ...eventContext,
+          status: health?.quarantined ? 'QUARANTINED' : 'REAUTH_REQUIRED',
+          reason: health?.quarantined ? health.quarantine_reason : failureMessage
+        });
+      }
       soakMetrics.recordTokenRefreshResult({
         success: false,
         source: 'tokenManager._refreshTokenForUserInternal',
@@ -628,6 +726,19 @@ class TokenManager {
    */
   async getCurrentToken(userIdOrContext, brokerType = 'ZERODHA', accountId = null, connectionId = null) {
     const request = this._normalizeTokenRequest(userIdOrContext, brokerType, accountId, connectionId);
+    const requestedConnectionId = this._normalizeConnectionId(request.connectionId);
+    let cacheVersion = null;
+    if (requestedConnectionId) {
+      cacheVersion = tokenCache.version(requestedConnectionId);
+      const cached = tokenCache.get(requestedConnectionId, {
+        userId: normalizeUserId(request.userId),
+        brokerType: this._normalizeBrokerType(request.brokerType)
+      });
+      if (cached) {
+        return cached;
+      }
+    }
+
     const resolvedContext = await this._resolveConnectionContext({
       userId: request.userId,
       brokerType: request.brokerType,
@@ -643,6 +754,13 @@ class TokenManager {
     );
 
     if (brokerToken?.access_token) {
+      if (requestedConnectionId) {
+        tokenCache.set(resolvedContext.connectionId, {
+          userId: resolvedContext.userId,
+          brokerType: resolvedContext.brokerType,
+          version: cacheVersion
+        }, brokerToken);
+      }
       return brokerToken;
     }
 
@@ -663,6 +781,314 @@ class TokenManager {
     return null;
   }
 
+  /**
+   * Read-through variant of getCurrentToken: if the stored token is missing or
+   * not fresh (see _isTokenFresh), trigger (or join) a refresh and wait up to
+   * `maxWaitMs` for it.
+   * @returns {Object} { status: 'fresh'|'refreshed'|'pending', token, retryAfterMs? }
+   */
+  async getFreshToken(userIdOrContext, { maxWaitMs = 20000 } = {}) {
+    const request = this._normalizeTokenRequest(userIdOrContext);
+    const lookup = {
+      userId: request.userId,
+      brokerType: request.brokerType,
+      accountId: request.accountId,
+      brokerConnectionId: request.connectionId,
+      correlationId: request.correlationId
+    };
+
+    const current = await this.getCurrentToken(lookup);
+    if (current?.access_token && this._isTokenFresh(current, request.brokerType)) {
+      return { status: 'fresh', token: current };
+    }
+
+    logger.info(`♻️ Read-through refresh for ${request.brokerType} connection ${request.connectionId || 'resolved-via-user'} (token ${current?.access_token ? 'near expiry' : 'missing'})`);
+
+    const refreshPromise = this.refreshTokenForUser(lookup);
+    // The refresh keeps running past the wait bound; never leave it unhandled.
+    refreshPromise.catch((error) => {
+      logger.warn(`⚠️ Background read-through refresh failed: ${error.message}`);
+    });
+
+    let timer = null;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve({ timedOut: true }), Math.max(0, maxWaitMs));
+    });
+
+    try {
+      const outcome = await Promise.race([refreshPromise.then(() => ({ timedOut: false })), timeout]);
+      if (outcome.timedOut) {
+        return { status: 'pending', token: null, retryAfterMs: Math.max(1000, Math.min(maxWaitMs, 10000)) };
+      }
+    } catch (error) {
+      if (error.code === 'TOKEN_REFRESH_LOCKED') {
+        return { status: 'pending', token: null, retryAfterMs: error.retryAfterMs || 5000 };
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    return { status: 'refreshed', token: await this.getCurrentToken(lookup) };
+  }
+
+  /**
+   * A token is fresh outside the broker's expiry warning window. Tokens without
+   * an expiry follow the scheduler: fresh until staleAfterHours past last auth.
+   */
+  _isTokenFresh(token, brokerType) {
+    const entry = brokerRegistry.get(brokerType);
+    if (token.expires_at) {
+      const thresholdMs = entry ? entry.manager.getExpiryWarningThreshold() : 60 * 60 * 1000;
+      return new Date(token.expires_at).getTime() - Date.now() > thresholdMs;
+    }
+
+    if (!token.last_auth_at) return false;
+    const staleAfterHours = entry ? entry.refreshPolicy.staleAfterHours : 20;
+    return Date.now() - new Date(token.last_auth_at).getTime() < staleAfterHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Validate the stored token for a connection against the broker.
+   * A token the broker rejects flags the connection REAUTH_REQUIRED; a token it
+   * accepts clears a stale REAUTH_REQUIRED/ERROR status.
+   * @returns {Object} { valid, reason, error?, broker_connection_id, broker_type, checked_at, token }
+   */
+  async validateToken(userIdOrContext, brokerType = 'ZERODHA', accountId = null, connectionId = null) {
+    const request = this._normalizeTokenRequest(userIdOrContext, brokerType, accountId, connectionId);
+    const resolvedContext = await this._resolveConnectionContext({
+      userId: request.userId,
+      brokerType: request.brokerType,
+      accountId: request.accountId,
+      connectionId: request.connectionId,
+      operation: 'validate'
+    });
+
+    const manager = brokerRegistry.getManager(resolvedContext.brokerType);
+    if (!manager) {
+      throw this._buildError(
+        `Token validation for ${resolvedContext.brokerType} is not implemented`,
+        400,
+        'BROKER_NOT_SUPPORTED'
+      );
+    }
+
+    const storedToken = await this._getBrokerConnectionToken(
+      resolvedContext.userId,
+      resolvedContext.brokerType,
+      resolvedContext.accountId,
+      resolvedContext.connectionId,
+      { includeCiphertext: true }
+    );
+    const { access_token_encrypted: validatedCiphertext = null, ...token } = storedToken || {};
+    const currentToken = storedToken ? token : null;
+
+    const result = await manager.validate({ ...resolvedContext, currentToken });
+    await this._applyValidationResult(resolvedContext, currentToken, result, validatedCiphertext);
+
+    logger.info(`🔎 ${resolvedContext.brokerType} token validation for connection ${resolvedContext.connectionId}: ${result.reason}`);
+
+    return {
+      ...result,
+      broker_connection_id: resolvedContext.connectionId,
+      broker_type: resolvedContext.brokerType,
+      checked_at: new Date().toISOString(),
+      token: currentToken
+    };
+  }
+
+  /**
+   * Both updates match on the ciphertext that was validated, so a refresh that
+   * lands while the broker call is in flight is never flagged or un-flagged by
+   * a verdict about the token it replaced.
+   */
+  async _applyValidationResult({ connectionId, userId, brokerType = null, accountId = null }, currentToken, result, validatedCiphertext) {
+    if (!validatedCiphertext) return;
+
+    try {
+      if (result.valid === false && currentToken?.access_token) {
+        const update = await db.query(`
+          UPDATE "BrokerConnection"
+          SET "status" = 'REAUTH_REQUIRED',
+              "lastError" = $1,
+              "updatedAt" = NOW()
+          WHERE id = $2
+            AND "userId" = $3
+            AND "accessTokenEncrypted" = $4
+            AND "status" <> 'QUARANTINED'
+        `, ['Token rejected by broker during validation (revoked or expired out-of-band)', connectionId, userId, validatedCiphertext]);
+        if (update?.rowCount !== 0) {
+          this._publishEvent('connection.reauth_required', {
+            connectionId,
+            userId,
+            brokerType,
+            accountId,
+            status: 'REAUTH_REQUIRED',
+            reason: 'Token rejected by broker during validation'
+          });
+        }
+      } else if (result.valid === true && ['REAUTH_REQUIRED', 'ERROR'].includes(currentToken?.status)) {
+        await db.query(`
+          UPDATE "BrokerConnection"
+          SET "status" = 'CONNECTED',
+              "lastError" = NULL,
+              "updatedAt" = NOW()
+          WHERE id = $1
+            AND "userId" = $2
+            AND "accessTokenEncrypted" = $3
+            AND "status" IN ('REAUTH_REQUIRED', 'ERROR')
+        `, [connectionId, userId, validatedCiphertext]);
+      }
+    } catch (updateError) {
+      logger.warn(`⚠️ Failed to persist validation result for ${connectionId}: ${updateError.message}`);
+    }
+  }
+
+  /**
+   * Non-reversible identifier consumers use to say which token failed:
+   * first 16 hex chars of SHA-256(access_token).
+   */
+  fingerprintToken(accessToken) {
+    if (!accessToken) return null;
+    return crypto.createHash('sha256').update(String(accessToken)).digest('hex').slice(0, 16);
+  }
+
+  _pruneInvalidReports(now = Date.now()) {
+    for (const [key, reportedAt] of this.recentInvalidReports) {
+      if (now - reportedAt > this.invalidReportDedupeMs) {
+        this.recentInvalidReports.delete(key);
+      }
+    }
+  }
+
+  /**
+   * A consumer saw the broker reject a token (e.g. Kite 403 TokenException).
+   * Flags the connection only if it still holds that token, then queues an
+   * immediate refresh on the durable refresh queue (also when the connection
+   * was already flagged REAUTH_REQUIRED/ERROR). Repeat reports are absorbed by
+   * an in-process window once a report has been handled, and across instances
+   * by the conditional UPDATE and the queue's one-active-job-per-connection rule.
+   * @returns {Object} { status: 'accepted'|'duplicate'|'stale', broker_connection_id, connection_status?, refresh?, job_id? }
+   */
+  async reportInvalidToken({ brokerConnectionId, brokerType = 'ZERODHA', tokenFingerprint, reason = null, correlationId = null }) {
+    const connectionId = this._normalizeConnectionId(brokerConnectionId);
+    const fingerprint = String(tokenFingerprint || '').trim().toLowerCase();
+
+    if (!connectionId) {
+      throw this._buildError('brokerConnectionId is required', 400, 'BROKER_CONNECTION_REQUIRED');
+    }
+    if (!/^[0-9a-f]{16,64}$/.test(fingerprint)) {
+      throw this._buildError('tokenFingerprint must be 16-64 hex chars of SHA-256(access_token)', 400, 'TOKEN_FINGERPRINT_INVALID');
+    }
+
+    const dedupeKey = `${connectionId}:${fingerprint.slice(0, 16)}`;
+    this._pruneInvalidReports();
+    if (this.recentInvalidReports.has(dedupeKey) || this.pendingInvalidReports.has(dedupeKey)) {
+      return { status: 'duplicate', broker_connection_id: connectionId };
+    }
+
+    // Only a handled report enters the dedupe window; a 404 or DB error must
+    // not swallow the consumer's retries.
+    this.pendingInvalidReports.add(dedupeKey);
+    try {
+      const result = await this._handleInvalidTokenReport({ connectionId, brokerType, fingerprint, reason, correlationId });
+      if (result.status === 'accepted') {
+        this.recentInvalidReports.set(dedupeKey, Date.now());
+      }
+      return result;
+    } finally {
+      this.pendingInvalidReports.delete(dedupeKey);
+    }
+  }
+
+  async _readConnectionToken(connectionId) {
+    const result = await db.query(`
+      SELECT "accessTokenEncrypted", "status"
+      FROM "BrokerConnection"
+      WHERE id = $1
+    `, [connectionId]);
+    return result.rows[0] || null;
+  }
+
+  async _handleInvalidTokenReport({ connectionId, brokerType, fingerprint, reason, correlationId }) {
+    const context = await this._resolveConnectionContext({ brokerType, connectionId, operation: 'report-invalid' });
+    const storedCiphertext = (await this._readConnectionToken(connectionId))?.accessTokenEncrypted || null;
+
+    let storedFingerprint = null;
+    if (storedCiphertext) {
+      const decrypted = encryptor.decryptWithMeta(storedCiphertext, { allowLegacy: true });
+      storedFingerprint = decrypted.ok ? this.fingerprintToken(decrypted.value) : null;
+    }
+
+    if (!storedFingerprint || !storedFingerprint.startsWith(fingerprint.slice(0, 16))) {
+      logger.info(`ℹ️ Ignoring invalid-token report for ${connectionId}: token already replaced${correlationId ? ` [ref: ${correlationId}]` : ''}`);
+      return { status: 'stale', broker_connection_id: connectionId };
+    }
+
+    const message = String(reason || 'Token rejected by broker (reported by consumer)').substring(0, 400);
+    let connectionStatus = this._isAuthErrorMessage(message) ? 'REAUTH_REQUIRED' : 'ERROR';
+    const correlationSuffix = correlationId ? ` [ref: ${correlationId}]` : '';
+
+    // Matching on the ciphertext we just read keeps a concurrent refresh from
+    // being clobbered, and lets only one instance win per reported token.
+    const update = await db.query(`
+      UPDATE "BrokerConnection"
+      SET "status" = $1,
+          "lastError" = $2,
+          "updatedAt" = NOW()
+      WHERE id = $3
+        AND "accessTokenEncrypted" = $4
+        AND "status" NOT IN ('REAUTH_REQUIRED', 'ERROR', 'QUARANTINED')
+    `, [connectionStatus, `${message}${correlationSuffix}`.substring(0, 500), connectionId, storedCiphertext]);
+
+    if (update.rowCount) {
+      logger.warn(`🚫 ${context.brokerType} token for ${connectionId} reported invalid; flagged ${connectionStatus}, refreshing now${correlationSuffix}`);
+      if (connectionStatus === 'REAUTH_REQUIRED') {
+        this._publishEvent('connection.reauth_required', {
+          connectionId,
+          userId: context.userId,
+          brokerType: context.brokerType,
+          accountId: context.accountId,
+          correlationId,
+          status: connectionStatus,
+          reason: message
+        });
+      }
+    } else {
+      // Either already flagged (by an earlier report, a failed refresh or
+      // another instance) - which still needs a refresh - or the token was
+      // replaced / the connection quarantined since we read it.
+      const current = await this._readConnectionToken(connectionId);
+      if (current?.accessTokenEncrypted !== storedCiphertext) {
+        return { status: 'stale', broker_connection_id: connectionId };
+      }
+      if (!['REAUTH_REQUIRED', 'ERROR'].includes(current.status)) {
+        return { status: 'duplicate', broker_connection_id: connectionId, connection_status: current.status };
+      }
+      connectionStatus = current.status;
+      logger.info(`ℹ️ ${context.brokerType} connection ${connectionId} already ${connectionStatus}; queueing refresh for reported token${correlationSuffix}`);
+    }
+
+    // Required lazily: refreshJobService depends on this module.
+    const refreshJobService = require('./refreshJobService');
+    const { job, deduplicated } = await refreshJobService.enqueueConnection({
+      connectionId,
+      userId: context.userId,
+      brokerType: context.brokerType,
+      accountId: context.accountId,
+      correlationId,
+      source: 'report'
+    });
+
+    return {
+      status: 'accepted',
+      broker_connection_id: connectionId,
+      connection_status: connectionStatus,
+      refresh: deduplicated ? 'already_queued' : 'queued',
+      job_id: job?.id || null
+    };
+  }
+
   async _getLegacyZerodhaToken(userId) {
     if (!this.allowLegacyStoredTokenFallback) {
       logger.warn(`⚠️ Legacy stored_tokens lookup requested while LEGACY_ALLOW_STORED_TOKENS=false (user: ${userId})`);
@@ -765,7 +1191,7 @@ class TokenManager {
     }
   }
 
-  async _getBrokerConnectionToken(userId, brokerType, accountId = null, connectionId = null) {
+  async _getBrokerConnectionToken(userId, brokerType, accountId = null, connectionId = null, { includeCiphertext = false } = {}) {
     logger.info(`🔍 Getting current token for user: ${userId} (${brokerType})`);
 
     try {
@@ -886,7 +1312,8 @@ class TokenManager {
         status: row.status,
         last_error: row.last_error,
         last_auth_at: row.last_auth_at,
-        updated_at: row.updated_at
+        updated_at: row.updated_at,
+        ...(includeCiphertext ? { access_token_encrypted: row.accessTokenEncrypted } : {})
       };
 
     } catch (error) {
@@ -949,7 +1376,8 @@ class TokenManager {
     }
 
     try {
-      // Encrypt access token using canonical GCM format (compatible with Core/Web).
+      // Encrypt access token using canonical GCM format (iv:cipher:tag, which
+      // Core/Web read directly, unless ENCRYPTION_KEY_ID_PREFIX=true).
       const accessTokenEncrypted = encryptor.encrypt(access_token);
 
       let query = `
@@ -992,6 +1420,18 @@ class TokenManager {
       }
 
       logger.info(`✅ ${brokerType} token stored successfully`);
+      for (const row of result.rows) {
+        tokenCache.invalidate(row.id);
+        this._publishEvent('token.updated', {
+          connectionId: String(row.id),
+          userId: row.userId,
+          brokerType: row.brokerType || brokerType,
+          accountId: row.accountId || null,
+          correlationId: tokenData.correlationId || null,
+          expires_at: expires_at || null,
+          token_fingerprint: this.fingerprintToken(access_token)
+        });
+      }
       return result.rows[0];
 
     } catch (error) {
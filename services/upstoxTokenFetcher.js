@@ -0,0 +1,164 @@
+// apps/tokenbot/services/upstoxTokenFetcher.js
+//
+// Puppeteer-based Upstox OAuth login.
+// Upstox login flow (api.upstox.com/v2/login/authorization/dialog):
+//   Step 1 → Enter mobile number → Get OTP
+//   Step 2 → Enter TOTP (authenticator) instead of SMS OTP
+//   Step 3 → Enter 6-digit PIN
+//   Step 4 → Capture ?code= from the redirect to the registered redirect_uri
+// The authorization code is exchanged for an access token by providers/upstox.
+
+const { authenticator } = require('otplib');
+const logger = require('../utils/logger');
+const browserPool = require('./browserPool');
+const upstoxAuthProvider = require('./providers/upstox');
+
+class UpstoxTokenFetcher {
+    /**
+     * Drive the Upstox login dialog and return the authorization code.
+     * @param {Object} credentials
+     * @param {string} credentials.mobile_number - Mobile number used to login
+     * @param {string} credentials.pin           - 6-digit login PIN
+     * @param {string} credentials.totp_secret   - TOTP secret for 2FA
+     * @param {string} credentials.api_key       - Upstox app API key
+     * @param {string} credentials.redirect_uri  - Redirect URI registered on the app
+     * @returns {Promise<string>} authorization code
+     */
+    async fetchAuthorizationCode(credentials) {
+        const { mobile_number, pin, totp_secret, api_key, redirect_uri } = credentials;
+
+        if (!mobile_number || !pin || !totp_secret || !api_key || !redirect_uri) {
+            throw new Error('Upstox login requires: mobile_number, pin, totp_secret, api_key and redirect_uri');
+        }
+
+        logger.info(`[UpstoxTokenFetcher] 🚀 Starting Puppeteer login for mobile: ${String(mobile_number).slice(0, 4)}****`);
+
+        let browserInfo = null;
+        let page = null;
+
+        try {
+            try {
+                browserInfo = await browserPool.acquire();
+            } catch (poolError) {
+                const wrappedError = new Error(`Browser unavailable: ${poolError.message}`);
+                wrappedError.code = poolError.code || 'BROWSER_POOL_UNAVAILABLE';
+                wrappedError.statusCode = poolError.statusCode || 503;
+                wrappedError.retryAfterMs = poolError.retryAfterMs || 30000;
+                throw wrappedError;
+            }
+
+            const browser = browserInfo.browser;
+            if (!browser || !browser.isConnected()) {
+                throw new Error('Acquired browser is not connected');
+            }
+            logger.info(`[UpstoxTokenFetcher] ✅ Browser acquired: ${browserInfo.id}`);
+
+            page = await browser.newPage();
+            await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+
+            // Capture the authorization code from the redirect and abort it so the
+            // backend registered as redirect_uri does not consume the code first.
+            let capturedCode = null;
+            await page.setRequestInterception(true);
+            page.on('request', (req) => {
+                const url = req.url();
+                if (!capturedCode && url.startsWith(redirect_uri)) {
+                    try {
+                        const code = new URL(url).searchParams.get('code');
+                        if (code) {
+                            capturedCode = code;
+                            logger.info('[UpstoxTokenFetcher] 🎯 Authorization code captured from redirect');
+                            req.abort('blockedbyclient').catch(() => { });
+                            return;
+                        }
+                    } catch (_) { }
+                }
+                if (!req.isInterceptResolutionHandled()) {
+                    req.continue().catch(() => { });
+                }
+            });
+
+            const loginUrl = upstoxAuthProvider.buildAuthorizationUrl(api_key, redirect_uri);
+            logger.info(`[UpstoxTokenFetcher] 🌐 Navigating to Upstox authorization dialog`);
+            await page.goto(loginUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+
+            // ─── STEP 1: Mobile number ────────────────────────────────────
+            await this._typeInto(page, ['#mobileNum', 'input[type="tel"]', 'input[name="mobileNum"]'], mobile_number, 'mobile number');
+            await this._click(page, ['#getOtp', 'button[type="submit"]'], 'Get OTP');
+            await new Promise(r => setTimeout(r, 2500));
+
+            // ─── STEP 2: TOTP ─────────────────────────────────────────────
+            const otp = authenticator.generate(totp_secret);
+            await this._typeInto(page, ['#otpNum', 'input[name="otpNum"]', 'input[maxlength="6"]'], otp, 'TOTP');
+            await this._click(page, ['#continueBtn', 'button[type="submit"]'], 'Continue after TOTP');
+            await new Promise(r => setTimeout(r, 2500));
+
+            // ─── STEP 3: PIN ──────────────────────────────────────────────
+            await this._typeInto(page, ['#pinCode', 'input[name="pinCode"]', 'input[type="password"]'], String(pin), 'PIN');
+            await this._click(page, ['#pinContinueBtn', 'button[type="submit"]'], 'Continue after PIN');
+
+            // ─── Wait for redirect ────────────────────────────────────────
+            let waited = 0;
+            while (!capturedCode && waited < 20000) {
+                await new Promise(r => setTimeout(r, 1000));
+                waited += 1000;
+            }
+
+            if (!capturedCode) {
+                const pageText = await page.evaluate(() => document.body?.innerText || '').catch(() => '');
+                const invalidHint = /invalid|incorrect|wrong/i.test(pageText) ? ' (login page reported invalid credentials)' : '';
+                throw new Error(`Upstox login completed but no authorization code was captured${invalidHint}. Final URL: ${page.url()}`);
+            }
+
+            return capturedCode;
+        } finally {
+            if (page) {
+                try { await page.close(); } catch (_) { }
+            }
+            if (browserInfo) {
+                try { browserPool.release(browserInfo.id, browserInfo.requestId); } catch (_) { }
+            }
+        }
+    }
+
+    /**
+     * Full login: browser dialog for the code, then the token exchange.
+     */
+    async fetchAccessToken(credentials) {
+        const startTime = Date.now();
+        const code = await this.fetchAuthorizationCode(credentials);
+        const tokenData = await upstoxAuthProvider.exchangeAuthorizationCode(code, credentials);
+        return {
+            ...tokenData,
+            execution_time_ms: Date.now() - startTime
+        };
+    }
+
+    async _typeInto(page, selectors, value, label) {
+        for (const sel of selectors) {
+            try {
+                await page.waitForSelector(sel, { visible: true, timeout: 5000 });
+                await page.click(sel, { clickCount: 3 });
+                await page.type(sel, value, { delay: 60 });
+                logger.info(`[UpstoxTokenFetcher] ✅ Entered ${label} (${sel})`);
+                return;
+            } catch (_) { }
+        }
+        throw new Error(`Could not find ${label} input on Upstox login page`);
+    }
+
+    async _click(page, selectors, label) {
+        for (const sel of selectors) {
+            const el = await page.$(sel).catch(() => null);
+            if (el) {
+                await el.click();
+                logger.info(`[UpstoxTokenFetcher] ✅ Clicked ${label} (${sel})`);
+                return;
+            }
+        }
+        await page.keyboard.press('Enter');
+        logger.info(`[UpstoxTokenFetcher] ✅ Pressed Enter (${label})`);
+    }
+}
+
+module.exports = new UpstoxTokenFetcher();
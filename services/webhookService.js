@@ -0,0 +1,420 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const encryptor = require('./encryptor');
+const logger = require('../utils/logger');
+const tokenEvents = require('./tokenEvents');
+
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const RETRY_BATCH_SIZE = 10;
+
+/**
+ * Outbound webhooks for token lifecycle events.
+ *
+ * Subscribers live in webhook_subscriptions (plus NOTIFICATION_WEBHOOK_URL,
+ * which receives everything). Each matching event becomes a row in
+ * webhook_deliveries that is attempted immediately; failed attempts are
+ * retried with exponential backoff by a poller on every replica, claimed with
+ * FOR UPDATE SKIP LOCKED so a delivery is only in flight once.
+ *
+ * Requests carry X-TokenBot-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ * with the timestamp in X-TokenBot-Timestamp.
+ */
+class WebhookService {
+  constructor() {
+    this.maxAttempts = Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10));
+    this.timeoutMs = Math.max(1000, parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10));
+    this.retryBaseMs = Math.max(1000, parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '30000', 10));
+    this.pollIntervalMs = Math.max(1000, parseInt(process.env.WEBHOOK_RETRY_POLL_MS || '15000', 10));
+    this.defaultUrl = process.env.NOTIFICATION_WEBHOOK_URL || null;
+    this.defaultSecret = process.env.NOTIFICATION_WEBHOOK_SECRET || null;
+    this.unsubscribe = null;
+    this.retryTimer = null;
+    this.retryRunning = false;
+  }
+
+  _buildError(message, statusCode = 400, code = 'WEBHOOK_INVALID') {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  _toSubscription(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      url: row.url,
+      description: row.description || null,
+      event_types: row.event_types || [],
+      broker_types: row.broker_types || [],
+      user_ids: row.user_ids || [],
+      is_active: row.is_active,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  _toDelivery(row) {
+    return {
+      id: row.id,
+      subscription_id: row.subscription_id,
+      event_id: row.event_id,
+      event_type: row.event_type,
+      url: row.url,
+      state: row.state,
+      attempts: row.attempts,
+      next_attempt_at: row.state === 'pending' ? row.next_attempt_at : null,
+      last_status_code: row.last_status_code || null,
+      last_error: row.last_error || null,
+      created_at: row.created_at,
+      delivered_at: row.delivered_at || null
+    };
+  }
+
+  _validateList(value, field, allowed = null) {
+    if (value === undefined) return undefined;
+    if (value === null) return [];
+    if (!Array.isArray(value) || value.some((item) => typeof item !== 'string' || !item.trim())) {
+      throw this._buildError(`${field} must be an array of strings`);
+    }
+    const normalized = value.map((item) => item.trim());
+    const unknown = allowed ? normalized.filter((item) => !allowed.includes(item)) : [];
+    if (unknown.length > 0) {
+      throw this._buildError(`${field} contains unknown values: ${unknown.join(', ')} (allowed: ${allowed.join(', ')})`);
+    }
+    return normalized;
+  }
+
+  _validateInput(input, { partial = false } = {}) {
+    const values = {};
+
+    if (input.url !== undefined || !partial) {
+      let parsed = null;
+      try {
+        parsed = new URL(String(input.url || ''));
+      } catch (error) {
+        parsed = null;
+      }
+      if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        throw this._buildError('url must be an absolute http(s) URL');
+      }
+      if (parsed.protocol !== 'https:' && process.env.NODE_ENV === 'production') {
+        throw this._buildError('url must use https in production');
+      }
+      values.url = parsed.toString();
+    }
+
+    if (input.secret !== undefined) {
+      if (typeof input.secret !== 'string' || input.secret.length < 16) {
+        throw this._buildError('secret must be at least 16 characters');
+      }
+      values.secret = input.secret;
+    }
+
+    const eventTypes = this._validateList(input.eventTypes, 'eventTypes', tokenEvents.eventTypes);
+    const brokerTypes = this._validateList(input.brokerTypes, 'brokerTypes');
+    const userIds = this._validateList(input.userIds, 'userIds');
+    if (eventTypes !== undefined) values.event_types = eventTypes;
+    if (brokerTypes !== undefined) values.broker_types = brokerTypes.map((brokerType) => brokerType.toUpperCase());
+    if (userIds !== undefined) values.user_ids = userIds;
+    if (input.description !== undefined) values.description = input.description ? String(input.description).substring(0, 500) : null;
+    if (input.isActive !== undefined) values.is_active = input.isActive !== false;
+
+    return values;
+  }
+
+  async listSubscriptions() {
+    const result = await db.query(`SELECT * FROM webhook_subscriptions ORDER BY id`);
+    return result.rows.map((row) => this._toSubscription(row));
+  }
+
+  /**
+   * Create a subscriber. Without a secret one is generated; the secret is only
+   * ever returned here.
+   */
+  async createSubscription(input = {}) {
+    const values = this._validateInput(input);
+    const secret = values.secret || crypto.randomBytes(32).toString('hex');
+
+    const result = await db.query(`
+      INSERT INTO webhook_subscriptions (url, secret_encrypted, description, event_types, broker_types, user_ids, is_active)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [
+      values.url,
+      encryptor.encrypt(secret),
+      values.description || null,
+      values.event_types || [],
+      values.broker_types || [],
+      values.user_ids || [],
+      values.is_active !== false
+    ]);
+
+    return { ...this._toSubscription(result.rows[0]), secret };
+  }
+
+  async updateSubscription(id, input = {}) {
+    const values = this._validateInput(input, { partial: true });
+    if (values.secret) {
+      values.secret_encrypted = encryptor.encrypt(values.secret);
+      delete values.secret;
+    }
+
+    const columns = Object.keys(values);
+    if (columns.length === 0) {
+      throw this._buildError('Nothing to update');
+    }
+
+    const result = await db.query(`
+      UPDATE webhook_subscriptions
+      SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')},
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [id, ...columns.map((column) => values[column])]);
+
+    if (result.rows.length === 0) {
+      throw this._buildError(`Webhook subscription ${id} not found`, 404, 'WEBHOOK_NOT_FOUND');
+    }
+    return this._toSubscription(result.rows[0]);
+  }
+
+  async removeSubscription(id) {
+    const result = await db.query(`DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING *`, [id]);
+    if (result.rows.length === 0) {
+      throw this._buildError(`Webhook subscription ${id} not found`, 404, 'WEBHOOK_NOT_FOUND');
+    }
+    return this._toSubscription(result.rows[0]);
+  }
+
+  async listDeliveries({ subscriptionId = null, state = null, eventType = null, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (subscriptionId) {
+      params.push(parseInt(subscriptionId, 10));
+      conditions.push(`subscription_id = $${params.length}`);
+    }
+    if (state) {
+      params.push(String(state));
+      conditions.push(`state = $${params.length}`);
+    }
+    if (eventType) {
+      params.push(String(eventType));
+      conditions.push(`event_type = $${params.length}`);
+    }
+    params.push(Math.min(500, Math.max(1, parseInt(limit, 10) || 50)));
+
+    const result = await db.query(`
+      SELECT *
+      FROM webhook_deliveries
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC
+      LIMIT $${params.length}
+    `, params);
+    return result.rows.map((row) => this._toDelivery(row));
+  }
+
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  _matches(subscription, event) {
+    const { broker_type: brokerType = null, user_id: userId = null } = event.data || {};
+    const eventTypes = subscription.event_types || [];
+    const brokerTypes = subscription.broker_types || [];
+    const userIds = subscription.user_ids || [];
+
+    return (
+      (eventTypes.length === 0 || eventTypes.includes(event.type)) &&
+      (brokerTypes.length === 0 || brokerTypes.includes(brokerType)) &&
+      (userIds.length === 0 || userIds.includes(userId))
+    );
+  }
+
+  /**
+   * Record one delivery per matching subscriber and attempt them right away.
+   */
+  async handleEvent(event) {
+    const subscriptions = await db.query(`SELECT * FROM webhook_subscriptions WHERE is_active = true`);
+    const targets = subscriptions.rows
+      .filter((subscription) => this._matches(subscription, event))
+      .map((subscription) => ({ subscriptionId: subscription.id, url: subscription.url }));
+
+    if (this.defaultUrl && this.defaultSecret) {
+      targets.push({ subscriptionId: null, url: this.defaultUrl });
+    }
+
+    const deliveries = [];
+    for (const target of targets) {
+      // Locked for the immediate attempt so the retry poller leaves it alone.
+      const inserted = await db.query(`
+        INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, url, payload, locked_until)
+        VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(secs => $6))
+        RETURNING *
+      `, [target.subscriptionId, event.id, event.type, target.url, JSON.stringify(event), Math.ceil((this.timeoutMs * 2) / 1000)]);
+      deliveries.push(inserted.rows[0]);
+    }
+
+    await Promise.all(deliveries.map((delivery) => this._attempt(delivery)));
+    return deliveries.length;
+  }
+
+  async _secretFor(delivery) {
+    if (!delivery.subscription_id) {
+      return this.defaultSecret;
+    }
+    const result = await db.query(`SELECT secret_encrypted FROM webhook_subscriptions WHERE id = $1`, [delivery.subscription_id]);
+    const encrypted = result.rows[0]?.secret_encrypted;
+    return encrypted ? encryptor.decrypt(encrypted) : null;
+  }
+
+  async _send(delivery, secret) {
+    const body = typeof delivery.payload === 'string' ? delivery.payload : JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'TokenBot-Webhooks/1.0',
+          'X-TokenBot-Event': delivery.event_type,
+          'X-TokenBot-Event-Id': delivery.event_id,
+          'X-TokenBot-Delivery': delivery.id,
+          'X-TokenBot-Timestamp': String(timestamp),
+          'X-TokenBot-Signature': `sha256=${this.sign(secret, timestamp, body)}`
+        },
+        body,
+        signal: controller.signal
+      });
+      return { ok: response.ok, statusCode: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+    } catch (error) {
+      return { ok: false, statusCode: null, error: error.name === 'AbortError' ? `Timed out after ${this.timeoutMs}ms` : error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async _attempt(delivery) {
+    const attempts = delivery.attempts + 1;
+    let outcome;
+    try {
+      const secret = await this._secretFor(delivery);
+      outcome = secret
+        ? await this._send(delivery, secret)
+        : { ok: false, statusCode: null, error: 'Subscription secret unavailable' };
+    } catch (error) {
+      outcome = { ok: false, statusCode: null, error: error.message };
+    }
+
+    if (outcome.ok) {
+      await db.query(`
+        UPDATE webhook_deliveries
+        SET state = 'delivered',
+            attempts = $2,
+            last_status_code = $3,
+            last_error = NULL,
+            locked_until = NULL,
+            delivered_at = NOW(),
+            updated_at = NOW()
+        WHERE id = $1
+      `, [delivery.id, attempts, outcome.statusCode]);
+      return true;
+    }
+
+    const exhausted = attempts >= this.maxAttempts;
+    const delayMs = Math.min(MAX_BACKOFF_MS, this.retryBaseMs * 2 ** (attempts - 1));
+    await db.query(`
+      UPDATE webhook_deliveries
+      SET state = $2,
+          attempts = $3,
+          last_status_code = $4,
+          last_error = $5,
+          next_attempt_at = NOW() + make_interval(secs => $6),
+          locked_until = NULL,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [delivery.id, exhausted ? 'failed' : 'pending', attempts, outcome.statusCode, String(outcome.error).substring(0, 1000), Math.ceil(delayMs / 1000)]);
+
+    logger.warn(`⚠️ Webhook ${delivery.event_type} to ${delivery.url} failed (attempt ${attempts}/${this.maxAttempts}): ${outcome.error}${exhausted ? '; giving up' : ''}`);
+    return false;
+  }
+
+  /**
+   * Claim one due delivery right before sending it, with a lease covering a
+   * single attempt, so a slow batch never outlives its claims.
+   */
+  async _claimNextDue() {
+    const result = await db.query(`
+      UPDATE webhook_deliveries
+      SET locked_until = NOW() + make_interval(secs => $1),
+          updated_at = NOW()
+      WHERE id = (
+        SELECT id
+        FROM webhook_deliveries
+        WHERE state = 'pending'
+          AND next_attempt_at <= NOW()
+          AND (locked_until IS NULL OR locked_until < NOW())
+        ORDER BY next_attempt_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [Math.ceil((this.timeoutMs * 2) / 1000)]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Retry up to RETRY_BATCH_SIZE due deliveries. A pass still running when the
+   * next poll fires is not joined by a second one.
+   * @returns {Promise<number>} deliveries attempted
+   */
+  async retryDue() {
+    if (this.retryRunning) return 0;
+    this.retryRunning = true;
+    try {
+      let attempted = 0;
+      while (attempted < RETRY_BATCH_SIZE) {
+        const delivery = await this._claimNextDue();
+        if (!delivery) break;
+        await this._attempt(delivery);
+        attempted += 1;
+      }
+      return attempted;
+    } finally {
+      this.retryRunning = false;
+    }
+  }
+
+  /**
+   * Subscribe to token events and start the retry poller.
+   */
+  start() {
+    if (this.unsubscribe) return;
+
+    // Other replicas deliver the events they publish themselves.
+    this.unsubscribe = tokenEvents.onEvent((event) => this.handleEvent(event), { localOnly: true });
+    this.retryTimer = setInterval(() => {
+      this.retryDue().catch((error) => {
+        logger.warn(`⚠️ Webhook retry pass failed: ${error.message}`);
+      });
+    }, this.pollIntervalMs);
+    if (typeof this.retryTimer.unref === 'function') this.retryTimer.unref();
+
+    if (this.defaultUrl && !this.defaultSecret) {
+      logger.warn('⚠️ NOTIFICATION_WEBHOOK_URL is set without NOTIFICATION_WEBHOOK_SECRET; it will not receive events');
+    }
+    logger.info('✅ Webhook delivery started');
+  }
+
+  stop() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    clearInterval(this.retryTimer);
+    this.retryTimer = null;
+  }
+}
+
+module.exports = new WebhookService();